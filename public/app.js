@@ -8,13 +8,42 @@ class AudioVisualizer {
         this.lastStatusUpdate = 0;
         this.connectionStatusCheckInterval = null;
         
+        // Every level meter on the page, drawn on canvases from one animation loop;
+        // ballistics and peak hold time are remembered by the browser
+        this.meterRenderer = new MeterRenderer({
+            ballistics: localStorage.getItem('meterBallistics') || 'peak',
+            peakHoldTime: Number(localStorage.getItem('peakHoldTime') || 3000)
+        });
+        // Milliseconds between the server's batch frames; lower is smoother, higher eases slow links
+        this.updateInterval = Number(localStorage.getItem('updateInterval') || 100);
+        
         this.initializeElements();
         this.bindEvents();
         this.connectWebSocket();
         this.startConnectionStatusMonitoring();
+        this.meterRenderer.start();
+        this.setTrendRange(this.trend.span, null);
+        this.loadWebhooks();
+        this.updateScheduleForm();
+        this.showView();
     }
 
     initializeElements() {
+        // Fleet overview; amplifiers keyed by id, each with the state last heard
+        // for it so a drill-down starts out up to date
+        this.fleetGrid = document.getElementById('fleetGrid');
+        this.fleetSummary = document.getElementById('fleetSummary');
+        this.newAmplifierName = document.getElementById('newAmplifierName');
+        this.newAmplifierIP = document.getElementById('newAmplifierIP');
+        this.newAmplifierDeviceId = document.getElementById('newAmplifierDeviceId');
+        this.addAmplifierBtn = document.getElementById('addAmplifierBtn');
+        this.overviewBtn = document.getElementById('overviewBtn');
+        this.amplifierName = document.getElementById('amplifierName');
+        this.amplifiers = new Map();
+        this.amplifiersLoaded = false;
+        this.selectedAmplifier = null;
+        this.selectedAmplifierId = null;
+        
         // Connection elements
         this.amplifierIPInput = document.getElementById('amplifierIP');
         this.connectBtn = document.getElementById('connectBtn');
@@ -22,46 +51,534 @@ class AudioVisualizer {
         this.statusIndicator = document.getElementById('statusIndicator');
         this.statusText = document.getElementById('statusText');
         
-        // Channel mute buttons
+        // LAN discovery; the last scan's status and results as sent by the server
+        this.discoverySubnet = document.getElementById('discoverySubnet');
+        this.discoveryScanBtn = document.getElementById('discoveryScanBtn');
+        this.discoveryProgress = document.getElementById('discoveryProgress');
+        this.discoveryList = document.getElementById('discoveryList');
+        this.discovery = null;
+        
+        // Scenes saved on the server; recallingSceneId is set while one is being applied
+        this.newSceneName = document.getElementById('newSceneName');
+        this.saveSceneBtn = document.getElementById('saveSceneBtn');
+        this.sceneStatus = document.getElementById('sceneStatus');
+        this.sceneList = document.getElementById('sceneList');
+        this.scenes = [];
+        this.recallingSceneId = null;
+        
+        // Schedule page: jobs as sent by the server, run history keyed by id
+        this.scheduleBtn = document.getElementById('scheduleBtn');
+        this.scheduleBackBtn = document.getElementById('scheduleBackBtn');
+        this.scheduleName = document.getElementById('scheduleName');
+        this.scheduleKind = document.getElementById('scheduleKind');
+        this.scheduleCron = document.getElementById('scheduleCron');
+        this.scheduleAt = document.getElementById('scheduleAt');
+        this.scheduleAction = document.getElementById('scheduleAction');
+        this.scheduleTarget = document.getElementById('scheduleTarget');
+        this.scheduleChannel = document.getElementById('scheduleChannel');
+        this.scheduleMissed = document.getElementById('scheduleMissed');
+        this.scheduleCatchUp = document.getElementById('scheduleCatchUp');
+        this.saveScheduleBtn = document.getElementById('saveScheduleBtn');
+        this.cancelScheduleBtn = document.getElementById('cancelScheduleBtn');
+        this.scheduleJobsList = document.getElementById('scheduleJobs');
+        this.scheduleRunsLog = document.getElementById('scheduleRuns');
+        this.scheduleJobs = [];
+        this.scheduleRuns = new Map();
+        this.scheduleRunsLoaded = false;
+        this.maxScheduleRunRows = 100;
+        this.editingJobId = null;
+        
+        // History page: one page of the server's audit log at a time, newest first
+        this.auditBtn = document.getElementById('auditBtn');
+        this.auditBackBtn = document.getElementById('auditBackBtn');
+        this.auditAction = document.getElementById('auditAction');
+        this.auditAmplifier = document.getElementById('auditAmplifier');
+        this.auditSource = document.getElementById('auditSource');
+        this.auditOutcome = document.getElementById('auditOutcome');
+        this.auditClient = document.getElementById('auditClient');
+        this.auditFrom = document.getElementById('auditFrom');
+        this.auditTo = document.getElementById('auditTo');
+        this.auditSearchBtn = document.getElementById('auditSearchBtn');
+        this.auditEntries = document.getElementById('auditEntries');
+        this.auditNewerBtn = document.getElementById('auditNewerBtn');
+        this.auditOlderBtn = document.getElementById('auditOlderBtn');
+        this.auditPageInfo = document.getElementById('auditPageInfo');
+        this.audit = { offset: 0, limit: 50, total: 0, loaded: false, reloadTimer: null };
+        
+        // Server log drawer, open over any view; polled for new entries while open
+        this.logDrawerBtn = document.getElementById('logDrawerBtn');
+        this.logDrawer = document.getElementById('logDrawer');
+        this.logFilterLevel = document.getElementById('logFilterLevel');
+        this.logFilterCategory = document.getElementById('logFilterCategory');
+        this.logLevelSelect = document.getElementById('logLevelSelect');
+        this.logCategoryLevel = document.getElementById('logCategoryLevel');
+        this.logClearBtn = document.getElementById('logClearBtn');
+        this.logCloseBtn = document.getElementById('logCloseBtn');
+        this.logEntries = document.getElementById('logEntries');
+        this.logs = { open: false, lastId: 0, request: 0, timer: null, levels: null };
+        
+        // Meters are built here, one per channel, then named, coloured, hidden and
+        // ordered from the channel layout the server keeps for the amplifier shown
+        this.inputMeters = document.getElementById('inputMeters');
+        this.outputMeters = document.getElementById('outputMeters');
+        this.buildMeters();
+        this.channelLayoutSignature = null;
+        
+        // Channel editor; channelDraft holds the edited channels until they are saved
+        this.layoutSelect = document.getElementById('layoutSelect');
+        this.editChannelsBtn = document.getElementById('editChannelsBtn');
+        this.channelEditor = document.getElementById('channelEditor');
+        this.channelEditorList = document.getElementById('channelEditorList');
+        this.saveChannelsBtn = document.getElementById('saveChannelsBtn');
+        this.cancelChannelsBtn = document.getElementById('cancelChannelsBtn');
+        this.channelDraft = null;
+        
+        // Mute buttons
+        this.masterMuteBtn = document.getElementById('masterMuteBtn');
         this.channelMuteBtns = document.querySelectorAll('.channel-mute-btn');
         
         // Error toast
         this.errorToast = document.getElementById('errorToast');
         this.errorMessage = document.getElementById('errorMessage');
         
+        // Meter options
+        this.peakHoldSelect = document.getElementById('peakHoldSelect');
+        this.peakHoldSelect.value = String(this.meterRenderer.peakHoldTime);
+        this.ballisticsSelect = document.getElementById('ballisticsSelect');
+        this.ballisticsSelect.value = this.meterRenderer.ballistics;
+        this.updateRateSelect = document.getElementById('updateRateSelect');
+        this.updateRateSelect.value = String(this.updateInterval);
+        this.resetCountersBtn = document.getElementById('resetCountersBtn');
+        this.resetStatsBtn = document.getElementById('resetStatsBtn');
+        
         // Meter elements
         this.meters = {};
-        for (let i = 1; i <= 4; i++) {
-            this.meters[`input-${i}`] = {
-                value: document.getElementById(`input-${i}-value`),
-                bar: document.getElementById(`input-${i}-bar`),
-                fill: document.querySelector(`#input-${i}-bar .meter-fill`)
-            };
-            this.meters[`output-${i}`] = {
-                value: document.getElementById(`output-${i}-value`),
-                bar: document.getElementById(`output-${i}-bar`),
-                fill: document.querySelector(`#output-${i}-bar .meter-fill`)
+        ['input', 'output'].forEach(type => {
+            for (let i = 1; i <= 4; i++) {
+                const channelKey = `${type}-${i}`;
+                this.meters[channelKey] = {
+                    container: document.querySelector(`.meter-container[data-channel="${channelKey}"]`),
+                    label: document.querySelector(`.meter-container[data-channel="${channelKey}"] .meter-label`),
+                    value: document.getElementById(`${channelKey}-value`),
+                    bar: document.getElementById(`${channelKey}-bar`),
+                    clip: document.querySelector(`.clip-indicator[data-channel="${channelKey}"]`),
+                    clipCount: document.querySelector(`.meter-counters[data-channel="${channelKey}"] .clip-count`),
+                    overCount: document.querySelector(`.meter-counters[data-channel="${channelKey}"] .over-count`),
+                    stats: {
+                        averages: document.querySelectorAll(`.meter-stats[data-channel="${channelKey}"] .meter-stats-averages strong`),
+                        range: document.querySelector(`.meter-stats[data-channel="${channelKey}"] .meter-stats-range`),
+                        above: document.querySelector(`.meter-stats[data-channel="${channelKey}"] .meter-stats-above`)
+                    }
+                };
+            }
+        });
+        
+        // Gain faders and numeric entries, keyed like the meters
+        this.gainRange = { min: -60, max: 12 };
+        this.gainControls = {};
+        document.querySelectorAll('.gain-fader').forEach(fader => {
+            const channelKey = fader.dataset.channel;
+            this.gainControls[channelKey] = {
+                fader,
+                input: document.querySelector(`.gain-input[data-channel="${channelKey}"]`),
+                value: 0,
+                adjusting: false,
+                pending: false
             };
-        }
+        });
         
         // Track mute states
         this.muteStates = {
             master: false,
             channels: {}
         };
+        
+        // Mute writes awaiting confirmation from the amplifier, keyed like 'output-2' or 'all-output'
+        this.pendingMutes = new Set();
+        this.muteConfirmTimeout = 8000;
+        
+        // WebSocket commands awaiting their ack or error, keyed by requestId
+        this.commandVersion = 1;
+        this.pendingCommands = new Map();
+        this.lastRequestId = 0;
+        
+        // Trend chart: `to` is null while following live data
+        this.trendChannelSelect = document.getElementById('trendChannel');
+        this.trendRangeBtns = document.querySelectorAll('.trend-range-btn');
+        this.trendLiveBtn = document.getElementById('trendLiveBtn');
+        this.trendInfo = document.getElementById('trendInfo');
+        this.trendCanvas = document.getElementById('trendChart');
+        this.trend = {
+            channel: localStorage.getItem('trendChannel') || 'output-1',
+            span: 60 * 60 * 1000,
+            to: null,
+            points: [],
+            resolution: null,
+            bucketMs: { raw: 0, '1s': 1000, '1m': 60000 },
+            pad: { left: 40, right: 10, top: 10, bottom: 22 },
+            minSpan: 10 * 1000,
+            maxSpan: 7 * 24 * 60 * 60 * 1000,
+            requestSeq: 0,
+            loadTimer: null,
+            drawQueued: false
+        };
+        this.trendChannelSelect.value = this.trend.channel;
+        
+        // Alarm panel; alarms keyed by id, dropped once cleared and acknowledged
+        this.alarmPanel = document.getElementById('alarmPanel');
+        this.alarmList = document.getElementById('alarmList');
+        this.alarmCount = document.getElementById('alarmCount');
+        this.ackAllAlarmsBtn = document.getElementById('ackAllAlarmsBtn');
+        this.alarms = new Map();
+        
+        // Recording controls and export form
+        this.recordBtn = document.getElementById('recordBtn');
+        this.recordingTime = document.getElementById('recordingTime');
+        this.recordingFileSize = document.getElementById('recordingFileSize');
+        this.recordingTotalSize = document.getElementById('recordingTotalSize');
+        this.recordingFileCount = document.getElementById('recordingFileCount');
+        this.exportFrom = document.getElementById('exportFrom');
+        this.exportTo = document.getElementById('exportTo');
+        this.exportChannels = document.getElementById('exportChannels');
+        this.exportFormat = document.getElementById('exportFormat');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.recordingState = { recording: false, startedAt: null };
+        this.recordingClock = null;
+        
+        // Traffic captures: started for the amplifier picked here, and replayed onto it
+        this.captureAmplifier = document.getElementById('captureAmplifier');
+        this.captureBtn = document.getElementById('captureBtn');
+        this.replaySpeed = document.getElementById('replaySpeed');
+        this.replayLoop = document.getElementById('replayLoop');
+        this.captureUpload = document.getElementById('captureUpload');
+        this.captureFiles = document.getElementById('captureFiles');
+        this.captureState = { active: [], files: [] };
+        
+        // Webhook targets and delivery log, deliveries keyed by id
+        this.webhookUrl = document.getElementById('webhookUrl');
+        this.webhookSecret = document.getElementById('webhookSecret');
+        this.webhookEvents = document.getElementById('webhookEvents');
+        this.addWebhookBtn = document.getElementById('addWebhookBtn');
+        this.webhookTargets = document.getElementById('webhookTargets');
+        this.webhookLog = document.getElementById('webhookLog');
+        this.webhookDeliveries = new Map();
+        this.maxWebhookLogRows = 100;
+        
+        const now = Date.now();
+        this.exportFrom.value = this.toDateTimeLocal(now - 60 * 60 * 1000);
+        this.exportTo.value = this.toDateTimeLocal(now);
     }
 
+    // One meter per channel, inputs and outputs in their own grid, with the
+    // classes and IDs the rest of the dashboard looks them up by
+    buildMeters() {
+        ['input', 'output'].forEach(type => {
+            for (let i = 1; i <= 4; i++) {
+                const grid = type === 'input' ? this.inputMeters : this.outputMeters;
+                grid.appendChild(this.createMeter(`${type}-${i}`, `${type === 'input' ? 'Input' : 'Output'} ${i}`));
+            }
+        });
+    }
+    
+    createMeter(channelKey, name) {
+        const container = document.createElement('div');
+        container.className = 'meter-container';
+        container.dataset.channel = channelKey;
+        
+        const label = document.createElement('div');
+        label.className = 'meter-label';
+        label.textContent = name;
+        
+        const display = document.createElement('div');
+        display.className = 'meter-display';
+        const clip = document.createElement('button');
+        clip.className = 'clip-indicator';
+        clip.dataset.channel = channelKey;
+        clip.title = 'Click to reset clip counter';
+        clip.textContent = 'CLIP';
+        const value = document.createElement('div');
+        value.className = 'meter-value';
+        value.id = `${channelKey}-value`;
+        value.textContent = '-60.0';
+        const unit = document.createElement('div');
+        unit.className = 'meter-unit';
+        unit.textContent = 'dB';
+        display.append(clip, value, unit);
+        
+        const barContainer = document.createElement('div');
+        barContainer.className = 'meter-bar-container';
+        // Bar, scale and peak marker are all drawn by the meter renderer
+        const bar = document.createElement('canvas');
+        bar.className = 'meter-bar';
+        bar.id = `${channelKey}-bar`;
+        barContainer.appendChild(bar);
+        this.meterRenderer.add(channelKey, bar, { valueElement: value });
+        
+        const counters = document.createElement('div');
+        counters.className = 'meter-counters';
+        counters.dataset.channel = channelKey;
+        [['Clips', 'clip-count'], ['Over', 'over-count']].forEach(([text, className]) => {
+            const span = document.createElement('span');
+            const count = document.createElement('strong');
+            count.className = className;
+            count.textContent = '0';
+            span.append(`${text} `, count);
+            counters.appendChild(span);
+        });
+        
+        // Filled in by updateLevelStats from the server's rolling statistics
+        const stats = document.createElement('div');
+        stats.className = 'meter-stats';
+        stats.dataset.channel = channelKey;
+        const averages = document.createElement('div');
+        averages.className = 'meter-stats-averages';
+        averages.title = 'Energy-averaged level over the last 1 second, 10 seconds and 1 minute';
+        ['1 s', '10 s', '1 min'].forEach(text => {
+            const span = document.createElement('span');
+            const average = document.createElement('strong');
+            average.textContent = '--';
+            span.append(`${text} `, average);
+            averages.appendChild(span);
+        });
+        const range = document.createElement('div');
+        range.className = 'meter-stats-range';
+        const above = document.createElement('div');
+        above.className = 'meter-stats-above';
+        above.title = 'Time above each level since the statistics were reset';
+        stats.append(averages, range, above);
+        
+        const gain = document.createElement('div');
+        gain.className = 'gain-control';
+        const gainLabel = document.createElement('label');
+        gainLabel.className = 'gain-label';
+        gainLabel.htmlFor = `${channelKey}-gain`;
+        gainLabel.textContent = 'Gain';
+        const fader = document.createElement('input');
+        fader.type = 'range';
+        fader.className = 'gain-fader';
+        fader.id = `${channelKey}-gain`;
+        fader.dataset.channel = channelKey;
+        Object.assign(fader, { min: -60, max: 12, step: 0.5, value: 0, disabled: true });
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'gain-input';
+        input.dataset.channel = channelKey;
+        Object.assign(input, { min: -60, max: 12, step: 0.1, value: '0.0', disabled: true });
+        const gainUnit = document.createElement('span');
+        gainUnit.className = 'gain-unit';
+        gainUnit.textContent = 'dB';
+        gain.append(gainLabel, fader, input, gainUnit);
+        
+        const muteBtn = document.createElement('button');
+        muteBtn.className = 'channel-mute-btn';
+        muteBtn.dataset.channel = channelKey;
+        muteBtn.disabled = true;
+        const icon = document.createElement('span');
+        icon.className = 'mute-icon';
+        icon.textContent = '🔊';
+        muteBtn.appendChild(icon);
+        
+        container.append(label, display, barContainer, counters, stats, gain, muteBtn);
+        return container;
+    }
+    
     bindEvents() {
+        // Overview and drill-down
+        window.addEventListener('hashchange', () => this.showView());
+        this.overviewBtn.addEventListener('click', () => {
+            window.location.hash = '#/';
+        });
+        this.scheduleBtn.addEventListener('click', () => {
+            window.location.hash = '#/schedule';
+        });
+        this.scheduleBackBtn.addEventListener('click', () => {
+            window.location.hash = '#/';
+        });
+        this.auditBtn.addEventListener('click', () => {
+            window.location.hash = '#/audit';
+        });
+        this.auditBackBtn.addEventListener('click', () => {
+            window.location.hash = '#/';
+        });
+        this.addAmplifierBtn.addEventListener('click', () => this.addAmplifier());
+        [this.newAmplifierIP, this.newAmplifierDeviceId].forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter' && !this.addAmplifierBtn.disabled) {
+                    this.addAmplifier();
+                }
+            });
+        });
+        
         this.connectBtn.addEventListener('click', () => this.connect());
         this.disconnectBtn.addEventListener('click', () => this.disconnect());
         
-        // Channel mute buttons - disabled as indicators only
-        // this.channelMuteBtns.forEach(btn => {
-        //     btn.addEventListener('click', () => {
-        //         const channel = btn.dataset.channel;
-        //         this.toggleChannelMute(channel, btn);
-        //     });
-        // });
+        this.discoveryScanBtn.addEventListener('click', () => this.scanNetwork());
+        this.discoverySubnet.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && !this.discoveryScanBtn.disabled) {
+                this.scanNetwork();
+            }
+        });
+        
+        this.scheduleKind.addEventListener('change', () => this.updateScheduleForm());
+        this.scheduleAction.addEventListener('change', () => this.updateScheduleForm());
+        this.scheduleMissed.addEventListener('change', () => this.updateScheduleForm());
+        this.saveScheduleBtn.addEventListener('click', () => this.saveSchedule());
+        this.cancelScheduleBtn.addEventListener('click', () => this.resetScheduleForm());
+        
+        this.auditSearchBtn.addEventListener('click', () => this.loadAudit(0));
+        this.auditClient.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.loadAudit(0);
+            }
+        });
+        this.logDrawerBtn.addEventListener('click', () => this.toggleLogDrawer(!this.logs.open));
+        this.logCloseBtn.addEventListener('click', () => this.toggleLogDrawer(false));
+        this.logClearBtn.addEventListener('click', () => {
+            this.logEntries.innerHTML = '';
+        });
+        [this.logFilterLevel, this.logFilterCategory].forEach(select => {
+            select.addEventListener('change', () => {
+                this.renderLogLevels();
+                this.loadLogs(true);
+            });
+        });
+        this.logLevelSelect.addEventListener('change', () => this.setLogLevels({ level: this.logLevelSelect.value }));
+        this.logCategoryLevel.addEventListener('change', () => this.setLogLevels({
+            categories: { [this.logFilterCategory.value]: this.logCategoryLevel.value || null }
+        }));
+        
+        this.auditNewerBtn.addEventListener('click', () => this.loadAudit(Math.max(0, this.audit.offset - this.audit.limit)));
+        this.auditOlderBtn.addEventListener('click', () => this.loadAudit(this.audit.offset + this.audit.limit));
+        
+        this.saveSceneBtn.addEventListener('click', () => this.saveScene());
+        this.newSceneName.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && !this.saveSceneBtn.disabled) {
+                this.saveScene();
+            }
+        });
+        
+        this.masterMuteBtn.addEventListener('click', () => this.toggleMasterMute());
+        
+        this.channelMuteBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const channel = btn.dataset.channel;
+                this.toggleChannelMute(channel, btn);
+            });
+        });
+        
+        // Gain faders: preview while dragging, send on release
+        Object.entries(this.gainControls).forEach(([channelKey, control]) => {
+            control.fader.addEventListener('input', () => {
+                control.adjusting = true;
+                control.input.value = Number(control.fader.value).toFixed(1);
+            });
+            control.fader.addEventListener('change', () => {
+                control.adjusting = false;
+                this.setGain(channelKey, Number(control.fader.value));
+            });
+            control.input.addEventListener('focus', () => {
+                control.adjusting = true;
+            });
+            control.input.addEventListener('blur', () => {
+                control.adjusting = false;
+            });
+            control.input.addEventListener('change', () => {
+                this.setGain(channelKey, Number(control.input.value));
+            });
+        });
+        
+        // Peak hold time, ballistics and clip latches
+        this.peakHoldSelect.addEventListener('change', () => {
+            this.meterRenderer.peakHoldTime = Number(this.peakHoldSelect.value);
+            localStorage.setItem('peakHoldTime', this.peakHoldSelect.value);
+        });
+        this.ballisticsSelect.addEventListener('change', () => {
+            this.meterRenderer.setBallistics(this.ballisticsSelect.value);
+            localStorage.setItem('meterBallistics', this.ballisticsSelect.value);
+        });
+        
+        this.updateRateSelect.addEventListener('change', () => {
+            this.updateInterval = Number(this.updateRateSelect.value);
+            localStorage.setItem('updateInterval', this.updateRateSelect.value);
+            this.sendUpdateRate();
+        });
+        
+        this.resetCountersBtn.addEventListener('click', () => this.resetCounters());
+        this.resetStatsBtn.addEventListener('click', () => this.resetLevelStats());
+        
+        // Channel names, colours, order and layout, saved on the server for the amplifier shown
+        this.layoutSelect.addEventListener('change', () => this.saveChannelLayout({ layout: this.layoutSelect.value }));
+        this.editChannelsBtn.addEventListener('click', () => this.openChannelEditor());
+        this.saveChannelsBtn.addEventListener('click', () => this.saveChannelEditor());
+        this.cancelChannelsBtn.addEventListener('click', () => this.closeChannelEditor());
+        
+        Object.entries(this.meters).forEach(([channelKey, meter]) => {
+            meter.clip.addEventListener('click', () => this.resetCounters(channelKey));
+        });
+        
+        // Trend chart: channel, preset spans, wheel zoom, drag to pan, double-click for live
+        this.trendChannelSelect.addEventListener('change', () => this.selectTrendChannel(this.trendChannelSelect.value));
+        
+        Object.entries(this.meters).forEach(([channelKey, meter]) => {
+            meter.label.addEventListener('click', () => this.selectTrendChannel(channelKey));
+        });
+        
+        this.trendRangeBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setTrendRange(Number(btn.dataset.span), null));
+        });
+        
+        this.trendLiveBtn.addEventListener('click', () => this.setTrendRange(this.trend.span, null));
+        
+        this.trendCanvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const pad = this.trend.pad;
+            const anchor = (e.offsetX - pad.left) / (this.trendCanvas.clientWidth - pad.left - pad.right);
+            this.zoomTrend(e.deltaY > 0 ? 1.25 : 0.8, Math.max(0, Math.min(1, anchor)));
+        }, { passive: false });
+        
+        this.trendCanvas.addEventListener('mousedown', (e) => {
+            const startX = e.clientX;
+            const startTo = this.trendEnd();
+            this.trendCanvas.classList.add('dragging');
+            
+            const move = (moveEvent) => {
+                const plotWidth = this.trendCanvas.clientWidth - this.trend.pad.left - this.trend.pad.right;
+                const shift = (moveEvent.clientX - startX) / plotWidth * this.trend.span;
+                this.setTrendRange(this.trend.span, startTo - shift);
+            };
+            const up = () => {
+                this.trendCanvas.classList.remove('dragging');
+                window.removeEventListener('mousemove', move);
+                window.removeEventListener('mouseup', up);
+            };
+            window.addEventListener('mousemove', move);
+            window.addEventListener('mouseup', up);
+        });
+        
+        this.trendCanvas.addEventListener('dblclick', () => this.setTrendRange(this.trend.span, null));
+        
+        window.addEventListener('resize', () => this.drawTrend());
+        
+        // Alarms
+        this.ackAllAlarmsBtn.addEventListener('click', () => {
+            this.alarms.forEach(alarm => {
+                if (!alarm.acknowledged) {
+                    this.acknowledgeAlarm(alarm.id);
+                }
+            });
+        });
+        
+        // Webhooks
+        this.addWebhookBtn.addEventListener('click', () => this.addWebhook());
+        
+        // Recording
+        this.recordBtn.addEventListener('click', () => this.toggleRecording());
+        this.exportBtn.addEventListener('click', () => this.exportRecording());
+        
+        // Traffic captures
+        this.captureAmplifier.addEventListener('change', () => this.renderCaptures());
+        this.captureBtn.addEventListener('click', () => this.toggleCapture());
+        this.captureUpload.addEventListener('change', () => this.uploadCapture());
         
         // Allow Enter key to connect
         this.amplifierIPInput.addEventListener('keypress', (e) => {
@@ -87,13 +604,7 @@ class AudioVisualizer {
         
         this.ws.onmessage = (event) => {
             try {
-                const data = JSON.parse(event.data);
-                this.handleMessage(data);
-                
-                // Update last status update timestamp for monitoring
-                if (data.type === 'status') {
-                    this.lastStatusUpdate = Date.now();
-                }
+                this.handleMessage(JSON.parse(event.data));
             } catch (err) {
                 console.error('Failed to parse WebSocket message:', err);
             }
@@ -102,6 +613,11 @@ class AudioVisualizer {
         this.ws.onclose = () => {
             console.log('WebSocket disconnected');
             this.ws = null;
+            this.pendingCommands.forEach(pending => {
+                clearTimeout(pending.timer);
+                pending.reject(new Error('Lost connection to server'));
+            });
+            this.pendingCommands.clear();
             
             // Attempt to reconnect
             if (this.reconnectAttempts < this.maxReconnectAttempts) {
@@ -142,42 +658,227 @@ class AudioVisualizer {
     }
 
     handleMessage(data) {
-        console.log('📨 Frontend received message:', data);
+        // Amplifier messages update the overview card for every amplifier, and the
+        // detail view only for the one being shown
+        const amplifier = data.amplifierId !== undefined ? this.amplifiers.get(data.amplifierId) : null;
+        const selected = !!amplifier && amplifier === this.selectedAmplifier;
+        
         switch (data.type) {
+            case 'amplifiers':
+                this.updateAmplifiers(data.amplifiers);
+                break;
             case 'status':
-                console.log('🔄 Updating connection status to:', data.connected);
-                this.updateConnectionStatus(data.connected, data.amplifierIP);
+                // Update last status update timestamp for monitoring
+                this.lastStatusUpdate = Date.now();
+                if (amplifier) {
+                    this.updateAmplifierStatus(amplifier, data.connected, data.amplifierIP);
+                }
+                if (selected) {
+                    console.log('🔄 Updating connection status to:', data.connected);
+                    this.updateConnectionStatus(data.connected, data.amplifierIP);
+                }
                 break;
             case 'audioData':
-                this.updateMeter(data.channelType, data.channelId, data.db);
+                if (amplifier) {
+                    this.renderMiniMeter(amplifier, `${data.channelType}-${data.channelId}`, data.db);
+                }
+                if (selected) {
+                    this.updateMeter(data.channelType, data.channelId, data.db);
+                    this.appendTrendSample(`${data.channelType}-${data.channelId}`, data.db, data.timestamp);
+                }
                 break;
             case 'muteStatus':
-                this.updateMuteStatus(data.channelType, data.channelId, data.muted);
+                if (amplifier) {
+                    const channelKey = data.channelId === 0 ? 'all-output' : `${data.channelType}-${data.channelId}`;
+                    amplifier.muted[channelKey] = data.muted;
+                    this.renderAmplifierCard(amplifier);
+                }
+                if (selected) {
+                    this.updateMuteStatus(data.channelType, data.channelId, data.muted);
+                }
+                break;
+            case 'gainStatus':
+                if (amplifier) {
+                    amplifier.gains[`${data.channelType}-${data.channelId}`] = data;
+                }
+                if (selected) {
+                    this.updateGainStatus(data.channelType, data.channelId, data.db);
+                }
+                break;
+            case 'counters':
+                if (amplifier) {
+                    amplifier.counters = data.channels;
+                    this.renderAmplifierCard(amplifier);
+                }
+                if (selected) {
+                    this.updateCounters(data.channels);
+                }
+                break;
+            case 'levelStats':
+                if (amplifier) {
+                    amplifier.stats = data.channels;
+                }
+                if (selected) {
+                    this.updateLevelStats(data.channels);
+                }
+                break;
+            case 'recording':
+                this.updateRecordingStatus(data);
+                break;
+            case 'captures':
+                this.captureState = data;
+                this.renderCaptures();
+                break;
+            case 'alarms':
+                this.alarms.clear();
+                data.alarms.forEach(alarm => this.alarms.set(alarm.id, alarm));
+                this.renderAlarms();
+                break;
+            case 'alarm':
+                this.updateAlarm(data.alarm);
+                break;
+            case 'discovery':
+                this.updateDiscovery(data);
+                break;
+            case 'scenes':
+                this.scenes = data.scenes;
+                this.recallingSceneId = data.recalling;
+                this.renderScenes();
+                this.updateScheduleForm();
+                this.renderSchedules();
+                break;
+            case 'sceneRecall':
+                this.showSceneRecall(data);
+                break;
+            case 'schedules':
+                this.scheduleJobs = data.jobs;
+                this.renderSchedules();
+                break;
+            case 'scheduleRun':
+                this.scheduleRuns.set(data.run.id, data.run);
+                this.renderScheduleRuns();
+                break;
+            case 'audit':
+                this.auditEntryAdded();
+                break;
+            case 'webhookDelivery':
+                this.webhookDeliveries.set(data.delivery.id, data.delivery);
+                this.renderWebhookLog();
+                break;
+            case 'hello':
+                if (data.v !== this.commandVersion) {
+                    console.warn(`⚠️ Server speaks command protocol v${data.v}, expected v${this.commandVersion}`);
+                }
+                this.applyState(data.state);
+                if (data.updateInterval !== this.updateInterval) {
+                    this.sendUpdateRate();
+                }
+                break;
+            case 'batch':
+                data.messages.forEach(message => this.handleMessage(message));
+                break;
+            case 'ack':
+                this.settleCommand(data, null);
                 break;
             case 'error':
-                this.showError(data.message);
+                // Replies to our own commands are reported by whoever sent them
+                if (data.requestId !== undefined) {
+                    this.settleCommand(data, new Error(data.message));
+                } else {
+                    this.showError(data.message);
+                }
                 break;
         }
     }
 
+    // The full state the server sends on connect, replayed as the messages that
+    // would have brought it about
+    applyState(state) {
+        this.handleMessage({ type: 'amplifiers', amplifiers: state.amplifiers });
+        state.amplifiers.forEach(({ id: amplifierId, ip, connected, levels, mutes, gains, counters, stats }) => {
+            this.handleMessage({ type: 'status', amplifierId, connected, amplifierIP: ip });
+            Object.entries(levels).forEach(([channelKey, level]) => {
+                const [channelType, channelId] = channelKey.split('-');
+                this.handleMessage({ type: 'audioData', amplifierId, channelType, channelId: Number(channelId), ...level });
+            });
+            Object.entries(mutes).forEach(([channelKey, muted]) => {
+                const [channelType, channelId] = channelKey === 'all-output' ? ['output', 0] : channelKey.split('-');
+                this.handleMessage({ type: 'muteStatus', amplifierId, channelType, channelId: Number(channelId), muted });
+            });
+            Object.values(gains).forEach(gain => this.handleMessage({ type: 'gainStatus', amplifierId, ...gain }));
+            this.handleMessage({ type: 'counters', amplifierId, ...counters });
+            this.handleMessage({ type: 'levelStats', amplifierId, ...stats });
+        });
+        this.handleMessage({ type: 'recording', ...state.recording });
+        this.handleMessage({ type: 'captures', ...state.captures });
+        this.handleMessage({ type: 'alarms', alarms: state.alarms });
+        this.handleMessage({ type: 'discovery', ...state.discovery });
+        this.handleMessage({ type: 'scenes', scenes: state.scenes, recalling: state.recalling });
+        this.handleMessage({ type: 'schedules', jobs: state.schedules });
+    }
+
+    sendUpdateRate() {
+        this.sendCommand('setUpdateRate', { interval: this.updateInterval }).catch(err => {
+            this.showError(`Could not change update rate: ${err.message}`);
+        });
+    }
+
+    // Send a command over the WebSocket; resolves with the ack's result, rejects with
+    // the error reply's message or, after `timeout` ms, a TimeoutError
+    sendCommand(command, params = {}, timeout = 15000) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('Not connected to server'));
+        }
+        
+        const requestId = ++this.lastRequestId;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingCommands.delete(requestId);
+                const err = new Error(`No reply to ${command}`);
+                err.name = 'TimeoutError';
+                reject(err);
+            }, timeout);
+            this.pendingCommands.set(requestId, { resolve, reject, timer });
+            this.ws.send(JSON.stringify({ v: this.commandVersion, requestId, command, params }));
+        });
+    }
+
+    settleCommand(data, err) {
+        const pending = this.pendingCommands.get(data.requestId);
+        if (!pending) {
+            return; // Timed out already
+        }
+        this.pendingCommands.delete(data.requestId);
+        clearTimeout(pending.timer);
+        if (err) {
+            pending.reject(err);
+        } else {
+            pending.resolve(data.result);
+        }
+    }
+
     updateConnectionStatus(connected, amplifierIP) {
         this.isConnected = connected;
         
         if (connected) {
             this.statusIndicator.classList.remove('connected', 'warning');
             this.statusIndicator.classList.add('connected');
-            this.statusText.textContent = `Connected to ${amplifierIP}`;
+            this.statusText.textContent = this.connectedText(this.selectedAmplifier, amplifierIP);
             this.connectBtn.disabled = true;
             this.disconnectBtn.disabled = false;
             this.amplifierIPInput.disabled = true;
+            this.masterMuteBtn.disabled = false;
             this.channelMuteBtns.forEach(btn => btn.disabled = false);
+            this.setGainControlsEnabled(true);
         } else {
             this.statusIndicator.classList.remove('connected', 'warning');
             this.statusText.textContent = 'Disconnected';
             this.connectBtn.disabled = false;
             this.disconnectBtn.disabled = true;
             this.amplifierIPInput.disabled = false;
+            this.masterMuteBtn.disabled = true;
             this.channelMuteBtns.forEach(btn => btn.disabled = true);
+            this.setGainControlsEnabled(false);
             
             // Reset all meters to -60dB
             this.resetAllMeters();
@@ -187,180 +888,2343 @@ class AudioVisualizer {
         }
     }
 
-    async toggleMasterMute() {
-        // Disabled - now an indicator only
-        console.log('Master mute is now indicator only - use amplifier to control mute');
-    }
-
-    async toggleChannelMute(channel, button) {
-        // Disabled - now indicator only
-        console.log('Channel mute is now indicator only - use amplifier to control mute');
-    }
-
-
-    updateChannelMuteButton(button, isMuted) {
-        const icon = button.querySelector('.mute-icon');
-        if (isMuted) {
-            button.classList.add('muted');
-            icon.textContent = '🔇';
-        } else {
-            button.classList.remove('muted');
-            icon.textContent = '🔊';
-        }
+    // 'Connected to 10.0.0.5', or the capture being played in place of the connection
+    connectedText(amplifier, amplifierIP) {
+        const replay = amplifier ? amplifier.replay : null;
+        return replay ? `Replaying ${replay.name} at ${replay.speed}×` : `Connected to ${amplifierIP}`;
     }
 
-    resetMuteStates() {
-        this.muteStates.master = false;
-        this.muteStates.channels = {};
-        
-        // Reset all channel mute buttons and meter containers
-        this.channelMuteBtns.forEach(btn => {
-            btn.classList.remove('muted');
-            btn.querySelector('.mute-icon').textContent = '🔊';
-        });
+    // '#/amp/<id>' drills down into one amplifier, '#/schedule' is the schedule page,
+    // '#/audit' the history page; anything else is the overview
+    showView() {
+        const match = /^#\/amp\/(.+)$/.exec(window.location.hash);
+        const amplifierId = match ? decodeURIComponent(match[1]) : null;
+        const schedule = window.location.hash === '#/schedule';
+        const audit = window.location.hash === '#/audit';
         
-        // Reset all meter container styling
-        document.querySelectorAll('.meter-container.muted').forEach(container => {
-            container.classList.remove('muted');
-        });
-    }
-
-    updateMuteStatus(channelType, channelId, isMuted) {
-        // Only update if we're connected to avoid race conditions
-        if (!this.isConnected) {
+        // Removed since, or a stale link
+        if (amplifierId && this.amplifiersLoaded && !this.amplifiers.has(amplifierId)) {
+            window.location.hash = '#/';
             return;
         }
         
-        // Handle master mute status
-        if (channelType === 'output' && channelId === 0) {
-            this.muteStates.master = isMuted;
-            return;
+        document.body.classList.toggle('view-detail', !!amplifierId);
+        document.body.classList.toggle('view-schedule', schedule);
+        document.body.classList.toggle('view-audit', audit);
+        document.body.classList.toggle('view-overview', !amplifierId && !schedule && !audit);
+        if (schedule && !this.scheduleRunsLoaded) {
+            this.loadScheduleRuns();
         }
-        
-        const channelKey = `${channelType}-${channelId}`;
-        
-        // Update local mute state to match amplifier
-        this.muteStates.channels[channelKey] = isMuted;
-        
-        // Find the corresponding button and update it
-        const button = document.querySelector(`[data-channel="${channelKey}"]`);
-        if (button) {
-            this.updateChannelMuteButton(button, isMuted);
+        if (audit && !this.audit.loaded) {
+            this.loadAudit(this.audit.offset);
         }
         
-        // Also update the meter container styling
-        const meterContainer = document.querySelector(`.meter-container[data-channel="${channelKey}"]`);
-        if (meterContainer) {
-            if (isMuted) {
-                meterContainer.classList.add('muted');
-            } else {
-                meterContainer.classList.remove('muted');
+        const amplifier = amplifierId ? this.amplifiers.get(amplifierId) || null : null;
+        if (amplifier !== this.selectedAmplifier || amplifierId !== this.selectedAmplifierId) {
+            this.selectAmplifier(amplifierId, amplifier);
+        }
+        if (amplifier) {
+            this.amplifierName.textContent = amplifier.name;
+            this.applyChannelLayout(amplifier);
+            // A replay starting or ending only shows in the amplifier list
+            if (amplifier.connected) {
+                this.statusText.textContent = this.connectedText(amplifier, amplifier.ip);
             }
         }
     }
 
-    updateMeter(channelType, channelId, dbValue) {
-        const channelKey = `${channelType}-${channelId}`;
-        const meter = this.meters[channelKey];
+    // Point the detail view at one amplifier and replay what is known about it
+    selectAmplifier(amplifierId, amplifier) {
+        this.selectedAmplifierId = amplifierId;
+        this.selectedAmplifier = amplifier;
+        this.updateConnectionStatus(false, null);
+        this.closeChannelEditor();
         
-        if (!meter) {
-            console.error(`Unknown channel: ${channelKey}`);
+        if (!amplifier) {
             return;
         }
         
-        // Clamp value to range -60 to +60
-        const clampedDb = Math.max(-60, Math.min(60, dbValue));
+        this.amplifierIPInput.value = amplifier.ip;
+        this.captureAmplifier.value = amplifier.id;
+        this.renderCaptures();
+        this.updateConnectionStatus(amplifier.connected, amplifier.ip);
+        Object.entries(amplifier.muted).forEach(([channelKey, muted]) => this.applyMuteState(channelKey, muted));
+        Object.values(amplifier.gains).forEach(gain => this.updateGainStatus(gain.channelType, gain.channelId, gain.db));
+        this.updateCounters(amplifier.counters);
+        this.updateLevelStats(amplifier.stats);
         
-        // Update numeric display
-        meter.value.textContent = clampedDb.toFixed(1);
+        this.trend.points = [];
+        this.trend.resolution = null;
+        this.drawTrend();
+        this.loadHistory();
+    }
+
+    // Merge a new amplifier list into what is known about each amplifier
+    updateAmplifiers(summaries) {
+        const ids = new Set(summaries.map(summary => summary.id));
+        Array.from(this.amplifiers.keys()).forEach(id => {
+            if (!ids.has(id)) {
+                this.amplifiers.delete(id);
+            }
+        });
         
-        // Calculate bar height (0% at -60dB, 100% at +60dB)
-        const percentage = ((clampedDb + 60) / 120) * 100;
-        meter.fill.style.height = `${Math.max(0, Math.min(100, percentage))}%`;
+        summaries.forEach(summary => {
+            const amplifier = this.amplifiers.get(summary.id);
+            if (amplifier) {
+                Object.assign(amplifier, summary);
+            } else {
+                this.amplifiers.set(summary.id, { ...summary, muted: {}, gains: {}, counters: {}, stats: {}, card: null });
+            }
+        });
         
-        // Update color based on level
-        this.updateMeterColor(meter.fill, clampedDb);
+        this.amplifiersLoaded = true;
+        this.renderFleet();
+        this.renderDiscovery();
+        this.updateScheduleForm();
+        this.renderSchedules();
+        this.renderAuditAmplifiers();
+        this.renderCaptureAmplifiers();
+        this.showView();
     }
 
-    updateMeterColor(fillElement, dbValue) {
-        let color;
+    updateAmplifierStatus(amplifier, connected, amplifierIP) {
+        amplifier.connected = connected;
+        amplifier.ip = amplifierIP;
         
-        if (dbValue > 0) {
-            // Red for clipping (> 0dB)
-            color = '#f44336';
-        } else if (dbValue > -6) {
-            // Yellow for warning (-6dB to 0dB)
-            color = '#FF9800';
-        } else {
-            // Green for normal (< -6dB)
-            color = '#4CAF50';
+        // The server starts over after a disconnect
+        if (!connected) {
+            amplifier.muted = {};
+            amplifier.gains = {};
+            if (amplifier.card) {
+                Object.keys(amplifier.card.meters).forEach(channelKey => this.renderMiniMeter(amplifier, channelKey, -60));
+            }
         }
         
-        fillElement.style.background = `linear-gradient(to top, ${color} 0%, ${color} 100%)`;
+        this.renderAmplifierCard(amplifier);
+        this.renderFleetSummary();
+        this.renderDiscovery();
     }
 
-    resetAllMeters() {
-        Object.keys(this.meters).forEach(channelKey => {
-            const meter = this.meters[channelKey];
-            meter.value.textContent = '-60.0';
-            meter.fill.style.height = '0%';
-            meter.fill.style.background = 'linear-gradient(to top, #4CAF50 0%, #8BC34A 50%, #CDDC39 75%, #FF9800 90%, #f44336 100%)';
-        });
+    renderFleetSummary() {
+        const amplifiers = Array.from(this.amplifiers.values());
+        const connected = amplifiers.filter(amplifier => amplifier.connected).length;
+        this.fleetSummary.textContent = amplifiers.length ? `${connected} of ${amplifiers.length} connected` : '';
     }
 
-    async connect() {
-        const amplifierIP = this.amplifierIPInput.value.trim();
-        
-        if (!amplifierIP) {
-            this.showError('Please enter an amplifier IP address');
-            return;
-        }
+    // One card per amplifier: status, compact meters for its shown channels, and actions
+    renderFleet() {
+        this.meterRenderer.removeAll('fleet:');
+        this.fleetGrid.innerHTML = '';
         
-        if (!this.isValidIP(amplifierIP)) {
-            this.showError('Please enter a valid IP address');
+        if (this.amplifiers.size === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'fleet-empty';
+            empty.textContent = 'No amplifiers yet';
+            this.fleetGrid.appendChild(empty);
+            this.renderFleetSummary();
             return;
         }
         
-        try {
-            this.connectBtn.disabled = true;
-            this.connectBtn.textContent = 'Connecting...';
+        this.amplifiers.forEach(amplifier => {
+            const open = () => {
+                window.location.hash = `#/amp/${encodeURIComponent(amplifier.id)}`;
+            };
             
-            const response = await fetch('/api/connect', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ amplifierIP })
+            const card = document.createElement('div');
+            card.className = 'amp-card';
+            
+            const header = document.createElement('div');
+            header.className = 'amp-card-header';
+            const indicator = document.createElement('span');
+            indicator.className = 'status-indicator';
+            const name = document.createElement('span');
+            name.className = 'amp-card-name';
+            name.addEventListener('click', open);
+            const ip = document.createElement('span');
+            ip.className = 'amp-card-ip';
+            header.append(indicator, name, ip);
+            
+            const metersRow = document.createElement('div');
+            metersRow.className = 'amp-card-meters';
+            metersRow.title = 'Open this amplifier';
+            metersRow.addEventListener('click', open);
+            const meters = {};
+            this.orderedChannels(amplifier).filter(channel => !channel.hidden).forEach((channel, index, shown) => {
+                const [type, number] = channel.key.split('-');
+                const meter = document.createElement('div');
+                meter.className = 'mini-meter';
+                meter.title = channel.name;
+                // A gap between the inputs and the outputs
+                meter.classList.toggle('first-output', type === 'output' && index > 0 && shown[index - 1].key.startsWith('input'));
+                const bar = document.createElement('canvas');
+                bar.className = 'mini-meter-bar';
+                this.meterRenderer.add(`fleet:${amplifier.id}:${channel.key}`, bar);
+                const label = document.createElement('span');
+                label.className = 'mini-meter-label';
+                label.textContent = `${type === 'input' ? 'I' : 'O'}${number}`;
+                label.style.color = channel.color || '';
+                meter.append(bar, label);
+                metersRow.appendChild(meter);
+                meters[channel.key] = { meter };
             });
             
-            const result = await response.json();
+            const info = document.createElement('div');
+            info.className = 'amp-card-info';
+            const master = document.createElement('span');
+            master.className = 'amp-card-master';
+            const clips = document.createElement('span');
+            clips.className = 'amp-card-clips';
+            const alarms = document.createElement('span');
+            alarms.className = 'amp-card-alarms';
+            info.append(master, clips, alarms);
             
-            if (!response.ok) {
-                throw new Error(result.error || 'Connection failed');
-            }
+            const actions = document.createElement('div');
+            actions.className = 'amp-card-actions';
+            const openBtn = document.createElement('button');
+            openBtn.textContent = 'Open';
+            openBtn.addEventListener('click', open);
+            const connectBtn = document.createElement('button');
+            connectBtn.addEventListener('click', () => this.toggleAmplifierConnection(amplifier));
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeAmplifier(amplifier));
+            actions.append(openBtn, connectBtn, removeBtn);
             
-            console.log('Connection request sent successfully');
+            card.append(header, metersRow, info, actions);
+            this.fleetGrid.appendChild(card);
             
-        } catch (err) {
-            this.showError(err.message);
+            amplifier.card = { element: card, indicator, name, ip, meters, master, clips, alarms, connectBtn };
+            this.renderAmplifierCard(amplifier);
+        });
+        
+        this.renderFleetSummary();
+    }
+
+    renderAmplifierCard(amplifier) {
+        const card = amplifier.card;
+        if (!card) {
+            return;
+        }
+        
+        // autoConnect is set while the server is meant to be connected, retrying or not
+        card.indicator.classList.toggle('connected', amplifier.connected);
+        card.indicator.classList.toggle('warning', !amplifier.connected && amplifier.autoConnect);
+        card.name.textContent = amplifier.name;
+        // 255 (broadcast) reaches whatever unit is at the address, so it isn't shown
+        const address = amplifier.deviceId === 255 ? amplifier.ip : `${amplifier.ip} #${amplifier.deviceId}`;
+        card.ip.textContent = amplifier.replay ? `${address} · replay` : amplifier.capturing ? `${address} · capturing` : address;
+        card.ip.title = amplifier.replay ? `Replaying ${amplifier.replay.name} at ${amplifier.replay.speed}×` : '';
+        card.connectBtn.textContent = amplifier.autoConnect ? 'Disconnect' : 'Connect';
+        
+        card.master.textContent = amplifier.muted['all-output'] ? '🔇 Master muted' : '';
+        card.master.classList.toggle('muted', !!amplifier.muted['all-output']);
+        Object.entries(card.meters).forEach(([channelKey, { meter }]) => {
+            meter.classList.toggle('muted', !!amplifier.muted[channelKey]);
+        });
+        
+        const clipCount = Object.values(amplifier.counters).reduce((sum, entry) => sum + entry.clips, 0);
+        card.clips.textContent = `Clips ${clipCount}`;
+        
+        const activeAlarms = Array.from(this.alarms.values())
+            .filter(alarm => alarm.active && alarm.amplifierId === amplifier.id).length;
+        card.alarms.textContent = activeAlarms ? `🚨 ${activeAlarms} alarm${activeAlarms === 1 ? '' : 's'}` : '';
+        card.element.classList.toggle('has-alarm', activeAlarms > 0);
+    }
+
+    // Inputs first, then outputs, each in the order saved for the amplifier
+    orderedChannels(amplifier) {
+        return ['input', 'output'].flatMap(type => amplifier.channels.filter(channel => channel.key.startsWith(`${type}-`)));
+    }
+    
+    // Meter name, colour and visibility, the order within Inputs and Outputs, and
+    // the layout. The meters are moved rather than rebuilt, so readings and a fader
+    // being dragged are kept; nothing is touched unless the layout changed.
+    applyChannelLayout(amplifier) {
+        const signature = JSON.stringify([amplifier.channels, amplifier.layout]);
+        if (signature === this.channelLayoutSignature) {
+            return;
+        }
+        this.channelLayoutSignature = signature;
+        
+        this.orderedChannels(amplifier).forEach(channel => {
+            const meter = this.meters[channel.key];
+            meter.label.textContent = channel.name;
+            meter.container.classList.toggle('hidden', channel.hidden);
+            meter.container.classList.toggle('colored', !!channel.color);
+            meter.container.style.setProperty('--channel-color', channel.color || 'transparent');
+            (channel.key.startsWith('input-') ? this.inputMeters : this.outputMeters).appendChild(meter.container);
+            
+            const option = this.trendChannelSelect.querySelector(`option[value="${channel.key}"]`);
+            if (option) {
+                option.textContent = channel.name;
+            }
+        });
+        
+        // A section whose channels are all hidden goes too
+        [this.inputMeters, this.outputMeters].forEach(grid => {
+            grid.classList.toggle('compact', amplifier.layout === 'compact');
+            grid.closest('.meters-section').classList.toggle('hidden', !grid.querySelector('.meter-container:not(.hidden)'));
+        });
+        this.layoutSelect.value = amplifier.layout;
+    }
+    
+    // The saved name of a channel, or its key for an amplifier that is gone
+    channelName(amplifier, channelKey) {
+        const channel = amplifier && amplifier.channels.find(candidate => candidate.key === channelKey);
+        return channel ? channel.name : channelKey;
+    }
+    
+    async saveChannelLayout(fields) {
+        const amplifier = this.selectedAmplifier;
+        if (!amplifier) {
+            return false;
+        }
+        
+        try {
+            await this.apiRequest(`/api/amplifiers/${encodeURIComponent(amplifier.id)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(fields)
+            }, 'Failed to save channel layout');
+            return true;
+        } catch (err) {
+            this.showError(err.message);
+            this.layoutSelect.value = amplifier.layout;
+            return false;
+        }
+    }
+    
+    openChannelEditor() {
+        if (!this.selectedAmplifier) {
+            return;
+        }
+        this.channelDraft = this.orderedChannels(this.selectedAmplifier).map(channel => ({ ...channel }));
+        this.renderChannelEditor();
+        this.channelEditor.classList.add('open');
+        this.editChannelsBtn.disabled = true;
+    }
+    
+    closeChannelEditor() {
+        this.channelDraft = null;
+        this.channelEditor.classList.remove('open');
+        this.editChannelsBtn.disabled = false;
+    }
+    
+    async saveChannelEditor() {
+        this.saveChannelsBtn.disabled = true;
+        // Every channel is sent, which also saves the order
+        if (await this.saveChannelLayout({ channels: this.channelDraft })) {
+            this.closeChannelEditor();
+        }
+        this.saveChannelsBtn.disabled = false;
+    }
+    
+    // One row per channel: name, colour, hidden, and up / down within its section
+    renderChannelEditor() {
+        this.channelEditorList.innerHTML = '';
+        
+        this.channelDraft.forEach((channel, index) => {
+            const [type, number] = channel.key.split('-');
+            const sameType = (other) => other && other.key.startsWith(`${type}-`);
+            
+            const row = document.createElement('li');
+            row.className = 'channel-editor-row';
+            
+            const key = document.createElement('span');
+            key.className = 'channel-editor-key';
+            key.textContent = `${type === 'input' ? 'Input' : 'Output'} ${number}`;
+            
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.maxLength = 32;
+            name.value = channel.name;
+            name.placeholder = key.textContent;
+            name.addEventListener('input', () => {
+                channel.name = name.value;
+            });
+            
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = channel.color || '#ffffff';
+            color.classList.toggle('unset', !channel.color);
+            color.title = 'Label colour';
+            color.addEventListener('input', () => {
+                channel.color = color.value;
+                color.classList.remove('unset');
+            });
+            
+            const clearColor = document.createElement('button');
+            clearColor.textContent = 'No Colour';
+            clearColor.addEventListener('click', () => {
+                channel.color = null;
+                this.renderChannelEditor();
+            });
+            
+            const hidden = document.createElement('label');
+            const hiddenBox = document.createElement('input');
+            hiddenBox.type = 'checkbox';
+            hiddenBox.checked = channel.hidden;
+            hiddenBox.addEventListener('change', () => {
+                channel.hidden = hiddenBox.checked;
+            });
+            hidden.append(hiddenBox, ' Hidden');
+            
+            const move = (offset) => {
+                const other = this.channelDraft[index + offset];
+                this.channelDraft[index + offset] = channel;
+                this.channelDraft[index] = other;
+                this.renderChannelEditor();
+            };
+            const upBtn = document.createElement('button');
+            upBtn.textContent = '↑';
+            upBtn.title = 'Move up';
+            upBtn.disabled = !sameType(this.channelDraft[index - 1]);
+            upBtn.addEventListener('click', () => move(-1));
+            const downBtn = document.createElement('button');
+            downBtn.textContent = '↓';
+            downBtn.title = 'Move down';
+            downBtn.disabled = !sameType(this.channelDraft[index + 1]);
+            downBtn.addEventListener('click', () => move(1));
+            
+            row.append(key, name, color, clearColor, hidden, upBtn, downBtn);
+            this.channelEditorList.appendChild(row);
+        });
+    }
+    
+    renderMiniMeter(amplifier, channelKey, db) {
+        if (amplifier.card && amplifier.card.meters[channelKey]) {
+            this.meterRenderer.push(`fleet:${amplifier.id}:${channelKey}`, db);
+        }
+    }
+
+    async addAmplifier() {
+        const ip = this.newAmplifierIP.value.trim();
+        const name = this.newAmplifierName.value.trim() || ip;
+        const deviceIdText = this.newAmplifierDeviceId.value.trim();
+        const deviceId = deviceIdText ? Number(deviceIdText) : undefined;
+        
+        if (!this.isValidIP(ip)) {
+            this.showError('Please enter a valid IP address');
+            return;
+        }
+        
+        if (deviceId !== undefined && !(Number.isInteger(deviceId) && deviceId >= 0 && deviceId <= 255)) {
+            this.showError('Device ID must be a whole number from 0 to 255');
+            return;
+        }
+        
+        try {
+            this.addAmplifierBtn.disabled = true;
+            
+            const result = await this.apiRequest('/api/amplifiers', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name, ip, deviceId })
+            }, 'Failed to add amplifier');
+            
+            this.newAmplifierName.value = '';
+            this.newAmplifierIP.value = '';
+            this.newAmplifierDeviceId.value = '';
+            
+            await this.apiRequest(`/api/amplifiers/${encodeURIComponent(result.amplifier.id)}/connect`, {
+                method: 'POST'
+            }, 'Connection failed');
+            
+        } catch (err) {
+            this.showError(err.message);
+        } finally {
+            this.addAmplifierBtn.disabled = false;
+        }
+    }
+
+    async toggleAmplifierConnection(amplifier) {
+        const action = amplifier.autoConnect ? 'disconnect' : 'connect';
+        
+        try {
+            amplifier.card.connectBtn.disabled = true;
+            await this.sendCommand(action, { amplifierId: amplifier.id });
+        } catch (err) {
+            this.showError(err.message);
+        } finally {
+            if (amplifier.card) {
+                amplifier.card.connectBtn.disabled = false;
+            }
+        }
+    }
+
+    async removeAmplifier(amplifier) {
+        if (!window.confirm(`Remove ${amplifier.name} (${amplifier.ip})?`)) {
+            return;
+        }
+        
+        try {
+            await this.apiRequest(`/api/amplifiers/${encodeURIComponent(amplifier.id)}`, {
+                method: 'DELETE'
+            }, 'Failed to remove amplifier');
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    async scanNetwork() {
+        try {
+            this.discoveryScanBtn.disabled = true;
+            
+            const status = await this.apiRequest('/api/discovery/scan', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ subnet: this.discoverySubnet.value.trim() || undefined })
+            }, 'Discovery scan failed');
+            this.updateDiscovery(status);
+        } catch (err) {
+            this.showError(err.message);
+            this.discoveryScanBtn.disabled = !!(this.discovery && this.discovery.scanning);
+        }
+    }
+
+    updateDiscovery(status) {
+        this.discovery = status;
+        this.discoveryScanBtn.disabled = status.scanning;
+        this.discoveryScanBtn.textContent = status.scanning ? 'Scanning...' : 'Find Amplifiers';
+        
+        if (status.scanning) {
+            this.discoveryProgress.textContent = `${status.scanned} of ${status.total} hosts checked`;
+        } else if (status.finishedAt) {
+            const count = status.results.length;
+            this.discoveryProgress.textContent = `${count} amplifier${count === 1 ? '' : 's'} found in ${status.subnets.join(', ')}`;
+        } else {
+            this.discoveryProgress.textContent = '';
+        }
+        
+        this.renderDiscovery();
+    }
+
+    // Shows the inputs the chosen kind of job and action need, and lists amplifiers
+    // or scenes to pick from
+    updateScheduleForm() {
+        const recall = this.scheduleAction.value === 'recallScene';
+        this.scheduleCron.style.display = this.scheduleKind.value === 'cron' ? '' : 'none';
+        this.scheduleAt.style.display = this.scheduleKind.value === 'at' ? '' : 'none';
+        this.scheduleChannel.style.display = recall ? 'none' : '';
+        this.scheduleCatchUp.style.display = this.scheduleMissed.value === 'catch-up' ? '' : 'none';
+        this.cancelScheduleBtn.style.display = this.editingJobId ? '' : 'none';
+        this.saveScheduleBtn.textContent = this.editingJobId ? 'Save Job' : 'Add Job';
+        
+        const selected = this.scheduleTarget.value;
+        const options = recall
+            ? this.scenes.map(scene => [scene.id, scene.name])
+            : Array.from(this.amplifiers.values()).map(amplifier => [amplifier.id, amplifier.name]);
+        this.scheduleTarget.innerHTML = '';
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.scheduleTarget.appendChild(option);
+        });
+        if (options.some(([value]) => value === selected)) {
+            this.scheduleTarget.value = selected;
+        }
+    }
+
+    async saveSchedule() {
+        const name = this.scheduleName.value.trim();
+        if (!name) {
+            this.showError('Please enter a job name');
+            return;
+        }
+        if (!this.scheduleTarget.value) {
+            this.showError(this.scheduleAction.value === 'recallScene' ? 'Please save a scene first' : 'Please add an amplifier first');
+            return;
+        }
+        
+        const job = {
+            name,
+            missed: this.scheduleMissed.value,
+            catchUpWithin: Math.round(Number(this.scheduleCatchUp.value) * 60 * 1000),
+            action: this.scheduleAction.value === 'recallScene'
+                ? { type: 'recallScene', sceneId: this.scheduleTarget.value }
+                : { type: 'mute', amplifierId: this.scheduleTarget.value, channel: this.scheduleChannel.value, mute: this.scheduleAction.value === 'mute' }
+        };
+        if (this.scheduleKind.value === 'cron') {
+            job.cron = this.scheduleCron.value.trim();
+        } else {
+            const at = new Date(this.scheduleAt.value).getTime();
+            if (!Number.isFinite(at)) {
+                this.showError('Please choose a date and time');
+                return;
+            }
+            job.at = at;
+        }
+        
+        try {
+            this.saveScheduleBtn.disabled = true;
+            const url = this.editingJobId ? `/api/schedules/${encodeURIComponent(this.editingJobId)}` : '/api/schedules';
+            await this.apiRequest(url, {
+                method: this.editingJobId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(job)
+            }, 'Failed to save job');
+            this.resetScheduleForm();
+        } catch (err) {
+            this.showError(err.message);
+        } finally {
+            this.saveScheduleBtn.disabled = false;
+        }
+    }
+
+    editSchedule(job) {
+        this.editingJobId = job.id;
+        this.scheduleName.value = job.name;
+        this.scheduleKind.value = job.cron ? 'cron' : 'at';
+        this.scheduleCron.value = job.cron || '';
+        this.scheduleAt.value = job.at ? this.toDateTimeLocal(job.at) : '';
+        this.scheduleAction.value = job.action.type === 'recallScene' ? 'recallScene' : (job.action.mute ? 'mute' : 'unmute');
+        this.scheduleMissed.value = job.missed;
+        this.scheduleCatchUp.value = String(job.catchUpWithin / 60000);
+        this.updateScheduleForm();
+        this.scheduleTarget.value = job.action.type === 'recallScene' ? job.action.sceneId : job.action.amplifierId;
+        if (job.action.channel) {
+            this.scheduleChannel.value = job.action.channel;
+        }
+        this.scheduleName.focus();
+    }
+
+    resetScheduleForm() {
+        this.editingJobId = null;
+        this.scheduleName.value = '';
+        this.scheduleCron.value = '';
+        this.scheduleAt.value = '';
+        this.updateScheduleForm();
+    }
+
+    // 'Mute Main Hall master', 'Recall Service'; targets removed since show their ID
+    describeScheduleAction(action) {
+        if (action.type === 'recallScene') {
+            const scene = this.scenes.find(candidate => candidate.id === action.sceneId);
+            return `Recall ${scene ? scene.name : action.sceneId}`;
+        }
+        const amplifier = this.amplifiers.get(action.amplifierId);
+        const channel = action.channel === 'all-output' ? 'master' : this.channelName(amplifier, action.channel);
+        return `${action.mute ? 'Mute' : 'Unmute'} ${amplifier ? amplifier.name : action.amplifierId} ${channel}`;
+    }
+
+    renderSchedules() {
+        this.scheduleJobsList.innerHTML = '';
+        
+        if (this.scheduleJobs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'schedule-empty';
+            empty.textContent = 'No scheduled jobs';
+            this.scheduleJobsList.appendChild(empty);
+            return;
+        }
+        
+        this.scheduleJobs.forEach(job => {
+            const item = document.createElement('li');
+            item.className = 'schedule-job';
+            item.classList.toggle('disabled', !job.enabled && !job.pendingSince);
+            
+            const name = document.createElement('span');
+            name.className = 'schedule-job-name';
+            name.textContent = job.name;
+            
+            const when = document.createElement('span');
+            when.className = 'schedule-job-when';
+            when.textContent = job.cron || `once ${new Date(job.at).toLocaleString()}`;
+            
+            const detail = document.createElement('span');
+            detail.className = 'schedule-job-detail';
+            const next = job.running ? 'running now'
+                : job.pendingSince ? 'waiting for the amplifier to catch up'
+                    : job.nextRun ? `next ${new Date(job.nextRun).toLocaleString()}` : 'no next run';
+            const last = job.lastRun ? ` · last ${job.lastRun.status} ${new Date(job.lastRun.at).toLocaleString()}` : '';
+            detail.textContent = `${this.describeScheduleAction(job.action)} · ${next}${last}`;
+            
+            const enabled = document.createElement('label');
+            const enabledBox = document.createElement('input');
+            enabledBox.type = 'checkbox';
+            enabledBox.checked = job.enabled;
+            enabledBox.addEventListener('change', () => this.updateSchedule(job.id, { enabled: enabledBox.checked }));
+            enabled.append(enabledBox, ' Enabled');
+            
+            const runBtn = document.createElement('button');
+            runBtn.textContent = 'Run Now';
+            runBtn.disabled = job.running;
+            runBtn.addEventListener('click', () => this.runSchedule(job));
+            
+            const editBtn = document.createElement('button');
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.editSchedule(job));
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteSchedule(job));
+            
+            item.append(name, when, detail, enabled, runBtn, editBtn, deleteBtn);
+            this.scheduleJobsList.appendChild(item);
+        });
+    }
+
+    async updateSchedule(id, fields) {
+        try {
+            await this.apiRequest(`/api/schedules/${encodeURIComponent(id)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(fields)
+            }, 'Failed to update job');
+        } catch (err) {
+            this.showError(err.message);
+            this.renderSchedules();
+        }
+    }
+
+    // The run shows up in the history as a scheduleRun message
+    async runSchedule(job) {
+        try {
+            const { run } = await this.apiRequest(`/api/schedules/${encodeURIComponent(job.id)}/run`, {
+                method: 'POST'
+            }, 'Failed to run job');
+            if (run.status === 'failed') {
+                this.showError(`${job.name} failed: ${run.error}`);
+            }
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    async deleteSchedule(job) {
+        if (!window.confirm(`Delete scheduled job ${job.name}?`)) {
+            return;
+        }
+        
+        try {
+            await this.apiRequest(`/api/schedules/${encodeURIComponent(job.id)}`, {
+                method: 'DELETE'
+            }, 'Failed to delete job');
+            if (this.editingJobId === job.id) {
+                this.resetScheduleForm();
+            }
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    async loadScheduleRuns() {
+        try {
+            const { runs } = await this.apiRequest('/api/schedules/runs', {}, 'Failed to load run history');
+            runs.forEach(run => this.scheduleRuns.set(run.id, run));
+            this.scheduleRunsLoaded = true;
+            this.renderScheduleRuns();
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    renderScheduleRuns() {
+        const runs = Array.from(this.scheduleRuns.values())
+            .sort((a, b) => b.ranAt - a.ranAt);
+        
+        // Keep the client-side history as short as the table shows
+        runs.slice(this.maxScheduleRunRows).forEach(run => this.scheduleRuns.delete(run.id));
+        
+        this.scheduleRunsLog.innerHTML = '';
+        runs.slice(0, this.maxScheduleRunRows).forEach(run => {
+            const row = document.createElement('tr');
+            const late = run.trigger === 'catch-up' ? ` (due ${new Date(run.scheduledAt).toLocaleTimeString()})` : '';
+            
+            [
+                new Date(run.ranAt).toLocaleString(),
+                run.jobName,
+                run.trigger + late,
+                run.status,
+                run.error || run.detail || ''
+            ].forEach((value, i) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (i === 3) {
+                    cell.className = `schedule-status-${run.status}`;
+                }
+                row.appendChild(cell);
+            });
+            
+            this.scheduleRunsLog.appendChild(row);
+        });
+    }
+
+    // The amplifier filter lists every amplifier, keeping the one picked
+    renderAuditAmplifiers() {
+        const selected = this.auditAmplifier.value;
+        this.auditAmplifier.innerHTML = '';
+        const all = document.createElement('option');
+        all.value = '';
+        all.textContent = 'All amplifiers';
+        this.auditAmplifier.appendChild(all);
+        this.amplifiers.forEach(amplifier => {
+            const option = document.createElement('option');
+            option.value = amplifier.id;
+            option.textContent = amplifier.name;
+            this.auditAmplifier.appendChild(option);
+        });
+        this.auditAmplifier.value = this.amplifiers.has(selected) ? selected : '';
+    }
+    
+    // The first page follows new entries while it is shown; otherwise the page is
+    // loaded again next time it is opened
+    auditEntryAdded() {
+        if (!document.body.classList.contains('view-audit') || this.audit.offset > 0) {
+            this.audit.loaded = false;
+            return;
+        }
+        if (!this.audit.reloadTimer) {
+            this.audit.reloadTimer = setTimeout(() => {
+                this.audit.reloadTimer = null;
+                this.loadAudit(0);
+            }, 500);
+        }
+    }
+    
+    async loadAudit(offset) {
+        const params = new URLSearchParams({ offset, limit: this.audit.limit });
+        [
+            ['action', this.auditAction.value],
+            ['amplifierId', this.auditAmplifier.value],
+            ['source', this.auditSource.value],
+            ['outcome', this.auditOutcome.value],
+            ['client', this.auditClient.value.trim()],
+            ['from', this.auditFrom.value && new Date(this.auditFrom.value).getTime()],
+            ['to', this.auditTo.value && new Date(this.auditTo.value).getTime()]
+        ].forEach(([name, value]) => {
+            if (value) {
+                params.set(name, value);
+            }
+        });
+        
+        try {
+            this.auditSearchBtn.disabled = true;
+            const page = await this.apiRequest(`/api/audit?${params}`, {}, 'Failed to load history');
+            this.audit.offset = page.offset;
+            this.audit.total = page.total;
+            this.audit.loaded = true;
+            this.renderAudit(page.entries);
+        } catch (err) {
+            this.showError(err.message);
+        } finally {
+            this.auditSearchBtn.disabled = false;
+        }
+    }
+    
+    renderAudit(entries) {
+        this.auditEntries.innerHTML = '';
+        
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            const amplifier = this.amplifiers.get(entry.amplifierId);
+            const channel = entry.action === 'mute' || entry.action === 'gain';
+            const outcome = entry.outcome === 'confirmed'
+                ? `confirmed ${this.describeAuditValue(entry, entry.confirmed)}`
+                : `failed: ${entry.error}`;
+            
+            [
+                new Date(entry.t).toLocaleString(),
+                entry.user || entry.ip || '',
+                entry.source,
+                entry.action,
+                entry.amplifierId ? (amplifier ? amplifier.name : entry.amplifierId) : '',
+                channel && entry.target !== 'all-output' ? this.channelName(amplifier, entry.target) : entry.target,
+                entry.action === 'sceneRecall' ? '' : this.describeAuditValue(entry, entry.requested),
+                outcome
+            ].forEach((value, i) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (i === 1) {
+                    // The IP is still there to see when a proxy named the user
+                    cell.title = [entry.user && entry.ip, entry.userAgent].filter(Boolean).join('\n');
+                }
+                if (i === 7) {
+                    cell.className = `audit-outcome-${entry.outcome}`;
+                }
+                row.appendChild(cell);
+            });
+            
+            this.auditEntries.appendChild(row);
+        });
+        
+        const { offset, total } = this.audit;
+        this.auditPageInfo.textContent = total ? `${offset + 1}-${offset + entries.length} of ${total}` : 'No entries';
+        this.auditNewerBtn.disabled = offset === 0;
+        this.auditOlderBtn.disabled = offset + entries.length >= total;
+    }
+    
+    toggleLogDrawer(open) {
+        this.logs.open = open;
+        this.logDrawer.classList.toggle('open', open);
+        clearInterval(this.logs.timer);
+        this.logs.timer = null;
+        
+        if (open) {
+            this.loadLogLevels();
+            this.loadLogs(true);
+            this.logs.timer = setInterval(() => this.loadLogs(false), 2000);
+        }
+    }
+    
+    async loadLogLevels() {
+        try {
+            this.logs.levels = await this.apiRequest('/api/logs/levels', {}, 'Failed to load log levels');
+            this.renderLogLevels();
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+    
+    // Category filter choices, and the levels the server is using; the category
+    // level select changes the category picked in the filter
+    renderLogLevels() {
+        const levels = this.logs.levels;
+        if (!levels) {
+            return;
+        }
+        
+        const selected = this.logFilterCategory.value;
+        this.logFilterCategory.innerHTML = '';
+        const all = document.createElement('option');
+        all.value = '';
+        all.textContent = 'All categories';
+        this.logFilterCategory.appendChild(all);
+        levels.known.forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = levels.categories[category] ? `${category} (${levels.categories[category]})` : category;
+            this.logFilterCategory.appendChild(option);
+        });
+        this.logFilterCategory.value = levels.known.includes(selected) ? selected : '';
+        
+        const category = this.logFilterCategory.value;
+        this.logLevelSelect.value = levels.level;
+        this.logCategoryLevel.disabled = !category;
+        this.logCategoryLevel.value = category ? levels.categories[category] || '' : '';
+    }
+    
+    async setLogLevels(fields) {
+        try {
+            this.logs.levels = await this.apiRequest('/api/logs/levels', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(fields)
+            }, 'Failed to change log levels');
+        } catch (err) {
+            this.showError(err.message);
+        }
+        // Back to what the server has when the change was refused
+        this.renderLogLevels();
+    }
+    
+    // New entries since the last load, or all buffered ones that match the filters
+    // when `reset`; a reply to an earlier request is dropped
+    async loadLogs(reset) {
+        const request = ++this.logs.request;
+        if (reset) {
+            this.logs.lastId = 0;
+        }
+        
+        const params = new URLSearchParams({ after: this.logs.lastId, limit: 500 });
+        if (this.logFilterLevel.value) {
+            params.set('level', this.logFilterLevel.value);
+        }
+        if (this.logFilterCategory.value) {
+            params.set('category', this.logFilterCategory.value);
+        }
+        
+        try {
+            const page = await this.apiRequest(`/api/logs?${params}`, {}, 'Failed to load the server log');
+            if (request !== this.logs.request) {
+                return;
+            }
+            if (reset) {
+                this.logEntries.innerHTML = '';
+            }
+            this.logs.lastId = page.lastId;
+            this.renderLogEntries(page.entries);
+        } catch (err) {
+            // Polling keeps trying; one toast when the drawer opens is enough
+            if (reset) {
+                this.showError(err.message);
+            }
+        }
+    }
+    
+    renderLogEntries(entries) {
+        const list = this.logEntries;
+        const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 5;
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `log-${entry.level}`;
+            const fields = Object.entries(entry.fields)
+                .map(([key, value]) => ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+                .join('');
+            item.textContent = `${new Date(entry.t).toLocaleTimeString()} ${entry.level.toUpperCase().padEnd(5)} [${entry.category}] ${entry.message}${fields}`;
+            list.appendChild(item);
+        });
+        
+        // Only the latest 500 lines stay on the page
+        while (list.children.length > 500) {
+            list.removeChild(list.firstChild);
+        }
+        if (atBottom) {
+            list.scrollTop = list.scrollHeight;
+        }
+    }
+    
+    // 'muted', '-6.0 dB', '10× looped', 'name Stage Left, channels', '3 changed, 14 already set, 0 failed'
+    describeAuditValue(entry, value) {
+        switch (entry.action) {
+            case 'mute':
+                return value ? 'muted' : 'unmuted';
+            case 'gain':
+                return `${Number(value).toFixed(1)} dB`;
+            case 'connect':
+            case 'disconnect':
+                return value ? 'connected' : 'disconnected';
+            case 'captureReplay':
+                return `${value.speed}×${value.loop ? ' looped' : ''}`;
+            case 'amplifierAdd':
+            case 'amplifierUpdate':
+                // Channel names and layout are too long for a cell; they are only named
+                return Object.entries(value)
+                    .map(([key, setting]) => setting !== null && typeof setting === 'object' ? key : `${key} ${setting}`)
+                    .join(', ');
+            case 'amplifierRemove':
+                return value ? 'removed' : 'not removed';
+            default:
+                return value ? `${value.applied} changed, ${value.unchanged} already set, ${value.failed} failed` : '';
+        }
+    }
+    
+    // Captures every connected amplifier under the typed name
+    async saveScene() {
+        const name = this.newSceneName.value.trim();
+        if (!name) {
+            this.showError('Please enter a scene name');
+            return;
+        }
+        
+        try {
+            this.saveSceneBtn.disabled = true;
+            this.sceneStatus.classList.remove('failed');
+            this.sceneStatus.textContent = 'Reading settings...';
+            
+            const { scene } = await this.apiRequest('/api/scenes', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name })
+            }, 'Failed to save scene');
+            
+            this.newSceneName.value = '';
+            this.sceneStatus.textContent = `Saved ${scene.name}`;
+        } catch (err) {
+            this.sceneStatus.textContent = '';
+            this.showError(err.message);
+        } finally {
+            this.saveSceneBtn.disabled = false;
+        }
+    }
+
+    renderScenes() {
+        this.sceneList.innerHTML = '';
+        
+        this.scenes.forEach(scene => {
+            const item = document.createElement('li');
+            item.className = 'scene-item';
+            item.classList.toggle('recalling', scene.id === this.recallingSceneId);
+            
+            const name = document.createElement('span');
+            name.className = 'scene-name';
+            name.textContent = scene.name;
+            
+            const count = Object.keys(scene.amplifiers).length;
+            const detail = document.createElement('span');
+            detail.className = 'scene-detail';
+            detail.textContent = `${count} amplifier${count === 1 ? '' : 's'}`;
+            detail.title = `Saved ${new Date(scene.createdAt).toLocaleString()}`;
+            
+            const recallBtn = document.createElement('button');
+            recallBtn.textContent = scene.id === this.recallingSceneId ? 'Recalling...' : 'Recall';
+            recallBtn.disabled = !!this.recallingSceneId;
+            recallBtn.addEventListener('click', () => this.recallScene(scene));
+            
+            const renameBtn = document.createElement('button');
+            renameBtn.textContent = 'Rename';
+            renameBtn.addEventListener('click', () => this.renameScene(scene));
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteScene(scene));
+            
+            item.append(name, detail, recallBtn, renameBtn, deleteBtn);
+            this.sceneList.appendChild(item);
+        });
+    }
+
+    // The outcome arrives as a sceneRecall message, in every open dashboard
+    async recallScene(scene) {
+        try {
+            this.sceneStatus.classList.remove('failed');
+            this.sceneStatus.textContent = `Recalling ${scene.name}...`;
+            await this.apiRequest(`/api/scenes/${encodeURIComponent(scene.id)}/recall`, {
+                method: 'POST'
+            }, 'Failed to recall scene');
+        } catch (err) {
+            this.sceneStatus.textContent = '';
+            this.showError(err.message);
+        }
+    }
+
+    async renameScene(scene) {
+        const name = window.prompt('Scene name', scene.name);
+        if (name === null || name.trim() === scene.name) {
+            return;
+        }
+        
+        try {
+            await this.apiRequest(`/api/scenes/${encodeURIComponent(scene.id)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name })
+            }, 'Failed to rename scene');
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    async deleteScene(scene) {
+        if (!window.confirm(`Delete scene ${scene.name}?`)) {
+            return;
+        }
+        
+        try {
+            await this.apiRequest(`/api/scenes/${encodeURIComponent(scene.id)}`, {
+                method: 'DELETE'
+            }, 'Failed to delete scene');
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    // Lists the channels that could not be applied, by amplifier name
+    showSceneRecall(report) {
+        const applied = report.results.filter(result => result.status === 'applied').length;
+        this.sceneStatus.classList.toggle('failed', !report.success);
+        this.sceneStatus.title = '';
+        
+        if (report.success) {
+            this.sceneStatus.textContent = `${report.name} recalled: ${applied} changed, ${report.results.length - applied} already set`;
+            return;
+        }
+        
+        const failures = report.failed.map(result => {
+            const amplifier = this.amplifiers.get(result.amplifierId);
+            const channel = result.channel === 'all-output' ? 'master' : this.channelName(amplifier, result.channel);
+            return `${amplifier ? amplifier.name : result.amplifierId} ${channel} ${result.kind} (${result.error})`;
+        });
+        this.sceneStatus.textContent = `${report.name}: ${report.failed.length} of ${report.results.length} channels failed`;
+        this.sceneStatus.title = failures.join('\n');
+        this.showError(`Scene ${report.name} not fully applied: ${failures.join('; ')}`);
+    }
+
+    // Amplifiers already in the list are matched by address, so adding one
+    // elsewhere changes its button from Connect to Open straight away
+    renderDiscovery() {
+        this.discoveryList.innerHTML = '';
+        if (!this.discovery) {
+            return;
+        }
+        
+        this.discovery.results.forEach(result => {
+            const known = this.findDiscovered(result);
+            
+            const item = document.createElement('li');
+            item.className = 'discovery-item';
+            
+            const ip = document.createElement('span');
+            ip.className = 'discovery-ip';
+            ip.textContent = result.ip;
+            
+            const detail = document.createElement('span');
+            detail.className = 'discovery-detail';
+            detail.textContent = `${result.model} · device ID ${result.deviceId} · ${result.responseMs} ms` +
+                (known ? ` · ${known.name}` : '');
+            
+            const connectBtn = document.createElement('button');
+            connectBtn.textContent = known && known.connected ? 'Open' : 'Connect';
+            connectBtn.addEventListener('click', async () => {
+                connectBtn.disabled = true;
+                await this.connectDiscovered(result);
+                connectBtn.disabled = false;
+            });
+            
+            item.append(ip, detail, connectBtn);
+            this.discoveryList.appendChild(item);
+        });
+    }
+
+    // The amplifier polled under the found unit's device ID, or by broadcast, at its address
+    findDiscovered(result) {
+        const atAddress = Array.from(this.amplifiers.values())
+            .filter(amplifier => amplifier.ip === result.ip && amplifier.port === result.port);
+        return atAddress.find(amplifier => amplifier.deviceId === result.deviceId) ||
+            atAddress.find(amplifier => amplifier.deviceId === 255);
+    }
+
+    // Adds the amplifier unless one is already at that address, connects it and opens it
+    async connectDiscovered(result) {
+        try {
+            let amplifier = this.findDiscovered(result);
+            
+            if (!amplifier) {
+                ({ amplifier } = await this.apiRequest('/api/amplifiers', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ name: `${result.model} ${result.ip}`, ip: result.ip, port: result.port, deviceId: result.deviceId })
+                }, 'Failed to add amplifier'));
+            }
+            
+            if (!amplifier.connected) {
+                await this.apiRequest(`/api/amplifiers/${encodeURIComponent(amplifier.id)}/connect`, {
+                    method: 'POST'
+                }, 'Connection failed');
+            }
+            
+            window.location.hash = `#/amp/${encodeURIComponent(amplifier.id)}`;
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    async toggleMasterMute() {
+        await this.sendMute('all-output', null, !this.muteStates.master);
+    }
+
+    async toggleChannelMute(channel, button) {
+        const [type, id] = channel.split('-');
+        await this.sendMute(type, Number(id), !this.muteStates.channels[channel]);
+    }
+
+    // Show the requested state as pending, then keep it once the amp confirms or
+    // roll back to the previous state
+    async sendMute(type, id, mute) {
+        const channelKey = type === 'all-output' ? 'all-output' : `${type}-${id}`;
+        if (this.pendingMutes.has(channelKey)) {
+            return;
+        }
+        
+        const previous = channelKey === 'all-output' ? this.muteStates.master : !!this.muteStates.channels[channelKey];
+        const button = channelKey === 'all-output'
+            ? this.masterMuteBtn
+            : document.querySelector(`.channel-mute-btn[data-channel="${channelKey}"]`);
+        
+        this.pendingMutes.add(channelKey);
+        button.classList.add('pending');
+        this.applyMuteState(channelKey, mute);
+        
+        try {
+            const params = { amplifierId: this.selectedAmplifierId, type, mute };
+            if (type !== 'all-output') {
+                params.id = id;
+            }
+            const result = await this.sendCommand('setMute', params, this.muteConfirmTimeout);
+            
+            this.applyMuteState(channelKey, result.muted);
+            
+        } catch (err) {
+            this.applyMuteState(channelKey, previous);
+            const label = channelKey === 'all-output' ? 'master' : channelKey.replace('-', ' ');
+            const reason = err.name === 'TimeoutError' ? 'no confirmation from amplifier' : err.message;
+            this.showError(`Could not ${mute ? 'mute' : 'unmute'} ${label}: ${reason}`);
+        } finally {
+            this.pendingMutes.delete(channelKey);
+            button.classList.remove('pending');
+        }
+    }
+
+    updateChannelMuteButton(button, isMuted) {
+        const icon = button.querySelector('.mute-icon');
+        if (isMuted) {
+            button.classList.add('muted');
+            icon.textContent = '🔇';
+        } else {
+            button.classList.remove('muted');
+            icon.textContent = '🔊';
+        }
+    }
+
+    resetMuteStates() {
+        this.muteStates.master = false;
+        this.muteStates.channels = {};
+        
+        // Reset all mute buttons and meter containers
+        this.updateChannelMuteButton(this.masterMuteBtn, false);
+        this.channelMuteBtns.forEach(btn => {
+            btn.classList.remove('muted');
+            btn.querySelector('.mute-icon').textContent = '🔊';
+        });
+        
+        // Reset all meter container styling
+        document.querySelectorAll('.meter-container.muted').forEach(container => {
+            container.classList.remove('muted');
+        });
+    }
+
+    updateMuteStatus(channelType, channelId, isMuted) {
+        // Only update if we're connected to avoid race conditions
+        if (!this.isConnected) {
+            return;
+        }
+        
+        // Channel 0 on the outputs is the master mute
+        const channelKey = channelType === 'output' && channelId === 0 ? 'all-output' : `${channelType}-${channelId}`;
+        
+        // Polling may still report the old state while a write is being confirmed
+        if (this.pendingMutes.has(channelKey)) {
+            return;
+        }
+        
+        this.applyMuteState(channelKey, isMuted);
+    }
+
+    applyMuteState(channelKey, isMuted) {
+        if (channelKey === 'all-output') {
+            this.muteStates.master = isMuted;
+            this.updateChannelMuteButton(this.masterMuteBtn, isMuted);
+            return;
+        }
+        
+        // Update local mute state to match amplifier
+        this.muteStates.channels[channelKey] = isMuted;
+        
+        // Find the corresponding button and update it
+        const button = document.querySelector(`.channel-mute-btn[data-channel="${channelKey}"]`);
+        if (button) {
+            this.updateChannelMuteButton(button, isMuted);
+        }
+        
+        // Also update the meter container styling
+        const meterContainer = document.querySelector(`.meter-container[data-channel="${channelKey}"]`);
+        if (meterContainer) {
+            if (isMuted) {
+                meterContainer.classList.add('muted');
+            } else {
+                meterContainer.classList.remove('muted');
+            }
+        }
+    }
+
+    setGainControlsEnabled(enabled) {
+        Object.values(this.gainControls).forEach(control => {
+            control.fader.disabled = !enabled;
+            control.input.disabled = !enabled;
+        });
+    }
+
+    renderGain(control, db) {
+        control.value = db;
+        control.fader.value = db;
+        control.input.value = db.toFixed(1);
+    }
+
+    updateGainStatus(channelType, channelId, db) {
+        const control = this.gainControls[`${channelType}-${channelId}`];
+        if (!control) {
+            return;
+        }
+        
+        // Don't move a fader out from under the user or while their write is in flight
+        if (control.adjusting || control.pending) {
+            control.value = db;
+            return;
+        }
+        
+        this.renderGain(control, db);
+    }
+
+    async setGain(channelKey, db) {
+        const control = this.gainControls[channelKey];
+        const [type, id] = channelKey.split('-');
+        
+        if (!Number.isFinite(db) || db < this.gainRange.min || db > this.gainRange.max) {
+            this.showError(`Gain must be between ${this.gainRange.min} and ${this.gainRange.max} dB`);
+            this.renderGain(control, control.value);
+            return;
+        }
+        
+        control.pending = true;
+        
+        try {
+            const result = await this.sendCommand('setGain', { amplifierId: this.selectedAmplifierId, type, id: Number(id), db });
+            
+            this.renderGain(control, result.db);
+            
+        } catch (err) {
+            this.showError(err.message);
+            // Fall back to the last value the amplifier reported
+            this.renderGain(control, control.value);
+        } finally {
+            control.pending = false;
+        }
+    }
+
+    updateMeter(channelType, channelId, dbValue) {
+        const channelKey = `${channelType}-${channelId}`;
+        const meter = this.meters[channelKey];
+        
+        if (!meter) {
+            console.error(`Unknown channel: ${channelKey}`);
+            return;
+        }
+        
+        // The renderer moves the bar, number and peak marker on its next frames
+        this.meterRenderer.push(channelKey, dbValue);
+        
+        // Latch the clip light straight away; the server counter keeps it lit
+        if (dbValue > 0) {
+            meter.clip.classList.add('active');
+        }
+    }
+
+    dbToPercent(db) {
+        const percentage = ((db + 60) / 120) * 100;
+        return Math.max(0, Math.min(100, percentage));
+    }
+
+    updateCounters(channels) {
+        Object.entries(this.meters).forEach(([channelKey, meter]) => {
+            const counters = channels[channelKey] || { clips: 0, overs: 0 };
+            meter.clipCount.textContent = counters.clips;
+            meter.overCount.textContent = counters.overs;
+            meter.clip.classList.toggle('active', counters.clips > 0);
+        });
+    }
+
+    async resetCounters(channelKey) {
+        try {
+            const response = await fetch('/api/counters/reset', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(channelKey
+                    ? { amplifierId: this.selectedAmplifierId, channel: channelKey }
+                    : { amplifierId: this.selectedAmplifierId })
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to reset counters');
+            }
+            
+            this.updateCounters(result.channels);
+            
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    updateLevelStats(channels) {
+        const db = value => value === null ? '--' : value.toFixed(1);
+        Object.entries(this.meters).forEach(([channelKey, meter]) => {
+            const stats = channels[channelKey];
+            if (!stats) {
+                meter.stats.averages.forEach(average => {
+                    average.textContent = '--';
+                });
+                meter.stats.range.textContent = '';
+                meter.stats.above.textContent = '';
+                return;
+            }
+            ['1s', '10s', '1m'].forEach((span, index) => {
+                meter.stats.averages[index].textContent = db(stats.averages[span]);
+            });
+            meter.stats.range.textContent = `Min ${db(stats.minDb)} · Max ${db(stats.maxDb)} dB`;
+            meter.stats.above.textContent = stats.above
+                .map(({ threshold, ms }) => `>${threshold} dB ${this.formatDuration(ms)}`)
+                .join(' · ');
+        });
+    }
+
+    // 75000 -> '1m 15s', 5400000 -> '1h 30m'
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        if (seconds < 60) {
+            return `${seconds}s`;
+        }
+        if (seconds < 3600) {
+            return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+        }
+        return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds / 60) % 60}m`;
+    }
+
+    async resetLevelStats() {
+        try {
+            const result = await this.apiRequest('/api/stats/reset', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ amplifierId: this.selectedAmplifierId })
+            }, 'Failed to reset statistics');
+            this.updateLevelStats(result.channels);
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    trendEnd() {
+        return this.trend.to !== null ? this.trend.to : Date.now();
+    }
+
+    selectTrendChannel(channelKey) {
+        this.trend.channel = channelKey;
+        this.trendChannelSelect.value = channelKey;
+        localStorage.setItem('trendChannel', channelKey);
+        this.trend.points = [];
+        this.drawTrend();
+        this.loadHistory();
+    }
+
+    // `to` of null follows live data; anything at or past now snaps back to live
+    setTrendRange(span, to) {
+        this.trend.span = Math.max(this.trend.minSpan, Math.min(this.trend.maxSpan, span));
+        this.trend.to = to === null || to >= Date.now() ? null : to;
+        
+        this.trendRangeBtns.forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.span) === this.trend.span);
+        });
+        this.trendLiveBtn.classList.toggle('active', this.trend.to === null);
+        
+        this.drawTrend();
+        
+        // Refetch once the user stops zooming or dragging
+        clearTimeout(this.trend.loadTimer);
+        this.trend.loadTimer = setTimeout(() => this.loadHistory(), 250);
+    }
+
+    // Zoom around a point given as a fraction of the chart width
+    zoomTrend(factor, anchor) {
+        const to = this.trendEnd();
+        const from = to - this.trend.span;
+        const anchorTime = from + anchor * this.trend.span;
+        const span = Math.max(this.trend.minSpan, Math.min(this.trend.maxSpan, this.trend.span * factor));
+        
+        // While live, keep the right edge pinned to now
+        const newTo = this.trend.to === null ? null : anchorTime + (1 - anchor) * span;
+        this.setTrendRange(span, newTo);
+    }
+
+    async loadHistory() {
+        const seq = ++this.trend.requestSeq;
+        const to = this.trendEnd();
+        const from = to - this.trend.span;
+        
+        if (!this.selectedAmplifierId) {
+            return;
+        }
+        
+        const params = new URLSearchParams({
+            amplifierId: this.selectedAmplifierId,
+            channel: this.trend.channel,
+            from: Math.floor(from),
+            to: Math.ceil(to)
+        });
+        
+        try {
+            const response = await fetch(`/api/history?${params}`);
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to load history');
+            }
+            
+            // A newer request superseded this one
+            if (seq !== this.trend.requestSeq) {
+                return;
+            }
+            
+            this.trend.points = result.points;
+            this.trend.resolution = result.resolution;
+            this.drawTrend();
+            
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    // Fold a live sample into the chart at the resolution last fetched
+    appendTrendSample(channelKey, db, timestamp) {
+        if (channelKey !== this.trend.channel || this.trend.to !== null || !this.trend.resolution) {
+            return;
+        }
+        
+        const points = this.trend.points;
+        const bucketMs = this.trend.bucketMs[this.trend.resolution];
+        const t = bucketMs ? timestamp - (timestamp % bucketMs) : timestamp;
+        const last = points[points.length - 1];
+        
+        if (last && bucketMs && last.t === t) {
+            last.count = last.count || 1;
+            last.avg = (last.avg * last.count + db) / (last.count + 1);
+            last.count++;
+            last.min = Math.min(last.min, db);
+            last.max = Math.max(last.max, db);
+        } else {
+            points.push({ t, min: db, max: db, avg: db });
+        }
+        
+        // Drop what has scrolled off the left edge
+        const from = timestamp - this.trend.span;
+        while (points.length > 0 && points[0].t < from) {
+            points.shift();
+        }
+        
+        this.drawTrend();
+    }
+
+    drawTrend() {
+        if (this.trend.drawQueued) {
+            return;
+        }
+        this.trend.drawQueued = true;
+        
+        requestAnimationFrame(() => {
+            this.trend.drawQueued = false;
+            this.renderTrend();
+        });
+    }
+
+    renderTrend() {
+        const canvas = this.trendCanvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        
+        if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+            canvas.width = width * ratio;
+            canvas.height = height * ratio;
+        }
+        
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        
+        const pad = this.trend.pad;
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const to = this.trendEnd();
+        const from = to - this.trend.span;
+        const x = t => pad.left + ((t - from) / this.trend.span) * plotWidth;
+        const y = db => pad.top + (1 - this.dbToPercent(db) / 100) * plotHeight;
+        
+        // dB grid, matching the meter scale
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [60, 40, 20, 0, -20, -40, -60].forEach(db => {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y(db));
+            ctx.lineTo(width - pad.right, y(db));
+            ctx.stroke();
+            ctx.fillText(db > 0 ? `+${db}` : `${db}`, pad.left - 6, y(db));
+        });
+        
+        // Clip and over-threshold lines, in the meter colours
+        [[0, '#f44336'], [-6, '#FF9800']].forEach(([db, color]) => {
+            ctx.strokeStyle = color;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y(db));
+            ctx.lineTo(width - pad.right, y(db));
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        // Time axis
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const showDate = this.trend.span > 24 * 60 * 60 * 1000;
+        for (let i = 0; i <= 4; i++) {
+            const t = from + (this.trend.span * i) / 4;
+            const date = new Date(t);
+            const label = showDate
+                ? `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : date.toLocaleTimeString();
+            ctx.textAlign = i === 0 ? 'left' : i === 4 ? 'right' : 'center';
+            ctx.fillText(label, x(t), height - pad.bottom + 6);
+        }
+        
+        const points = this.trend.points.filter(point => point.t >= from && point.t <= to);
+        
+        this.trendInfo.textContent = this.trend.resolution
+            ? `${points.length} points · ${this.trend.resolution}`
+            : '';
+        
+        if (points.length === 0) {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No history for this range', pad.left + plotWidth / 2, pad.top + plotHeight / 2);
+            return;
+        }
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, plotWidth, plotHeight);
+        ctx.clip();
+        
+        // Min/max envelope behind the average line
+        ctx.fillStyle = 'rgba(76, 175, 80, 0.25)';
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const px = x(point.t);
+            const py = y(Math.max(-60, Math.min(60, point.max)));
+            if (i === 0) {
+                ctx.moveTo(px, py);
+            } else {
+                ctx.lineTo(px, py);
+            }
+        });
+        for (let i = points.length - 1; i >= 0; i--) {
+            ctx.lineTo(x(points[i].t), y(Math.max(-60, Math.min(60, points[i].min))));
+        }
+        ctx.closePath();
+        ctx.fill();
+        
+        ctx.strokeStyle = '#4CAF50';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const px = x(point.t);
+            const py = y(Math.max(-60, Math.min(60, point.avg)));
+            if (i === 0) {
+                ctx.moveTo(px, py);
+            } else {
+                ctx.lineTo(px, py);
+            }
+        });
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+
+    updateAlarm(alarm) {
+        if (!alarm.active && alarm.acknowledged) {
+            this.alarms.delete(alarm.id);
+        } else {
+            this.alarms.set(alarm.id, alarm);
+        }
+        this.renderAlarms();
+    }
+
+    renderAlarms() {
+        const alarms = Array.from(this.alarms.values()).sort((a, b) => b.raisedAt - a.raisedAt);
+        const activeCount = alarms.filter(alarm => alarm.active).length;
+        
+        this.alarmCount.textContent = activeCount;
+        this.amplifiers.forEach(amplifier => this.renderAmplifierCard(amplifier));
+        this.alarmPanel.classList.toggle('has-active', activeCount > 0);
+        this.ackAllAlarmsBtn.disabled = !alarms.some(alarm => !alarm.acknowledged);
+        
+        this.alarmList.innerHTML = '';
+        
+        if (alarms.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'alarm-empty';
+            empty.textContent = 'No alarms';
+            this.alarmList.appendChild(empty);
+            return;
+        }
+        
+        alarms.forEach(alarm => {
+            const item = document.createElement('li');
+            item.className = `alarm-item ${alarm.severity} ${alarm.active ? 'active' : 'cleared'}`;
+            item.classList.toggle('acknowledged', alarm.acknowledged);
+            
+            const time = document.createElement('span');
+            time.className = 'alarm-time';
+            time.textContent = new Date(alarm.raisedAt).toLocaleTimeString();
+            
+            const message = document.createElement('span');
+            message.className = 'alarm-message';
+            message.textContent = alarm.message;
+            
+            const state = document.createElement('span');
+            state.className = 'alarm-state';
+            state.textContent = alarm.active
+                ? 'ACTIVE'
+                : `cleared ${new Date(alarm.clearedAt).toLocaleTimeString()}`;
+            
+            item.append(time, message, state);
+            
+            if (!alarm.acknowledged) {
+                const ack = document.createElement('button');
+                ack.className = 'alarm-ack-btn';
+                ack.textContent = 'Acknowledge';
+                ack.addEventListener('click', () => this.acknowledgeAlarm(alarm.id));
+                item.appendChild(ack);
+            }
+            
+            this.alarmList.appendChild(item);
+        });
+    }
+
+    async acknowledgeAlarm(id) {
+        try {
+            const response = await fetch(`/api/alarms/${id}/acknowledge`, {
+                method: 'POST'
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to acknowledge alarm');
+            }
+            
+            this.updateAlarm(result.alarm);
+            
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    async loadWebhooks() {
+        try {
+            const [targetsResponse, deliveriesResponse] = await Promise.all([
+                fetch('/api/webhooks'),
+                fetch('/api/webhooks/deliveries')
+            ]);
+            const targets = await targetsResponse.json();
+            const deliveries = await deliveriesResponse.json();
+            
+            if (!targetsResponse.ok || !deliveriesResponse.ok) {
+                throw new Error(targets.error || deliveries.error || 'Failed to load webhooks');
+            }
+            
+            // One checkbox per subscribable event; 'test' is sent on demand only
+            if (!this.webhookEvents.children.length) {
+                targets.eventTypes.filter(event => event !== 'test').forEach(event => {
+                    const label = document.createElement('label');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.value = event;
+                    checkbox.checked = true;
+                    label.append(checkbox, event);
+                    this.webhookEvents.appendChild(label);
+                });
+            }
+            
+            this.renderWebhookTargets(targets.targets);
+            
+            deliveries.deliveries.forEach(delivery => this.webhookDeliveries.set(delivery.id, delivery));
+            this.renderWebhookLog();
+            
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    renderWebhookTargets(targets) {
+        this.webhookTargets.innerHTML = '';
+        
+        if (targets.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'webhook-empty';
+            empty.textContent = 'No webhook targets';
+            this.webhookTargets.appendChild(empty);
+            return;
+        }
+        
+        targets.forEach(target => {
+            const item = document.createElement('li');
+            item.className = 'webhook-target';
+            item.classList.toggle('disabled', !target.enabled);
+            
+            const url = document.createElement('span');
+            url.className = 'webhook-url';
+            url.textContent = target.url;
+            
+            const events = document.createElement('span');
+            events.className = 'webhook-target-events';
+            events.textContent = `${target.events.join(', ')}${target.hasSecret ? ' · signed' : ''}`;
+            
+            const enabled = document.createElement('label');
+            const enabledBox = document.createElement('input');
+            enabledBox.type = 'checkbox';
+            enabledBox.checked = target.enabled;
+            enabledBox.addEventListener('change', () => this.updateWebhook(target.id, { enabled: enabledBox.checked }));
+            enabled.append(enabledBox, ' Enabled');
+            
+            const test = document.createElement('button');
+            test.textContent = 'Test';
+            test.addEventListener('click', () => this.testWebhook(target.id));
+            
+            const remove = document.createElement('button');
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.deleteWebhook(target.id));
+            
+            item.append(url, events, enabled, test, remove);
+            this.webhookTargets.appendChild(item);
+        });
+    }
+
+    renderWebhookLog() {
+        const deliveries = Array.from(this.webhookDeliveries.values())
+            .sort((a, b) => b.createdAt - a.createdAt);
+        
+        // Keep the client-side log as short as the table shows
+        deliveries.slice(this.maxWebhookLogRows).forEach(delivery => this.webhookDeliveries.delete(delivery.id));
+        
+        this.webhookLog.innerHTML = '';
+        deliveries.slice(0, this.maxWebhookLogRows).forEach(delivery => {
+            const row = document.createElement('tr');
+            const result = delivery.error
+                ? delivery.error + (delivery.nextAttemptAt ? ` (retry ${new Date(delivery.nextAttemptAt).toLocaleTimeString()})` : '')
+                : delivery.statusCode !== null ? `HTTP ${delivery.statusCode}` : '';
+            
+            [
+                new Date(delivery.createdAt).toLocaleTimeString(),
+                delivery.event,
+                delivery.url,
+                delivery.status,
+                delivery.attempts,
+                result
+            ].forEach((value, i) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (i === 3) {
+                    cell.className = `webhook-status-${delivery.status}`;
+                }
+                row.appendChild(cell);
+            });
+            
+            this.webhookLog.appendChild(row);
+        });
+    }
+
+    async apiRequest(url, options, failure) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || failure);
+        }
+        return result;
+    }
+
+    async addWebhook() {
+        const events = Array.from(this.webhookEvents.querySelectorAll('input:checked')).map(box => box.value);
+        
+        if (events.length === 0) {
+            this.showError('Please choose at least one event');
+            return;
+        }
+        
+        try {
+            this.addWebhookBtn.disabled = true;
+            
+            await this.apiRequest('/api/webhooks', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    url: this.webhookUrl.value.trim(),
+                    secret: this.webhookSecret.value || null,
+                    events
+                })
+            }, 'Failed to add webhook');
+            
+            this.webhookUrl.value = '';
+            this.webhookSecret.value = '';
+            await this.loadWebhooks();
+            
+        } catch (err) {
+            this.showError(err.message);
         } finally {
-            this.connectBtn.disabled = false;
-            this.connectBtn.textContent = 'Connect';
+            this.addWebhookBtn.disabled = false;
         }
     }
 
-    async disconnect() {
+    async updateWebhook(id, fields) {
+        try {
+            await this.apiRequest(`/api/webhooks/${id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(fields)
+            }, 'Failed to update webhook');
+        } catch (err) {
+            this.showError(err.message);
+        }
+        await this.loadWebhooks();
+    }
+
+    async deleteWebhook(id) {
+        try {
+            await this.apiRequest(`/api/webhooks/${id}`, { method: 'DELETE' }, 'Failed to delete webhook');
+            await this.loadWebhooks();
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    async testWebhook(id) {
+        try {
+            const result = await this.apiRequest(`/api/webhooks/${id}/test`, { method: 'POST' }, 'Failed to send test webhook');
+            // The WebSocket update may already have overtaken this response
+            if (!this.webhookDeliveries.has(result.delivery.id)) {
+                this.webhookDeliveries.set(result.delivery.id, result.delivery);
+                this.renderWebhookLog();
+            }
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    updateRecordingStatus(status) {
+        this.recordingState = status;
+        
+        this.recordBtn.classList.toggle('recording', status.recording);
+        this.recordBtn.querySelector('.record-text').textContent = status.recording ? 'Stop Recording' : 'Start Recording';
+        this.recordingFileSize.textContent = this.formatBytes(status.fileBytes);
+        this.recordingTotalSize.textContent = this.formatBytes(status.totalBytes);
+        this.recordingFileCount.textContent = status.fileCount;
+        
+        // Tick the elapsed time locally between server updates
+        if (status.recording && !this.recordingClock) {
+            this.recordingClock = setInterval(() => this.renderRecordingTime(), 1000);
+        } else if (!status.recording && this.recordingClock) {
+            clearInterval(this.recordingClock);
+            this.recordingClock = null;
+        }
+        this.renderRecordingTime();
+    }
+
+    renderRecordingTime() {
+        const { recording, startedAt } = this.recordingState;
+        if (!recording || !startedAt) {
+            this.recordingTime.textContent = '--:--:--';
+            return;
+        }
+        
+        const seconds = Math.max(0, Math.floor((Date.now() - startedAt) / 1000));
+        const pad = n => String(n).padStart(2, '0');
+        this.recordingTime.textContent = `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        if (bytes < 1024 * 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    }
+
+    // Value for a datetime-local input, in the browser's time zone
+    toDateTimeLocal(time) {
+        const date = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+        return date.toISOString().slice(0, 19);
+    }
+
+    async toggleRecording() {
+        const action = this.recordingState.recording ? 'stop' : 'start';
+        
         try {
-            const response = await fetch('/api/disconnect', {
+            this.recordBtn.disabled = true;
+            
+            const response = await fetch(`/api/recording/${action}`, {
                 method: 'POST'
             });
             
             const result = await response.json();
             
             if (!response.ok) {
-                throw new Error(result.error || 'Disconnect failed');
+                throw new Error(result.error || `Failed to ${action} recording`);
+            }
+            
+            this.updateRecordingStatus(result);
+            
+        } catch (err) {
+            this.showError(err.message);
+        } finally {
+            this.recordBtn.disabled = false;
+        }
+    }
+
+    async exportRecording() {
+        const from = new Date(this.exportFrom.value).getTime();
+        const to = new Date(this.exportTo.value).getTime();
+        
+        if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+            this.showError('Please choose an export range with From before To');
+            return;
+        }
+        
+        const params = new URLSearchParams({ from, to, format: this.exportFormat.value });
+        const channels = Array.from(this.exportChannels.selectedOptions).map(option => option.value);
+        if (channels.length > 0) {
+            params.set('channels', channels.join(','));
+        }
+        
+        try {
+            this.exportBtn.disabled = true;
+            this.exportBtn.textContent = 'Exporting...';
+            
+            const response = await fetch(`/api/recording/export?${params}`);
+            
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Export failed');
+            }
+            
+            // Save under the name the server suggests
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = /filename="([^"]+)"/.exec(disposition);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `npa43a-export.${this.exportFormat.value}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            
+        } catch (err) {
+            this.showError(err.message);
+        } finally {
+            this.exportBtn.disabled = false;
+            this.exportBtn.textContent = 'Export';
+        }
+    }
+
+    renderCaptureAmplifiers() {
+        const selected = this.captureAmplifier.value;
+        this.captureAmplifier.innerHTML = '';
+        this.amplifiers.forEach(amplifier => {
+            const option = document.createElement('option');
+            option.value = amplifier.id;
+            option.textContent = amplifier.name;
+            this.captureAmplifier.appendChild(option);
+        });
+        if (this.amplifiers.has(selected)) {
+            this.captureAmplifier.value = selected;
+        }
+        this.renderCaptures();
+    }
+
+    // The capture button follows the amplifier picked; a capture needs its live
+    // connection, up or being retried
+    renderCaptures() {
+        const amplifier = this.amplifiers.get(this.captureAmplifier.value) || null;
+        const capturing = !!(amplifier && amplifier.capturing);
+        this.captureBtn.textContent = capturing ? 'Stop Capture' : 'Start Capture';
+        this.captureBtn.classList.toggle('capturing', capturing);
+        this.captureBtn.disabled = !amplifier || !!amplifier.replay || !(amplifier.connected || amplifier.connecting);
+        
+        this.captureFiles.innerHTML = '';
+        if (this.captureState.files.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'capture-empty';
+            empty.textContent = 'No captures';
+            this.captureFiles.appendChild(empty);
+            return;
+        }
+        
+        const active = new Set(this.captureState.active.map(capture => capture.name));
+        this.captureState.files.forEach(file => {
+            const item = document.createElement('li');
+            item.className = 'capture-file';
+            item.classList.toggle('active', active.has(file.name));
+            
+            const name = document.createElement('span');
+            name.className = 'capture-name';
+            name.textContent = file.name;
+            
+            const detail = document.createElement('span');
+            detail.className = 'capture-detail';
+            detail.textContent = active.has(file.name) ? 'Capturing...' : `${this.formatBytes(file.size)} · ${new Date(file.modifiedAt).toLocaleString()}`;
+            
+            const downloadBtn = document.createElement('button');
+            downloadBtn.textContent = 'Download';
+            downloadBtn.addEventListener('click', () => {
+                window.location.href = `/api/captures/${encodeURIComponent(file.name)}`;
+            });
+            
+            const replayBtn = document.createElement('button');
+            replayBtn.textContent = 'Replay';
+            replayBtn.title = 'Play back on the amplifier picked above, in place of its connection';
+            replayBtn.disabled = !amplifier || active.has(file.name);
+            replayBtn.addEventListener('click', () => this.replayCapture(file));
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.disabled = active.has(file.name);
+            deleteBtn.addEventListener('click', () => this.deleteCapture(file));
+            
+            item.append(name, detail, downloadBtn, replayBtn, deleteBtn);
+            this.captureFiles.appendChild(item);
+        });
+    }
+
+    async toggleCapture() {
+        const amplifier = this.amplifiers.get(this.captureAmplifier.value);
+        if (!amplifier) {
+            return;
+        }
+        const action = amplifier.capturing ? 'stop' : 'start';
+        
+        try {
+            this.captureBtn.disabled = true;
+            await this.apiRequest(`/api/captures/${action}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ amplifierId: amplifier.id })
+            }, `Failed to ${action} capture`);
+        } catch (err) {
+            this.showError(err.message);
+            this.renderCaptures();
+        }
+    }
+
+    // Opens the amplifier's page once the replay has started
+    async replayCapture(file) {
+        try {
+            const result = await this.apiRequest(`/api/captures/${encodeURIComponent(file.name)}/replay`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    amplifierId: this.captureAmplifier.value,
+                    speed: Number(this.replaySpeed.value),
+                    loop: this.replayLoop.checked
+                })
+            }, 'Failed to start replay');
+            window.location.hash = `#/amp/${encodeURIComponent(result.amplifierId)}`;
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    async deleteCapture(file) {
+        if (!window.confirm(`Delete capture ${file.name}?`)) {
+            return;
+        }
+        
+        try {
+            await this.apiRequest(`/api/captures/${encodeURIComponent(file.name)}`, {
+                method: 'DELETE'
+            }, 'Failed to delete capture');
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    // A capture downloaded from another server, kept under its file name
+    async uploadCapture() {
+        const file = this.captureUpload.files[0];
+        this.captureUpload.value = '';
+        if (!file) {
+            return;
+        }
+        
+        try {
+            await this.apiRequest(`/api/captures/${encodeURIComponent(file.name)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/x-ndjson'
+                },
+                body: file
+            }, 'Failed to upload capture');
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    resetAllMeters() {
+        Object.keys(this.meters).forEach(channelKey => this.meterRenderer.reset(channelKey));
+    }
+
+    async connect() {
+        const amplifierIP = this.amplifierIPInput.value.trim();
+        
+        if (!amplifierIP) {
+            this.showError('Please enter an amplifier IP address');
+            return;
+        }
+        
+        if (!this.isValidIP(amplifierIP)) {
+            this.showError('Please enter a valid IP address');
+            return;
+        }
+        
+        try {
+            this.connectBtn.disabled = true;
+            this.connectBtn.textContent = 'Connecting...';
+            
+            const response = await fetch('/api/connect', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ amplifierId: this.selectedAmplifierId, amplifierIP })
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Connection failed');
             }
             
+            console.log('Connection request sent successfully');
+            
+        } catch (err) {
+            this.showError(err.message);
+        } finally {
+            this.connectBtn.disabled = false;
+            this.connectBtn.textContent = 'Connect';
+        }
+    }
+
+    async disconnect() {
+        try {
+            await this.sendCommand('disconnect', { amplifierId: this.selectedAmplifierId });
+            
             console.log('Disconnect request sent successfully');
             
         } catch (err) {
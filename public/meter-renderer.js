@@ -0,0 +1,284 @@
+// Level meters drawn on canvases, every one of them from a single
+// requestAnimationFrame loop. Readings arrive a few times a second; each meter
+// glides from the previous reading to the newest over the time that passed
+// between them, runs that through the selected ballistics, and draws its bar,
+// ticks, scale and peak-hold marker in one pass. A meter is only redrawn when
+// what it shows has moved by a pixel, and not at all while it has no size
+// (hidden), so a page of many meters costs little once the levels settle.
+
+const METER_MIN_DB = -60;
+const METER_MAX_DB = 60;
+const METER_TICKS = [60, 40, 20, 10, 0, -6, -20, -40, -60];
+// Room on the right of the bar for the scale labels
+const METER_SCALE_WIDTH = 36;
+
+// attack / release: time constant in seconds of the needle's rise and fall, on the
+// signal voltage rather than dB; 0 follows the input at once. fallRate replaces
+// release with a steady return in dB per second, as peak programme meters have.
+const METER_BALLISTICS = {
+    // Each reading as it is
+    peak: { attack: 0, release: 0 },
+    // 99% of a step in 300 ms, rising and falling alike
+    vu: { attack: 0.065, release: 0.065 },
+    // DIN 45406: a 5 ms burst reads 1 dB low; falls 20 dB in 1.5 s
+    ppm1: { attack: 0.0023, fallRate: 20 / 1.5 },
+    // IEC 60268-10 IIa (BBC): a 10 ms burst reads 2 dB low; falls 24 dB in 2.8 s
+    ppm2: { attack: 0.0063, fallRate: 24 / 2.8 }
+};
+
+class MeterRenderer {
+    constructor(options = {}) {
+        this.ballistics = METER_BALLISTICS[options.ballistics] ? options.ballistics : 'peak';
+        // Peak hold: markers stay put for peakHoldTime ms, then fall at peakDecayRate dB/s
+        this.peakHoldTime = options.peakHoldTime !== undefined ? options.peakHoldTime : 3000;
+        this.peakDecayRate = options.peakDecayRate !== undefined ? options.peakDecayRate : 20;
+
+        this.meters = new Map(); // key -> meter state
+        this.canvasKeys = new WeakMap(); // canvas -> key, for the resize observer
+        this.resizeObserver = new ResizeObserver(entries => entries.forEach(entry => this.resize(entry)));
+        this.running = false;
+    }
+
+    // Draws onto `canvas` from now on; `valueElement`, when given, shows the level in dB
+    add(key, canvas, { valueElement = null } = {}) {
+        this.remove(key);
+        const meter = {
+            key,
+            canvas,
+            ctx: canvas.getContext('2d'),
+            valueElement,
+            width: 0,
+            height: 0,
+            // Interpolation from one reading to the next
+            from: METER_MIN_DB,
+            to: METER_MIN_DB,
+            startedAt: 0,
+            span: 0,
+            lastReadingAt: 0,
+            // Needle position in dB after ballistics
+            level: METER_MIN_DB,
+            peakDb: METER_MIN_DB,
+            peakHeldAt: 0,
+            drawn: null
+        };
+        this.canvasKeys.set(canvas, key);
+        this.meters.set(key, meter);
+        this.resizeObserver.observe(canvas);
+        return meter;
+    }
+
+    remove(key) {
+        const meter = this.meters.get(key);
+        if (meter) {
+            this.resizeObserver.unobserve(meter.canvas);
+            this.meters.delete(key);
+        }
+    }
+
+    // Removes every meter whose key starts with `prefix`
+    removeAll(prefix) {
+        Array.from(this.meters.keys())
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.remove(key));
+    }
+
+    setBallistics(name) {
+        if (METER_BALLISTICS[name]) {
+            this.ballistics = name;
+        }
+    }
+
+    // A new reading; the meter moves to it over the time since the previous one
+    push(key, db, now = performance.now()) {
+        const meter = this.meters.get(key);
+        if (!meter) {
+            return false;
+        }
+
+        const clampedDb = Math.max(METER_MIN_DB, Math.min(METER_MAX_DB, db));
+        meter.from = this.input(meter, now);
+        meter.to = clampedDb;
+        meter.startedAt = now;
+        // Readings closer than a frame or further than a second apart aren't spread out
+        meter.span = Math.max(16, Math.min(1000, now - meter.lastReadingAt));
+        meter.lastReadingAt = now;
+
+        // Peak hold follows the readings themselves, whatever the ballistics
+        if (clampedDb >= meter.peakDb) {
+            meter.peakDb = clampedDb;
+            meter.peakHeldAt = now;
+        }
+        return true;
+    }
+
+    // Drops a meter straight to the bottom, peak marker included
+    reset(key) {
+        const meter = this.meters.get(key);
+        if (meter) {
+            Object.assign(meter, { from: METER_MIN_DB, to: METER_MIN_DB, level: METER_MIN_DB, peakDb: METER_MIN_DB, span: 0 });
+        }
+    }
+
+    // The interpolated reading at `now`
+    input(meter, now) {
+        if (meter.span === 0 || now - meter.startedAt >= meter.span) {
+            return meter.to;
+        }
+        return meter.from + (meter.to - meter.from) * ((now - meter.startedAt) / meter.span);
+    }
+
+    // Moves the needle towards `input` over `elapsed` seconds
+    step(level, input, elapsed) {
+        const ballistics = METER_BALLISTICS[this.ballistics];
+        if (input >= level) {
+            return this.integrate(level, input, ballistics.attack, elapsed);
+        }
+        if (ballistics.fallRate !== undefined) {
+            return Math.max(input, level - ballistics.fallRate * elapsed);
+        }
+        return this.integrate(level, input, ballistics.release, elapsed);
+    }
+
+    integrate(level, input, timeConstant, elapsed) {
+        if (timeConstant === 0) {
+            return input;
+        }
+        const current = Math.pow(10, level / 20);
+        const target = Math.pow(10, input / 20);
+        const next = target + (current - target) * Math.exp(-elapsed / timeConstant);
+        return Math.max(METER_MIN_DB, 20 * Math.log10(next));
+    }
+
+    resize(entry) {
+        const meter = this.meters.get(this.canvasKeys.get(entry.target));
+        if (!meter || meter.canvas !== entry.target) {
+            return;
+        }
+        const ratio = window.devicePixelRatio || 1;
+        meter.width = entry.contentRect.width;
+        meter.height = entry.contentRect.height;
+        meter.canvas.width = Math.round(meter.width * ratio);
+        meter.canvas.height = Math.round(meter.height * ratio);
+        meter.drawn = null;
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        let lastFrame = performance.now();
+        const frame = (now) => {
+            // A tab in the background gets no frames; don't integrate across the gap
+            const elapsed = Math.min(0.1, Math.max(0, (now - lastFrame) / 1000));
+            lastFrame = now;
+            this.meters.forEach(meter => this.update(meter, now, elapsed));
+            requestAnimationFrame(frame);
+        };
+        requestAnimationFrame(frame);
+    }
+
+    update(meter, now, elapsed) {
+        meter.level = this.step(meter.level, this.input(meter, now), elapsed);
+        if (now - meter.peakHeldAt > this.peakHoldTime) {
+            meter.peakDb = Math.max(METER_MIN_DB, meter.peakDb - this.peakDecayRate * elapsed);
+        }
+
+        if (meter.valueElement) {
+            const text = meter.level.toFixed(1);
+            if (meter.valueElement.textContent !== text) {
+                meter.valueElement.textContent = text;
+            }
+        }
+
+        if (meter.width === 0 || meter.height === 0) {
+            return;
+        }
+
+        // Whole pixels are all that can change on screen
+        const levelY = Math.round(this.y(meter, meter.level));
+        const peakY = meter.peakDb > METER_MIN_DB ? Math.round(this.y(meter, meter.peakDb)) : null;
+        const color = this.color(meter.level);
+        const drawn = meter.drawn;
+        if (drawn && drawn.levelY === levelY && drawn.peakY === peakY && drawn.color === color) {
+            return;
+        }
+        meter.drawn = { levelY, peakY, color };
+        this.draw(meter, levelY, peakY, color);
+    }
+
+    y(meter, db) {
+        return (1 - (db - METER_MIN_DB) / (METER_MAX_DB - METER_MIN_DB)) * meter.height;
+    }
+
+    // Green below -6 dB, orange up to 0 dB, red above
+    color(db) {
+        if (db > 0) {
+            return '#f44336';
+        }
+        return db > -6 ? '#FF9800' : '#4CAF50';
+    }
+
+    draw(meter, levelY, peakY, color) {
+        const { ctx, width, height } = meter;
+        const ratio = window.devicePixelRatio || 1;
+        // Labels only where the bar keeps a usable width beside them
+        const labelled = width - METER_SCALE_WIDTH >= 24;
+        const barWidth = labelled ? width - METER_SCALE_WIDTH : width;
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        // Everything up to the peak marker stays inside the bar's rounded outline
+        ctx.save();
+        this.outline(ctx, 0.5, 0.5, barWidth - 1, height - 1, Math.min(8, barWidth / 4));
+        ctx.clip();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, barWidth, height);
+
+        ctx.fillStyle = color;
+        ctx.fillRect(0, levelY, barWidth, height - levelY);
+
+        // Ticks on both edges of the bar, over the fill
+        const tick = Math.min(6, barWidth / 4);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        METER_TICKS.forEach(db => {
+            const y = Math.min(height - 1, Math.round(this.y(meter, db)));
+            ctx.fillRect(0, y, tick, 1);
+            ctx.fillRect(barWidth - tick, y, tick, 1);
+        });
+
+        if (peakY !== null) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.fillRect(0, Math.max(0, Math.min(height - 2, peakY - 1)), barWidth, 2);
+        }
+        ctx.restore();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        if (labelled) {
+            ctx.font = '11px sans-serif';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.textAlign = 'left';
+            METER_TICKS.forEach(db => {
+                // Keep the top and bottom labels inside the canvas
+                ctx.textBaseline = db === METER_MAX_DB ? 'top' : db === METER_MIN_DB ? 'bottom' : 'middle';
+                ctx.fillText(db > 0 ? `+${db}` : `${db}`, barWidth + 6, this.y(meter, db));
+            });
+        }
+    }
+
+    // Rounded rectangle path; ctx.roundRect is too new for some of the browsers we support
+    outline(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    }
+}
@@ -0,0 +1,350 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { InvalidParameterError } = require('./errors');
+
+const log = require('./logger').child('alarm-engine');
+
+const CHANNEL_KEY_PATTERN = /^(input|output)-[1-4]$/;
+
+const DEFAULT_RULES = [
+    {
+        id: 'output-hot',
+        name: 'Output running hot',
+        type: 'level',
+        channels: ['output-1', 'output-2', 'output-3', 'output-4'],
+        condition: 'above',
+        threshold: -3,
+        hysteresis: 2,
+        duration: 2000,
+        severity: 'critical',
+        enabled: true
+    },
+    {
+        id: 'dead-mic',
+        name: 'Dead mic',
+        type: 'level',
+        channels: ['input-1'],
+        condition: 'below',
+        threshold: -55,
+        hysteresis: 3,
+        duration: 30000,
+        severity: 'warning',
+        enabled: false
+    },
+    {
+        id: 'amp-offline',
+        name: 'Amplifier offline',
+        type: 'connection',
+        duration: 10000,
+        severity: 'critical',
+        enabled: true
+    }
+];
+
+// Throws InvalidParameterError for the first problem found; returns the rule
+// with defaults filled in
+function validateRule(rule, index) {
+    const where = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object') {
+        throw new InvalidParameterError(where, 'must be an object');
+    }
+    if (typeof rule.id !== 'string' || !rule.id) {
+        throw new InvalidParameterError(`${where}.id`, 'must be a non-empty string');
+    }
+    if (rule.type !== 'level' && rule.type !== 'connection') {
+        throw new InvalidParameterError(`${where}.type`, 'must be level or connection');
+    }
+    if (!Number.isFinite(rule.duration) || rule.duration < 0) {
+        throw new InvalidParameterError(`${where}.duration`, 'must be a number of milliseconds >= 0');
+    }
+    if (rule.severity !== undefined && rule.severity !== 'warning' && rule.severity !== 'critical') {
+        throw new InvalidParameterError(`${where}.severity`, 'must be warning or critical');
+    }
+
+    const validated = {
+        id: rule.id,
+        name: typeof rule.name === 'string' && rule.name ? rule.name : rule.id,
+        type: rule.type,
+        duration: rule.duration,
+        severity: rule.severity || 'warning',
+        enabled: rule.enabled !== false
+    };
+
+    if (rule.type === 'level') {
+        if (!Array.isArray(rule.channels) || rule.channels.length === 0 || !rule.channels.every(channel => CHANNEL_KEY_PATTERN.test(channel))) {
+            throw new InvalidParameterError(`${where}.channels`, 'must be a list of channels like input-1 or output-4');
+        }
+        if (rule.condition !== 'above' && rule.condition !== 'below') {
+            throw new InvalidParameterError(`${where}.condition`, 'must be above or below');
+        }
+        if (!Number.isFinite(rule.threshold)) {
+            throw new InvalidParameterError(`${where}.threshold`, 'must be a number of dB');
+        }
+        if (rule.hysteresis !== undefined && (!Number.isFinite(rule.hysteresis) || rule.hysteresis < 0)) {
+            throw new InvalidParameterError(`${where}.hysteresis`, 'must be a number of dB >= 0');
+        }
+        validated.channels = rule.channels;
+        validated.condition = rule.condition;
+        validated.threshold = rule.threshold;
+        validated.hysteresis = rule.hysteresis !== undefined ? rule.hysteresis : 1;
+    }
+
+    return validated;
+}
+
+// Evaluates alarm rules against level readings and the connection of every
+// amplifier; each amplifier is watched separately under the same rules. A
+// condition has to hold for the rule's duration before an alarm is raised, and a
+// level alarm only clears once the level is back past the threshold by the
+// hysteresis. Emits 'alarm' with { event: 'raise' | 'clear' | 'acknowledge', alarm }.
+class AlarmEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.rulesFile = options.rulesFile !== undefined ? options.rulesFile : path.join(__dirname, '../data/alarm-rules.json');
+        this.historySize = options.historySize !== undefined ? options.historySize : 500;
+        this.tickInterval = options.tickInterval !== undefined ? options.tickInterval : 1000;
+
+        this.rules = [];
+        this.states = new Map(); // 'ruleId:amplifierId:channel' -> { since, alarm }
+        this.alarms = []; // newest last, bounded by historySize
+        this.nextAlarmId = 1;
+        this.connections = new Map(); // amplifierId -> { state: 'connected' | 'lost', lostAt }; idle amplifiers are left out
+        this.tickTimer = null;
+
+        this.setRules(options.rules || this.loadRules() || DEFAULT_RULES, { save: false });
+    }
+
+    loadRules() {
+        if (!this.rulesFile) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log.error('Could not read alarm rules', { file: this.rulesFile, error: err.message });
+            }
+            return null;
+        }
+    }
+
+    saveRules() {
+        if (!this.rulesFile) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.rulesFile), { recursive: true });
+        fs.writeFileSync(this.rulesFile, JSON.stringify(this.rules, null, 2));
+    }
+
+    // Replace the rule set. Alarms of removed or disabled rules are cleared.
+    setRules(rules, { save = true } = {}) {
+        if (!Array.isArray(rules)) {
+            throw new InvalidParameterError('rules', 'must be a list');
+        }
+        const validated = rules.map(validateRule);
+        const ids = new Set();
+        validated.forEach(rule => {
+            if (ids.has(rule.id)) {
+                throw new InvalidParameterError('rules', `duplicate id ${rule.id}`);
+            }
+            ids.add(rule.id);
+        });
+
+        this.rules = validated;
+        if (save) {
+            this.saveRules();
+        }
+
+        const now = Date.now();
+        this.states.forEach((state, key) => {
+            const rule = this.rules.find(candidate => candidate.id === state.ruleId);
+            const stillWatched = rule && rule.enabled && (rule.type === 'connection' || rule.channels.includes(state.channel));
+            if (!stillWatched) {
+                if (state.alarm) {
+                    this.clearAlarm(state.alarm, now);
+                }
+                this.states.delete(key);
+            }
+        });
+
+        return this.rules;
+    }
+
+    getState(rule, amplifierId, channel) {
+        const key = `${rule.id}:${amplifierId}:${channel || ''}`;
+        if (!this.states.has(key)) {
+            this.states.set(key, { ruleId: rule.id, amplifierId, channel, since: null, alarm: null });
+        }
+        return this.states.get(key);
+    }
+
+    recordLevel(amplifierId, channel, db, timestamp = Date.now()) {
+        this.rules.forEach(rule => {
+            if (!rule.enabled || rule.type !== 'level' || !rule.channels.includes(channel)) {
+                return;
+            }
+
+            const state = this.getState(rule, amplifierId, channel);
+            // Raised alarms only clear once the level is back past the threshold by the hysteresis
+            const limit = !state.alarm
+                ? rule.threshold
+                : rule.condition === 'above' ? rule.threshold - rule.hysteresis : rule.threshold + rule.hysteresis;
+            const inCondition = rule.condition === 'above' ? db > limit : db < limit;
+
+            if (inCondition) {
+                if (state.since === null) {
+                    state.since = timestamp;
+                }
+                if (!state.alarm && timestamp - state.since >= rule.duration) {
+                    state.alarm = this.raiseAlarm(rule, amplifierId, channel, db, timestamp,
+                        `${rule.name}: ${amplifierId} ${channel} ${rule.condition} ${rule.threshold} dB for ${rule.duration / 1000} s (${db.toFixed(1)} dB)`);
+                }
+                if (state.alarm) {
+                    state.alarm.value = rule.condition === 'above'
+                        ? Math.max(state.alarm.value, db)
+                        : Math.min(state.alarm.value, db);
+                }
+            } else {
+                state.since = null;
+                if (state.alarm) {
+                    this.clearAlarm(state.alarm, timestamp);
+                    state.alarm = null;
+                }
+            }
+        });
+    }
+
+    // 'connected', 'lost' (dropped while we wanted it) or 'idle' (deliberately disconnected)
+    setConnectionState(amplifierId, connectionState, timestamp = Date.now()) {
+        const current = this.connections.get(amplifierId);
+        if ((current ? current.state : 'idle') === connectionState) {
+            return;
+        }
+        if (connectionState === 'idle') {
+            this.connections.delete(amplifierId);
+        } else {
+            this.connections.set(amplifierId, {
+                state: connectionState,
+                lostAt: connectionState === 'lost' ? timestamp : null
+            });
+        }
+        this.evaluateConnection(timestamp, amplifierId);
+    }
+
+    // Clear everything held for an amplifier that has been removed
+    forgetAmplifier(amplifierId, timestamp = Date.now()) {
+        this.connections.delete(amplifierId);
+        this.states.forEach((state, key) => {
+            if (state.amplifierId === amplifierId) {
+                if (state.alarm) {
+                    this.clearAlarm(state.alarm, timestamp);
+                }
+                this.states.delete(key);
+            }
+        });
+    }
+
+    // One amplifier, or every amplifier that is connected or was lost
+    evaluateConnection(now = Date.now(), amplifierId) {
+        const amplifierIds = amplifierId !== undefined ? [amplifierId] : Array.from(this.connections.keys());
+
+        this.rules.forEach(rule => {
+            if (!rule.enabled || rule.type !== 'connection') {
+                return;
+            }
+
+            amplifierIds.forEach(id => {
+                const connection = this.connections.get(id);
+                const state = this.getState(rule, id, null);
+                if (connection && connection.state === 'lost') {
+                    if (!state.alarm && now - connection.lostAt >= rule.duration) {
+                        state.alarm = this.raiseAlarm(rule, id, null, null, now,
+                            `${rule.name}: ${id} disconnected for more than ${rule.duration / 1000} s`);
+                    }
+                } else if (state.alarm) {
+                    this.clearAlarm(state.alarm, now);
+                    state.alarm = null;
+                }
+            });
+        });
+    }
+
+    raiseAlarm(rule, amplifierId, channel, value, timestamp, message) {
+        const alarm = {
+            id: this.nextAlarmId++,
+            ruleId: rule.id,
+            name: rule.name,
+            severity: rule.severity,
+            amplifierId,
+            channel,
+            value,
+            message,
+            active: true,
+            raisedAt: timestamp,
+            clearedAt: null,
+            acknowledged: false,
+            acknowledgedAt: null
+        };
+
+        this.alarms.push(alarm);
+        if (this.alarms.length > this.historySize) {
+            this.alarms.splice(0, this.alarms.length - this.historySize);
+        }
+
+        log.warn(`Alarm raised: ${message}`, { alarmId: alarm.id, ruleId: rule.id, severity: rule.severity, amplifierId, channel });
+        this.emit('alarm', { event: 'raise', alarm });
+        return alarm;
+    }
+
+    clearAlarm(alarm, timestamp) {
+        alarm.active = false;
+        alarm.clearedAt = timestamp;
+        log.info(`Alarm cleared: ${alarm.message}`, { alarmId: alarm.id, ruleId: alarm.ruleId, amplifierId: alarm.amplifierId, channel: alarm.channel });
+        this.emit('alarm', { event: 'clear', alarm });
+    }
+
+    acknowledge(id) {
+        const alarm = this.alarms.find(candidate => candidate.id === id);
+        if (!alarm) {
+            return null;
+        }
+        if (!alarm.acknowledged) {
+            alarm.acknowledged = true;
+            alarm.acknowledgedAt = Date.now();
+            this.emit('alarm', { event: 'acknowledge', alarm });
+        }
+        return alarm;
+    }
+
+    // Newest first. Filters: active, acknowledged (booleans), since (epoch ms), amplifierId
+    list({ active, acknowledged, since, amplifierId } = {}) {
+        return this.alarms
+            .filter(alarm => amplifierId === undefined || alarm.amplifierId === amplifierId)
+            .filter(alarm => active === undefined || alarm.active === active)
+            .filter(alarm => acknowledged === undefined || alarm.acknowledged === acknowledged)
+            .filter(alarm => since === undefined || alarm.raisedAt >= since)
+            .reverse();
+    }
+
+    // Alarms that still need attention: active or not yet acknowledged
+    outstanding() {
+        return this.alarms.filter(alarm => alarm.active || !alarm.acknowledged).reverse();
+    }
+
+    start() {
+        if (!this.tickTimer) {
+            this.tickTimer = setInterval(() => this.evaluateConnection(), this.tickInterval);
+        }
+    }
+
+    stop() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+    }
+}
+
+module.exports = AlarmEngine;
@@ -1,13 +1,21 @@
 const net = require('net');
 const EventEmitter = require('events');
+const CommandQueue = require('./command-queue');
+const protocol = require('./protocol');
+const { NotConnectedError, WriteNotConfirmedError, DeviceMismatchError, InvalidParameterError } = require('./errors');
+
+const log = require('./logger').child('amplifier-client');
 
 class NPA43AClient extends EventEmitter {
-    constructor(amplifierIP, port = 8234) {
+    constructor(amplifierIP, port = 8234, options = {}) {
         super();
         this.amplifierIP = amplifierIP;
         this.port = port;
         this.client = null;
-        this.deviceId = 0xFF;
+        this.mismatchedDeviceIds = new Set(); // Unexpected reply IDs, reported once per connection
+        // Units polled over this connection. A control gateway answers for several
+        // units on one socket, each under its own ID; 0xFF reaches whichever unit is there.
+        this.setDeviceIds(options.deviceIds || [options.deviceId !== undefined ? options.deviceId : protocol.BROADCAST_DEVICE_ID]);
         this.isConnected = false;
         this.pollingInterval = null;
         this.currentChannelIndex = 0;
@@ -17,15 +25,42 @@ class NPA43AClient extends EventEmitter {
         this.reconnectInterval = null;
         this.lastDataReceived = 0;
         this.connectionTimeout = null;
+        // Raw traffic capture: every chunk sent and received is passed to its
+        // record(direction, chunk) while set; it ends when the client disconnects
+        this.capture = options.capture || null;
+        
+        // Paced command queue: one frame on the wire at a time, replies matched by
+        // function code, type and channel
+        this.commandQueue = new CommandQueue(frame => this.send(frame), {
+            interval: options.commandInterval,
+            timeout: options.commandTimeout,
+            retries: options.commandRetries
+        });
+        this.commandQueue.on('retry', ({ key, attempt }) => {
+            log.warn('No reply, retrying', { amplifier: this.address, request: key, attempt: attempt + 1 });
+        });
+        
+        // Mute status and gain change rarely, so each polling cycle reads only a few of
+        // them, taking turns, after the levels; a full round spans several cycles
+        this.statusReadsPerCycle = options.statusReadsPerCycle !== undefined ? options.statusReadsPerCycle : 2;
+        this.statusReadIndex = 0;
         
-        // Response caching to reduce redundant processing
-        this.responseCache = new Map();
-        this.cacheTimeout = 50; // ms
+        // How long a write may take to show up in a read-back before it counts as failed
+        this.confirmTimeout = options.confirmTimeout || 3000;
         
         // Data buffering for handling fragmented TCP responses
         this.dataBuffer = Buffer.alloc(0);
         
-        // Define polling sequence: In1-4, Out1-4
+        // Link health counters for monitoring; they only ever go up
+        this.stats = {
+            framesReceived: 0,
+            parseErrors: 0,
+            reconnectAttempts: 0,
+            bufferOverflows: 0,
+            deviceMismatches: 0
+        };
+        
+        // Channels whose mute and gain are polled: In1-4, Out1-4
         this.pollingSequence = [
             { type: 'input', id: 1 },
             { type: 'input', id: 2 },
@@ -38,91 +73,50 @@ class NPA43AClient extends EventEmitter {
         ];
     }
 
-    createCommand(channelType, channelId) {
-        const type = channelType === 'input' ? 0x01 : 0x02;
-        return Buffer.from([
-            0xA5, 0xC3, 0x3C, 0x5A, // Start Header
-            this.deviceId,           // Device ID
-            0x63,                   // Read Command
-            0x0E,                   // Function Code (Gains Level)
-            0x02,                   // Data Length
-            type,                   // Type (Input/Output)
-            channelId,              // Channel ID
-            0xEE                    // End Header
-        ]);
-    }
-
-    parseResponse(buffer) {
-        if (buffer.length < 12) {
-            throw new Error(`Response too short: ${buffer.length} bytes`);
+    // The first ID is where requests that don't name a device go
+    setDeviceIds(deviceIds) {
+        deviceIds.forEach(deviceId => {
+            if (!Number.isInteger(deviceId) || deviceId < 0 || deviceId > 0xFF) {
+                throw new InvalidParameterError('deviceId', 'must be an integer between 0 and 255');
+            }
+        });
+        if (deviceIds.length === 0) {
+            throw new InvalidParameterError('deviceIds', 'must name at least one device');
         }
+        this.deviceIds = Array.from(new Set(deviceIds));
+        this.deviceId = this.deviceIds[0];
+        this.mismatchedDeviceIds.clear();
+    }
 
-        // Validate headers
-        if (buffer[0] !== 0xA5 || buffer[1] !== 0xC3 || 
-            buffer[2] !== 0x3C || buffer[3] !== 0x5A) {
-            throw new Error('Invalid start header');
-        }
+    // A unit addressed by broadcast replies under its own ID, so with 0xFF in the
+    // list any reply is expected
+    expectsDevice(deviceId) {
+        return this.deviceIds.includes(protocol.BROADCAST_DEVICE_ID) || this.deviceIds.includes(deviceId);
+    }
 
-        if (buffer[buffer.length - 1] !== 0xEE) {
-            throw new Error('Invalid end header');
-        }
+    createCommand(channelType, channelId, deviceId = this.deviceId) {
+        return protocol.encode('level', 'read', { channelType, channelId }, { deviceId });
+    }
 
-        // Validate function code - accept both gain level (0x0E) and mute (0x03)
-        if (buffer[6] !== 0x0E && buffer[6] !== 0x03) {
-            throw new Error(`Invalid function code: 0x${buffer[6].toString(16)}`);
+    parseResponse(buffer) {
+        const result = protocol.decode(buffer);
+        if (!this.expectsDevice(result.deviceId)) {
+            throw new DeviceMismatchError(result.deviceId, this.deviceIds);
         }
+        return {
+            ...result,
+            timestamp: Date.now()
+        };
+    }
 
-        // Extract data based on function code
-        const functionCode = buffer[6];
-        const dataLength = buffer[7]; // Use actual data length from response
-        const type = buffer[8];
-        const channelId = buffer[9];
-        
-        if (functionCode === 0x0E) {
-            // Gain level response - parse dB data
-            // Check if we have enough data for the dB value
-            if (buffer.length < 10 + 2) {
-                throw new Error(`Insufficient data for dB value: need ${10 + 2} bytes, got ${buffer.length}`);
-            }
-            
-            const dbLow = buffer[10];
-            const dbHigh = buffer[11];
-
-            // Combine bytes into signed 16-bit integer
-            const value = (dbHigh << 8) | dbLow;
-            const signedValue = value >= 0x8000 ? value - 0x10000 : value;
-            
-            // Calculate final dB value
-            const dbValue = signedValue / 10;
-
-            return {
-                channelType: type === 0x01 ? 'input' : 'output',
-                channelId: channelId,
-                db: dbValue,
-                timestamp: Date.now()
-            };
-        } else if (functionCode === 0x03) {
-            // Mute response - parse mute status
-            if (buffer.length < 11) {
-                throw new Error(`Insufficient data for mute status: need 11 bytes, got ${buffer.length}`);
-            }
-            
-            const muteStatus = buffer[10];
-            
-            return {
-                channelType: type === 0x01 ? 'input' : 'output',
-                channelId: channelId,
-                muted: muteStatus === 0x01,
-                timestamp: Date.now()
-            };
-        } else {
-            throw new Error(`Unsupported function code: 0x${functionCode.toString(16)}`);
-        }
+    // 'ip:port', as it appears in log entries
+    get address() {
+        return `${this.amplifierIP}:${this.port}`;
     }
 
     async connect() {
         return new Promise((resolve, reject) => {
-            console.log(`Connecting to amplifier at ${this.amplifierIP}:${this.port}...`);
+            log.info('Connecting to amplifier', { amplifier: this.address });
             
             this.client = new net.Socket();
             this.client.setTimeout(5000);
@@ -131,14 +125,15 @@ class NPA43AClient extends EventEmitter {
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
                 this.lastDataReceived = Date.now();
-                console.log('✓ Connected to amplifier');
+                this.mismatchedDeviceIds.clear();
+                log.info('Connected to amplifier', { amplifier: this.address });
                 this.emit('connected');
                 this.startConnectionMonitoring();
                 resolve();
             });
 
             this.client.on('error', (err) => {
-                console.error('✗ Connection error:', err.message);
+                log.error('Connection error', { amplifier: this.address, error: err.message });
                 this.isConnected = false;
                 this.emit('error', err);
                 this.scheduleReconnect();
@@ -146,7 +141,7 @@ class NPA43AClient extends EventEmitter {
             });
 
             this.client.on('timeout', () => {
-                console.error('✗ Connection timeout');
+                log.error('Connection timeout', { amplifier: this.address });
                 this.isConnected = false;
                 this.client.destroy();
                 this.emit('error', new Error('Connection timeout'));
@@ -157,8 +152,9 @@ class NPA43AClient extends EventEmitter {
             this.client.on('close', () => {
                 const wasConnected = this.isConnected;
                 this.isConnected = false;
-                console.log('Connection to amplifier closed');
+                log.info('Connection to amplifier closed', { amplifier: this.address });
                 this.stopConnectionMonitoring();
+                this.commandQueue.clear('connection closed');
                 
                 if (wasConnected) {
                     this.emit('disconnected');
@@ -168,11 +164,25 @@ class NPA43AClient extends EventEmitter {
 
             this.client.on('data', (data) => {
                 this.lastDataReceived = Date.now();
+                if (this.capture) {
+                    this.capture.record('rx', data);
+                }
                 this.handleResponse(data);
             });
         });
     }
 
+    send(frame) {
+        if (this.capture) {
+            this.capture.record('tx', frame);
+        }
+        this.client.write(frame);
+    }
+
+    setCapture(capture) {
+        this.capture = capture;
+    }
+
     startConnectionMonitoring() {
         // Check for data reception every 5 seconds
         this.connectionTimeout = setInterval(() => {
@@ -180,7 +190,7 @@ class NPA43AClient extends EventEmitter {
             const timeSinceLastData = now - this.lastDataReceived;
             
             if (timeSinceLastData > 10000) { // 10 seconds without data
-                console.warn('⚠️ No data received for 10 seconds, connection may be stale');
+                log.warn('No data received for 10 seconds, connection may be stale', { amplifier: this.address });
                 this.isConnected = false;
                 this.emit('disconnected');
                 this.scheduleReconnect();
@@ -201,17 +211,23 @@ class NPA43AClient extends EventEmitter {
         }
 
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('❌ Max reconnection attempts reached');
+            log.error('Max reconnection attempts reached', { amplifier: this.address });
             this.emit('error', new Error('Max reconnection attempts reached'));
             return;
         }
 
         this.reconnectAttempts++;
+        this.stats.reconnectAttempts++;
         const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1); // Exponential backoff
         const maxDelay = 30000; // Max 30 seconds
         const actualDelay = Math.min(delay, maxDelay);
 
-        console.log(`🔄 Scheduling reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${actualDelay}ms`);
+        log.info('Scheduling reconnection', {
+            amplifier: this.address,
+            attempt: this.reconnectAttempts,
+            maxAttempts: this.maxReconnectAttempts,
+            delayMs: actualDelay
+        });
 
         this.reconnectInterval = setTimeout(async () => {
             this.reconnectInterval = null;
@@ -219,84 +235,14 @@ class NPA43AClient extends EventEmitter {
             try {
                 await this.connect();
             } catch (err) {
-                console.error('❌ Reconnection failed:', err.message);
+                log.error('Reconnection failed', { amplifier: this.address, error: err.message });
             }
         }, actualDelay);
     }
 
     findCompleteMessages(buffer) {
-        const messages = [];
-        let offset = 0;
-        
-        // First try to find standard protocol messages
-        while (offset < buffer.length) {
-            // Need at least 9 bytes to determine message length
-            if (offset + 9 > buffer.length) {
-                break;
-            }
-            
-            // Look for start header
-            if (buffer[offset] === 0xA5 && buffer[offset + 1] === 0xC3 && 
-                buffer[offset + 2] === 0x3C && buffer[offset + 3] === 0x5A) {
-                
-                // Get data length from byte 7
-                const dataLength = buffer[offset + 7];
-                const totalMessageLength = 8 + dataLength + 1; // 8 bytes header + data + 1 byte end header
-                
-                // Check if we have enough data for complete message
-                if (offset + totalMessageLength <= buffer.length) {
-                    // Check if end header is correct
-                    if (buffer[offset + totalMessageLength - 1] === 0xEE) {
-                        // Found a complete message
-                        const message = buffer.slice(offset, offset + totalMessageLength);
-                        messages.push(message);
-                        offset = offset + totalMessageLength;
-                    } else {
-                        // Invalid end header, skip this start header
-                        offset++;
-                    }
-                } else {
-                    // Incomplete message, stop here
-                    break;
-                }
-            } else {
-                // Skip this byte, it's not a start header
-                if (buffer[offset] === 0xA5) {
-                    offset++; // Might be start of next message, check next byte
-                } else {
-                    offset++; // Skip this byte
-                }
-            }
-        }
-        
-        // If no standard messages found, try to find any pattern that might be valid
-        if (messages.length === 0 && buffer.length >= 12) {
-            // Look for any segment that has plausible structure
-            for (let i = 0; i <= buffer.length - 12; i++) {
-                // Check for start header pattern
-                if (i + 4 <= buffer.length && 
-                    buffer[i] === 0xA5 && buffer[i + 1] === 0xC3 && 
-                    buffer[i + 2] === 0x3C && buffer[i + 3] === 0x5A) {
-                    
-                    // Check function code
-                    if (i + 6 < buffer.length && (buffer[i + 6] === 0x0E || buffer[i + 6] === 0x03)) {
-                        // Look for end header within reasonable distance
-                        for (let endPos = i + 11; endPos < Math.min(i + 20, buffer.length); endPos++) {
-                            if (buffer[endPos] === 0xEE) {
-                                const message = buffer.slice(i, endPos + 1);
-                                if (message.length >= 12) { // Minimum reasonable size
-                                    messages.push(message);
-                                    break;
-                                }
-                            }
-                        }
-                        if (messages.length > 0) break; // Take the first plausible match
-                    }
-                }
-            }
-        }
-        
-        return { messages, remainingOffset: offset };
+        const { frames, remainingOffset } = protocol.findFrames(buffer);
+        return { messages: frames, remainingOffset };
     }
 
     handleResponse(buffer) {
@@ -308,47 +254,45 @@ class NPA43AClient extends EventEmitter {
         
         // Process each complete message
         messages.forEach((message, index) => {
+            this.stats.framesReceived++;
             try {
                 const result = this.parseResponse(message);
                 
-                // Create cache key that includes actual values to detect real changes
-                const valueKey = result.db !== undefined ? result.db.toFixed(1) : (result.muted ? '1' : '0');
-                const cacheKey = `${result.channelType}-${result.channelId}-${valueKey}`;
-                const now = Date.now();
-                
-                // Check cache to avoid duplicate processing of identical values
-                const cached = this.responseCache.get(cacheKey);
-                if (cached && (now - cached.timestamp) < this.cacheTimeout) {
-                    return; // Skip duplicate response with same value
-                }
-                
-                // Update cache
-                this.responseCache.set(cacheKey, {
-                    ...result,
-                    timestamp: now
-                });
-                
-                // Clean old cache entries
-                if (this.responseCache.size > 32) { // Increased cache size for 8 channels
-                    for (const [key, value] of this.responseCache.entries()) {
-                        if (now - value.timestamp > this.cacheTimeout * 4) {
-                            this.responseCache.delete(key);
-                        }
-                    }
+                // Every poll reply; building the description is skipped unless it is wanted
+                if (log.enabled('debug')) {
+                    log.debug(`Received ${this.describeResult(result)}`, { amplifier: this.address });
                 }
                 
-                console.log(`✅ Received: ${result.channelType} ${result.channelId} = ${result.db !== undefined ? result.db.toFixed(1) + ' dB' : (result.muted ? 'MUTED' : 'UNMUTED')}`);
-                
                 // Update connection status - if we're receiving data, we're connected
                 if (!this.isConnected) {
-                    console.log('🔗 Connection status updated based on data reception');
+                    log.info('Connection status updated based on data reception', { amplifier: this.address });
                     this.isConnected = true;
                     this.emit('connected');
                 }
                 
-                this.emit('data', result);
+                // Resolve the request waiting for this reply, if any
+                this.commandQueue.handleReply(result);
+                
+                if (result.function === 'levelAll') {
+                    // Passed on as one level reading per channel, as if read one by one
+                    this.splitLevels(result).forEach(level => this.emit('data', level));
+                } else {
+                    this.emit('data', result);
+                }
             } catch (err) {
-                console.error('❌ Parse error:', err.message);
+                if (err.code === 'DEVICE_MISMATCH') {
+                    // Another unit behind the same gateway, or a wrongly set ID; every
+                    // poll would repeat it, so only the first from each ID is reported
+                    this.stats.deviceMismatches++;
+                    if (!this.mismatchedDeviceIds.has(err.deviceId)) {
+                        this.mismatchedDeviceIds.add(err.deviceId);
+                        log.warn(err.message, { amplifier: this.address, deviceId: err.deviceId });
+                        this.emit('error', err);
+                    }
+                    return;
+                }
+                this.stats.parseErrors++;
+                log.error('Parse error', { amplifier: this.address, error: err.message });
                 this.emit('error', err);
             }
         });
@@ -362,76 +306,90 @@ class NPA43AClient extends EventEmitter {
         
         // Prevent buffer from growing too large (corruption protection)
         if (this.dataBuffer.length > 4096) {
-            console.warn('⚠️  Buffer overflow, clearing data buffer');
+            log.warn('Buffer overflow, clearing data buffer', { amplifier: this.address });
+            this.stats.bufferOverflows++;
             this.dataBuffer = Buffer.alloc(0);
         }
     }
 
-    async sendCommand(channelType, channelId) {
+    splitLevels(result) {
+        const { levels, ...fields } = result;
+        return levels.slice(0, 4).map((db, index) => ({ ...fields, function: 'level', channelId: index + 1, db }));
+    }
+
+    describeResult(result) {
+        if (result.function === 'level') {
+            return `${result.channelType} ${result.channelId} = ${result.db.toFixed(1)} dB`;
+        }
+        if (result.function === 'mute' && result.command === 'read') {
+            return `${result.channelType} ${result.channelId} = ${result.muted ? 'MUTED' : 'UNMUTED'}`;
+        }
+        const { function: name, functionCode, command, deviceId, timestamp, ...fields } = result;
+        return `${name} ${command} ${JSON.stringify(fields)}`;
+    }
+
+    // Queue any registered function; reads resolve with the reply matching their
+    // device ID, function code and address (type/channel), writes resolve once sent
+    request(name, command, params = {}, { priority, timeout, retries, deviceId = this.deviceId } = {}) {
         if (!this.isConnected || !this.client) {
-            throw new Error('Not connected to amplifier');
+            return Promise.reject(new NotConnectedError());
         }
 
-        return new Promise((resolve, reject) => {
-            const command = this.createCommand(channelType, channelId);
-            let timeout = null;
-            
-            // Create a unique response handler for this specific command
-            const expectedResponseKey = `${channelType}-${channelId}`;
-            let responseHandler = null;
-            
-            const cleanup = () => {
-                if (timeout) {
-                    clearTimeout(timeout);
-                    timeout = null;
-                }
-                if (responseHandler) {
-                    this.client.removeListener('data', responseHandler);
-                    responseHandler = null;
-                }
-            };
-            
-            responseHandler = (data) => {
-                // Use the global handler to process this data
-                this.handleResponse(data);
-                
-                // Check if this response matches our expected channel
-                // This is a bit of a hack - we'll resolve after a short delay
-                // to let the global handler process the data
-                setTimeout(() => {
-                    // Look for a recent response that matches our expected channel
-                    const recentResponses = Array.from(this.responseCache.entries())
-                        .filter(([key, value]) => key.startsWith(expectedResponseKey))
-                        .filter(([key, value]) => Date.now() - value.timestamp < 200);
-                    
-                    if (recentResponses.length > 0) {
-                        const [, latestResponse] = recentResponses[recentResponses.length - 1];
-                        cleanup();
-                        resolve(latestResponse);
-                    }
-                }, 50);
-            };
-            
-            const onError = (err) => {
-                cleanup();
-                reject(err);
-            };
-            
-            // Set timeout for response
-            timeout = setTimeout(() => {
-                cleanup();
-                reject(new Error('Command timeout'));
-            }, 1000);
-            
-            this.client.once('data', responseHandler);
-            this.client.once('error', onError);
-            this.client.write(command);
+        let frame;
+        try {
+            frame = protocol.encode(name, command, params, { deviceId });
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        // 'output-2', or 'output-2@3' for device ID 3
+        const broadcast = deviceId === protocol.BROADCAST_DEVICE_ID;
+        const address = protocol.addressKey(name, params) + (broadcast ? '' : `@${deviceId}`);
+
+        if (command === 'write') {
+            // Writes have no status reply of their own; jump ahead of polling reads
+            return this.commandQueue.enqueue({
+                key: `write:${name}:${address}:${frame.toString('hex')}`,
+                frame,
+                expectReply: false,
+                priority: priority || 'high',
+                timeout,
+                retries
+            });
+        }
+
+        return this.commandQueue.enqueue({
+            key: `read:${name}:${address}`,
+            frame,
+            priority,
+            timeout,
+            retries,
+            match: result => (broadcast || result.deviceId === deviceId) && protocol.matchesRequest(result, name, params)
         });
     }
 
+    sendCommand(channelType, channelId, { deviceId } = {}) {
+        return this.request('level', 'read', { channelType, channelId }, { deviceId });
+    }
+
+    // All four channels of a type in one frame (0x0F); resolves with the raw reply
+    getLevels(channelType, { deviceId } = {}) {
+        return this.request('levelAll', 'read', { channelType }, { deviceId });
+    }
+
+    // The mute and gain reads of one device, in the order polling takes turns at them
+    statusReads(deviceId) {
+        const options = { deviceId };
+        return [
+            ...this.pollingSequence.map(channel => () => this.getMuteStatus(channel.type, channel.id, options)),
+            () => this.getMuteStatus('all-output', null, options),
+            ...this.pollingSequence.map(channel => () => this.getGain(channel.type, channel.id, options))
+        ];
+    }
+
     async sendBatchCommands(commands) {
         if (!this.isConnected || !this.client) {
-            throw new Error('Not connected to amplifier');
+            throw new NotConnectedError();
         }
 
         const promises = commands.map(cmd => this.sendCommand(cmd.type, cmd.id));
@@ -443,154 +401,133 @@ class NPA43AClient extends EventEmitter {
             this.stopPolling();
         }
 
-        console.log(`Starting polling with ${intervalMs}ms interval`);
+        log.info('Starting polling', { amplifier: this.address, intervalMs });
         
+        // Each cycle waits for its reads to settle, so cycles never pile up in the queue
         const poll = async () => {
-            if (!this.isConnected) {
-                return;
-            }
+            const cycleStart = Date.now();
 
-            try {
-                // Send all channel commands without waiting for individual responses
-                // The global handleResponse will process all incoming data
-                this.pollingSequence.forEach(channel => {
-                    const command = this.createCommand(channel.type, channel.id);
-                    this.client.write(command);
-                });
+            if (this.isConnected) {
+                const reads = [];
                 
-                // Also poll mute status for all channels
-                this.pollingSequence.forEach(channel => {
-                    const muteCommand = this.createMuteStatusCommand(channel.type, channel.id);
-                    this.client.write(muteCommand);
+                // Every frame waits its turn in the paced queue (200ms apart by default),
+                // so a cycle is two level frames plus statusReadsPerCycle status reads per
+                // device ID: about 0.8s for one unit. Gain reads keep faders in sync with
+                // front-panel changes.
+                this.deviceIds.forEach(deviceId => {
+                    reads.push(this.getLevels('input', { deviceId }));
+                    reads.push(this.getLevels('output', { deviceId }));
+                    
+                    const statusReads = this.statusReads(deviceId);
+                    for (let i = 0; i < Math.min(this.statusReadsPerCycle, statusReads.length); i++) {
+                        reads.push(statusReads[(this.statusReadIndex + i) % statusReads.length]());
+                    }
                 });
+                this.statusReadIndex += this.statusReadsPerCycle;
                 
-                // Poll master mute status
-                const masterMuteCommand = this.createMuteStatusCommand('all-output', null);
-                this.client.write(masterMuteCommand);
-                
-            } catch (err) {
-                console.error('Polling error:', err.message);
-                this.emit('error', err);
+                const results = await Promise.allSettled(reads);
+                const failed = results.filter(result => result.status === 'rejected' &&
+                    result.reason.code === 'COMMAND_TIMEOUT');
+                if (failed.length > 0) {
+                    log.warn('Polling reads timed out', { amplifier: this.address, count: failed.length });
+                }
+            }
+
+            if (this.pollingInterval) {
+                this.pollingInterval = setTimeout(poll, Math.max(0, intervalMs - (Date.now() - cycleStart)));
             }
         };
 
-        // Start immediately
-        poll();
-        
-        // Then set up interval
-        this.pollingInterval = setInterval(poll, intervalMs);
+        this.statusReadIndex = 0;
+        this.pollingInterval = setTimeout(poll, 0);
     }
 
     stopPolling() {
         if (this.pollingInterval) {
-            clearInterval(this.pollingInterval);
+            clearTimeout(this.pollingInterval);
             this.pollingInterval = null;
-            console.log('Polling stopped');
+            log.info('Polling stopped', { amplifier: this.address });
         }
     }
 
-    createMuteCommand(channelType, channelId, mute = true) {
-        let type, id;
-        
-        if (channelType === 'all-output') {
-            type = 0x02;
-            id = 0x00;
-        } else if (channelType === 'input') {
-            type = 0x01;
-            id = channelId;
-        } else if (channelType === 'output') {
-            type = 0x02;
-            id = channelId;
-        } else {
-            throw new Error(`Invalid channel type: ${channelType}`);
-        }
-        
-        return Buffer.from([
-            0xA5, 0xC3, 0x3C, 0x5A, // Start Header
-            this.deviceId,           // Device ID
-            0x36,                   // Write Command
-            0x03,                   // Function Code (Mute)
-            0x03,                   // Data Length
-            0x03,                   // Fixed
-            type,                   // Type (Input/Output)
-            id,                     // Channel ID
-            mute ? 0x01 : 0x00,     // Mute state (1=mute, 0=unmute)
-            0xEE                    // End Header
-        ]);
+    createMuteCommand(channelType, channelId, mute = true, deviceId = this.deviceId) {
+        return protocol.encode('mute', 'write', { channelType, channelId, muted: mute }, { deviceId });
     }
 
-    createMuteStatusCommand(channelType, channelId) {
-        let type, id;
-        
-        if (channelType === 'all-output') {
-            type = 0x02;
-            id = 0x00;
-        } else if (channelType === 'input') {
-            type = 0x01;
-            id = channelId;
-        } else if (channelType === 'output') {
-            type = 0x02;
-            id = channelId;
-        } else {
-            throw new Error(`Invalid channel type: ${channelType}`);
-        }
-        
-        return Buffer.from([
-            0xA5, 0xC3, 0x3C, 0x5A, // Start Header
-            this.deviceId,           // Device ID
-            0x63,                   // Read Command
-            0x03,                   // Function Code (Mute Status)
-            0x02,                   // Data Length
-            type,                   // Type (Input/Output)
-            id,                     // Channel ID
-            0xEE                    // End Header
-        ]);
+    createMuteStatusCommand(channelType, channelId, deviceId = this.deviceId) {
+        return protocol.encode('mute', 'read', { channelType, channelId }, { deviceId });
     }
 
-    async setMute(channelType, channelId, mute = true) {
+    async setMute(channelType, channelId, mute = true, { deviceId = this.deviceId } = {}) {
         if (!this.isConnected || !this.client) {
-            throw new Error('Not connected to amplifier');
+            throw new NotConnectedError();
         }
 
-        const command = this.createMuteCommand(channelType, channelId, mute);
-        
-        console.log(`\n=== SENDING MUTE COMMAND ===`);
-        console.log(`Target: ${channelType}${channelId !== undefined ? ' ' + channelId : ''}`);
-        console.log(`Action: ${mute ? 'MUTE' : 'UNMUTE'}`);
-        console.log(`Hex: ${command.toString('hex').toUpperCase()}`);
-        console.log(`Bytes: [${Array.from(command).join(', ')}]`);
-        
-        // Log each byte with meaning
-        console.log(`Breakdown:`);
-        console.log(`  Header: 0x${command.slice(0,4).toString('hex').toUpperCase()} (A5 C3 3C 5A)`);
-        console.log(`  Device ID: 0x${command[4].toString(16).toUpperCase()} (${command[4]})`);
-        console.log(`  Command: 0x${command[5].toString(16).toUpperCase()} (${command[5]} = Write)`);
-        console.log(`  Function: 0x${command[6].toString(16).toUpperCase()} (${command[6]} = Mute)`);
-        console.log(`  Length: 0x${command[7].toString(16).toUpperCase()} (${command[7]} bytes)`);
-        console.log(`  Fixed: 0x${command[8].toString(16).toUpperCase()} (${command[8]})`);
-        console.log(`  Type: 0x${command[9].toString(16).toUpperCase()} (${command[9]} = ${command[9] === 0x01 ? 'Input' : 'Output'})`);
-        console.log(`  Channel ID: 0x${command[10].toString(16).toUpperCase()} (${command[10]})`);
-        console.log(`  Mute State: 0x${command[11].toString(16).toUpperCase()} (${command[11]} = ${command[11] === 0x01 ? 'Mute' : 'Unmute'})`);
-        console.log(`  End: 0x${command[12].toString(16).toUpperCase()} (EE)`);
+        log.debug('Sending mute', {
+            amplifier: this.address,
+            deviceId,
+            channelType,
+            channelId,
+            mute,
+            frame: this.createMuteCommand(channelType, channelId, mute, deviceId).toString('hex').toUpperCase()
+        });
         
-        this.client.write(command);
+        const confirmed = await this.writeAndConfirm('mute', { channelType, channelId, muted: mute },
+            result => result.muted === mute, { deviceId });
         
-        console.log(`✓ Command sent to amplifier at ${this.amplifierIP}:${this.port}`);
-        console.log(`=== END MUTE COMMAND ===\n`);
+        log.info('Mute confirmed', { amplifier: this.address, deviceId, channelType, channelId, mute });
+        return confirmed;
     }
 
-    async getMuteStatus(channelType, channelId) {
-        if (!this.isConnected || !this.client) {
-            throw new Error('Not connected to amplifier');
+    getMuteStatus(channelType, channelId, { deviceId } = {}) {
+        return this.request('mute', 'read', { channelType, channelId }, { deviceId });
+    }
+
+    getGain(channelType, channelId, { deviceId } = {}) {
+        return this.request('volume', 'read', { channelType, channelId }, { deviceId });
+    }
+
+    // Resolves with the value the amp applied, after reading it back
+    async setGain(channelType, channelId, db, { deviceId = this.deviceId } = {}) {
+        const confirmed = await this.writeAndConfirm('volume', { channelType, channelId, db },
+            result => Math.abs(result.db - db) < 0.05, { deviceId });
+        log.info('Gain confirmed', { amplifier: this.address, deviceId, channelType, channelId, db: confirmed.db });
+        return confirmed;
+    }
+
+    // Send a write, then read the same address back until `isApplied` holds for the
+    // reply or confirmTimeout runs out
+    async writeAndConfirm(name, params, isApplied, { deviceId } = {}) {
+        await this.request(name, 'write', params, { deviceId });
+
+        const deadline = Date.now() + this.confirmTimeout;
+        let lastReply = null;
+
+        while (Date.now() < deadline) {
+            try {
+                lastReply = await this.request(name, 'read', params, {
+                    priority: 'high',
+                    timeout: Math.max(1, deadline - Date.now()),
+                    retries: 0,
+                    deviceId
+                });
+                if (isApplied(lastReply)) {
+                    return lastReply;
+                }
+            } catch (err) {
+                if (err.code !== 'COMMAND_TIMEOUT') {
+                    throw err;
+                }
+            }
         }
 
-        const command = this.createMuteStatusCommand(channelType, channelId);
-        this.client.write(command);
+        throw new WriteNotConfirmedError(`${name}:${protocol.addressKey(name, params)}`, lastReply);
     }
 
     disconnect() {
         this.stopPolling();
         this.stopConnectionMonitoring();
+        this.commandQueue.clear('disconnected');
         
         // Clear any pending reconnection
         if (this.reconnectInterval) {
@@ -605,6 +542,11 @@ class NPA43AClient extends EventEmitter {
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.dataBuffer = Buffer.alloc(0); // Clear buffer on disconnect
+        
+        if (this.capture) {
+            this.capture.stop('disconnected');
+            this.capture = null;
+        }
     }
 }
 
@@ -0,0 +1,226 @@
+const EventEmitter = require('events');
+const net = require('net');
+const os = require('os');
+const protocol = require('./protocol');
+const { InvalidParameterError } = require('./errors');
+
+const log = require('./logger').child('amplifier-discovery');
+
+// Address NPA43A/NPA23A units ship with; worth probing on any link-local interface
+// even when the /16 around it is too big to scan
+const FACTORY_ADDRESS = '169.254.21.36';
+
+function ipToInt(ip) {
+    return ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+function intToIp(value) {
+    return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+// '192.168.1.0/24' -> { network, prefix }; a bare address is a /32
+function parseSubnet(text) {
+    const [address, prefixText = '32'] = String(text).trim().split('/');
+    const prefix = Number(prefixText);
+    if (!net.isIPv4(address) || !/^\d+$/.test(prefixText) || prefix > 32) {
+        throw new InvalidParameterError('subnet', 'must be an IPv4 address or CIDR range, e.g. 192.168.1.0/24');
+    }
+    const size = 2 ** (32 - prefix);
+    return { network: Math.floor(ipToInt(address) / size) * size, prefix };
+}
+
+function formatSubnet({ network, prefix }) {
+    return `${intToIp(network)}/${prefix}`;
+}
+
+// Host addresses in a range; the network and broadcast addresses are left out below /31
+function subnetHosts({ network, prefix }) {
+    const size = 2 ** (32 - prefix);
+    const hosts = [];
+    const [first, last] = prefix >= 31 ? [0, size - 1] : [1, size - 2];
+    for (let offset = first; offset <= last; offset++) {
+        hosts.push(intToIp(network + offset));
+    }
+    return hosts;
+}
+
+// Finds amplifiers by connecting to every host in a range on TCP 8234 and asking for
+// the input 1 level. Hosts whose reply decodes as a level reply count as amplifiers;
+// the reply's device ID is reported, and the model is inferred from whether the
+// unit also answers for channel 3 (NPA43A has four channels, NPA23A two).
+class AmplifierDiscovery extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.port = options.port !== undefined ? options.port : 8234;
+        this.timeout = options.timeout !== undefined ? options.timeout : 800;
+        this.concurrency = options.concurrency !== undefined ? options.concurrency : 64;
+        this.maxHosts = options.maxHosts !== undefined ? options.maxHosts : 4096;
+
+        this.scanning = false;
+        this.subnets = [];
+        this.results = [];
+        this.scanned = 0;
+        this.total = 0;
+        this.startedAt = null;
+        this.finishedAt = null;
+    }
+
+    // The server's own IPv4 networks. Ranges bigger than a /22 (link-local is a /16)
+    // are cut down to the /24 around the server's address, plus the factory address.
+    interfaceSubnets() {
+        const subnets = [];
+        Object.values(os.networkInterfaces()).flat().forEach(entry => {
+            if (!entry || entry.family !== 'IPv4' || entry.internal) {
+                return;
+            }
+            const range = parseSubnet(entry.cidr);
+            subnets.push(formatSubnet(range.prefix >= 22 ? range : parseSubnet(`${entry.address}/24`)));
+            if (entry.address.startsWith('169.254.')) {
+                subnets.push(FACTORY_ADDRESS);
+            }
+        });
+        return Array.from(new Set(subnets));
+    }
+
+    // Throws InvalidParameterError straight away for a bad or oversized subnet; the
+    // promise resolves with the results once every host has been probed. Progress
+    // goes out as 'progress' events.
+    scan({ subnet } = {}) {
+        if (this.scanning) {
+            throw new Error('A discovery scan is already running');
+        }
+
+        const subnets = subnet ? [String(subnet).trim()] : this.interfaceSubnets();
+        const ranges = subnets.map(parseSubnet);
+        // Checked before listing the hosts, so a /8 typed by mistake costs nothing
+        const count = ranges.reduce((sum, range) => sum + 2 ** (32 - range.prefix), 0);
+        if (count > this.maxHosts) {
+            throw new InvalidParameterError('subnet', `covers ${count} addresses, the limit is ${this.maxHosts}`);
+        }
+        const hosts = Array.from(new Set(ranges.flatMap(subnetHosts)));
+
+        return this.run(subnets, hosts);
+    }
+
+    async run(subnets, hosts) {
+        this.scanning = true;
+        this.subnets = subnets;
+        this.results = [];
+        this.scanned = 0;
+        this.total = hosts.length;
+        this.startedAt = Date.now();
+        this.finishedAt = null;
+        log.info('Scanning for amplifiers', { hosts: hosts.length, subnets: subnets.join(',') });
+        this.emit('progress', this.status());
+
+        let next = 0;
+        const worker = async () => {
+            while (next < hosts.length) {
+                const ip = hosts[next++];
+                const result = await this.probe(ip);
+                this.scanned++;
+                if (result) {
+                    log.info(`Found ${result.model}`, { ip, deviceId: result.deviceId });
+                    this.results.push(result);
+                    this.results.sort((a, b) => ipToInt(a.ip) - ipToInt(b.ip));
+                }
+                // Every host would flood the clients; report finds and every 5%
+                if (result || this.scanned % Math.max(1, Math.ceil(hosts.length / 20)) === 0) {
+                    this.emit('progress', this.status());
+                }
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(this.concurrency, hosts.length) }, worker));
+        } finally {
+            this.scanning = false;
+            this.finishedAt = Date.now();
+        }
+
+        log.info('Discovery finished', { found: this.results.length });
+        this.emit('progress', this.status());
+        return this.results;
+    }
+
+    // Resolves with { ip, port, deviceId, model, channels, responseMs }, or null when
+    // nothing listens or what answers does not speak the protocol
+    probe(ip) {
+        return new Promise(resolve => {
+            const socket = net.connect({ host: ip, port: this.port });
+            let buffer = Buffer.alloc(0);
+            let result = null;
+            let timer = null;
+            let sentAt = 0;
+            let pending = null; // { params, handler } for the read awaiting its reply
+
+            const finish = (value) => {
+                clearTimeout(timer);
+                socket.destroy();
+                resolve(value);
+            };
+
+            // Each step gets its own timeout; a silent host ends the probe with what we have
+            const request = (channelType, channelId, handler) => {
+                sentAt = Date.now();
+                pending = { params: { channelType, channelId }, handler };
+                socket.write(protocol.encode('level', 'read', pending.params));
+                clearTimeout(timer);
+                timer = setTimeout(() => finish(result && { ...result, model: 'NPA23A', channels: 2 }), this.timeout);
+            };
+
+            socket.once('connect', () => {
+                request('input', 1, (reply) => {
+                    result = {
+                        ip,
+                        port: this.port,
+                        deviceId: reply.deviceId,
+                        responseMs: Date.now() - sentAt
+                    };
+                    request('input', 3, () => finish({ ...result, model: 'NPA43A', channels: 4 }));
+                });
+            });
+
+            socket.on('data', (data) => {
+                buffer = Buffer.concat([buffer, data]);
+                const { frames, remainingOffset } = protocol.findFrames(buffer);
+                buffer = buffer.slice(remainingOffset);
+                frames.forEach(frame => {
+                    let reply;
+                    try {
+                        reply = protocol.decode(frame);
+                    } catch (err) {
+                        return; // Not a reply we understand; wait for a valid one or time out
+                    }
+                    if (pending && protocol.matchesRequest(reply, 'level', pending.params)) {
+                        const { handler } = pending;
+                        pending = null;
+                        handler(reply);
+                    }
+                });
+                // Something else on the port that never frames a reply
+                if (buffer.length > 1024) {
+                    finish(null);
+                }
+            });
+
+            socket.on('error', () => finish(null));
+            socket.on('close', () => finish(result && { ...result, model: 'NPA23A', channels: 2 }));
+            timer = setTimeout(() => finish(null), this.timeout);
+        });
+    }
+
+    status() {
+        return {
+            scanning: this.scanning,
+            subnets: this.subnets,
+            scanned: this.scanned,
+            total: this.total,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            results: this.results
+        };
+    }
+}
+
+module.exports = AmplifierDiscovery;
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const ChannelCounters = require('./channel-counters');
+const channelLayout = require('./channel-layout');
+const LevelHistory = require('./level-history');
+const LevelStats = require('./level-stats');
+const protocol = require('./protocol');
+const { InvalidParameterError } = require('./errors');
+
+const log = require('./logger').child('amplifier-fleet');
+
+const HOSTNAME_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?)*$/;
+
+// 'Main Hall Left' -> 'main-hall-left'
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'amp';
+}
+
+// One amplifier: its saved settings plus the client and the state read from it.
+// Amplifiers at the same address share one client, each polled under its device ID.
+class Amplifier {
+    constructor({ id, name, ip, port, deviceId, autoConnect, channels, layout }, options = {}) {
+        this.id = id;
+        this.name = name;
+        this.ip = ip;
+        this.port = port;
+        this.deviceId = deviceId !== undefined ? deviceId : protocol.BROADCAST_DEVICE_ID; // Saved before device IDs were configurable
+        this.autoConnect = autoConnect;
+        // How the dashboard shows each channel, in display order; saved lists fill in any channel they lack
+        this.channels = channelLayout.mergeChannels(channelLayout.defaultChannels(), channels || []);
+        this.layout = layout || 'grid';
+        this.client = null;
+        this.levelStates = {}; // Last level read from the amp, keyed like 'output-2'
+        this.gainStates = {}; // Last gain read from the amp, keyed like 'output-2'
+        this.muteStates = {}; // Last mute state read from the amp, keyed like 'output-2' or 'all-output'
+        this.counters = new ChannelCounters(options.counters);
+        this.history = new LevelHistory(options.history);
+        this.stats = new LevelStats(options.stats);
+    }
+
+    get isConnected() {
+        return !!(this.client && this.client.isConnected);
+    }
+
+    // Forget what was read over the last connection; counters, history and statistics are kept
+    resetState() {
+        this.levelStates = {};
+        this.gainStates = {};
+        this.muteStates = {};
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            ip: this.ip,
+            port: this.port,
+            deviceId: this.deviceId,
+            autoConnect: this.autoConnect,
+            channels: this.channels,
+            layout: this.layout
+        };
+    }
+
+    // Settings plus live connection state, as sent to clients. `replay` is set while
+    // a capture is played back in place of the connection.
+    summary() {
+        return {
+            ...this.toJSON(),
+            connected: this.isConnected,
+            connecting: !!this.client && !this.client.isConnected,
+            capturing: !!(this.client && this.client.capture),
+            replay: this.client && this.client.replay ? this.client.replayStatus() : null
+        };
+    }
+}
+
+// The named list of amplifiers this server manages, saved to disk so it
+// survives restarts. Amplifiers whose autoConnect is set are reconnected on start.
+class AmplifierFleet {
+    constructor(options = {}) {
+        this.file = options.file !== undefined ? options.file : path.join(__dirname, '../data/amplifiers.json');
+        this.amplifierOptions = {
+            counters: options.counters,
+            history: options.history,
+            stats: options.stats
+        };
+        this.amplifiers = new Map();
+
+        this.load().forEach(definition => {
+            this.amplifiers.set(definition.id, new Amplifier(definition, this.amplifierOptions));
+        });
+    }
+
+    load() {
+        if (!this.file) {
+            return [];
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log.error('Could not read amplifiers', { file: this.file, error: err.message });
+            }
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.list(), null, 2));
+    }
+
+    // Throws InvalidParameterError; returns the fields that were given, cleaned up
+    validate(fields, { partial = false } = {}) {
+        const amplifier = {};
+
+        if (fields.name !== undefined || !partial) {
+            if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 64) {
+                throw new InvalidParameterError('name', 'must be a non-empty string of up to 64 characters');
+            }
+            amplifier.name = fields.name.trim();
+        }
+
+        if (fields.ip !== undefined || !partial) {
+            if (typeof fields.ip !== 'string' || !(net.isIP(fields.ip) || HOSTNAME_PATTERN.test(fields.ip))) {
+                throw new InvalidParameterError('ip', 'must be an IP address or host name');
+            }
+            amplifier.ip = fields.ip;
+        }
+
+        if (fields.port !== undefined) {
+            if (!Number.isInteger(fields.port) || fields.port < 1 || fields.port > 65535) {
+                throw new InvalidParameterError('port', 'must be an integer between 1 and 65535');
+            }
+            amplifier.port = fields.port;
+        }
+
+        if (fields.deviceId !== undefined) {
+            if (!Number.isInteger(fields.deviceId) || fields.deviceId < 0 || fields.deviceId > 0xFF) {
+                throw new InvalidParameterError('deviceId', 'must be an integer between 0 and 255 (255 reaches any unit)');
+            }
+            amplifier.deviceId = fields.deviceId;
+        }
+
+        if (fields.autoConnect !== undefined) {
+            if (typeof fields.autoConnect !== 'boolean') {
+                throw new InvalidParameterError('autoConnect', 'must be true or false');
+            }
+            amplifier.autoConnect = fields.autoConnect;
+        }
+
+        if (fields.channels !== undefined) {
+            amplifier.channels = channelLayout.validateChannels(fields.channels);
+        }
+
+        if (fields.layout !== undefined) {
+            amplifier.layout = channelLayout.validateLayout(fields.layout);
+        }
+
+        return amplifier;
+    }
+
+    list() {
+        return Array.from(this.amplifiers.values());
+    }
+
+    get(id) {
+        return this.amplifiers.get(id) || null;
+    }
+
+    // What requests that don't name an amplifier act on: the first one added
+    defaultAmplifier() {
+        return this.list()[0] || null;
+    }
+
+    // With a deviceId, only the amplifier polled under that ID matches
+    findByAddress(ip, port = 8234, deviceId) {
+        return this.list().find(amplifier => amplifier.ip === ip && amplifier.port === port &&
+            (deviceId === undefined || amplifier.deviceId === deviceId)) || null;
+    }
+
+    // Two amplifiers at one address must be polled under different device IDs
+    checkUnique({ ip, port, deviceId }, id = null) {
+        const other = this.findByAddress(ip, port, deviceId);
+        if (other && other.id !== id) {
+            throw new InvalidParameterError('deviceId', `${other.name} already uses device ID ${deviceId} at ${ip}:${port}`);
+        }
+    }
+
+    add(fields) {
+        const definition = {
+            port: 8234,
+            deviceId: protocol.BROADCAST_DEVICE_ID,
+            autoConnect: false,
+            ...this.validate(fields)
+        };
+        this.checkUnique(definition);
+
+        // IDs come from the name so they read well in URLs, alarms and metrics
+        const base = slugify(definition.name);
+        let id = base;
+        for (let n = 2; this.amplifiers.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+
+        const amplifier = new Amplifier({ id, ...definition }, this.amplifierOptions);
+        this.amplifiers.set(id, amplifier);
+        this.save();
+        return amplifier;
+    }
+
+    update(id, fields) {
+        const amplifier = this.get(id);
+        if (!amplifier) {
+            return null;
+        }
+        const changes = this.validate(fields, { partial: true });
+        this.checkUnique({ ...amplifier.toJSON(), ...changes }, id);
+        if (changes.channels) {
+            changes.channels = channelLayout.mergeChannels(amplifier.channels, changes.channels);
+        }
+        Object.assign(amplifier, changes);
+        this.save();
+        return amplifier;
+    }
+
+    remove(id) {
+        const amplifier = this.get(id);
+        if (!amplifier) {
+            return null;
+        }
+        this.amplifiers.delete(id);
+        this.save();
+        return amplifier;
+    }
+
+    summaries() {
+        return this.list().map(amplifier => amplifier.summary());
+    }
+}
+
+module.exports = AmplifierFleet;
@@ -0,0 +1,489 @@
+#!/usr/bin/env node
+
+const net = require('net');
+const readline = require('readline');
+const EventEmitter = require('events');
+const protocol = require('./protocol');
+const logging = require('./logger');
+
+const log = logging.child('simulator');
+
+const CHANNEL_KEYS = [
+    'input-1', 'input-2', 'input-3', 'input-4',
+    'output-1', 'output-2', 'output-3', 'output-4'
+];
+
+const SIGNAL_DEFAULTS = {
+    sine: { level: -20, amplitude: 10, period: 4000 },
+    noise: { level: -30, spread: 6 },
+    silence: {},
+    clip: { level: -12, burstLevel: 3, interval: 5000, duration: 500 }
+};
+
+const FAULT_TYPES = ['fragment', 'garbage', 'drop', 'stall', 'disconnect'];
+
+class NPA43ASimulator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.port = options.port !== undefined ? options.port : 8234;
+        this.host = options.host || '0.0.0.0';
+        this.deviceId = options.deviceId !== undefined ? options.deviceId : protocol.BROADCAST_DEVICE_ID;
+        this.floorDb = options.floorDb !== undefined ? options.floorDb : -60;
+        this.responseDelay = options.responseDelay !== undefined ? options.responseDelay : 5;
+        this.ackWrites = options.ackWrites || false;
+        this.server = null;
+        this.sockets = new Set();
+        this.startTime = Date.now();
+
+        // Scripted signal per channel, keyed the same way as the dashboard meters
+        this.signals = {};
+        CHANNEL_KEYS.forEach((key, index) => {
+            // Stagger the default sines so the meters don't move in lockstep
+            this.signals[key] = this.normalizeSignal({ shape: 'sine', period: 3000 + index * 500 });
+        });
+        Object.entries(options.signals || {}).forEach(([key, spec]) => this.setSignal(key, spec));
+
+        // Mute state persists across writes; output-0 is the all-output (master) mute
+        this.muteStates = { 'output-0': false };
+        CHANNEL_KEYS.forEach(key => {
+            this.muteStates[key] = false;
+        });
+        Object.entries(options.mutes || {}).forEach(([key, muted]) => this.setMute(key, muted));
+
+        // Channel volume (0x04) in dB; the scripted signal is offset by it
+        this.gains = {};
+        CHANNEL_KEYS.forEach(key => {
+            this.gains[key] = 0;
+        });
+        Object.entries(options.gains || {}).forEach(([key, db]) => this.setGain(key, db));
+
+        // Faults queued on demand and consumed by upcoming replies
+        this.faults = {
+            fragment: 0,
+            garbage: 0,
+            drop: 0,
+            stalledUntil: 0
+        };
+    }
+
+    normalizeSignal(spec) {
+        const shape = typeof spec === 'string' ? spec : spec.shape;
+        if (!SIGNAL_DEFAULTS[shape]) {
+            throw new Error(`Unknown signal shape: ${shape}`);
+        }
+        return { ...SIGNAL_DEFAULTS[shape], ...(typeof spec === 'string' ? {} : spec), shape };
+    }
+
+    setSignal(channelKey, spec) {
+        if (!CHANNEL_KEYS.includes(channelKey)) {
+            throw new Error(`Unknown channel: ${channelKey}`);
+        }
+        this.signals[channelKey] = this.normalizeSignal(spec);
+    }
+
+    setMute(channelKey, muted) {
+        if (!(channelKey in this.muteStates)) {
+            throw new Error(`Unknown channel: ${channelKey}`);
+        }
+        this.muteStates[channelKey] = !!muted;
+        this.emit('mute', { channel: channelKey, muted: !!muted });
+    }
+
+    setGain(channelKey, db) {
+        if (!(channelKey in this.gains)) {
+            throw new Error(`Unknown channel: ${channelKey}`);
+        }
+        if (typeof db !== 'number' || db < -60 || db > 12) {
+            throw new Error('Gain must be between -60 and 12 dB');
+        }
+        this.gains[channelKey] = Math.round(db * 10) / 10;
+        this.emit('gain', { channel: channelKey, db: this.gains[channelKey] });
+    }
+
+    isMuted(channelKey) {
+        if (this.muteStates[channelKey]) {
+            return true;
+        }
+        return channelKey.startsWith('output-') && this.muteStates['output-0'];
+    }
+
+    levelAt(channelKey, now = Date.now()) {
+        const signal = this.signals[channelKey];
+        if (!signal || this.isMuted(channelKey)) {
+            return this.floorDb;
+        }
+
+        const elapsed = now - this.startTime;
+        let db;
+
+        switch (signal.shape) {
+            case 'sine':
+                db = signal.level + signal.amplitude * Math.sin((2 * Math.PI * elapsed) / signal.period);
+                break;
+            case 'noise':
+                db = signal.level + (Math.random() * 2 - 1) * signal.spread;
+                break;
+            case 'clip':
+                db = (elapsed % signal.interval) < signal.duration ? signal.burstLevel : signal.level;
+                break;
+            default:
+                db = this.floorDb;
+        }
+
+        return Math.max(this.floorDb, Math.round((db + this.gains[channelKey]) * 10) / 10);
+    }
+
+    injectFault(type, amount) {
+        switch (type) {
+            case 'fragment':
+            case 'garbage':
+            case 'drop':
+                this.faults[type] += amount !== undefined ? amount : 1;
+                break;
+            case 'stall':
+                // Stop answering for a while; sockets stay open but go silent
+                this.faults.stalledUntil = Date.now() + (amount !== undefined ? amount : 15000);
+                break;
+            case 'disconnect':
+                this.sockets.forEach(socket => socket.destroy());
+                break;
+            default:
+                throw new Error(`Unknown fault: ${type}. Expected one of ${FAULT_TYPES.join(', ')}`);
+        }
+        log.info('Fault injected', { type, amount });
+        this.emit('fault', { type, amount });
+    }
+
+    clearFaults() {
+        this.faults.fragment = 0;
+        this.faults.garbage = 0;
+        this.faults.drop = 0;
+        this.faults.stalledUntil = 0;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer(socket => this.handleConnection(socket));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                log.info('NPA43A simulator listening', { host: this.host, port: this.port, deviceId: `0x${this.deviceId.toString(16).toUpperCase()}` });
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            this.sockets.forEach(socket => socket.destroy());
+            this.sockets.clear();
+            if (!this.server) {
+                return resolve();
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    handleConnection(socket) {
+        const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+        log.info('Client connected', { remote });
+        this.sockets.add(socket);
+        socket.buffer = Buffer.alloc(0);
+
+        socket.on('data', (data) => {
+            socket.buffer = Buffer.concat([socket.buffer, data]);
+            this.processBuffer(socket);
+        });
+
+        socket.on('close', () => {
+            log.info('Client disconnected', { remote });
+            this.sockets.delete(socket);
+        });
+
+        socket.on('error', (err) => {
+            log.error('Socket error', { remote, error: err.message });
+        });
+
+        this.emit('connection', socket);
+    }
+
+    processBuffer(socket) {
+        const { frames, remainingOffset } = protocol.findFrames(socket.buffer);
+        socket.buffer = socket.buffer.slice(remainingOffset);
+        frames.forEach(frame => this.handleFrame(socket, frame));
+    }
+
+    handleFrame(socket, frame) {
+        log.debug('Received frame', { frame: frame.toString('hex').toUpperCase() });
+
+        let request;
+        try {
+            request = protocol.decode(frame, { direction: 'request' });
+        } catch (err) {
+            log.warn('Unhandled frame', { frame: frame.toString('hex').toUpperCase(), error: err.message });
+            this.emit('unhandled', frame);
+            return;
+        }
+
+        if (request.deviceId !== this.deviceId && request.deviceId !== protocol.BROADCAST_DEVICE_ID) {
+            return; // Addressed to another unit on the link
+        }
+
+        const channelKey = `${request.channelType}-${request.channelId}`;
+
+        if (request.function === 'level' && request.command === 'read') {
+            if (!this.signals[channelKey]) {
+                return;
+            }
+            this.reply(socket, protocol.encodeReply('level', {
+                channelType: request.channelType,
+                channelId: request.channelId,
+                db: this.levelAt(channelKey)
+            }, { deviceId: this.deviceId }));
+        } else if (request.function === 'levelAll' && request.command === 'read') {
+            this.reply(socket, protocol.encodeReply('levelAll', {
+                channelType: request.channelType,
+                levels: [1, 2, 3, 4].map(id => this.levelAt(`${request.channelType}-${id}`))
+            }, { deviceId: this.deviceId }));
+        } else if (request.function === 'mute' && request.command === 'read') {
+            if (!(channelKey in this.muteStates)) {
+                return;
+            }
+            this.reply(socket, protocol.encodeReply('mute', {
+                channelType: request.channelType,
+                channelId: request.channelId,
+                muted: this.muteStates[channelKey]
+            }, { deviceId: this.deviceId }));
+        } else if (request.function === 'mute' && request.command === 'write') {
+            if (!(channelKey in this.muteStates)) {
+                return;
+            }
+            this.setMute(channelKey, request.muted);
+            log.info(request.muted ? 'Muted' : 'Unmuted', { channel: channelKey });
+            if (this.ackWrites) {
+                this.reply(socket, protocol.encodeAck('mute', true, { deviceId: this.deviceId }));
+            }
+        } else if (request.function === 'volume' && request.command === 'read') {
+            if (!(channelKey in this.gains)) {
+                return;
+            }
+            this.reply(socket, protocol.encodeReply('volume', {
+                channelType: request.channelType,
+                channelId: request.channelId,
+                db: this.gains[channelKey]
+            }, { deviceId: this.deviceId }));
+        } else if (request.function === 'volume' && request.command === 'write') {
+            if (!(channelKey in this.gains)) {
+                return;
+            }
+            // An out-of-range value gets failure feedback (0x01); a throw here would
+            // escape the socket's data handler and take the simulator down
+            try {
+                this.setGain(channelKey, request.db);
+            } catch (err) {
+                log.warn('Gain refused', { channel: channelKey, db: request.db, error: err.message });
+                this.reply(socket, protocol.encodeAck('volume', false, { deviceId: this.deviceId }));
+                return;
+            }
+            log.info('Gain set', { channel: channelKey, db: request.db });
+            if (this.ackWrites) {
+                this.reply(socket, protocol.encodeAck('volume', true, { deviceId: this.deviceId }));
+            }
+        } else {
+            log.warn('Unhandled frame', { frame: frame.toString('hex').toUpperCase() });
+            this.emit('unhandled', frame);
+        }
+    }
+
+    reply(socket, frame) {
+        if (Date.now() < this.faults.stalledUntil) {
+            return;
+        }
+
+        if (this.faults.drop > 0) {
+            this.faults.drop--;
+            return;
+        }
+
+        let chunks = [frame];
+
+        if (this.faults.garbage > 0) {
+            this.faults.garbage--;
+            const garbage = Buffer.from(Array.from({ length: 3 + Math.floor(Math.random() * 6) },
+                () => Math.floor(Math.random() * 256)));
+            chunks = [garbage, frame];
+        }
+
+        if (this.faults.fragment > 0) {
+            this.faults.fragment--;
+            // Split into small pieces so the client has to reassemble across data events
+            const joined = Buffer.concat(chunks);
+            chunks = [];
+            for (let i = 0; i < joined.length; i += 3) {
+                chunks.push(joined.slice(i, i + 3));
+            }
+        }
+
+        chunks.forEach((chunk, index) => {
+            setTimeout(() => {
+                if (!socket.destroyed) {
+                    socket.write(chunk);
+                    log.debug('Sent frame', { frame: chunk.toString('hex').toUpperCase() });
+                }
+            }, this.responseDelay + index * 20);
+        });
+    }
+
+    getStatus() {
+        return {
+            port: this.port,
+            deviceId: this.deviceId,
+            clients: this.sockets.size,
+            signals: this.signals,
+            muteStates: this.muteStates,
+            gains: this.gains,
+            faults: { ...this.faults, stalled: Date.now() < this.faults.stalledUntil }
+        };
+    }
+}
+
+// Parse "sine,level=-18,amplitude=6" into a signal spec
+function parseSignalSpec(text) {
+    const [shape, ...params] = text.split(',');
+    const spec = { shape };
+    params.forEach(param => {
+        const [key, value] = param.split('=');
+        spec[key] = Number(value);
+    });
+    return spec;
+}
+
+function parseArgs(argv) {
+    const options = { signals: {}, mutes: {}, gains: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--port':
+                options.port = parseInt(argv[++i], 10);
+                break;
+            case '--host':
+                options.host = argv[++i];
+                break;
+            case '--device-id':
+                options.deviceId = parseInt(argv[++i]);
+                break;
+            case '--signal': {
+                // --signal output-2=sine,level=-18,amplitude=6
+                const value = argv[++i];
+                const key = value.split('=')[0];
+                options.signals[key] = parseSignalSpec(value.slice(key.length + 1));
+                break;
+            }
+            case '--mute':
+                options.mutes[argv[++i]] = true;
+                break;
+            case '--gain': {
+                // --gain input-1=-12.5
+                const [key, db] = argv[++i].split('=');
+                options.gains[key] = Number(db);
+                break;
+            }
+            case '--ack-writes':
+                options.ackWrites = true;
+                break;
+            case '--verbose':
+                logging.logger.configure({ categories: { simulator: 'debug' } });
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function printHelp() {
+    console.log([
+        'Commands:',
+        '  fragment [n]                 split the next n replies into 3-byte chunks',
+        '  garbage [n]                  prefix the next n replies with random bytes',
+        '  drop [n]                     swallow the next n replies',
+        '  stall [ms]                   stop replying for ms (default 15000)',
+        '  disconnect                   close all client sockets',
+        '  clear                        cancel pending faults',
+        '  mute <channel> on|off        e.g. mute output-0 on (master)',
+        '  gain <channel> <dB>          e.g. gain input-1 -12.5 (front-panel change)',
+        '  signal <channel> <spec>      e.g. signal output-2 clip,burstLevel=6',
+        '  status                       print simulator state',
+        '  help                         show this help'
+    ].join('\n'));
+}
+
+function runCommand(simulator, line) {
+    const [command, ...args] = line.trim().split(/\s+/);
+    if (!command) {
+        return;
+    }
+
+    try {
+        if (FAULT_TYPES.includes(command)) {
+            simulator.injectFault(command, args[0] !== undefined ? Number(args[0]) : undefined);
+        } else if (command === 'clear') {
+            simulator.clearFaults();
+            log.info('Faults cleared');
+        } else if (command === 'mute') {
+            simulator.setMute(args[0], args[1] !== 'off');
+            log.info(args[1] !== 'off' ? 'Muted' : 'Unmuted', { channel: args[0] });
+        } else if (command === 'gain') {
+            simulator.setGain(args[0], Number(args[1]));
+            log.info('Gain set', { channel: args[0], db: simulator.gains[args[0]] });
+        } else if (command === 'signal') {
+            simulator.setSignal(args[0], parseSignalSpec(args[1]));
+            log.info('Signal set', { channel: args[0], signal: simulator.signals[args[0]] });
+        } else if (command === 'status') {
+            console.log(JSON.stringify(simulator.getStatus(), null, 2));
+        } else {
+            printHelp();
+        }
+    } catch (err) {
+        log.warn(err.message, { command });
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    const simulator = new NPA43ASimulator(options);
+
+    try {
+        await simulator.start();
+    } catch (err) {
+        log.error('Failed to start simulator', { error: err.message });
+        process.exit(1);
+    }
+
+    console.log('Type "help" for fault injection commands');
+    const rl = readline.createInterface({ input: process.stdin });
+    rl.on('line', line => runCommand(simulator, line));
+
+    process.on('SIGINT', async () => {
+        log.info('Shutting down simulator');
+        rl.close();
+        await simulator.stop();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = NPA43ASimulator;
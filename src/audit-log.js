@@ -0,0 +1,131 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const log = require('./logger').child('audit-log');
+
+const FILE_PATTERN = /^audit-(\d{8})\.ndjson$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// UTC day a file covers: 20260105
+function dayStamp(time) {
+    return new Date(time).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function parseDayStamp(stamp) {
+    return Date.UTC(Number(stamp.slice(0, 4)), Number(stamp.slice(4, 6)) - 1, Number(stamp.slice(6, 8)));
+}
+
+// Who did what to which amplifier, and what the amplifier confirmed. Entries are
+// appended to one NDJSON file per UTC day and never changed; whole days are
+// deleted once they are older than maxAge. Emits 'entry' with each new entry.
+class AuditLog extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.directory = options.directory || path.join(__dirname, '../data/audit');
+        this.maxAge = options.maxAge !== undefined ? options.maxAge : 90 * DAY;
+        this.currentDay = null;
+    }
+
+    // entry: { source, ip, user, userAgent, action, amplifierId, target, requested,
+    //          outcome: 'confirmed' | 'failed', confirmed, code, error, durationMs }
+    record(entry) {
+        const t = Date.now();
+        const full = { id: crypto.randomUUID(), t, ...entry };
+
+        const day = dayStamp(t);
+        try {
+            if (day !== this.currentDay) {
+                fs.mkdirSync(this.directory, { recursive: true });
+                this.currentDay = day;
+                this.enforceRetention();
+            }
+            fs.appendFileSync(path.join(this.directory, `audit-${day}.ndjson`), JSON.stringify(full) + '\n');
+        } catch (err) {
+            log.error('Audit log write failed', { error: err.message });
+        }
+
+        this.emit('entry', full);
+        return full;
+    }
+
+    // Audit files oldest first, with the UTC day each one covers
+    listFiles() {
+        let names;
+        try {
+            names = fs.readdirSync(this.directory);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+
+        return names
+            .map(name => ({ name, match: FILE_PATTERN.exec(name) }))
+            .filter(entry => entry.match)
+            .map(entry => {
+                const startedAt = parseDayStamp(entry.match[1]);
+                return { file: path.join(this.directory, entry.name), startedAt, endedAt: startedAt + DAY };
+            })
+            .sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    // Deletes whole days that ended more than maxAge ago
+    enforceRetention() {
+        const cutoff = Date.now() - this.maxAge;
+        this.listFiles().filter(entry => entry.endedAt < cutoff).forEach(entry => {
+            try {
+                fs.unlinkSync(entry.file);
+                log.info('Removed old audit log', { file: path.basename(entry.file) });
+            } catch (err) {
+                log.error('Could not remove old audit log', { file: entry.file, error: err.message });
+            }
+        });
+    }
+
+    // Entries newest first, one page at a time. Every filter is optional;
+    // `client` matches the IP address or the user name.
+    async query({ from = 0, to = Date.now(), action, amplifierId, source, outcome, client, offset = 0, limit = 50 } = {}) {
+        const matches = [];
+        const files = this.listFiles().filter(entry => entry.startedAt <= to && entry.endedAt >= from);
+
+        for (const entry of files) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(entry.file),
+                crlfDelay: Infinity
+            });
+
+            for await (const line of lines) {
+                if (!line) {
+                    continue;
+                }
+
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (err) {
+                    // A line cut short by a crash or a full disk
+                    continue;
+                }
+
+                if (event.t < from || event.t > to ||
+                    (action && event.action !== action) ||
+                    (amplifierId && event.amplifierId !== amplifierId) ||
+                    (source && event.source !== source) ||
+                    (outcome && event.outcome !== outcome) ||
+                    (client && event.ip !== client && event.user !== client)) {
+                    continue;
+                }
+                matches.push(event);
+            }
+        }
+
+        matches.reverse();
+        return { total: matches.length, offset, limit, entries: matches.slice(offset, offset + limit) };
+    }
+}
+
+module.exports = AuditLog;
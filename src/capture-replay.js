@@ -0,0 +1,122 @@
+const NPA43AClient = require('./amplifier-client');
+const { InvalidParameterError, ReadOnlyError } = require('./errors');
+
+const log = require('./logger').child('capture-replay');
+
+// Plays a traffic capture back in place of a TCP connection, so a site's byte
+// stream can be looked at on the full dashboard away from the site. The received
+// chunks go through handleResponse, and so through the same framing, parsing and
+// device ID checks as live data, spaced as they were captured divided by `speed`.
+// Nothing is sent: polling is off and writes are refused.
+// Emits 'finished' at the end of a capture that doesn't loop.
+class CaptureReplayClient extends NPA43AClient {
+    // capture: { header, chunks } as read by TrafficCaptures.load(name).
+    // Throws InvalidParameterError.
+    constructor(name, capture, options = {}) {
+        const address = capture.header.address;
+        const separator = address.lastIndexOf(':');
+        super(address.slice(0, separator), Number(address.slice(separator + 1)), options);
+
+        const speed = options.speed !== undefined ? options.speed : 1;
+        if (typeof speed !== 'number' || !(speed >= 1 && speed <= 100)) {
+            throw new InvalidParameterError('speed', 'must be a number from 1 (as captured) to 100');
+        }
+        this.chunks = capture.chunks.filter(chunk => chunk.dir === 'rx');
+        if (this.chunks.length === 0) {
+            throw new InvalidParameterError('capture', `${name} holds no received data to replay`);
+        }
+
+        this.replay = {
+            name,
+            speed,
+            loop: !!options.loop,
+            duration: this.chunks[this.chunks.length - 1].t - this.chunks[0].t,
+            startedAt: null,
+            loops: 0
+        };
+        this.nextChunk = 0;
+        this.replayTimer = null;
+    }
+
+    get address() {
+        return `${this.replay.name} (replay)`;
+    }
+
+    // Resolves straight away; the first chunks are fed on the next tick
+    async connect() {
+        log.info('Replaying capture', {
+            capture: this.replay.name,
+            speed: this.replay.speed,
+            loop: this.replay.loop,
+            chunks: this.chunks.length,
+            durationMs: this.replay.duration
+        });
+        this.isConnected = true;
+        this.lastDataReceived = Date.now();
+        this.emit('connected');
+        this.play();
+    }
+
+    play() {
+        this.replay.startedAt = Date.now();
+        this.nextChunk = 0;
+        this.dataBuffer = Buffer.alloc(0);
+        this.replayTimer = setTimeout(() => this.feed(), 0);
+    }
+
+    // Feeds every chunk that is due, then waits for the next one
+    feed() {
+        this.replayTimer = null;
+        const first = this.chunks[0].t;
+        const position = (Date.now() - this.replay.startedAt) * this.replay.speed;
+        while (this.isConnected && this.nextChunk < this.chunks.length && this.chunks[this.nextChunk].t - first <= position) {
+            this.lastDataReceived = Date.now();
+            this.handleResponse(this.chunks[this.nextChunk].data);
+            this.nextChunk++;
+        }
+
+        if (!this.isConnected) {
+            return;
+        }
+        if (this.nextChunk < this.chunks.length) {
+            const due = this.replay.startedAt + (this.chunks[this.nextChunk].t - first) / this.replay.speed;
+            this.replayTimer = setTimeout(() => this.feed(), Math.max(0, due - Date.now()));
+        } else if (this.replay.loop) {
+            // A short pause between rounds, so a capture of a single instant doesn't spin
+            this.replay.loops++;
+            this.replayTimer = setTimeout(() => this.play(), 100);
+        } else {
+            log.info('Replay finished', { capture: this.replay.name });
+            this.isConnected = false;
+            this.emit('finished');
+        }
+    }
+
+    // Position in capture time of the last chunk fed, in ms from the first
+    replayStatus() {
+        const position = this.nextChunk > 0 ? this.chunks[this.nextChunk - 1].t - this.chunks[0].t : 0;
+        return { ...this.replay, position, chunks: this.chunks.length, played: this.nextChunk };
+    }
+
+    // The capture brings its own replies; polling reads would go nowhere
+    startPolling() {
+    }
+
+    request() {
+        return Promise.reject(new ReadOnlyError(`${this.replay.name} is a replay; nothing can be sent to it`));
+    }
+
+    setMute() {
+        return this.request();
+    }
+
+    disconnect() {
+        if (this.replayTimer) {
+            clearTimeout(this.replayTimer);
+            this.replayTimer = null;
+        }
+        super.disconnect();
+    }
+}
+
+module.exports = CaptureReplayClient;
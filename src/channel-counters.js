@@ -0,0 +1,89 @@
+// Per-channel clip and over-threshold counters, kept on the server so every
+// browser sees the same numbers and they survive page reloads. A count is one
+// excursion above the threshold, not one sample.
+class ChannelCounters {
+    constructor(options = {}) {
+        this.clipThreshold = options.clipThreshold !== undefined ? options.clipThreshold : 0;
+        this.overThreshold = options.overThreshold !== undefined ? options.overThreshold : -6;
+        this.channels = new Map();
+    }
+
+    createEntry() {
+        return {
+            clips: 0,
+            overs: 0,
+            peakDb: null,
+            lastClipAt: null,
+            lastOverAt: null,
+            resetAt: Date.now(),
+            clipping: false,
+            over: false
+        };
+    }
+
+    getEntry(channelKey) {
+        if (!this.channels.has(channelKey)) {
+            this.channels.set(channelKey, this.createEntry());
+        }
+        return this.channels.get(channelKey);
+    }
+
+    // Returns true when a counter or the peak changed
+    record(channelType, channelId, db, timestamp = Date.now()) {
+        const entry = this.getEntry(`${channelType}-${channelId}`);
+        let changed = false;
+
+        const clipping = db > this.clipThreshold;
+        if (clipping && !entry.clipping) {
+            entry.clips++;
+            entry.lastClipAt = timestamp;
+            changed = true;
+        }
+        entry.clipping = clipping;
+
+        const over = db > this.overThreshold;
+        if (over && !entry.over) {
+            entry.overs++;
+            entry.lastOverAt = timestamp;
+            changed = true;
+        }
+        entry.over = over;
+
+        if (entry.peakDb === null || db > entry.peakDb) {
+            entry.peakDb = db;
+            changed = true;
+        }
+
+        return changed;
+    }
+
+    // Reset one channel, or all of them when no key is given
+    reset(channelKey) {
+        if (channelKey) {
+            this.channels.set(channelKey, this.createEntry());
+        } else {
+            this.channels.clear();
+        }
+    }
+
+    snapshot() {
+        const counters = {};
+        this.channels.forEach((entry, channelKey) => {
+            counters[channelKey] = {
+                clips: entry.clips,
+                overs: entry.overs,
+                peakDb: entry.peakDb,
+                lastClipAt: entry.lastClipAt,
+                lastOverAt: entry.lastOverAt,
+                resetAt: entry.resetAt
+            };
+        });
+        return {
+            clipThreshold: this.clipThreshold,
+            overThreshold: this.overThreshold,
+            channels: counters
+        };
+    }
+}
+
+module.exports = ChannelCounters;
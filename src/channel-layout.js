@@ -0,0 +1,88 @@
+const { InvalidParameterError } = require('./errors');
+
+// The eight metered channels, in the order they are shown until they are reordered
+const CHANNEL_KEYS = ['input-1', 'input-2', 'input-3', 'input-4', 'output-1', 'output-2', 'output-3', 'output-4'];
+// grid: full meters with faders; compact: narrow meters, more per row
+const LAYOUTS = ['grid', 'compact'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// 'output-2' -> 'Output 2'
+function defaultName(channelKey) {
+    const [channelType, channelId] = channelKey.split('-');
+    return `${channelType === 'input' ? 'Input' : 'Output'} ${channelId}`;
+}
+
+function defaultChannels() {
+    return CHANNEL_KEYS.map(key => ({ key, name: defaultName(key), color: null, hidden: false }));
+}
+
+// Throws InvalidParameterError; returns the entries cleaned up. Each entry is
+// { key, name, color, hidden } where all but key are optional; color null is the default look
+function validateChannels(entries) {
+    if (!Array.isArray(entries)) {
+        throw new InvalidParameterError('channels', 'must be a list of { key, name, color, hidden }');
+    }
+
+    const seen = new Set();
+    return entries.map(entry => {
+        if (!entry || typeof entry !== 'object' || !CHANNEL_KEYS.includes(entry.key)) {
+            throw new InvalidParameterError('channels', 'each entry needs a key from input-1 to output-4');
+        }
+        if (seen.has(entry.key)) {
+            throw new InvalidParameterError('channels', `${entry.key} is listed twice`);
+        }
+        seen.add(entry.key);
+
+        const channel = { key: entry.key };
+        if (entry.name !== undefined) {
+            if (typeof entry.name !== 'string' || entry.name.length > 32) {
+                throw new InvalidParameterError('channels', `${entry.key} name must be a string of up to 32 characters`);
+            }
+            // A blank name goes back to the default
+            channel.name = entry.name.trim() || defaultName(entry.key);
+        }
+        if (entry.color !== undefined) {
+            if (entry.color !== null && !COLOR_PATTERN.test(entry.color)) {
+                throw new InvalidParameterError('channels', `${entry.key} color must be #rrggbb or null`);
+            }
+            channel.color = entry.color && entry.color.toLowerCase();
+        }
+        if (entry.hidden !== undefined) {
+            if (typeof entry.hidden !== 'boolean') {
+                throw new InvalidParameterError('channels', `${entry.key} hidden must be true or false`);
+            }
+            channel.hidden = entry.hidden;
+        }
+        return channel;
+    });
+}
+
+function validateLayout(layout) {
+    if (!LAYOUTS.includes(layout)) {
+        throw new InvalidParameterError('layout', `must be ${LAYOUTS.join(' or ')}`);
+    }
+    return layout;
+}
+
+// Applies validated entries to a channel list without changing it. Entries only
+// change the channels they name; a list naming all eight also sets their order.
+function mergeChannels(channels, entries) {
+    const merged = channels.map(channel => {
+        const entry = entries.find(candidate => candidate.key === channel.key);
+        return entry ? { ...channel, ...entry } : { ...channel };
+    });
+    if (entries.length !== CHANNEL_KEYS.length) {
+        return merged;
+    }
+    return entries.map(entry => merged.find(channel => channel.key === entry.key));
+}
+
+module.exports = {
+    CHANNEL_KEYS,
+    LAYOUTS,
+    defaultName,
+    defaultChannels,
+    validateChannels,
+    validateLayout,
+    mergeChannels
+};
@@ -0,0 +1,174 @@
+const EventEmitter = require('events');
+const { CommandTimeoutError, CommandCancelledError } = require('./errors');
+
+// Serialises frames to the amplifier: one frame on the wire at a time, a minimum
+// gap between sends (the control-code document asks for >200ms), and replies
+// matched back to the request that is currently in flight.
+class CommandQueue extends EventEmitter {
+    constructor(write, options = {}) {
+        super();
+        this.write = write;
+        this.interval = options.interval !== undefined ? options.interval : 200;
+        this.timeout = options.timeout !== undefined ? options.timeout : 1000;
+        this.retries = options.retries !== undefined ? options.retries : 1;
+
+        this.queue = [];
+        this.requests = new Map(); // key -> queued or in-flight request
+        this.inFlight = null;
+        this.lastSentAt = 0;
+        this.sendTimer = null;
+    }
+
+    get size() {
+        return this.queue.length + (this.inFlight ? 1 : 0);
+    }
+
+    enqueue({ key, frame, match, expectReply = true, priority = 'normal', timeout, retries }) {
+        // Only one outstanding request per key; duplicates share its promise
+        const existing = this.requests.get(key);
+        if (existing) {
+            if (priority === 'high' && existing.priority !== 'high' && this.queue.includes(existing)) {
+                // A control path is waiting on a queued polling read; move it up
+                this.queue.splice(this.queue.indexOf(existing), 1);
+                existing.priority = 'high';
+                this.insert(existing);
+            }
+            return existing.promise;
+        }
+
+        const request = {
+            key,
+            frame,
+            match,
+            expectReply,
+            priority,
+            timeout: timeout !== undefined ? timeout : this.timeout,
+            retries: retries !== undefined ? retries : this.retries,
+            attempts: 0,
+            timer: null
+        };
+        request.promise = new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
+        });
+
+        this.insert(request);
+        this.requests.set(key, request);
+        this.schedule();
+        return request.promise;
+    }
+
+    insert(request) {
+        if (request.priority === 'high') {
+            // Ahead of polling reads, behind other high-priority commands
+            const index = this.queue.findIndex(queued => queued.priority !== 'high');
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, request);
+        } else {
+            this.queue.push(request);
+        }
+    }
+
+    schedule() {
+        if (this.inFlight || this.sendTimer || this.queue.length === 0) {
+            return;
+        }
+
+        const wait = Math.max(0, this.lastSentAt + this.interval - Date.now());
+        this.sendTimer = setTimeout(() => {
+            this.sendTimer = null;
+            this.sendNext();
+        }, wait);
+    }
+
+    sendNext() {
+        const request = this.queue.shift();
+        if (!request) {
+            return;
+        }
+
+        this.inFlight = request;
+        request.attempts++;
+        this.lastSentAt = Date.now();
+
+        try {
+            this.write(request.frame);
+        } catch (err) {
+            this.settle(request, err);
+            return;
+        }
+
+        if (!request.expectReply) {
+            this.settle(request, null);
+            return;
+        }
+
+        request.timer = setTimeout(() => this.handleTimeout(request), request.timeout);
+    }
+
+    handleTimeout(request) {
+        request.timer = null;
+        if (this.inFlight !== request) {
+            return;
+        }
+        this.inFlight = null;
+
+        if (request.attempts <= request.retries) {
+            this.emit('retry', { key: request.key, attempt: request.attempts });
+            this.queue.unshift(request);
+            this.schedule();
+        } else {
+            this.settle(request, new CommandTimeoutError(request.key, request.attempts));
+        }
+    }
+
+    // Returns true when the reply belonged to the in-flight request
+    handleReply(result) {
+        const request = this.inFlight;
+        if (!request || !request.match || !request.match(result)) {
+            return false;
+        }
+        this.settle(request, null, result);
+        return true;
+    }
+
+    settle(request, err, result) {
+        if (request.timer) {
+            clearTimeout(request.timer);
+            request.timer = null;
+        }
+        if (this.inFlight === request) {
+            this.inFlight = null;
+        }
+        this.requests.delete(request.key);
+
+        if (err) {
+            request.reject(err);
+        } else {
+            request.resolve(result);
+        }
+
+        this.schedule();
+    }
+
+    clear(reason = 'queue cleared') {
+        if (this.sendTimer) {
+            clearTimeout(this.sendTimer);
+            this.sendTimer = null;
+        }
+
+        const pending = this.inFlight ? [this.inFlight, ...this.queue] : [...this.queue];
+        this.queue = [];
+        this.inFlight = null;
+
+        pending.forEach(request => {
+            if (request.timer) {
+                clearTimeout(request.timer);
+                request.timer = null;
+            }
+            this.requests.delete(request.key);
+            request.reject(new CommandCancelledError(request.key, reason));
+        });
+    }
+}
+
+module.exports = CommandQueue;
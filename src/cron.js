@@ -0,0 +1,102 @@
+const { InvalidParameterError } = require('./errors');
+
+// Five fields, as in crontab: minute hour day-of-month month day-of-week.
+// Each takes *, a number, a range (1-5), a list (1,15) and a step (*/10, 8-18/2).
+// Day of week runs 0-6 from Sunday; 7 is Sunday too.
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Searching further than this finds nothing new; 31 February never comes
+const SEARCH_LIMIT = 5 * 366 * 24;
+
+function parseField(text, field) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new InvalidParameterError('cron', `${field.name} "${text}" is not a number, range, list or step`);
+        }
+        const [, , first, last, step] = match;
+        const from = first !== undefined ? Number(first) : field.min;
+        const to = last !== undefined ? Number(last) : (first !== undefined && step === undefined ? from : field.max);
+        const every = step !== undefined ? Number(step) : 1;
+
+        if (every < 1) {
+            throw new InvalidParameterError('cron', `${field.name} "${text}" has a step of 0`);
+        }
+        if (from < field.min || to > field.max || from > to) {
+            throw new InvalidParameterError('cron', `${field.name} "${text}" must be within ${field.min}-${field.max}`);
+        }
+        for (let value = from; value <= to; value += every) {
+            values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+        }
+    });
+
+    return values;
+}
+
+// '0 23 * * 1-5' -> sets of allowed values per field; throws InvalidParameterError
+function parse(expression) {
+    if (typeof expression !== 'string') {
+        throw new InvalidParameterError('cron', 'must be a string such as "0 23 * * 1-5"');
+    }
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new InvalidParameterError('cron', 'must have five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const spec = {};
+    FIELDS.forEach((field, i) => {
+        spec[field.name] = parseField(parts[i], field);
+    });
+    // As in cron, when both day fields are restricted either one may match
+    spec.anyDayOfMonth = parts[2] === '*';
+    spec.anyDayOfWeek = parts[4] === '*';
+    return spec;
+}
+
+function dayMatches(spec, date) {
+    const dayOfMonth = spec.dayOfMonth.has(date.getDate());
+    const dayOfWeek = spec.dayOfWeek.has(date.getDay());
+    if (spec.anyDayOfMonth || spec.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+// First matching minute after `after` (epoch ms), in the server's local time;
+// null when the expression never matches
+function next(spec, after) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Whole months, days and hours are skipped at once when they cannot match
+    for (let step = 0; step < SEARCH_LIMIT; step++) {
+        if (!spec.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(spec, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!spec.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!spec.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parse,
+    next
+};
@@ -0,0 +1,85 @@
+class AmplifierError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+class NotConnectedError extends AmplifierError {
+    constructor() {
+        super('Not connected to amplifier', 'NOT_CONNECTED');
+    }
+}
+
+class CommandTimeoutError extends AmplifierError {
+    constructor(key, attempts) {
+        super(`No reply to ${key} after ${attempts} attempt${attempts === 1 ? '' : 's'}`, 'COMMAND_TIMEOUT');
+        this.key = key;
+        this.attempts = attempts;
+    }
+}
+
+class CommandCancelledError extends AmplifierError {
+    constructor(key, reason) {
+        super(`Command ${key} cancelled: ${reason}`, 'COMMAND_CANCELLED');
+        this.key = key;
+        this.reason = reason;
+    }
+}
+
+class WriteNotConfirmedError extends AmplifierError {
+    constructor(key, lastReply) {
+        super(`Amplifier did not confirm ${key}`, 'NOT_CONFIRMED');
+        this.key = key;
+        this.lastReply = lastReply;
+    }
+}
+
+class ProtocolError extends AmplifierError {
+    constructor(message) {
+        super(message, 'PROTOCOL_ERROR');
+    }
+}
+
+class DeviceMismatchError extends ProtocolError {
+    constructor(deviceId, expected) {
+        super(`Reply from device ID ${deviceId}, expected ${expected.join(' or ')}`);
+        this.code = 'DEVICE_MISMATCH';
+        this.deviceId = deviceId;
+        this.expected = expected;
+    }
+}
+
+class NotFoundError extends AmplifierError {
+    constructor(message) {
+        super(message, 'NOT_FOUND');
+    }
+}
+
+class InvalidParameterError extends AmplifierError {
+    constructor(parameter, reason) {
+        super(`Invalid ${parameter}: ${reason}`, 'INVALID_PARAMETER');
+        this.parameter = parameter;
+    }
+}
+
+// A write to an amplifier that is only being shown, not controlled, e.g. during a replay
+class ReadOnlyError extends AmplifierError {
+    constructor(message) {
+        super(message, 'READ_ONLY');
+    }
+}
+
+module.exports = {
+    AmplifierError,
+    NotConnectedError,
+    CommandTimeoutError,
+    CommandCancelledError,
+    WriteNotConfirmedError,
+    ProtocolError,
+    DeviceMismatchError,
+    NotFoundError,
+    InvalidParameterError,
+    ReadOnlyError
+};
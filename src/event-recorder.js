@@ -0,0 +1,219 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const log = require('./logger').child('event-recorder');
+
+const FILE_PATTERN = /^recording-(\d{8}T\d{6}\d{3})\.ndjson$/;
+
+// File name stamp in UTC, sortable and safe on every filesystem: 20260105T142233512
+function fileStamp(time) {
+    return new Date(time).toISOString().replace(/[-:.Z]/g, '');
+}
+
+function parseFileStamp(stamp) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})$/.exec(stamp);
+    const [, year, month, day, hour, minute, second, ms] = match.map(Number);
+    return Date.UTC(year, month - 1, day, hour, minute, second, ms);
+}
+
+// Appends level, mute and connection events to rotating NDJSON files, one event
+// per line, and deletes the oldest files once the size or age limits are hit.
+class EventRecorder extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.directory = options.directory || path.join(__dirname, '../data/recordings');
+        this.maxFileBytes = options.maxFileBytes !== undefined ? options.maxFileBytes : 10 * 1024 * 1024;
+        this.maxFileAge = options.maxFileAge !== undefined ? options.maxFileAge : 60 * 60 * 1000;
+        this.maxTotalBytes = options.maxTotalBytes !== undefined ? options.maxTotalBytes : 500 * 1024 * 1024;
+        this.maxAge = options.maxAge !== undefined ? options.maxAge : 30 * 24 * 60 * 60 * 1000;
+
+        this.recording = false;
+        this.startedAt = null;
+        this.stream = null;
+        this.file = null;
+        this.fileOpenedAt = 0;
+        this.fileBytes = 0;
+        this.sessionBytes = 0;
+    }
+
+    start() {
+        if (this.recording) {
+            return this.status();
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.recording = true;
+        this.startedAt = Date.now();
+        this.sessionBytes = 0;
+        this.openFile();
+        this.emit('started', this.status());
+        return this.status();
+    }
+
+    stop() {
+        if (!this.recording) {
+            return this.status();
+        }
+
+        this.closeFile();
+        this.recording = false;
+        const status = this.status();
+        this.startedAt = null;
+        this.emit('stopped', status);
+        return status;
+    }
+
+    openFile() {
+        this.fileOpenedAt = Date.now();
+        this.file = path.join(this.directory, `recording-${fileStamp(this.fileOpenedAt)}.ndjson`);
+        this.fileBytes = 0;
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+        this.stream.on('error', (err) => {
+            log.error('Recording write failed', { file: this.file, error: err.message });
+            this.stream = null;
+            this.stop();
+            this.emit('error', err);
+        });
+        this.enforceRetention();
+    }
+
+    closeFile() {
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+    }
+
+    rotate() {
+        this.closeFile();
+        this.openFile();
+    }
+
+    // event: { type: 'level' | 'mute' | 'connect' | 'disconnect', t, amplifierId, ... }
+    record(event) {
+        if (!this.recording) {
+            return;
+        }
+
+        if (this.fileBytes >= this.maxFileBytes || Date.now() - this.fileOpenedAt >= this.maxFileAge) {
+            this.rotate();
+        }
+
+        const line = JSON.stringify({ t: Date.now(), ...event }) + '\n';
+        const bytes = Buffer.byteLength(line);
+        this.stream.write(line);
+        this.fileBytes += bytes;
+        this.sessionBytes += bytes;
+    }
+
+    // Recording files oldest first, with the time range each one covers
+    listFiles() {
+        let names;
+        try {
+            names = fs.readdirSync(this.directory);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+
+        const files = names
+            .map(name => ({ name, match: FILE_PATTERN.exec(name) }))
+            .filter(entry => entry.match)
+            .map(entry => {
+                const file = path.join(this.directory, entry.name);
+                return {
+                    file,
+                    startedAt: parseFileStamp(entry.match[1]),
+                    size: fs.statSync(file).size
+                };
+            })
+            .sort((a, b) => a.startedAt - b.startedAt);
+
+        files.forEach((entry, i) => {
+            entry.endedAt = i + 1 < files.length ? files[i + 1].startedAt : Date.now();
+        });
+        return files;
+    }
+
+    // Delete whole files, oldest first, that are past maxAge or over maxTotalBytes.
+    // The file being written is never deleted.
+    enforceRetention() {
+        const files = this.listFiles().filter(entry => entry.file !== this.file);
+        let totalBytes = files.reduce((sum, entry) => sum + entry.size, 0) + this.fileBytes;
+        const cutoff = Date.now() - this.maxAge;
+
+        files.forEach(entry => {
+            if (entry.endedAt < cutoff || totalBytes > this.maxTotalBytes) {
+                try {
+                    fs.unlinkSync(entry.file);
+                    totalBytes -= entry.size;
+                    log.info('Removed old recording', { file: path.basename(entry.file) });
+                } catch (err) {
+                    log.error('Could not remove old recording', { file: entry.file, error: err.message });
+                }
+            }
+        });
+    }
+
+    // Yields recorded events with from <= t <= to, optionally limited to a set of
+    // channel keys and to one amplifier. Connection events have no channel and are
+    // included whenever their amplifier is. A reader that stops early closes the
+    // file it was in.
+    async *read({ from = 0, to = Date.now(), channels = null, amplifierId = null } = {}) {
+        const files = this.listFiles().filter(entry => entry.startedAt <= to && entry.endedAt >= from);
+
+        for (const entry of files) {
+            const input = fs.createReadStream(entry.file);
+            const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+            try {
+                for await (const line of lines) {
+                    if (!line) {
+                        continue;
+                    }
+
+                    let event;
+                    try {
+                        event = JSON.parse(line);
+                    } catch (err) {
+                        // A line cut short by a crash or a full disk
+                        continue;
+                    }
+
+                    if (event.t < from || event.t > to) {
+                        continue;
+                    }
+                    if (channels && event.channel && !channels.includes(event.channel)) {
+                        continue;
+                    }
+                    if (amplifierId && event.amplifierId !== amplifierId) {
+                        continue;
+                    }
+                    yield event;
+                }
+            } finally {
+                lines.close();
+                input.destroy();
+            }
+        }
+    }
+
+    status() {
+        const files = this.listFiles();
+        return {
+            recording: this.recording,
+            startedAt: this.startedAt,
+            file: this.recording ? path.basename(this.file) : null,
+            fileBytes: this.recording ? this.fileBytes : 0,
+            sessionBytes: this.sessionBytes,
+            totalBytes: files.reduce((sum, entry) => sum + entry.size, 0),
+            fileCount: files.length
+        };
+    }
+}
+
+module.exports = EventRecorder;
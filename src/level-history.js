@@ -0,0 +1,166 @@
+const { InvalidParameterError } = require('./errors');
+
+// Bounded in-memory level history per channel at several resolutions. Raw samples
+// are kept for a short window; 1 s and 1 min buckets keep min/max/avg for longer.
+const RESOLUTIONS = {
+    raw: { bucketMs: 0, retentionMs: 15 * 60 * 1000, maxPoints: 20000 },
+    '1s': { bucketMs: 1000, retentionMs: 6 * 60 * 60 * 1000, maxPoints: 6 * 60 * 60 },
+    '1m': { bucketMs: 60 * 1000, retentionMs: 7 * 24 * 60 * 60 * 1000, maxPoints: 7 * 24 * 60 }
+};
+
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+        this.truncated = false; // true once anything has been overwritten or expired
+    }
+
+    push(item) {
+        if (this.length < this.capacity) {
+            this.items[(this.start + this.length) % this.capacity] = item;
+            this.length++;
+        } else {
+            this.items[this.start] = item;
+            this.start = (this.start + 1) % this.capacity;
+            this.truncated = true;
+        }
+    }
+
+    get(index) {
+        return this.items[(this.start + index) % this.capacity];
+    }
+
+    dropWhile(predicate) {
+        while (this.length > 0 && predicate(this.get(0))) {
+            this.items[this.start] = undefined;
+            this.start = (this.start + 1) % this.capacity;
+            this.length--;
+            this.truncated = true;
+        }
+    }
+
+    // Items with from <= t <= to; items are in time order so binary search the start
+    range(from, to) {
+        let low = 0;
+        let high = this.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.get(mid).t < from) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const items = [];
+        for (let i = low; i < this.length; i++) {
+            const item = this.get(i);
+            if (item.t > to) {
+                break;
+            }
+            items.push(item);
+        }
+        return items;
+    }
+}
+
+class LevelHistory {
+    constructor(options = {}) {
+        this.resolutions = {};
+        Object.entries(RESOLUTIONS).forEach(([name, defaults]) => {
+            this.resolutions[name] = { ...defaults, ...(options[name] || {}) };
+        });
+        this.maxQueryPoints = options.maxQueryPoints || 2000;
+        this.channels = new Map(); // channelKey -> { series: { resolution -> RingBuffer }, open: { resolution -> bucket } }
+    }
+
+    getChannel(channelKey) {
+        if (!this.channels.has(channelKey)) {
+            const channel = { series: {}, open: {} };
+            Object.entries(this.resolutions).forEach(([name, resolution]) => {
+                channel.series[name] = new RingBuffer(resolution.maxPoints);
+                channel.open[name] = null;
+            });
+            this.channels.set(channelKey, channel);
+        }
+        return this.channels.get(channelKey);
+    }
+
+    record(channelKey, db, timestamp = Date.now()) {
+        const channel = this.getChannel(channelKey);
+
+        Object.entries(this.resolutions).forEach(([name, resolution]) => {
+            const series = channel.series[name];
+
+            if (resolution.bucketMs === 0) {
+                series.push({ t: timestamp, min: db, max: db, avg: db });
+            } else {
+                const bucketStart = timestamp - (timestamp % resolution.bucketMs);
+                let bucket = channel.open[name];
+
+                if (bucket && bucket.t !== bucketStart) {
+                    series.push(this.closeBucket(bucket));
+                    bucket = null;
+                }
+                if (!bucket) {
+                    bucket = { t: bucketStart, min: db, max: db, sum: 0, count: 0 };
+                    channel.open[name] = bucket;
+                }
+
+                bucket.min = Math.min(bucket.min, db);
+                bucket.max = Math.max(bucket.max, db);
+                bucket.sum += db;
+                bucket.count++;
+            }
+
+            series.dropWhile(point => point.t < timestamp - resolution.retentionMs);
+        });
+    }
+
+    closeBucket(bucket) {
+        return {
+            t: bucket.t,
+            min: bucket.min,
+            max: bucket.max,
+            avg: Math.round((bucket.sum / bucket.count) * 100) / 100
+        };
+    }
+
+    // Finest resolution that still holds data back to `from` and stays under maxQueryPoints
+    pickResolution(channel, from, to) {
+        const names = Object.keys(this.resolutions);
+        for (const name of names) {
+            const series = channel.series[name];
+            const first = series.length > 0 ? series.get(0) : null;
+            const covers = !series.truncated || (first && first.t <= from);
+            if (covers && series.range(from, to).length <= this.maxQueryPoints) {
+                return name;
+            }
+        }
+        return names[names.length - 1];
+    }
+
+    query(channelKey, { from, to = Date.now(), resolution = 'auto' } = {}) {
+        if (from === undefined) {
+            from = to - 60 * 60 * 1000;
+        }
+
+        const channel = this.getChannel(channelKey);
+        const name = resolution === 'auto' ? this.pickResolution(channel, from, to) : resolution;
+        if (!this.resolutions[name]) {
+            throw new InvalidParameterError('resolution', `expected auto or one of ${Object.keys(this.resolutions).join(', ')}`);
+        }
+
+        const points = channel.series[name].range(from, to);
+        const open = channel.open[name];
+        if (open && open.t >= from && open.t <= to) {
+            points.push(this.closeBucket(open));
+        }
+
+        return { channel: channelKey, resolution: name, from, to, points };
+    }
+}
+
+module.exports = LevelHistory;
@@ -0,0 +1,161 @@
+const { InvalidParameterError } = require('./errors');
+
+// Rolling averages reported per channel, longest last
+const WINDOWS = { '1s': 1000, '10s': 10 * 1000, '1m': 60 * 1000 };
+
+// Energy mean of dB readings over [from, now]: 10·log10 of the mean power, so a
+// loud second weighs as much as it sounds rather than as much as its dB number.
+// Each reading is weighted by how long it was held within the window; a reading
+// that has only just arrived stands for the window until time passes.
+function energyAverage(readings, from, now, maxGap) {
+    let energy = 0;
+    let duration = 0;
+    let held = null;
+    readings.forEach(reading => {
+        const end = Math.min(reading.until !== null ? reading.until : reading.t + maxGap, now);
+        if (reading.until === null && reading.t >= now) {
+            held = reading;
+        }
+        const ms = end - Math.max(reading.t, from);
+        if (ms > 0) {
+            energy += reading.power * ms;
+            duration += ms;
+        }
+    });
+    if (duration === 0) {
+        return held ? toDb(held.power) : null;
+    }
+    return toDb(energy / duration);
+}
+
+function toDb(power) {
+    return Math.round(10 * Math.log10(power) * 10) / 10;
+}
+
+// Throws InvalidParameterError; returns the thresholds sorted low to high
+function validateThresholds(thresholds) {
+    if (!Array.isArray(thresholds) || thresholds.length > 8 ||
+        !thresholds.every(threshold => Number.isFinite(threshold) && threshold >= -60 && threshold <= 60)) {
+        throw new InvalidParameterError('thresholds', 'must be a list of up to 8 dB values between -60 and 60');
+    }
+    return Array.from(new Set(thresholds)).sort((a, b) => a - b);
+}
+
+// Per-channel level statistics since the last reset: energy-averaged levels over
+// the last 1 s, 10 s and 1 min, the lowest and highest reading, and how long the
+// level stayed above each threshold. A reading is held until the next one, but
+// for no longer than maxGap, and interrupt() ends it early on a disconnect, so time
+// without readings isn't counted. maxGap has to outlast the slowest poll cycle; the
+// default matches the client's 10 s stale-data warning.
+class LevelStats {
+    constructor(options = {}) {
+        this.thresholds = validateThresholds(options.thresholds !== undefined ? options.thresholds : [-20, -6, 0]);
+        this.maxGap = options.maxGap !== undefined ? options.maxGap : 10000;
+        if (!Number.isFinite(this.maxGap) || this.maxGap <= 0) {
+            throw new InvalidParameterError('maxGap', 'must be a positive number of milliseconds');
+        }
+        this.channels = new Map();
+    }
+
+    createEntry() {
+        return {
+            readings: [], // { t, until, db, power } for the longest window, oldest first; until is null while held
+            minDb: null,
+            maxDb: null,
+            measuredMs: 0, // Held time of the ended readings; the held one is added in snapshot()
+            aboveMs: this.thresholds.map(() => 0),
+            resetAt: Date.now()
+        };
+    }
+
+    getEntry(channelKey) {
+        if (!this.channels.has(channelKey)) {
+            this.channels.set(channelKey, this.createEntry());
+        }
+        return this.channels.get(channelKey);
+    }
+
+    record(channelKey, db, timestamp = Date.now()) {
+        const entry = this.getEntry(channelKey);
+        this.release(entry, timestamp);
+
+        entry.minDb = entry.minDb === null ? db : Math.min(entry.minDb, db);
+        entry.maxDb = entry.maxDb === null ? db : Math.max(entry.maxDb, db);
+
+        entry.readings.push({ t: timestamp, until: null, db, power: Math.pow(10, db / 10) });
+        this.expire(entry, timestamp);
+    }
+
+    // Stop holding the last reading of every channel, e.g. when the connection drops
+    interrupt(timestamp = Date.now()) {
+        this.channels.forEach(entry => this.release(entry, timestamp));
+    }
+
+    // End the held reading at the given time, or maxGap after it arrived
+    release(entry, timestamp) {
+        const last = entry.readings[entry.readings.length - 1];
+        if (!last || last.until !== null) {
+            return;
+        }
+        last.until = Math.max(last.t, Math.min(timestamp, last.t + this.maxGap));
+        this.count(entry, last, last.until - last.t);
+    }
+
+    // Add a reading's held time to measuredMs and the aboveMs of each threshold it was above
+    count(totals, reading, held) {
+        totals.measuredMs += held;
+        this.thresholds.forEach((threshold, index) => {
+            if (reading.db > threshold) {
+                totals.aboveMs[index] += held;
+            }
+        });
+    }
+
+    // Drop readings that ended before the longest window, keeping one that straddles its start
+    expire(entry, now) {
+        const cutoff = now - WINDOWS['1m'];
+        const expired = entry.readings.findIndex(reading => reading.until === null || reading.until > cutoff);
+        entry.readings.splice(0, expired === -1 ? entry.readings.length : expired);
+    }
+
+    // Reset one channel, or all of them when no key is given
+    reset(channelKey) {
+        if (channelKey) {
+            this.channels.set(channelKey, this.createEntry());
+        } else {
+            this.channels.clear();
+        }
+    }
+
+    // Averages are null for a window without held readings, e.g. after a disconnect
+    snapshot(now = Date.now()) {
+        const channels = {};
+        this.channels.forEach((entry, channelKey) => {
+            this.expire(entry, now);
+            const averages = {};
+            Object.entries(WINDOWS).forEach(([name, span]) => {
+                averages[name] = energyAverage(entry.readings, now - span, now, this.maxGap);
+            });
+            // Count the held reading up to now without ending it
+            const totals = { measuredMs: entry.measuredMs, aboveMs: entry.aboveMs.slice() };
+            const last = entry.readings[entry.readings.length - 1];
+            if (last && last.until === null && now > last.t) {
+                this.count(totals, last, Math.min(now - last.t, this.maxGap));
+            }
+            channels[channelKey] = {
+                averages,
+                minDb: entry.minDb,
+                maxDb: entry.maxDb,
+                measuredMs: totals.measuredMs,
+                above: this.thresholds.map((threshold, index) => ({ threshold, ms: totals.aboveMs[index] })),
+                resetAt: entry.resetAt
+            };
+        });
+        return {
+            thresholds: this.thresholds,
+            channels
+        };
+    }
+}
+
+module.exports = LevelStats;
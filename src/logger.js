@@ -0,0 +1,173 @@
+const EventEmitter = require('events');
+const { InvalidParameterError } = require('./errors');
+
+// Least to most severe; an entry is written when its level is at least the one
+// set for its category, or the default level when the category has none
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['text', 'json'];
+const CATEGORY_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+function validateLevel(level, param = 'level') {
+    if (!LEVELS.includes(level)) {
+        throw new InvalidParameterError(param, `must be ${LEVELS.join(', ')}`);
+    }
+    return level;
+}
+
+// 'info,amplifier-client=debug,osc-bridge=warn' -> { level: 'info', categories: { ... } }.
+// Throws InvalidParameterError.
+function parseLevelSpec(spec) {
+    const result = { categories: {} };
+    spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [category, level] = part.includes('=') ? part.split('=').map(text => text.trim()) : [null, part];
+        if (category === null) {
+            result.level = validateLevel(level);
+        } else if (!CATEGORY_PATTERN.test(category)) {
+            throw new InvalidParameterError('categories', `${category} is not a category name`);
+        } else {
+            result.categories[category] = validateLevel(level, `categories.${category}`);
+        }
+    });
+    return result;
+}
+
+// key=value pairs after the message; strings with spaces or quotes are JSON-quoted
+function formatFields(fields) {
+    return Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => {
+            const text = typeof value === 'string' && !/[\s"=]/.test(value) ? value : JSON.stringify(value);
+            return ` ${key}=${text}`;
+        })
+        .join('');
+}
+
+// Structured logger shared by every module. Each module logs under its own
+// category through child(); what gets written can be turned up or down per
+// category while the server runs. Entries go to stdout (warnings and errors to
+// stderr) as text lines or, for journald and log shippers, one JSON object per
+// line, and the latest bufferSize of them are kept for /api/logs.
+// Emits 'entry' with each entry written.
+class Logger extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.level = 'info';
+        this.categoryLevels = {};
+        this.format = 'text';
+        this.bufferSize = options.bufferSize !== undefined ? options.bufferSize : 1000;
+        this.entries = []; // newest last, bounded by bufferSize
+        this.nextId = 1;
+        this.categories = new Set(); // every category that has asked for a child logger
+        this.configure(options);
+    }
+
+    // Throws InvalidParameterError. `categories` entries set to null fall back to the default level.
+    configure({ level, categories, format } = {}) {
+        if (level !== undefined) {
+            validateLevel(level);
+        }
+        if (categories !== undefined && (!categories || typeof categories !== 'object' || Array.isArray(categories))) {
+            throw new InvalidParameterError('categories', 'must be an object of category name to level');
+        }
+        Object.entries(categories || {}).forEach(([category, categoryLevel]) => {
+            if (!CATEGORY_PATTERN.test(category)) {
+                throw new InvalidParameterError('categories', `${category} is not a category name`);
+            }
+            if (categoryLevel !== null) {
+                validateLevel(categoryLevel, `categories.${category}`);
+            }
+        });
+        if (format !== undefined && !FORMATS.includes(format)) {
+            throw new InvalidParameterError('format', `must be ${FORMATS.join(' or ')}`);
+        }
+
+        if (level !== undefined) {
+            this.level = level;
+        }
+        Object.entries(categories || {}).forEach(([category, categoryLevel]) => {
+            if (categoryLevel === null) {
+                delete this.categoryLevels[category];
+            } else {
+                this.categoryLevels[category] = categoryLevel;
+            }
+        });
+        if (format !== undefined) {
+            this.format = format;
+        }
+    }
+
+    // The levels in force, and the categories there are to set
+    levels() {
+        return {
+            level: this.level,
+            categories: { ...this.categoryLevels },
+            known: Array.from(this.categories).sort(),
+            levels: LEVELS
+        };
+    }
+
+    child(category) {
+        this.categories.add(category);
+        const log = {};
+        LEVELS.forEach(level => {
+            log[level] = (message, fields) => this.write(level, category, message, fields);
+        });
+        log.enabled = level => this.enabled(level, category);
+        return log;
+    }
+
+    enabled(level, category) {
+        const threshold = this.categoryLevels[category] || this.level;
+        return LEVELS.indexOf(level) >= LEVELS.indexOf(threshold);
+    }
+
+    write(level, category, message, fields = {}) {
+        if (!this.enabled(level, category)) {
+            return null;
+        }
+
+        const entry = { id: this.nextId++, t: Date.now(), level, category, message, fields };
+        this.entries.push(entry);
+        if (this.entries.length > this.bufferSize) {
+            this.entries.splice(0, this.entries.length - this.bufferSize);
+        }
+
+        // Fields go first so one named like a reserved key can't overwrite it
+        const line = this.format === 'json'
+            ? JSON.stringify({ ...fields, time: new Date(entry.t).toISOString(), level, category, message })
+            : `${new Date(entry.t).toISOString()} ${level.toUpperCase().padEnd(5)} [${category}] ${message}${formatFields(fields)}`;
+        if (level === 'warn' || level === 'error') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+
+        this.emit('entry', entry);
+        return entry;
+    }
+
+    // Buffered entries, oldest first: those after the entry ID `after`, at `level`
+    // or above and in `category` when given, the latest `limit` of them
+    query({ after = 0, level, category, limit = 200 } = {}) {
+        const minimum = level ? LEVELS.indexOf(level) : 0;
+        const matches = this.entries.filter(entry => entry.id > after &&
+            LEVELS.indexOf(entry.level) >= minimum &&
+            (!category || entry.category === category));
+        return {
+            lastId: this.nextId - 1,
+            entries: matches.slice(-limit)
+        };
+    }
+}
+
+// The one logger every module writes to; the server configures it at startup
+const logger = new Logger();
+
+module.exports = {
+    LEVELS,
+    FORMATS,
+    Logger,
+    logger,
+    parseLevelSpec,
+    child: category => logger.child(category)
+};
@@ -0,0 +1,46 @@
+// Prometheus text exposition format (version 0.0.4), enough for gauges and counters
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    return String(value);
+}
+
+// families: [{ name, help, type: 'gauge' | 'counter', samples: [{ labels, value }] }]
+function render(families) {
+    const lines = [];
+
+    families.forEach(({ name, help, type, samples }) => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+
+        samples.forEach(({ labels = {}, value }) => {
+            if (value === null || value === undefined || Number.isNaN(value)) {
+                return;
+            }
+            const labelText = Object.entries(labels)
+                .map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`)
+                .join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${formatValue(value)}`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    render
+};
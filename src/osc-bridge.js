@@ -0,0 +1,142 @@
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const osc = require('./osc');
+
+const log = require('./logger').child('osc-bridge');
+
+// Publishes levels and mute state of one amplifier as OSC over UDP and turns
+// incoming mute messages into 'mute' events. Addresses, with the default prefix:
+//   /npa43a/output/2/level  f   level in dB (out)
+//   /npa43a/input/1/mute    i   1 muted, 0 unmuted (out and in)
+//   /npa43a/master/mute     i   master output mute (out and in)
+//   /npa43a/error           s   why an incoming message was rejected (out)
+class OscBridge extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.listenPort = options.listenPort !== undefined ? options.listenPort : 9000;
+        this.listenHost = options.listenHost || '0.0.0.0';
+        this.targetHost = options.targetHost || '127.0.0.1';
+        this.targetPort = options.targetPort !== undefined ? options.targetPort : 9001;
+        this.prefix = (options.prefix || '/npa43a').replace(/\/$/, '');
+        this.amplifierId = options.amplifierId || null; // null follows the server's default amplifier
+        this.socket = null;
+        this.stats = { sent: 0, received: 0, rejected: 0 };
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.socket = dgram.createSocket('udp4');
+
+            this.socket.once('error', reject);
+            this.socket.bind(this.listenPort, this.listenHost, () => {
+                this.socket.removeListener('error', reject);
+                this.socket.on('error', (err) => {
+                    log.error('OSC socket error', { error: err.message });
+                    this.emit('error', err);
+                });
+                this.listenPort = this.socket.address().port;
+                log.info('OSC bridge listening', {
+                    listen: `${this.listenHost}:${this.listenPort}`,
+                    target: `${this.targetHost}:${this.targetPort}`
+                });
+                resolve();
+            });
+
+            this.socket.on('message', (packet, remote) => this.handlePacket(packet, remote));
+        });
+    }
+
+    stop() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    send(address, args) {
+        if (!this.socket) {
+            return;
+        }
+        this.socket.send(osc.encodeMessage(this.prefix + address, args), this.targetPort, this.targetHost, (err) => {
+            if (err) {
+                log.error('OSC send failed', { target: `${this.targetHost}:${this.targetPort}`, error: err.message });
+            }
+        });
+        this.stats.sent++;
+    }
+
+    // Channel part of an address: input/1, output/4 or master
+    channelPath(channelType, channelId) {
+        return channelType === 'all-output' ? '/master' : `/${channelType}/${channelId}`;
+    }
+
+    publishLevel(channelType, channelId, db) {
+        this.send(`${this.channelPath(channelType, channelId)}/level`, [{ type: 'f', value: db }]);
+    }
+
+    publishMute(channelType, channelId, muted) {
+        this.send(`${this.channelPath(channelType, channelId)}/mute`, [{ type: 'i', value: muted ? 1 : 0 }]);
+    }
+
+    publishError(message) {
+        this.send('/error', [message]);
+    }
+
+    handlePacket(packet, remote) {
+        let messages;
+        try {
+            messages = osc.decodePacket(packet);
+        } catch (err) {
+            this.stats.rejected++;
+            log.warn('Ignoring malformed OSC packet', { remote: `${remote.address}:${remote.port}`, error: err.message });
+            return;
+        }
+
+        messages.forEach(message => {
+            this.stats.received++;
+            this.handleMessage(message, remote);
+        });
+    }
+
+    handleMessage({ address, args }, remote) {
+        if (!address.startsWith(this.prefix + '/')) {
+            return;
+        }
+
+        const path = address.slice(this.prefix.length);
+        const match = /^\/(?:(input|output)\/([^/]+)|(master))\/mute$/.exec(path);
+        if (!match) {
+            this.stats.rejected++;
+            this.publishError(`Unsupported address ${address}`);
+            return;
+        }
+
+        // 1 / 0, 1.0 / 0.0 or T / F; anything else is left for validation to reject
+        const [arg] = args;
+        let mute = arg;
+        if (typeof arg === 'number') {
+            mute = arg !== 0;
+        }
+
+        const type = match[3] ? 'all-output' : match[1];
+        const id = match[3] ? null : Number(match[2]);
+
+        log.info(`OSC ${address} ${args.join(' ')}`, { remote: `${remote.address}:${remote.port}` });
+        this.emit('mute', { type, id, mute, address, remote: remote.address });
+    }
+
+    status() {
+        return {
+            listening: !!this.socket,
+            listenHost: this.listenHost,
+            listenPort: this.listenPort,
+            targetHost: this.targetHost,
+            targetPort: this.targetPort,
+            prefix: this.prefix,
+            amplifierId: this.amplifierId,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = OscBridge;
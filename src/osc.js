@@ -0,0 +1,164 @@
+// Minimal Open Sound Control 1.0 codec: messages with int32, float32, string,
+// blob and True/False/Nil arguments, and bundles on the receiving side.
+
+function padLength(length) {
+    return (length + 3) & ~3;
+}
+
+function encodeString(value) {
+    const bytes = Buffer.from(String(value), 'utf8');
+    // At least one null terminator, padded to a multiple of 4
+    const buffer = Buffer.alloc(padLength(bytes.length + 1));
+    bytes.copy(buffer);
+    return buffer;
+}
+
+function readString(buffer, offset) {
+    const end = buffer.indexOf(0, offset);
+    if (end === -1) {
+        throw new Error('Unterminated OSC string');
+    }
+    return {
+        value: buffer.toString('utf8', offset, end),
+        offset: offset + padLength(end - offset + 1)
+    };
+}
+
+// args: numbers (integers go out as int32, others as float32), strings, booleans,
+// null, Buffers, or { type, value } to force a type tag
+function encodeMessage(address, args = []) {
+    let tags = ',';
+    const data = [];
+
+    args.forEach(arg => {
+        let type = arg && arg.type;
+        let value = arg && arg.type ? arg.value : arg;
+
+        if (!type) {
+            if (typeof value === 'boolean') {
+                type = value ? 'T' : 'F';
+            } else if (value === null) {
+                type = 'N';
+            } else if (Buffer.isBuffer(value)) {
+                type = 'b';
+            } else if (typeof value === 'number') {
+                type = Number.isInteger(value) ? 'i' : 'f';
+            } else {
+                type = 's';
+            }
+        }
+
+        tags += type;
+        switch (type) {
+            case 'i': {
+                const buffer = Buffer.alloc(4);
+                buffer.writeInt32BE(value);
+                data.push(buffer);
+                break;
+            }
+            case 'f': {
+                const buffer = Buffer.alloc(4);
+                buffer.writeFloatBE(value);
+                data.push(buffer);
+                break;
+            }
+            case 's':
+                data.push(encodeString(value));
+                break;
+            case 'b': {
+                const size = Buffer.alloc(4);
+                size.writeInt32BE(value.length);
+                const blob = Buffer.alloc(padLength(value.length));
+                value.copy(blob);
+                data.push(size, blob);
+                break;
+            }
+            case 'T':
+            case 'F':
+            case 'N':
+                break;
+            default:
+                throw new Error(`Unsupported OSC type tag: ${type}`);
+        }
+    });
+
+    return Buffer.concat([encodeString(address), encodeString(tags), ...data]);
+}
+
+function decodeMessage(buffer) {
+    const address = readString(buffer, 0);
+    if (!address.value.startsWith('/')) {
+        throw new Error(`Invalid OSC address: ${address.value}`);
+    }
+
+    let offset = address.offset;
+    let tags = ',';
+    if (offset < buffer.length) {
+        const tagString = readString(buffer, offset);
+        tags = tagString.value;
+        offset = tagString.offset;
+    }
+    if (!tags.startsWith(',')) {
+        throw new Error('Invalid OSC type tag string');
+    }
+
+    const args = [];
+    for (const type of tags.slice(1)) {
+        switch (type) {
+            case 'i':
+                args.push(buffer.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 'f':
+                args.push(buffer.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 's': {
+                const string = readString(buffer, offset);
+                args.push(string.value);
+                offset = string.offset;
+                break;
+            }
+            case 'b': {
+                const size = buffer.readInt32BE(offset);
+                args.push(buffer.slice(offset + 4, offset + 4 + size));
+                offset += 4 + padLength(size);
+                break;
+            }
+            case 'T':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            case 'N':
+                args.push(null);
+                break;
+            default:
+                throw new Error(`Unsupported OSC type tag: ${type}`);
+        }
+    }
+
+    return { address: address.value, args };
+}
+
+// A packet is a message or a bundle of packets; returns a flat list of messages
+function decodePacket(buffer) {
+    if (buffer.slice(0, 8).toString('latin1') === '#bundle\0') {
+        const messages = [];
+        let offset = 16; // '#bundle\0' + 8-byte time tag, which is ignored
+        while (offset + 4 <= buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            messages.push(...decodePacket(buffer.slice(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+        return messages;
+    }
+    return [decodeMessage(buffer)];
+}
+
+module.exports = {
+    encodeMessage,
+    decodeMessage,
+    decodePacket
+};
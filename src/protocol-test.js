@@ -1,67 +1,36 @@
 #!/usr/bin/env node
 
 const net = require('net');
+const protocol = require('./protocol');
+const { DeviceMismatchError } = require('./errors');
 
 class NPA43AProtocolTester {
-    constructor(amplifierIP, port = 8234) {
+    constructor(amplifierIP, port = 8234, options = {}) {
         this.amplifierIP = amplifierIP;
         this.port = port;
         this.client = null;
-        this.deviceId = 0xFF;
+        this.deviceId = options.deviceId !== undefined ? options.deviceId : protocol.BROADCAST_DEVICE_ID;
     }
 
     createCommand(channelType, channelId) {
-        const type = channelType === 'input' ? 0x01 : 0x02;
-        const command = Buffer.from([
-            0xA5, 0xC3, 0x3C, 0x5A, // Start Header
-            this.deviceId,           // Device ID
-            0x63,                   // Read Command
-            0x0E,                   // Function Code (Gains Level)
-            0x02,                   // Data Length
-            type,                   // Type (Input/Output)
-            channelId,              // Channel ID
-            0xEE                    // End Header
-        ]);
-        return command;
+        return protocol.encode('level', 'read', { channelType, channelId }, { deviceId: this.deviceId });
     }
 
     parseResponse(buffer) {
-        if (buffer.length < 12) {
-            throw new Error(`Response too short: ${buffer.length} bytes`);
+        const result = protocol.decode(buffer);
+        // Any unit answers a broadcast, under its own ID
+        if (this.deviceId !== protocol.BROADCAST_DEVICE_ID && result.deviceId !== this.deviceId) {
+            throw new DeviceMismatchError(result.deviceId, [this.deviceId]);
         }
-
-        // Validate headers
-        if (buffer[0] !== 0xA5 || buffer[1] !== 0xC3 || 
-            buffer[2] !== 0x3C || buffer[3] !== 0x5A) {
-            throw new Error('Invalid start header');
-        }
-
-        if (buffer[buffer.length - 1] !== 0xEE) {
-            throw new Error('Invalid end header');
-        }
-
-        // Validate function code
-        if (buffer[6] !== 0x0E) {
-            throw new Error(`Invalid function code: 0x${buffer[6].toString(16)}`);
+        if (result.function !== 'level') {
+            throw new Error(`Invalid function code: 0x${result.functionCode.toString(16)}`);
         }
 
-        // Extract data
-        const type = buffer[8];
-        const channelId = buffer[9];
-        const dbLow = buffer[10];
-        const dbHigh = buffer[11];
-
-        // Combine bytes into signed 16-bit integer
-        const value = (dbHigh << 8) | dbLow;
-        const signedValue = value >= 0x8000 ? value - 0x10000 : value;
-        
-        // Calculate final dB value
-        const dbValue = signedValue / 10;
-
         return {
-            channelType: type === 0x01 ? 'input' : 'output',
-            channelId: channelId,
-            db: dbValue,
+            deviceId: result.deviceId,
+            channelType: result.channelType,
+            channelId: result.channelId,
+            db: result.db,
             rawHex: buffer.toString('hex').toUpperCase()
         };
     }
@@ -102,15 +71,18 @@ class NPA43AProtocolTester {
             const onData = (data) => {
                 responseBuffer = Buffer.concat([responseBuffer, data]);
                 
-                // Try to parse when we have enough data
-                if (responseBuffer.length >= 12) {
+                // Try to parse once a complete frame has arrived
+                const { frames } = protocol.findFrames(responseBuffer);
+                if (frames.length > 0) {
                     this.client.removeListener('data', onData);
                     this.client.removeListener('error', onError);
+                    this.client.removeListener('close', onClose);
                     
                     try {
-                        const result = this.parseResponse(responseBuffer);
+                        const result = this.parseResponse(frames[0]);
                         console.log('Response received:');
                         console.log(`Hex: ${result.rawHex}`);
+                        console.log(`Device ID: ${result.deviceId}`);
                         console.log(`Channel: ${result.channelType} ${result.channelId}`);
                         console.log(`Level: ${result.db.toFixed(1)} dB`);
                         resolve(result);
@@ -123,11 +95,20 @@ class NPA43AProtocolTester {
 
             const onError = (err) => {
                 this.client.removeListener('data', onData);
+                this.client.removeListener('close', onClose);
                 reject(err);
             };
 
+            // A reset arrives as an error and then a close; either way nothing more will come
+            const onClose = () => {
+                this.client.removeListener('data', onData);
+                this.client.removeListener('error', onError);
+                reject(new Error('Connection closed before a reply'));
+            };
+
             this.client.on('data', onData);
             this.client.on('error', onError);
+            this.client.once('close', onClose);
             
             this.client.write(command);
         });
@@ -142,10 +123,16 @@ class NPA43AProtocolTester {
 }
 
 async function main() {
-    // Get amplifier IP from command line or use default
+    // Get amplifier IP and device ID (e.g. 3 or 0x03) from command line or use defaults
     const amplifierIP = process.argv[2] || '192.168.1.100';
+    const deviceId = process.argv[3] !== undefined ? Number(process.argv[3]) : undefined;
     
-    const tester = new NPA43AProtocolTester(amplifierIP);
+    if (deviceId !== undefined && !(Number.isInteger(deviceId) && deviceId >= 0 && deviceId <= 0xFF)) {
+        console.error(`Invalid device ID: ${process.argv[3]}. Must be 0-255`);
+        process.exit(1);
+    }
+    
+    const tester = new NPA43AProtocolTester(amplifierIP, 8234, { deviceId });
     
     try {
         await tester.connect();
@@ -159,7 +146,7 @@ async function main() {
         
     } catch (error) {
         console.error('Test failed:', error.message);
-        process.exit(1);
+        process.exitCode = 1;
     } finally {
         await tester.disconnect();
     }
@@ -0,0 +1,422 @@
+const { ProtocolError, InvalidParameterError } = require('./errors');
+
+// Framing shared by every NPA43A control code:
+// A5 C3 3C 5A [Device ID] [Command] [Function] [Length] [Data...] EE
+const START_HEADER = [0xA5, 0xC3, 0x3C, 0x5A];
+const END_BYTE = 0xEE;
+const BROADCAST_DEVICE_ID = 0xFF;
+
+const COMMANDS = {
+    write: 0x36,
+    read: 0x63
+};
+
+const CHANNEL_TYPES = {
+    input: 0x01,
+    output: 0x02
+};
+
+// Payload field kinds. Each field reads/writes a fixed number of bytes, except
+// `repeat` fields which consume the rest of the payload.
+const FIELD_KINDS = {
+    channelType: {
+        size: 1,
+        encode: (value, field) => {
+            if (!(value in CHANNEL_TYPES)) {
+                throw new InvalidParameterError(field.name, `must be ${Object.keys(CHANNEL_TYPES).join(' or ')}`);
+            }
+            return [CHANNEL_TYPES[value]];
+        },
+        decode: (bytes, offset) => {
+            const type = Object.keys(CHANNEL_TYPES).find(key => CHANNEL_TYPES[key] === bytes[offset]);
+            if (!type) {
+                throw new ProtocolError(`Unknown channel type: 0x${bytes[offset].toString(16)}`);
+            }
+            return type;
+        }
+    },
+    // Unsigned byte, optionally in 0.1 steps (a 1.0 dB gain step is sent as 0x0A)
+    uint8: {
+        size: 1,
+        encode: (value, field) => [Math.round(checkRange(value, field) / (field.scale || 1))],
+        decode: (bytes, offset, field) => Math.round(bytes[offset] * (field.scale || 1) * 1000) / 1000
+    },
+    bool: {
+        size: 1,
+        encode: (value, field) => {
+            if (typeof value !== 'boolean') {
+                throw new InvalidParameterError(field.name, 'must be true or false');
+            }
+            return [value ? 0x01 : 0x00];
+        },
+        decode: (bytes, offset) => bytes[offset] === 0x01
+    },
+    enum: {
+        size: 1,
+        encode: (value, field) => {
+            if (!(value in field.values)) {
+                throw new InvalidParameterError(field.name, `must be one of ${Object.keys(field.values).join(', ')}`);
+            }
+            return [field.values[value]];
+        },
+        decode: (bytes, offset, field) => {
+            const label = Object.keys(field.values).find(key => field.values[key] === bytes[offset]);
+            return label !== undefined ? label : bytes[offset];
+        }
+    },
+    // Signed 16-bit little endian, sent in 0.1 steps (e.g. dB * 10)
+    int16: {
+        size: 2,
+        encode: (value, field) => {
+            const raw = Math.round(checkRange(value, field) / (field.scale || 1)) & 0xFFFF;
+            return [raw & 0xFF, (raw >> 8) & 0xFF];
+        },
+        decode: (bytes, offset, field) => {
+            const value = (bytes[offset + 1] << 8) | bytes[offset];
+            const signed = value >= 0x8000 ? value - 0x10000 : value;
+            return Math.round(signed * (field.scale || 1) * 1000) / 1000;
+        }
+    },
+    // Reserved byte with a fixed value
+    fixed: {
+        size: 1,
+        encode: (value, field) => [field.value],
+        decode: (bytes, offset) => bytes[offset]
+    }
+};
+
+function checkRange(value, field) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new InvalidParameterError(field.name, 'must be a number');
+    }
+    if (field.kind === 'uint8' && !field.scale && !Number.isInteger(value)) {
+        throw new InvalidParameterError(field.name, 'must be an integer');
+    }
+    if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        throw new InvalidParameterError(field.name, `must be between ${field.min} and ${field.max}`);
+    }
+    return value;
+}
+
+const channelType = { name: 'channelType', kind: 'channelType' };
+const channelId = { name: 'channelId', kind: 'uint8', min: 1, max: 4 };
+// Mute and gain steps address all channels of a type with ID 0
+const channelIdOrAll = { name: 'channelId', kind: 'uint8', min: 0, max: 4 };
+
+// Registry of the function codes in the Central Control Codes document (NPA23A-NPA43A).
+// Each entry lists the payload of its read request, read reply and write command.
+// `address` names the fields a reply echoes back, used to match it to its request.
+const FUNCTIONS = {
+    preset: {
+        code: 0x02,
+        address: [],
+        read: {
+            request: [],
+            reply: [{ name: 'preset', kind: 'uint8', min: 1, max: 30 }]
+        },
+        write: [{ name: 'preset', kind: 'uint8', min: 1, max: 30 }]
+    },
+    mute: {
+        code: 0x03,
+        address: ['channelType', 'channelId'],
+        read: {
+            request: [channelType, channelIdOrAll],
+            reply: [channelType, channelIdOrAll, { name: 'muted', kind: 'bool' }]
+        },
+        write: [channelType, channelIdOrAll, { name: 'muted', kind: 'bool' }]
+    },
+    volume: {
+        code: 0x04,
+        address: ['channelType', 'channelId'],
+        read: {
+            request: [channelType, channelId],
+            reply: [channelType, channelId, { name: 'db', kind: 'int16', scale: 0.1, min: -60, max: 12 }]
+        },
+        write: [channelType, channelId, { name: 'db', kind: 'int16', scale: 0.1, min: -60, max: 12 }]
+    },
+    gainStep: {
+        code: 0x05,
+        address: ['channelType', 'channelId'],
+        write: [
+            channelType,
+            channelIdOrAll,
+            { name: 'direction', kind: 'enum', values: { up: 0x00, down: 0x01 } },
+            { name: 'step', kind: 'uint8', scale: 0.1, min: 0.1, max: 25.5 }
+        ]
+    },
+    inputSensitivity: {
+        code: 0x06,
+        address: ['channelId'],
+        write: [
+            channelId,
+            { name: 'reserved', kind: 'fixed', value: 0x00 },
+            { name: 'sensitivity', kind: 'enum', values: { '12dBu': 0x00, '6dBu': 0x01, '0dBu': 0x02 } }
+        ]
+    },
+    matrix: {
+        code: 0x09,
+        address: ['input', 'output'],
+        read: {
+            request: [
+                { name: 'input', kind: 'uint8', min: 1, max: 4 },
+                { name: 'output', kind: 'uint8', min: 1, max: 4 }
+            ],
+            reply: [
+                { name: 'input', kind: 'uint8', min: 1, max: 4 },
+                { name: 'output', kind: 'uint8', min: 1, max: 4 },
+                { name: 'connected', kind: 'bool' }
+            ]
+        },
+        write: [
+            { name: 'input', kind: 'uint8', min: 1, max: 4 },
+            { name: 'output', kind: 'uint8', min: 1, max: 4 },
+            { name: 'connected', kind: 'bool' }
+        ]
+    },
+    inputSource: {
+        code: 0x0D,
+        address: ['channelId'],
+        read: {
+            request: [channelId],
+            reply: [channelId, { name: 'source', kind: 'enum', values: { analog: 0x00, dante: 0x01 } }]
+        },
+        write: [channelId, { name: 'source', kind: 'enum', values: { analog: 0x00, dante: 0x01 } }]
+    },
+    level: {
+        code: 0x0E,
+        address: ['channelType', 'channelId'],
+        read: {
+            request: [channelType, channelId],
+            reply: [channelType, channelId, { name: 'db', kind: 'int16', scale: 0.1 }]
+        }
+    },
+    levelAll: {
+        code: 0x0F,
+        address: ['channelType'],
+        read: {
+            request: [channelType],
+            reply: [channelType, { name: 'levels', kind: 'int16', scale: 0.1, repeat: true }]
+        }
+    }
+};
+
+const FUNCTIONS_BY_CODE = new Map(Object.entries(FUNCTIONS).map(([name, entry]) => [entry.code, { name, ...entry }]));
+
+function getFunction(name) {
+    const entry = FUNCTIONS[name];
+    if (!entry) {
+        throw new ProtocolError(`Unknown function: ${name}`);
+    }
+    return { name, ...entry };
+}
+
+function layoutFor(entry, command, direction) {
+    if (command === 'write') {
+        return direction === 'request' ? entry.write : null;
+    }
+    return entry.read ? entry.read[direction] : null;
+}
+
+// The dashboard addresses the master mute as 'all-output' with no channel ID
+function normalizeParams(params = {}) {
+    if (params.channelType === 'all-output') {
+        return { ...params, channelType: 'output', channelId: 0 };
+    }
+    return params;
+}
+
+function encodeFields(fields, params) {
+    const bytes = [];
+    fields.forEach(field => {
+        const kind = FIELD_KINDS[field.kind];
+        if (field.repeat) {
+            (params[field.name] || []).forEach(value => bytes.push(...kind.encode(value, field)));
+            return;
+        }
+        if (field.kind !== 'fixed' && params[field.name] === undefined) {
+            throw new InvalidParameterError(field.name, 'is required');
+        }
+        bytes.push(...kind.encode(params[field.name], field));
+    });
+    return bytes;
+}
+
+function decodeFields(fields, payload) {
+    const result = {};
+    let offset = 0;
+
+    fields.forEach(field => {
+        const kind = FIELD_KINDS[field.kind];
+        if (field.repeat) {
+            const values = [];
+            while (offset + kind.size <= payload.length) {
+                values.push(kind.decode(payload, offset, field));
+                offset += kind.size;
+            }
+            result[field.name] = values;
+            return;
+        }
+        if (offset + kind.size > payload.length) {
+            throw new ProtocolError(`Payload too short for ${field.name}: ${payload.length} bytes`);
+        }
+        if (field.kind !== 'fixed') {
+            result[field.name] = kind.decode(payload, offset, field);
+        }
+        offset += kind.size;
+    });
+
+    return result;
+}
+
+function buildFrame(deviceId, command, functionCode, data) {
+    return Buffer.from([
+        ...START_HEADER,
+        deviceId,
+        command,
+        functionCode,
+        data.length,
+        ...data,
+        END_BYTE
+    ]);
+}
+
+// encode('mute', 'write', { channelType: 'output', channelId: 2, muted: true })
+function encode(name, command, params, { deviceId = BROADCAST_DEVICE_ID } = {}) {
+    const entry = getFunction(name);
+    const fields = layoutFor(entry, command, 'request');
+    if (!fields) {
+        throw new ProtocolError(`Function ${name} does not support ${command}`);
+    }
+    return buildFrame(deviceId, COMMANDS[command], entry.code, encodeFields(fields, normalizeParams(params)));
+}
+
+// Build a reply frame as the amplifier would send it (used by the simulator)
+function encodeReply(name, params, { deviceId = BROADCAST_DEVICE_ID } = {}) {
+    const entry = getFunction(name);
+    const fields = layoutFor(entry, 'read', 'reply');
+    if (!fields) {
+        throw new ProtocolError(`Function ${name} has no read reply`);
+    }
+    return buildFrame(deviceId, COMMANDS.read, entry.code, encodeFields(fields, normalizeParams(params)));
+}
+
+// Write feedback from the device: 0x00 success, 0x01 failure
+function encodeAck(name, success = true, { deviceId = BROADCAST_DEVICE_ID } = {}) {
+    return buildFrame(deviceId, COMMANDS.write, getFunction(name).code, [success ? 0x00 : 0x01]);
+}
+
+function validateFrame(frame) {
+    if (frame.length < 9) {
+        throw new ProtocolError(`Frame too short: ${frame.length} bytes`);
+    }
+    if (START_HEADER.some((byte, index) => frame[index] !== byte)) {
+        throw new ProtocolError('Invalid start header');
+    }
+    if (frame[frame.length - 1] !== END_BYTE) {
+        throw new ProtocolError('Invalid end header');
+    }
+    if (frame.length !== 8 + frame[7] + 1) {
+        throw new ProtocolError(`Length mismatch: header says ${frame[7]} data bytes, frame has ${frame.length - 9}`);
+    }
+}
+
+// Decode a frame in either direction. Requests decode with their request layout,
+// replies with their reply layout; a single-byte write payload is device feedback.
+function decode(frame, { direction = 'reply' } = {}) {
+    validateFrame(frame);
+
+    const command = frame[5] === COMMANDS.write ? 'write' : frame[5] === COMMANDS.read ? 'read' : null;
+    if (!command) {
+        throw new ProtocolError(`Invalid command byte: 0x${frame[5].toString(16)}`);
+    }
+
+    const entry = FUNCTIONS_BY_CODE.get(frame[6]);
+    if (!entry) {
+        throw new ProtocolError(`Unsupported function code: 0x${frame[6].toString(16)}`);
+    }
+
+    const payload = frame.slice(8, frame.length - 1);
+    const base = {
+        function: entry.name,
+        functionCode: entry.code,
+        command,
+        deviceId: frame[4]
+    };
+
+    if (direction === 'reply' && command === 'write') {
+        if (payload.length !== 1) {
+            throw new ProtocolError(`Unexpected write feedback length: ${payload.length}`);
+        }
+        return { ...base, success: payload[0] === 0x00 };
+    }
+
+    const fields = layoutFor(entry, command, direction);
+    if (!fields) {
+        throw new ProtocolError(`Function ${entry.name} does not support ${command}`);
+    }
+
+    return { ...base, ...decodeFields(fields, payload) };
+}
+
+// Scan a byte stream for complete frames; leaves incomplete trailing data unconsumed
+function findFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    let skipped = 0;
+
+    while (offset + 8 < buffer.length) {
+        if (START_HEADER.some((byte, index) => buffer[offset + index] !== byte)) {
+            offset++;
+            skipped++;
+            continue;
+        }
+
+        const frameLength = 8 + buffer[offset + 7] + 1;
+        if (offset + frameLength > buffer.length) {
+            break; // Incomplete frame, wait for more data
+        }
+
+        if (buffer[offset + frameLength - 1] !== END_BYTE) {
+            // Not a real header (or a corrupted frame); resync from the next byte
+            offset++;
+            skipped++;
+            continue;
+        }
+
+        frames.push(buffer.slice(offset, offset + frameLength));
+        offset += frameLength;
+    }
+
+    return { frames, remainingOffset: offset, skipped };
+}
+
+// Does a decoded reply answer a request for `name` with these params?
+function matchesRequest(result, name, params) {
+    const entry = getFunction(name);
+    const normalized = normalizeParams(params);
+    return result.function === name && result.command === 'read' &&
+        entry.address.every(field => result[field] === normalized[field]);
+}
+
+function addressKey(name, params) {
+    const normalized = normalizeParams(params);
+    return getFunction(name).address.map(field => normalized[field]).join('-');
+}
+
+module.exports = {
+    START_HEADER,
+    END_BYTE,
+    BROADCAST_DEVICE_ID,
+    COMMANDS,
+    CHANNEL_TYPES,
+    FUNCTIONS,
+    getFunction,
+    encode,
+    encodeReply,
+    encodeAck,
+    decode,
+    findFrames,
+    matchesRequest,
+    addressKey,
+    normalizeParams
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { InvalidParameterError, NotConnectedError, NotFoundError } = require('./errors');
+
+const log = require('./logger').child('scene-store');
+
+// Channels a scene holds: mutes for every channel plus the master, gains per channel
+const GAIN_CHANNELS = ['input-1', 'input-2', 'input-3', 'input-4', 'output-1', 'output-2', 'output-3', 'output-4'];
+const MUTE_CHANNELS = [...GAIN_CHANNELS, 'all-output'];
+
+// 'output-2' -> ['output', 2]; the master mute has no channel number
+function channelAddress(channelKey) {
+    if (channelKey === 'all-output') {
+        return ['all-output', null];
+    }
+    const [channelType, channelId] = channelKey.split('-');
+    return [channelType, Number(channelId)];
+}
+
+// Named snapshots of mute and gain settings across the fleet, saved to disk.
+// A scene maps amplifier IDs to { mutes: { 'output-2': true }, gains: { 'input-1': -6 } }.
+class SceneStore {
+    constructor(options = {}) {
+        this.file = options.file !== undefined ? options.file : path.join(__dirname, '../data/scenes.json');
+        this.scenes = this.load();
+        this.recalling = null; // Scene being recalled, one at a time
+    }
+
+    load() {
+        if (!this.file) {
+            return [];
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log.error('Could not read scenes', { file: this.file, error: err.message });
+            }
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.scenes, null, 2));
+    }
+
+    // Throws InvalidParameterError; names are unique, ignoring case
+    validateName(name, id = null) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+            throw new InvalidParameterError('name', 'must be a non-empty string of up to 64 characters');
+        }
+        const other = this.scenes.find(scene => scene.name.toLowerCase() === name.trim().toLowerCase());
+        if (other && other.id !== id) {
+            throw new InvalidParameterError('name', `a scene called ${other.name} already exists`);
+        }
+        return name.trim();
+    }
+
+    list() {
+        return this.scenes;
+    }
+
+    get(id) {
+        return this.scenes.find(scene => scene.id === id) || null;
+    }
+
+    // Reads the current settings of the given amplifiers and saves them under `name`.
+    // Only connected amplifiers are captured; a channel whose read fails is left out.
+    async capture(name, amplifiers) {
+        name = this.validateName(name);
+        const connected = amplifiers.filter(amplifier => amplifier.isConnected);
+        if (connected.length === 0) {
+            throw new NotConnectedError();
+        }
+
+        const settings = {};
+        await Promise.all(connected.map(async amplifier => {
+            settings[amplifier.id] = await this.captureAmplifier(amplifier);
+        }));
+
+        // Checked again: another scene may have taken the name while reading
+        this.validateName(name);
+        const now = Date.now();
+        const scene = { id: crypto.randomUUID(), name, createdAt: now, updatedAt: now, amplifiers: settings };
+        this.scenes.push(scene);
+        this.save();
+        return scene;
+    }
+
+    async captureAmplifier(amplifier) {
+        const { client, deviceId } = amplifier;
+        const mutes = {};
+        const gains = {};
+
+        await Promise.all([
+            ...MUTE_CHANNELS.map(async channelKey => {
+                const [channelType, channelId] = channelAddress(channelKey);
+                try {
+                    mutes[channelKey] = (await client.getMuteStatus(channelType, channelId, { deviceId })).muted;
+                } catch (err) {
+                    log.warn('Scene capture skipped a mute', { amplifierId: amplifier.id, channel: channelKey, error: err.message });
+                }
+            }),
+            ...GAIN_CHANNELS.map(async channelKey => {
+                const [channelType, channelId] = channelAddress(channelKey);
+                try {
+                    gains[channelKey] = (await client.getGain(channelType, channelId, { deviceId })).db;
+                } catch (err) {
+                    log.warn('Scene capture skipped a gain', { amplifierId: amplifier.id, channel: channelKey, error: err.message });
+                }
+            })
+        ]);
+
+        // Reads finish in any order; keep the saved file in channel order
+        const ordered = (channels, values) => Object.fromEntries(
+            channels.filter(channelKey => values[channelKey] !== undefined).map(channelKey => [channelKey, values[channelKey]]));
+        return { mutes: ordered(MUTE_CHANNELS, mutes), gains: ordered(GAIN_CHANNELS, gains) };
+    }
+
+    rename(id, name) {
+        const scene = this.get(id);
+        if (!scene) {
+            return null;
+        }
+        scene.name = this.validateName(name, id);
+        scene.updatedAt = Date.now();
+        this.save();
+        return scene;
+    }
+
+    remove(id) {
+        const index = this.scenes.findIndex(scene => scene.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this.scenes.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    // Applies a scene through each amplifier's paced queue. Every channel is read
+    // first and written only if it differs; writes are confirmed by reading back.
+    // Mutes go on before gains change and come off after, so a recall never passes
+    // through a louder state than either scene. Writes go through `writes`, which the
+    // server points at its audited control paths: { mute(amplifier, type, id, muted),
+    // gain(amplifier, type, id, db) }, each resolving once the amp confirms.
+    // Resolves with one result per channel:
+    // { amplifierId, channel, kind, value, status: 'unchanged' | 'applied' | 'failed', code, error }
+    async recall(scene, fleet, writes) {
+        if (this.recalling) {
+            throw new Error(`Scene ${this.recalling.name} is still being recalled`);
+        }
+        this.recalling = scene;
+
+        const steps = { muteOn: [], gain: [], muteOff: [] };
+        Object.entries(scene.amplifiers).forEach(([amplifierId, { mutes, gains }]) => {
+            const amplifier = fleet.get(amplifierId);
+            Object.entries(mutes).forEach(([channel, value]) => {
+                steps[value ? 'muteOn' : 'muteOff'].push({ amplifier, amplifierId, channel, kind: 'mute', value });
+            });
+            Object.entries(gains).forEach(([channel, value]) => {
+                steps.gain.push({ amplifier, amplifierId, channel, kind: 'gain', value });
+            });
+        });
+
+        try {
+            const results = [];
+            for (const phase of [steps.muteOn, steps.gain, steps.muteOff]) {
+                results.push(...await Promise.all(phase.map(step => this.applyStep(step, writes))));
+            }
+            return results;
+        } finally {
+            this.recalling = null;
+        }
+    }
+
+    async applyStep({ amplifier, amplifierId, channel, kind, value }, writes) {
+        const result = { amplifierId, channel, kind, value };
+        try {
+            if (!amplifier) {
+                throw new NotFoundError(`No amplifier with id ${amplifierId}`);
+            }
+            if (!amplifier.isConnected) {
+                throw new NotConnectedError();
+            }
+
+            const { client, deviceId } = amplifier;
+            const [channelType, channelId] = channelAddress(channel);
+            if (kind === 'mute') {
+                const current = await client.getMuteStatus(channelType, channelId, { deviceId });
+                if (current.muted === value) {
+                    return { ...result, status: 'unchanged' };
+                }
+                await writes.mute(amplifier, channelType, channelId, value);
+            } else {
+                const current = await client.getGain(channelType, channelId, { deviceId });
+                if (Math.abs(current.db - value) < 0.05) {
+                    return { ...result, status: 'unchanged' };
+                }
+                await writes.gain(amplifier, channelType, channelId, value);
+            }
+            return { ...result, status: 'applied' };
+        } catch (err) {
+            return { ...result, status: 'failed', code: err.code || 'INTERNAL_ERROR', error: err.message };
+        }
+    }
+}
+
+module.exports = SceneStore;
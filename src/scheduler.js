@@ -0,0 +1,354 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cron = require('./cron');
+const { InvalidParameterError } = require('./errors');
+
+const log = require('./logger').child('scheduler');
+
+const CHANNEL_PATTERN = /^((input|output)-[1-4]|all-output)$/;
+const MISSED_POLICIES = ['skip', 'catch-up'];
+const MAX_CATCH_UP = 7 * 24 * 60 * 60 * 1000;
+
+// Query-string style time: epoch milliseconds or an ISO 8601 date; NaN when unparseable
+function parseTime(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    return /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+}
+
+// Runs actions at set times: recurring jobs on a cron expression, one-off jobs at
+// a date. An action is run through the handlers given by the server:
+//   isReady(action)     false while the amplifiers it needs are disconnected
+//   run(action, job)    resolves with a short description, rejects when it fails
+//   checkAction(action) throws NotFoundError for an amplifier or scene that is gone
+// A trigger that finds its amplifiers disconnected, or that passed while the server
+// was down, is either skipped or caught up once they are back within catchUpWithin,
+// as the job's `missed` policy says. Jobs and run history are saved to disk.
+// Emits 'run' with each run record and 'change' when job state moves on.
+class Scheduler extends EventEmitter {
+    constructor(options = {}, handlers = {}) {
+        super();
+        this.file = options.file !== undefined ? options.file : path.join(__dirname, '../data/schedules.json');
+        this.tickInterval = options.tickInterval !== undefined ? options.tickInterval : 1000;
+        this.historySize = options.historySize !== undefined ? options.historySize : 200;
+        this.handlers = handlers;
+
+        const saved = this.load();
+        this.jobs = saved.jobs || [];
+        this.runs = saved.runs || []; // newest last, bounded by historySize
+        this.running = new Set(); // IDs of jobs whose action is in progress
+        this.tickTimer = null;
+    }
+
+    load() {
+        if (!this.file) {
+            return {};
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log.error('Could not read schedules', { file: this.file, error: err.message });
+            }
+            return {};
+        }
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({ jobs: this.jobs, runs: this.runs }, null, 2));
+    }
+
+    // save() for the timer and job runs, which have no caller to report to: a failed
+    // write is logged and the next change writes everything again
+    persist() {
+        try {
+            this.save();
+        } catch (err) {
+            log.error('Could not save schedules', { file: this.file, error: err.message });
+        }
+    }
+
+    // Throws InvalidParameterError; returns the fields that were given, cleaned up.
+    // A job has either `cron` or `at`; giving one on update drops the other.
+    validate(fields, { partial = false } = {}) {
+        const job = {};
+
+        if (fields.name !== undefined || !partial) {
+            if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 64) {
+                throw new InvalidParameterError('name', 'must be a non-empty string of up to 64 characters');
+            }
+            job.name = fields.name.trim();
+        }
+
+        if (fields.cron !== undefined && fields.at !== undefined) {
+            throw new InvalidParameterError('at', 'cannot be combined with cron');
+        }
+        if (fields.cron !== undefined) {
+            const spec = cron.parse(fields.cron);
+            if (cron.next(spec, Date.now()) === null) {
+                throw new InvalidParameterError('cron', 'never matches a date');
+            }
+            job.cron = fields.cron.trim().split(/\s+/).join(' ');
+            job.at = null;
+        } else if (fields.at !== undefined) {
+            const at = parseTime(fields.at);
+            if (!Number.isFinite(at)) {
+                throw new InvalidParameterError('at', 'must be epoch milliseconds or an ISO 8601 date');
+            }
+            if (at <= Date.now()) {
+                throw new InvalidParameterError('at', 'must be in the future');
+            }
+            job.at = at;
+            job.cron = null;
+        } else if (!partial) {
+            throw new InvalidParameterError('schedule', 'needs either cron or at');
+        }
+
+        if (fields.action !== undefined || !partial) {
+            job.action = this.validateAction(fields.action);
+        }
+
+        if (fields.missed !== undefined) {
+            if (!MISSED_POLICIES.includes(fields.missed)) {
+                throw new InvalidParameterError('missed', `must be ${MISSED_POLICIES.join(' or ')}`);
+            }
+            job.missed = fields.missed;
+        }
+
+        if (fields.catchUpWithin !== undefined) {
+            if (!Number.isInteger(fields.catchUpWithin) || fields.catchUpWithin < 0 || fields.catchUpWithin > MAX_CATCH_UP) {
+                throw new InvalidParameterError('catchUpWithin', `must be milliseconds between 0 and ${MAX_CATCH_UP} (7 days)`);
+            }
+            job.catchUpWithin = fields.catchUpWithin;
+        }
+
+        if (fields.enabled !== undefined) {
+            if (typeof fields.enabled !== 'boolean') {
+                throw new InvalidParameterError('enabled', 'must be true or false');
+            }
+            job.enabled = fields.enabled;
+        }
+
+        return job;
+    }
+
+    // { type: 'mute', amplifierId, channel, mute } or { type: 'recallScene', sceneId }
+    validateAction(action) {
+        if (!action || typeof action !== 'object') {
+            throw new InvalidParameterError('action', 'must be an object');
+        }
+        if (action.type === 'mute') {
+            if (typeof action.amplifierId !== 'string' || !action.amplifierId) {
+                throw new InvalidParameterError('action.amplifierId', 'must be an amplifier ID');
+            }
+            if (!CHANNEL_PATTERN.test(action.channel)) {
+                throw new InvalidParameterError('action.channel', 'must be input-1 to input-4, output-1 to output-4 or all-output');
+            }
+            if (typeof action.mute !== 'boolean') {
+                throw new InvalidParameterError('action.mute', 'must be true or false');
+            }
+            return { type: 'mute', amplifierId: action.amplifierId, channel: action.channel, mute: action.mute };
+        }
+        if (action.type === 'recallScene') {
+            if (typeof action.sceneId !== 'string' || !action.sceneId) {
+                throw new InvalidParameterError('action.sceneId', 'must be a scene ID');
+            }
+            return { type: 'recallScene', sceneId: action.sceneId };
+        }
+        throw new InvalidParameterError('action.type', 'must be mute or recallScene');
+    }
+
+    list() {
+        return this.jobs.map(job => ({ ...job, running: this.running.has(job.id) }));
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    // When the job next fires, from now; one-off jobs fire once
+    nextRun(job, now = Date.now()) {
+        if (!job.enabled) {
+            return null;
+        }
+        return job.cron ? cron.next(cron.parse(job.cron), now) : (job.at > now ? job.at : null);
+    }
+
+    add(fields) {
+        const now = Date.now();
+        const job = {
+            id: crypto.randomUUID(),
+            enabled: true,
+            missed: 'catch-up',
+            catchUpWithin: 60 * 60 * 1000,
+            ...this.validate(fields),
+            createdAt: now,
+            updatedAt: now,
+            pendingSince: null,
+            lastRun: null
+        };
+        this.handlers.checkAction(job.action);
+        job.nextRun = this.nextRun(job, now);
+        this.jobs.push(job);
+        this.save();
+        return job;
+    }
+
+    // A change of time, action or enabled state starts the job over; other edits,
+    // such as a rename, keep its next run and any run waiting to catch up
+    update(id, fields) {
+        const job = this.get(id);
+        if (!job) {
+            return null;
+        }
+        const changes = this.validate(fields, { partial: true });
+        if (changes.action) {
+            this.handlers.checkAction(changes.action);
+        }
+        const restart = ['cron', 'at', 'action', 'enabled'].some(key =>
+            key in changes && JSON.stringify(changes[key]) !== JSON.stringify(job[key]));
+        Object.assign(job, changes, { updatedAt: Date.now() });
+        if (restart) {
+            job.pendingSince = null;
+            job.nextRun = this.nextRun(job);
+        }
+        this.save();
+        return job;
+    }
+
+    remove(id) {
+        const index = this.jobs.findIndex(job => job.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this.jobs.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    // Runs, newest first, optionally for one job
+    listRuns({ jobId } = {}) {
+        return this.runs.filter(run => jobId === undefined || run.jobId === jobId).reverse();
+    }
+
+    tick(now = Date.now()) {
+        this.jobs.forEach(job => {
+            if (this.running.has(job.id)) {
+                return;
+            }
+            if (job.enabled && job.nextRun !== null && job.nextRun <= now) {
+                this.trigger(job, now);
+            } else if (job.pendingSince !== null) {
+                this.retryPending(job, now);
+            }
+        });
+    }
+
+    trigger(job, now) {
+        const scheduledAt = job.nextRun;
+        if (!job.cron) {
+            job.enabled = false;
+        }
+        job.nextRun = this.nextRun(job, now);
+        job.pendingSince = null;
+
+        if (this.handlers.isReady(job.action)) {
+            this.execute(job, scheduledAt, 'schedule');
+        } else if (job.missed === 'catch-up' && now - scheduledAt <= job.catchUpWithin) {
+            log.info('Job is waiting for its amplifiers to catch up', { jobId: job.id, job: job.name });
+            job.pendingSince = scheduledAt;
+        } else {
+            this.record(job, { scheduledAt, trigger: 'schedule', status: 'skipped', error: 'Amplifier not connected at the trigger time' });
+        }
+        this.persist();
+        this.emit('change');
+    }
+
+    retryPending(job, now) {
+        const scheduledAt = job.pendingSince;
+        if (now - scheduledAt > job.catchUpWithin) {
+            job.pendingSince = null;
+            this.record(job, { scheduledAt, trigger: 'catch-up', status: 'skipped', error: 'Amplifier not connected within the catch-up window' });
+        } else if (this.handlers.isReady(job.action)) {
+            job.pendingSince = null;
+            this.execute(job, scheduledAt, 'catch-up');
+        } else {
+            return;
+        }
+        this.persist();
+        this.emit('change');
+    }
+
+    // Runs a job's action straight away, whatever its schedule; resolves with the run
+    runNow(id) {
+        const job = this.get(id);
+        if (!job) {
+            return null;
+        }
+        if (this.running.has(id)) {
+            throw new Error(`${job.name} is already running`);
+        }
+        return this.execute(job, Date.now(), 'manual');
+    }
+
+    async execute(job, scheduledAt, trigger) {
+        this.running.add(job.id);
+        this.emit('change');
+        log.info('Running job', { jobId: job.id, job: job.name, trigger });
+
+        let run;
+        try {
+            const detail = await this.handlers.run(job.action, job);
+            run = this.record(job, { scheduledAt, trigger, status: 'succeeded', detail });
+        } catch (err) {
+            log.error('Scheduled job failed', { jobId: job.id, job: job.name, error: err.message });
+            run = this.record(job, { scheduledAt, trigger, status: 'failed', code: err.code || 'INTERNAL_ERROR', error: err.message });
+        } finally {
+            this.running.delete(job.id);
+        }
+        this.persist();
+        this.emit('change');
+        return run;
+    }
+
+    // run: { scheduledAt, trigger: 'schedule' | 'catch-up' | 'manual', status, detail, code, error }
+    record(job, run) {
+        const entry = {
+            id: crypto.randomUUID(),
+            jobId: job.id,
+            jobName: job.name,
+            action: job.action,
+            ranAt: Date.now(),
+            ...run
+        };
+        this.runs.push(entry);
+        if (this.runs.length > this.historySize) {
+            this.runs.splice(0, this.runs.length - this.historySize);
+        }
+        job.lastRun = { at: entry.ranAt, status: entry.status };
+        this.emit('run', entry);
+        return entry;
+    }
+
+    start() {
+        if (!this.tickTimer) {
+            this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+        }
+    }
+
+    stop() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+    }
+}
+
+module.exports = Scheduler;
@@ -3,16 +3,170 @@ const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
 const NPA43AClient = require('./amplifier-client');
+const CaptureReplayClient = require('./capture-replay');
+const protocol = require('./protocol');
+const AmplifierFleet = require('./amplifier-fleet');
+const AmplifierDiscovery = require('./amplifier-discovery');
+const EventRecorder = require('./event-recorder');
+const AlarmEngine = require('./alarm-engine');
+const WebhookDispatcher = require('./webhook-dispatcher');
+const metrics = require('./metrics');
+const OscBridge = require('./osc-bridge');
+const SceneStore = require('./scene-store');
+const Scheduler = require('./scheduler');
+const AuditLog = require('./audit-log');
+const TrafficCaptures = require('./traffic-capture');
+const wsCommands = require('./ws-commands');
+const UpdateBatcher = require('./update-batcher');
+const { AmplifierError, NotConnectedError, NotFoundError, ReadOnlyError } = require('./errors');
+const logging = require('./logger');
+
+const log = logging.child('server');
+
+// Valid channel volume range, as declared in the protocol registry
+const GAIN_RANGE = protocol.FUNCTIONS.volume.write.find(field => field.name === 'db');
+
+// HTTP status for errors raised by NPA43AClient requests
+function errorStatus(err) {
+    switch (err.code) {
+        case 'NOT_CONNECTED':
+        case 'INVALID_PARAMETER':
+            return 400;
+        case 'NOT_FOUND':
+            return 404;
+        case 'READ_ONLY':
+            return 409;
+        case 'COMMAND_TIMEOUT':
+        case 'NOT_CONFIRMED':
+            return 504;
+        default:
+            return 500;
+    }
+}
+
+const CHANNEL_KEY_PATTERN = /^(input|output)-[1-4]$/;
+
+// Validation shared by every mute entry point (REST, OSC); returns an error message or null
+function validateMute(type, id, mute) {
+    if (typeof mute !== 'boolean') {
+        return 'Invalid mute. Must be true or false';
+    }
+    if (type === 'all-output') {
+        return null;
+    }
+    if (type !== 'input' && type !== 'output') {
+        return 'Invalid type. Must be input, output, or all-output';
+    }
+    if (!id || id < 1 || id > 4) {
+        return 'Invalid channel ID. Must be 1-4';
+    }
+    return null;
+}
+
+// '::ffff:10.0.0.5' -> '10.0.0.5'
+function clientAddress(address) {
+    return address ? address.replace(/^::ffff:/, '') : null;
+}
+
+// Who sent an HTTP request or opened a WebSocket, for the audit log. A user name is
+// only known when a proxy in front of the server passes it in X-Forwarded-User.
+function requestActor(req, source) {
+    return {
+        source,
+        ip: clientAddress(req.socket.remoteAddress),
+        user: req.headers['x-forwarded-user'] || null,
+        userAgent: req.headers['user-agent'] || null
+    };
+}
+
+const AUDIT_ACTIONS = ['connect', 'disconnect', 'mute', 'gain', 'sceneRecall', 'captureReplay', 'amplifierAdd', 'amplifierUpdate', 'amplifierRemove'];
+const AUDIT_SOURCES = ['http', 'websocket', 'osc', 'scheduler'];
+
+// Channels a recording export can be limited to; all-output is the master mute
+const EXPORT_CHANNEL_PATTERN = /^((input|output)-[1-4]|all-output)$/;
+
+const CSV_COLUMNS = ['timestamp', 'event', 'channel', 'db', 'muted', 'amplifierIP', 'amplifierId'];
+
+function csvField(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Query-string time: epoch milliseconds or an ISO 8601 date; NaN when unparseable
+function parseTime(value) {
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    return Date.parse(value);
+}
 
 class AudioVisualizerServer {
-    constructor(port = 8080) {
+    constructor(port = 8080, options = {}) {
         this.port = port;
         this.app = express();
         this.server = http.createServer(this.app);
         this.wss = new WebSocket.Server({ server: this.server });
-        this.amplifierClient = null;
         this.connectedClients = new Set();
+        // Each client gets its messages merged into one batch frame per interval
+        this.updateOptions = options.updates || {};
+        this.updateStats = { frames: 0, messages: 0, deferred: 0, droppedEvents: 0 };
+        // Each amplifier has its own client, polled state, counters, history and statistics
+        this.fleet = new AmplifierFleet({
+            ...options.fleet,
+            counters: {
+                clipThreshold: options.clipThreshold,
+                overThreshold: options.overThreshold
+            },
+            history: options.history,
+            stats: options.stats
+        });
+        this.links = new Map(); // 'ip:port' -> { address, client, amplifiers, connecting }
+        this.discovery = new AmplifierDiscovery(options.discovery);
+        this.discovery.on('progress', () => this.broadcastDiscovery());
+        this.recorder = new EventRecorder(options.recording);
+        this.recorder.on('started', () => this.broadcastRecording());
+        this.recorder.on('stopped', () => this.broadcastRecording());
+        this.recorder.on('error', (err) => {
+            this.broadcast({
+                type: 'error',
+                message: `Recording stopped: ${err.message}`
+            });
+        });
+        this.captures = new TrafficCaptures(options.captures);
+        this.captures.on('change', () => this.broadcastCaptures());
+        this.scenes = new SceneStore(options.scenes);
+        this.audit = new AuditLog(options.audit);
+        this.audit.on('entry', (entry) => this.broadcast({ type: 'audit', entry }));
+        this.scheduler = new Scheduler(options.schedules, {
+            isReady: (action) => this.scheduledActionReady(action),
+            run: (action, job) => this.runScheduledAction(action, job),
+            checkAction: (action) => this.scheduledActionTarget(action)
+        });
+        this.scheduler.on('change', () => this.broadcastSchedules());
+        this.scheduler.on('run', (run) => this.broadcast({ type: 'scheduleRun', run }));
+        this.scheduler.start();
+        this.alarms = new AlarmEngine(options.alarms);
+        this.webhooks = new WebhookDispatcher(options.webhooks);
+        this.webhooks.on('delivery', (delivery) => {
+            this.broadcast({ type: 'webhookDelivery', delivery });
+        });
+        this.alarms.on('alarm', ({ event, alarm }) => {
+            this.broadcast({ type: 'alarm', event, alarm });
+            this.broadcastAlarms();
+            if (event !== 'acknowledge') {
+                this.webhooks.dispatch('alarm', { event, alarm });
+            }
+        });
+        this.alarms.start();
+        this.osc = options.osc ? new OscBridge(options.osc) : null;
+        if (this.osc) {
+            this.osc.on('mute', (request) => this.handleOscMute(request));
+        }
         this.statusBroadcastInterval = null;
+        this.statsBroadcastInterval = null;
         this.heartbeatInterval = null;
         
         this.setupExpress();
@@ -25,76 +179,783 @@ class AudioVisualizerServer {
         // Serve static files from public directory
         this.app.use(express.static(path.join(__dirname, '../public')));
         
-        // API endpoint to set amplifier IP
-        this.app.post('/api/connect', express.json(), (req, res) => {
-            const { amplifierIP } = req.body;
-            
-            if (!amplifierIP) {
-                return res.status(400).json({ error: 'Amplifier IP is required' });
+        // API endpoints for the list of amplifiers
+        this.app.get('/api/amplifiers', (req, res) => {
+            res.json({ amplifiers: this.fleet.summaries() });
+        });
+
+        this.app.post('/api/amplifiers', express.json(), (req, res) => {
+            this.addRequested(req.body || {}, requestActor(req, 'http'))
+                .then(amplifier => {
+                    res.json({ success: true, amplifier: amplifier.summary() });
+                })
+                .catch(err => {
+                    res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+                });
+        });
+
+        this.app.put('/api/amplifiers/:amplifierId', express.json(), (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
             }
+            
+            this.updateRequested(amplifier, req.body || {}, requestActor(req, 'http'))
+                .then(() => {
+                    res.json({ success: true, amplifier: amplifier.summary() });
+                })
+                .catch(err => {
+                    res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+                });
+        });
 
-            this.connectToAmplifier(amplifierIP)
+        this.app.delete('/api/amplifiers/:amplifierId', (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            this.removeRequested(amplifier, requestActor(req, 'http'))
                 .then(() => {
-                    res.json({ success: true, message: 'Connected to amplifier' });
+                    res.json({ success: true });
                 })
                 .catch(err => {
-                    res.status(500).json({ error: err.message });
+                    res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+                });
+        });
+
+        this.app.post('/api/amplifiers/:amplifierId/connect', (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (amplifier) {
+                this.requestConnect(amplifier, req, res);
+            }
+        });
+
+        this.app.post('/api/amplifiers/:amplifierId/disconnect', (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (amplifier) {
+                this.requestDisconnect(amplifier, req, res);
+            }
+        });
+
+        // API endpoints for LAN discovery; results arrive over the WebSocket as they are found
+        this.app.get('/api/discovery', (req, res) => {
+            res.json(this.discoveryStatus());
+        });
+
+        this.app.post('/api/discovery/scan', express.json(), (req, res) => {
+            if (this.discovery.scanning) {
+                return res.status(409).json({ error: 'A discovery scan is already running' });
+            }
+            
+            try {
+                this.discovery.scan({ subnet: (req.body || {}).subnet }).catch(err => {
+                    log.error('Discovery scan failed', { error: err.message });
+                    this.broadcast({ type: 'error', message: `Discovery failed: ${err.message}` });
                 });
+            } catch (err) {
+                return res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+            res.json({ success: true, ...this.discoveryStatus() });
+        });
+
+        // API endpoints for scenes: named mute and gain settings across the fleet
+        this.app.get('/api/scenes', (req, res) => {
+            res.json({ scenes: this.scenes.list(), recalling: this.scenes.recalling ? this.scenes.recalling.id : null });
+        });
+
+        // Captures every connected amplifier, or those listed in amplifierIds
+        this.app.post('/api/scenes', express.json(), async (req, res) => {
+            const { name, amplifierIds } = req.body || {};
+            if (amplifierIds !== undefined && (!Array.isArray(amplifierIds) || amplifierIds.some(id => typeof id !== 'string'))) {
+                return res.status(400).json({ error: 'Invalid amplifierIds: must be an array of amplifier IDs', code: 'INVALID_PARAMETER' });
+            }
+            const unknown = (amplifierIds || []).find(id => !this.fleet.get(id));
+            if (unknown !== undefined) {
+                return res.status(404).json({ error: `No amplifier with id ${unknown}`, code: 'NOT_FOUND' });
+            }
+            
+            try {
+                const amplifiers = amplifierIds ? amplifierIds.map(id => this.fleet.get(id)) : this.fleet.list();
+                const scene = await this.scenes.capture(name, amplifiers);
+                log.info('Saved scene', { sceneId: scene.id, scene: scene.name, amplifiers: Object.keys(scene.amplifiers).join(',') });
+                this.broadcastScenes();
+                res.json({ success: true, scene });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        this.app.put('/api/scenes/:id', express.json(), (req, res) => {
+            try {
+                const scene = this.scenes.rename(req.params.id, (req.body || {}).name);
+                if (!scene) {
+                    return res.status(404).json({ error: `No scene with id ${req.params.id}` });
+                }
+                this.broadcastScenes();
+                res.json({ success: true, scene });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        this.app.delete('/api/scenes/:id', (req, res) => {
+            if (!this.scenes.remove(req.params.id)) {
+                return res.status(404).json({ error: `No scene with id ${req.params.id}` });
+            }
+            this.broadcastScenes();
+            res.json({ success: true });
+        });
+
+        // Resolves once every channel is confirmed or has failed; failures are listed
+        // in the response rather than failing the request
+        this.app.post('/api/scenes/:id/recall', async (req, res) => {
+            const scene = this.scenes.get(req.params.id);
+            if (!scene) {
+                return res.status(404).json({ error: `No scene with id ${req.params.id}` });
+            }
+            if (this.scenes.recalling) {
+                return res.status(409).json({ error: `Scene ${this.scenes.recalling.name} is still being recalled` });
+            }
+
+            // Only errors from the recall as a whole reach the catch; see recallScene
+            try {
+                res.json(await this.recallScene(scene, requestActor(req, 'http')));
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        // API endpoints for scheduled jobs and their run history
+        this.app.get('/api/schedules', (req, res) => {
+            res.json({ jobs: this.scheduler.list() });
+        });
+
+        this.app.post('/api/schedules', express.json(), (req, res) => {
+            try {
+                const job = this.scheduler.add(req.body || {});
+                log.info('Scheduled job', { jobId: job.id, job: job.name, nextRun: job.nextRun ? new Date(job.nextRun).toISOString() : null });
+                this.broadcastSchedules();
+                res.json({ success: true, job });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        this.app.put('/api/schedules/:id', express.json(), (req, res) => {
+            try {
+                const job = this.scheduler.update(req.params.id, req.body || {});
+                if (!job) {
+                    return res.status(404).json({ error: `No scheduled job with id ${req.params.id}` });
+                }
+                this.broadcastSchedules();
+                res.json({ success: true, job });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        this.app.delete('/api/schedules/:id', (req, res) => {
+            if (!this.scheduler.remove(req.params.id)) {
+                return res.status(404).json({ error: `No scheduled job with id ${req.params.id}` });
+            }
+            this.broadcastSchedules();
+            res.json({ success: true });
+        });
+
+        // Runs a job now, whatever its schedule; the run is in the response and the history
+        this.app.post('/api/schedules/:id/run', async (req, res) => {
+            let running;
+            try {
+                running = this.scheduler.runNow(req.params.id);
+            } catch (err) {
+                return res.status(409).json({ error: err.message });
+            }
+            if (!running) {
+                return res.status(404).json({ error: `No scheduled job with id ${req.params.id}` });
+            }
+            try {
+                res.json({ success: true, run: await running });
+            } catch (err) {
+                log.error('Scheduled job run failed', { jobId: req.params.id, error: err.message });
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        this.app.get('/api/schedules/runs', (req, res) => {
+            res.json({ runs: this.scheduler.listRuns({ jobId: req.query.job }) });
+        });
+
+        // Audit log of control actions, newest first, e.g.
+        // /api/audit?action=mute&amplifierId=main-hall&client=10.0.0.5&offset=50&limit=50
+        this.app.get('/api/audit', async (req, res) => {
+            const { action, amplifierId, source, outcome, client } = req.query;
+            
+            const to = req.query.to !== undefined ? parseTime(req.query.to) : Date.now();
+            const from = req.query.from !== undefined ? parseTime(req.query.from) : 0;
+            if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+                return res.status(400).json({ error: 'Invalid time range. from and to must be epoch ms or ISO dates, with from <= to' });
+            }
+            
+            const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+            const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+            if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > 500) {
+                return res.status(400).json({ error: 'Invalid page. offset must be 0 or more and limit between 1 and 500' });
+            }
+            
+            if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+                return res.status(400).json({ error: `Invalid action. Must be one of ${AUDIT_ACTIONS.join(', ')}` });
+            }
+            if (source !== undefined && !AUDIT_SOURCES.includes(source)) {
+                return res.status(400).json({ error: `Invalid source. Must be one of ${AUDIT_SOURCES.join(', ')}` });
+            }
+            if (outcome !== undefined && outcome !== 'confirmed' && outcome !== 'failed') {
+                return res.status(400).json({ error: 'Invalid outcome. Must be confirmed or failed' });
+            }
+            
+            try {
+                res.json(await this.audit.query({ from, to, action, amplifierId, source, outcome, client, offset, limit }));
+            } catch (err) {
+                log.error('Audit query failed', { error: err.message });
+                res.status(500).json({ error: err.message });
+            }
+        });
+
+        // Recent server log entries, oldest first; poll with after=<lastId> for new ones, e.g.
+        // /api/logs?after=120&level=warn&category=amplifier-client
+        this.app.get('/api/logs', (req, res) => {
+            const { level, category } = req.query;
+            
+            const after = req.query.after !== undefined ? Number(req.query.after) : 0;
+            const limit = req.query.limit !== undefined ? Number(req.query.limit) : 200;
+            if (!Number.isInteger(after) || after < 0 || !Number.isInteger(limit) || limit < 1 || limit > 1000) {
+                return res.status(400).json({ error: 'Invalid page. after must be an entry ID and limit between 1 and 1000' });
+            }
+            if (level !== undefined && !logging.LEVELS.includes(level)) {
+                return res.status(400).json({ error: `Invalid level. Must be one of ${logging.LEVELS.join(', ')}` });
+            }
+            
+            res.json(logging.logger.query({ after, level, category, limit }));
+        });
+
+        // Log levels, changed at runtime: { level, categories: { "amplifier-client": "debug" } };
+        // a category set to null goes back to the default level
+        this.app.get('/api/logs/levels', (req, res) => {
+            res.json(logging.logger.levels());
+        });
+
+        this.app.put('/api/logs/levels', express.json(), (req, res) => {
+            const { level, categories } = req.body || {};
+            try {
+                logging.logger.configure({ level, categories });
+            } catch (err) {
+                return res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+            log.info('Log levels changed', { defaultLevel: logging.logger.level, categories: logging.logger.categoryLevels, ip: clientAddress(req.socket.remoteAddress) });
+            res.json({ success: true, ...logging.logger.levels() });
+        });
+
+        // API endpoint to connect by IP: the amplifier named by amplifierId is moved
+        // to that IP, otherwise the one already at that IP is used or a new one added
+        this.app.post('/api/connect', express.json(), (req, res) => {
+            const { amplifierIP, amplifierId } = req.body;
+            
+            if (!amplifierIP && amplifierId === undefined) {
+                return res.status(400).json({ error: 'Amplifier IP is required' });
+            }
+
+            let amplifier;
+            try {
+                if (amplifierId !== undefined) {
+                    amplifier = this.resolveAmplifier(req, res);
+                    if (!amplifier) {
+                        return;
+                    }
+                    if (amplifierIP && amplifierIP !== amplifier.ip) {
+                        this.fleet.validate({ ip: amplifierIP }, { partial: true });
+                        this.disconnectAmplifier(amplifier);
+                        this.fleet.update(amplifier.id, { ip: amplifierIP });
+                    }
+                } else {
+                    amplifier = this.fleet.findByAddress(amplifierIP);
+                    if (!amplifier) {
+                        amplifier = this.fleet.add({ name: amplifierIP, ip: amplifierIP });
+                    }
+                }
+            } catch (err) {
+                return res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+
+            this.requestConnect(amplifier, req, res);
         });
 
         // API endpoint to disconnect
-        this.app.post('/api/disconnect', (req, res) => {
-            this.disconnectFromAmplifier();
-            res.json({ success: true, message: 'Disconnected from amplifier' });
+        this.app.post('/api/disconnect', express.json(), (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (amplifier) {
+                this.requestDisconnect(amplifier, req, res);
+            }
         });
 
-        // API endpoint for mute control
-        this.app.post('/api/mute', express.json(), (req, res) => {
+        // API endpoint for mute control; responds once the amp confirms the new state
+        this.app.post('/api/mute', express.json(), async (req, res) => {
             const { type, id, mute } = req.body;
+            log.debug('Mute request', { body: req.body, ip: clientAddress(req.socket.remoteAddress) });
             
-            console.log(`\n=== MUTE API CALL ===`);
-            console.log(`Request body:`, req.body);
-            console.log(`Type: ${type}, ID: ${id}, Mute: ${mute}`);
-            
-            if (!this.amplifierClient || !this.amplifierClient.isConnected) {
-                console.log(`❌ Not connected to amplifier`);
-                return res.status(400).json({ error: 'Not connected to amplifier' });
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
             }
             
-            console.log(`✓ Amplifier connected, sending command...`);
+            const invalid = validateMute(type, id, mute);
+            if (invalid) {
+                log.warn('Rejected mute request', { amplifierId: amplifier.id, error: invalid });
+                return res.status(400).json({ error: invalid });
+            }
             
+            let confirmed;
             try {
                 if (type === 'all-output') {
-                    console.log(`Sending master mute command (all-output)`);
-                    this.amplifierClient.setMute('all-output', null, mute);
-                } else if (type === 'input' || type === 'output') {
-                    if (!id || id < 1 || id > 4) {
-                        console.log(`❌ Invalid channel ID: ${id}`);
-                        return res.status(400).json({ error: 'Invalid channel ID. Must be 1-4' });
-                    }
-                    console.log(`Sending channel mute command: ${type} ${id}`);
-                    this.amplifierClient.setMute(type, id, mute);
+                    confirmed = await this.setAmplifierMute(requestActor(req, 'http'), amplifier, 'all-output', null, mute);
                 } else {
-                    console.log(`❌ Invalid type: ${type}`);
-                    return res.status(400).json({ error: 'Invalid type. Must be input, output, or all-output' });
+                    confirmed = await this.setAmplifierMute(requestActor(req, 'http'), amplifier, type, id, mute);
                 }
-                
-                console.log(`✓ Command sent successfully`);
-                res.json({ 
-                    success: true, 
-                    message: `${mute ? 'Muted' : 'Unmuted'} ${type}${id ? ' ' + id : ''}` 
+            } catch (err) {
+                log.warn('Mute not applied', { amplifierId: amplifier.id, type, id, mute, error: err.message });
+                return res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+            
+            res.json({
+                success: true,
+                amplifierId: amplifier.id,
+                type,
+                id: type === 'all-output' ? null : id,
+                muted: confirmed.muted
+            });
+        });
+
+        // API endpoint for channel gain (volume)
+        this.app.get('/api/gain', (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            res.json({
+                amplifierId: amplifier.id,
+                connected: amplifier.isConnected,
+                min: GAIN_RANGE.min,
+                max: GAIN_RANGE.max,
+                gains: Object.values(amplifier.gainStates)
+            });
+        });
+
+        this.app.post('/api/gain', express.json(), async (req, res) => {
+            const { type, id, db } = req.body;
+            
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            if (type !== 'input' && type !== 'output') {
+                return res.status(400).json({ error: 'Invalid type. Must be input or output' });
+            }
+            
+            if (!Number.isInteger(id) || id < 1 || id > 4) {
+                return res.status(400).json({ error: 'Invalid channel ID. Must be 1-4' });
+            }
+            
+            if (typeof db !== 'number' || !Number.isFinite(db) || db < GAIN_RANGE.min || db > GAIN_RANGE.max) {
+                return res.status(400).json({ error: `Invalid gain. Must be between ${GAIN_RANGE.min} and ${GAIN_RANGE.max} dB` });
+            }
+            
+            try {
+                const confirmed = await this.setAmplifierGain(requestActor(req, 'http'), amplifier, type, id, db);
+                res.json({
+                    success: true,
+                    amplifierId: amplifier.id,
+                    channelType: confirmed.channelType,
+                    channelId: confirmed.channelId,
+                    db: confirmed.db
                 });
             } catch (err) {
-                console.log(`❌ Error sending command:`, err.message);
+                log.warn('Gain not applied', { amplifierId: amplifier.id, error: err.message });
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        // API endpoints for clip / over-threshold counters
+        this.app.get('/api/counters', (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (amplifier) {
+                res.json({ amplifierId: amplifier.id, ...amplifier.counters.snapshot() });
+            }
+        });
+
+        this.app.post('/api/counters/reset', express.json(), (req, res) => {
+            const { channel } = req.body || {};
+            
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            if (channel !== undefined && !CHANNEL_KEY_PATTERN.test(channel)) {
+                return res.status(400).json({ error: 'Invalid channel. Must be like input-1 or output-4' });
+            }
+            
+            amplifier.counters.reset(channel);
+            this.broadcastCounters(amplifier);
+            res.json({ success: true, amplifierId: amplifier.id, ...amplifier.counters.snapshot() });
+        });
+
+        // API endpoints for rolling level statistics: averages, min/max and time above thresholds
+        this.app.get('/api/stats', (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (amplifier) {
+                res.json({ amplifierId: amplifier.id, ...amplifier.stats.snapshot() });
+            }
+        });
+
+        this.app.post('/api/stats/reset', express.json(), (req, res) => {
+            const { channel } = req.body || {};
+            
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            if (channel !== undefined && !CHANNEL_KEY_PATTERN.test(channel)) {
+                return res.status(400).json({ error: 'Invalid channel. Must be like input-1 or output-4' });
+            }
+            
+            amplifier.stats.reset(channel);
+            this.broadcastLevelStats(amplifier);
+            res.json({ success: true, amplifierId: amplifier.id, ...amplifier.stats.snapshot() });
+        });
+
+        // API endpoint for level history, e.g. /api/history?amplifierId=main-hall&channel=output-3&from=&to=
+        this.app.get('/api/history', (req, res) => {
+            const { channel, resolution = 'auto' } = req.query;
+            
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            if (!CHANNEL_KEY_PATTERN.test(channel || '')) {
+                return res.status(400).json({ error: 'Invalid channel. Must be like input-1 or output-4' });
+            }
+            
+            const to = req.query.to !== undefined ? parseTime(req.query.to) : Date.now();
+            const from = req.query.from !== undefined ? parseTime(req.query.from) : to - 60 * 60 * 1000;
+            if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+                return res.status(400).json({ error: 'Invalid time range. from and to must be epoch ms or ISO dates, with from <= to' });
+            }
+            
+            try {
+                res.json({ amplifierId: amplifier.id, ...amplifier.history.query(channel, { from, to, resolution }) });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        // API endpoints for recording levels, mutes and connection events to disk
+        this.app.get('/api/recording', (req, res) => {
+            res.json(this.recorder.status());
+        });
+
+        this.app.post('/api/recording/start', (req, res) => {
+            try {
+                res.json({ success: true, ...this.recorder.start() });
+            } catch (err) {
+                log.error('Could not start recording', { error: err.message });
                 res.status(500).json({ error: err.message });
             }
         });
 
-        // API endpoint to get connection status
+        this.app.post('/api/recording/stop', (req, res) => {
+            res.json({ success: true, ...this.recorder.stop() });
+        });
+
+        // e.g. /api/recording/export?from=&to=&channels=output-1,output-2&amplifierId=main-hall&format=csv
+        this.app.get('/api/recording/export', async (req, res) => {
+            const { format = 'csv' } = req.query;
+            
+            if (format !== 'csv' && format !== 'ndjson') {
+                return res.status(400).json({ error: 'Invalid format. Must be csv or ndjson' });
+            }
+            
+            const to = req.query.to !== undefined ? parseTime(req.query.to) : Date.now();
+            const from = req.query.from !== undefined ? parseTime(req.query.from) : to - 60 * 60 * 1000;
+            if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+                return res.status(400).json({ error: 'Invalid time range. from and to must be epoch ms or ISO dates, with from <= to' });
+            }
+            
+            let channels = null;
+            if (req.query.channels) {
+                channels = req.query.channels.split(',');
+                if (!channels.every(channel => EXPORT_CHANNEL_PATTERN.test(channel))) {
+                    return res.status(400).json({ error: 'Invalid channels. Must be a comma-separated list like input-1,output-4,all-output' });
+                }
+            }
+            
+            const { amplifierId } = req.query;
+            if (amplifierId !== undefined && !this.fleet.get(amplifierId)) {
+                return res.status(404).json({ error: `No amplifier with id ${amplifierId}` });
+            }
+            
+            const filename = `npa43a-${amplifierId ? `${amplifierId}-` : ''}${new Date(from).toISOString().replace(/[:.]/g, '-')}.${format}`;
+            res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            
+            try {
+                if (format === 'csv') {
+                    res.write(CSV_COLUMNS.join(',') + '\n');
+                }
+                
+                // Leaving the loop early closes the recording being read
+                for await (const event of this.recorder.read({ from, to, channels, amplifierId })) {
+                    if (res.destroyed) {
+                        log.info('Recording export abandoned by the client');
+                        return;
+                    }
+                    const line = format === 'csv'
+                        ? [new Date(event.t).toISOString(), event.type, event.channel, event.db, event.muted, event.amplifierIP, event.amplifierId].map(csvField).join(',')
+                        : JSON.stringify(event);
+                    
+                    if (!res.write(line + '\n')) {
+                        // A client that goes away while the response is backed up never drains it
+                        await new Promise(resolve => {
+                            const done = () => {
+                                res.off('drain', done);
+                                res.off('close', done);
+                                resolve();
+                            };
+                            res.on('drain', done);
+                            res.on('close', done);
+                        });
+                    }
+                }
+                res.end();
+            } catch (err) {
+                log.error('Recording export failed', { error: err.message });
+                res.destroy(err);
+            }
+        });
+
+        // API endpoints for raw traffic captures, e.g. to take a site's byte stream back
+        // to the office, and for replaying one in place of an amplifier's connection
+        this.app.get('/api/captures', (req, res) => {
+            res.json(this.captures.status());
+        });
+
+        this.app.post('/api/captures/start', express.json(), (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            try {
+                res.json({ success: true, amplifierId: amplifier.id, capture: this.startCapture(amplifier).status() });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        this.app.post('/api/captures/stop', express.json(), (req, res) => {
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            const capture = amplifier.client ? amplifier.client.capture : null;
+            if (!capture) {
+                return res.status(400).json({ error: `${amplifier.name} is not being captured` });
+            }
+            capture.stop();
+            res.json({ success: true, amplifierId: amplifier.id, capture: capture.status() });
+        });
+
+        this.app.get('/api/captures/:name', (req, res) => {
+            let file;
+            try {
+                file = this.captures.path(req.params.name);
+            } catch (err) {
+                return res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+            res.download(file, req.params.name, (err) => {
+                if (err && !res.headersSent) {
+                    res.status(404).json({ error: `No capture named ${req.params.name}`, code: 'NOT_FOUND' });
+                }
+            });
+        });
+
+        // A capture downloaded from another server, sent as the file itself
+        this.app.put('/api/captures/:name', express.text({ type: () => true, limit: this.captures.maxBytes }), (req, res) => {
+            try {
+                this.captures.save(req.params.name, typeof req.body === 'string' ? req.body : '');
+            } catch (err) {
+                return res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+            log.info('Capture uploaded', { name: req.params.name, ip: clientAddress(req.socket.remoteAddress) });
+            res.json({ success: true, ...this.captures.status() });
+        });
+
+        this.app.delete('/api/captures/:name', (req, res) => {
+            try {
+                this.captures.remove(req.params.name);
+            } catch (err) {
+                return res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+            res.json({ success: true });
+        });
+
+        // Plays a capture on the amplifier named in the body: { amplifierId, speed, loop }
+        this.app.post('/api/captures/:name/replay', express.json(), async (req, res) => {
+            const { speed, loop } = req.body || {};
+            
+            const amplifier = this.resolveAmplifier(req, res);
+            if (!amplifier) {
+                return;
+            }
+            
+            if (loop !== undefined && typeof loop !== 'boolean') {
+                return res.status(400).json({ error: 'Invalid loop. Must be true or false' });
+            }
+            
+            try {
+                const replay = await this.replayRequested(amplifier, req.params.name, { speed, loop }, requestActor(req, 'http'));
+                res.json({ success: true, amplifierId: amplifier.id, replay });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        // API endpoints for alarms, e.g. /api/alarms?active=true&acknowledged=false&amplifierId=main-hall
+        this.app.get('/api/alarms', (req, res) => {
+            const filters = {};
+            for (const name of ['active', 'acknowledged']) {
+                if (req.query[name] !== undefined) {
+                    if (req.query[name] !== 'true' && req.query[name] !== 'false') {
+                        return res.status(400).json({ error: `Invalid ${name}. Must be true or false` });
+                    }
+                    filters[name] = req.query[name] === 'true';
+                }
+            }
+            if (req.query.since !== undefined) {
+                filters.since = parseTime(req.query.since);
+                if (Number.isNaN(filters.since)) {
+                    return res.status(400).json({ error: 'Invalid since. Must be epoch ms or an ISO date' });
+                }
+            }
+            if (req.query.amplifierId !== undefined) {
+                filters.amplifierId = req.query.amplifierId;
+            }
+            
+            res.json({ alarms: this.alarms.list(filters) });
+        });
+
+        this.app.post('/api/alarms/:id/acknowledge', (req, res) => {
+            const alarm = this.alarms.acknowledge(Number(req.params.id));
+            
+            if (!alarm) {
+                return res.status(404).json({ error: `No alarm with id ${req.params.id}` });
+            }
+            
+            res.json({ success: true, alarm });
+        });
+
+        this.app.get('/api/alarms/rules', (req, res) => {
+            res.json({ rules: this.alarms.rules });
+        });
+
+        this.app.put('/api/alarms/rules', express.json(), (req, res) => {
+            try {
+                const rules = this.alarms.setRules(req.body.rules);
+                res.json({ success: true, rules });
+            } catch (err) {
+                log.warn('Alarm rules not saved', { error: err.message });
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        // API endpoints for webhook targets and their delivery log
+        this.app.get('/api/webhooks', (req, res) => {
+            res.json({
+                eventTypes: WebhookDispatcher.EVENT_TYPES,
+                targets: this.webhooks.listTargets()
+            });
+        });
+
+        this.app.post('/api/webhooks', express.json(), (req, res) => {
+            try {
+                res.json({ success: true, target: this.webhooks.addTarget(req.body || {}) });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        this.app.put('/api/webhooks/:id', express.json(), (req, res) => {
+            try {
+                const target = this.webhooks.updateTarget(req.params.id, req.body || {});
+                if (!target) {
+                    return res.status(404).json({ error: `No webhook target with id ${req.params.id}` });
+                }
+                res.json({ success: true, target });
+            } catch (err) {
+                res.status(errorStatus(err)).json({ error: err.message, code: err.code });
+            }
+        });
+
+        this.app.delete('/api/webhooks/:id', (req, res) => {
+            if (!this.webhooks.removeTarget(req.params.id)) {
+                return res.status(404).json({ error: `No webhook target with id ${req.params.id}` });
+            }
+            res.json({ success: true });
+        });
+
+        // Sends a test event to one target, whatever its filter or enabled state
+        this.app.post('/api/webhooks/:id/test', (req, res) => {
+            const [delivery] = this.webhooks.dispatch('test', { message: 'Test delivery from NPA43A Audio Visualizer' }, { onlyTarget: req.params.id });
+            if (!delivery) {
+                return res.status(404).json({ error: `No webhook target with id ${req.params.id}` });
+            }
+            res.json({ success: true, delivery });
+        });
+
+        this.app.get('/api/webhooks/deliveries', (req, res) => {
+            res.json({ deliveries: this.webhooks.listDeliveries({ targetId: req.query.target }) });
+        });
+
+        // API endpoint for the OSC bridge state
+        this.app.get('/api/osc', (req, res) => {
+            res.json(this.osc ? { enabled: true, ...this.osc.status() } : { enabled: false });
+        });
+
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', (req, res) => {
+            res.set('Content-Type', metrics.CONTENT_TYPE);
+            res.send(metrics.render(this.collectMetrics()));
+        });
+
+        // API endpoint to get connection status: of the amplifier named by
+        // ?amplifierId= or the default one, plus a summary of every amplifier
         this.app.get('/api/status', (req, res) => {
+            let amplifier = this.fleet.defaultAmplifier();
+            if (req.query.amplifierId !== undefined) {
+                amplifier = this.resolveAmplifier(req, res);
+                if (!amplifier) {
+                    return;
+                }
+            }
+            
             res.json({
-                connected: this.amplifierClient && this.amplifierClient.isConnected,
-                amplifierIP: this.amplifierClient ? this.amplifierClient.amplifierIP : null,
+                amplifierId: amplifier ? amplifier.id : null,
+                connected: amplifier ? amplifier.isConnected : false,
+                amplifierIP: amplifier ? amplifier.ip : null,
+                amplifiers: this.fleet.summaries(),
                 clientCount: this.connectedClients.size
             });
         });
@@ -106,20 +967,35 @@ class AudioVisualizerServer {
     }
 
     setupWebSocket() {
-        this.wss.on('connection', (ws) => {
-            console.log('WebSocket client connected');
+        this.wss.on('connection', (ws, req) => {
             this.connectedClients.add(ws);
+            ws.actor = requestActor(req, 'websocket');
+            log.info('WebSocket client connected', { ip: ws.actor.ip });
+            ws.subscription = { types: null, amplifierIds: null }; // Everything until the client subscribes
+            ws.updates = new UpdateBatcher(ws, { ...this.updateOptions, stats: this.updateStats });
 
-            // Send current status immediately
-            this.broadcastCurrentStatus();
+            // The first message announces the command protocol and carries the full
+            // current state; batches after it only bring changes
+            ws.send(JSON.stringify({
+                type: 'hello',
+                v: wsCommands.PROTOCOL_VERSION,
+                commands: Object.keys(wsCommands.COMMANDS),
+                messageTypes: wsCommands.MESSAGE_TYPES,
+                updateInterval: ws.updates.interval,
+                state: this.snapshot(this.fleet.list())
+            }));
+
+            ws.on('message', (data) => this.handleClientMessage(ws, data.toString()));
 
             ws.on('close', () => {
-                console.log('WebSocket client disconnected');
+                log.info('WebSocket client disconnected', { ip: ws.actor.ip });
+                ws.updates.stop();
                 this.connectedClients.delete(ws);
             });
 
             ws.on('error', (err) => {
-                console.error('WebSocket error:', err.message);
+                log.error('WebSocket error', { ip: ws.actor.ip, error: err.message });
+                ws.updates.stop();
                 this.connectedClients.delete(ws);
             });
 
@@ -137,7 +1013,15 @@ class AudioVisualizerServer {
         // Broadcast status every 5 seconds to ensure frontend stays updated
         this.statusBroadcastInterval = setInterval(() => {
             this.broadcastCurrentStatus();
+            if (this.recorder.recording) {
+                this.broadcastRecording();
+            }
         }, 5000);
+        
+        // Rolling level statistics once a second, while readings come in
+        this.statsBroadcastInterval = setInterval(() => {
+            this.fleet.list().filter(amplifier => amplifier.isConnected).forEach(amplifier => this.broadcastLevelStats(amplifier));
+        }, 1000);
     }
 
     startHeartbeat() {
@@ -145,7 +1029,7 @@ class AudioVisualizerServer {
         this.heartbeatInterval = setInterval(() => {
             this.connectedClients.forEach(ws => {
                 if (!ws.isAlive) {
-                    console.log('Terminating dead WebSocket connection');
+                    log.info('Terminating dead WebSocket connection', { ip: ws.actor.ip });
                     ws.terminate();
                     this.connectedClients.delete(ws);
                     return;
@@ -162,110 +1046,958 @@ class AudioVisualizerServer {
             clearInterval(this.statusBroadcastInterval);
             this.statusBroadcastInterval = null;
         }
+        if (this.statsBroadcastInterval) {
+            clearInterval(this.statsBroadcastInterval);
+            this.statsBroadcastInterval = null;
+        }
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
             this.heartbeatInterval = null;
         }
     }
 
+    // Queued per client and sent with the next batch frame
     broadcast(data) {
-        const message = JSON.stringify(data);
-        console.log('📡 Broadcasting to', this.connectedClients.size, 'clients:', data);
         this.connectedClients.forEach(ws => {
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.send(message);
+            if (ws.readyState === WebSocket.OPEN && this.isSubscribed(ws, data)) {
+                ws.updates.queue(data);
             }
         });
     }
 
+    // Messages about no amplifier in particular pass any amplifier filter
+    isSubscribed(ws, data) {
+        const { types, amplifierIds } = ws.subscription;
+        return (!types || types.includes(data.type)) &&
+            (!amplifierIds || data.amplifierId === undefined || amplifierIds.includes(data.amplifierId));
+    }
+
+    // One command from a WebSocket client. The ack or error goes back to that
+    // client only, whatever it subscribed to.
+    async handleClientMessage(ws, text) {
+        const reply = (data) => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ v: wsCommands.PROTOCOL_VERSION, ...data }));
+            }
+        };
+        
+        let request;
+        try {
+            request = wsCommands.parseCommand(text);
+        } catch (err) {
+            log.warn('Rejected WebSocket command', { ip: ws.actor.ip, error: err.message });
+            reply({ type: 'error', requestId: err.requestId, command: err.command, code: err.code, message: err.message });
+            return;
+        }
+        
+        const { requestId, command, params } = request;
+        try {
+            const result = await this.runClientCommand(ws, command, params);
+            reply({ type: 'ack', requestId, command, result });
+        } catch (err) {
+            log.warn('WebSocket command failed', { ip: ws.actor.ip, command, error: err.message });
+            reply({ type: 'error', requestId, command, code: err.code || 'INTERNAL_ERROR', message: err.message });
+        }
+    }
+
+    // Parameters are already validated against the command's schema
+    async runClientCommand(ws, command, params) {
+        if (command === 'subscribe') {
+            ws.subscription = { types: params.types || null, amplifierIds: params.amplifierIds || null };
+            return ws.subscription;
+        }
+        
+        if (command === 'setUpdateRate') {
+            ws.updates.setUpdateInterval(params.interval);
+            return { interval: params.interval };
+        }
+        
+        if (command === 'getSnapshot') {
+            return this.snapshot(params.amplifierId !== undefined ? [this.amplifierFor(params.amplifierId)] : this.fleet.list());
+        }
+        
+        const amplifier = this.amplifierFor(params.amplifierId);
+        switch (command) {
+            case 'connect':
+                await this.connectRequested(amplifier, ws.actor);
+                return { amplifierId: amplifier.id, connected: amplifier.isConnected };
+            case 'disconnect':
+                await this.disconnectRequested(amplifier, ws.actor);
+                return { amplifierId: amplifier.id, connected: false };
+            case 'setMute': {
+                const id = params.type === 'all-output' ? null : params.id;
+                const confirmed = await this.setAmplifierMute(ws.actor, amplifier, params.type, id, params.mute);
+                return { amplifierId: amplifier.id, type: params.type, id, muted: confirmed.muted };
+            }
+            case 'setGain': {
+                const confirmed = await this.setAmplifierGain(ws.actor, amplifier, params.type, params.id, params.db);
+                return { amplifierId: amplifier.id, channelType: confirmed.channelType, channelId: confirmed.channelId, db: confirmed.db };
+            }
+        }
+        throw new Error(`Unhandled command ${command}`);
+    }
+
+    // Everything a client needs to draw the dashboard, for the given amplifiers
+    snapshot(amplifiers) {
+        return {
+            amplifiers: amplifiers.map(amplifier => ({
+                ...amplifier.summary(),
+                levels: amplifier.levelStates,
+                mutes: amplifier.muteStates,
+                gains: amplifier.gainStates,
+                counters: amplifier.counters.snapshot(),
+                stats: amplifier.stats.snapshot()
+            })),
+            recording: this.recorder.status(),
+            alarms: this.alarms.outstanding(),
+            discovery: this.discoveryStatus(),
+            scenes: this.scenes.list(),
+            recalling: this.scenes.recalling ? this.scenes.recalling.id : null,
+            schedules: this.scheduler.list(),
+            captures: this.captures.status()
+        };
+    }
+
     broadcastCurrentStatus() {
+        this.fleet.list().forEach(amplifier => this.broadcastStatus(amplifier));
+    }
+
+    broadcastStatus(amplifier) {
         this.broadcast({
             type: 'status',
-            connected: this.amplifierClient && this.amplifierClient.isConnected,
-            amplifierIP: this.amplifierClient ? this.amplifierClient.amplifierIP : null
+            amplifierId: amplifier.id,
+            connected: amplifier.isConnected,
+            amplifierIP: amplifier.ip
+        });
+    }
+
+    broadcastAmplifiers() {
+        this.broadcast({
+            type: 'amplifiers',
+            amplifiers: this.fleet.summaries()
+        });
+    }
+
+    // Discovery results say which fleet amplifier, if any, is already at each address
+    discoveryStatus() {
+        const status = this.discovery.status();
+        return {
+            ...status,
+            results: status.results.map(result => {
+                const amplifier = this.fleet.findByAddress(result.ip, result.port, result.deviceId) ||
+                    this.fleet.findByAddress(result.ip, result.port, protocol.BROADCAST_DEVICE_ID);
+                return { ...result, amplifierId: amplifier ? amplifier.id : null };
+            })
+        };
+    }
+
+    broadcastScenes() {
+        this.broadcast({
+            type: 'scenes',
+            scenes: this.scenes.list(),
+            recalling: this.scenes.recalling ? this.scenes.recalling.id : null
+        });
+    }
+
+    broadcastSchedules() {
+        this.broadcast({
+            type: 'schedules',
+            jobs: this.scheduler.list()
         });
     }
 
-    async connectToAmplifier(amplifierIP) {
+    // The whole outstanding list, for clients that subscribe to the state rather
+    // than to each `alarm` event
+    broadcastAlarms() {
+        this.broadcast({
+            type: 'alarms',
+            alarms: this.alarms.outstanding()
+        });
+    }
+
+    broadcastCaptures() {
+        this.broadcast({
+            type: 'captures',
+            ...this.captures.status()
+        });
+    }
+
+    broadcastDiscovery() {
+        this.broadcast({
+            type: 'discovery',
+            ...this.discoveryStatus()
+        });
+    }
+
+    broadcastCounters(amplifier) {
+        this.broadcast({
+            type: 'counters',
+            amplifierId: amplifier.id,
+            ...amplifier.counters.snapshot()
+        });
+    }
+
+    broadcastLevelStats(amplifier) {
+        this.broadcast({
+            type: 'levelStats',
+            amplifierId: amplifier.id,
+            ...amplifier.stats.snapshot()
+        });
+    }
+
+    // The amplifier a request names in :amplifierId, ?amplifierId= or the JSON body,
+    // or the default one. Sends the error response and returns null when there is none.
+    resolveAmplifier(req, res) {
+        const amplifierId = req.params.amplifierId !== undefined ? req.params.amplifierId
+            : req.query.amplifierId !== undefined ? req.query.amplifierId
+                : req.body ? req.body.amplifierId : undefined;
+        
+        if (amplifierId === undefined) {
+            const amplifier = this.fleet.defaultAmplifier();
+            if (!amplifier) {
+                res.status(400).json({ error: 'No amplifiers configured' });
+            }
+            return amplifier;
+        }
+        
+        const amplifier = this.fleet.get(amplifierId);
+        if (!amplifier) {
+            res.status(404).json({ error: `No amplifier with id ${amplifierId}` });
+        }
+        return amplifier;
+    }
+
+    // The amplifier named by a WebSocket command, or the default one; throws NotFoundError
+    amplifierFor(amplifierId) {
+        const amplifier = amplifierId !== undefined ? this.fleet.get(amplifierId) : this.fleet.defaultAmplifier();
+        if (!amplifier) {
+            throw new NotFoundError(amplifierId !== undefined ? `No amplifier with id ${amplifierId}` : 'No amplifiers configured');
+        }
+        return amplifier;
+    }
+
+    // Applies a scene and tells every client how it went; failed channels are in the report.
+    // The audit log gets one entry for the recall, counting the channels by status.
+    async recallScene(scene, actor) {
+        const startedAt = Date.now();
+        // Each channel the recall changes is audited on its own, under the recall's actor
+        const recall = this.scenes.recall(scene, this.fleet, {
+            mute: (amplifier, type, id, mute) => this.setAmplifierMute(actor, amplifier, type, id, mute),
+            gain: (amplifier, type, id, db) => this.setAmplifierGain(actor, amplifier, type, id, db)
+        });
+        this.broadcastScenes();
+        let results;
         try {
-            // Disconnect existing connection if any
-            if (this.amplifierClient) {
-                this.disconnectFromAmplifier();
+            results = await recall;
+        } catch (err) {
+            // Channel failures are in the results, so only the recall itself gets here: another
+            // recall already running, or a saved scene whose settings can't be read as mutes and gains
+            log.error('Scene recall failed', { sceneId: scene.id, scene: scene.name, error: err.message });
+            this.audit.record({
+                ...actor,
+                action: 'sceneRecall',
+                target: scene.name,
+                requested: scene.id,
+                outcome: 'failed',
+                code: err.code || 'INTERNAL_ERROR',
+                error: err.message,
+                durationMs: Date.now() - startedAt
+            });
+            this.broadcastScenes();
+            throw err;
+        }
+        const failed = results.filter(result => result.status === 'failed');
+        log[failed.length ? 'warn' : 'info']('Recalled scene', {
+            sceneId: scene.id,
+            scene: scene.name,
+            confirmed: results.length - failed.length,
+            channels: results.length
+        });
+        
+        const report = { sceneId: scene.id, name: scene.name, success: failed.length === 0, results, failed };
+        const count = (status) => results.filter(result => result.status === status).length;
+        this.audit.record({
+            ...actor,
+            action: 'sceneRecall',
+            target: scene.name,
+            requested: scene.id,
+            outcome: report.success ? 'confirmed' : 'failed',
+            confirmed: { applied: count('applied'), unchanged: count('unchanged'), failed: failed.length },
+            code: report.success ? undefined : 'NOT_APPLIED',
+            error: report.success ? undefined : `${failed.length} of ${results.length} channels not applied`,
+            durationMs: Date.now() - startedAt
+        });
+        this.broadcast({ type: 'sceneRecall', ...report });
+        this.broadcastScenes();
+        return report;
+    }
+
+    // The amplifier or scene a scheduled action works on; throws NotFoundError
+    scheduledActionTarget(action) {
+        if (action.type === 'recallScene') {
+            const scene = this.scenes.get(action.sceneId);
+            if (!scene) {
+                throw new NotFoundError(`No scene with id ${action.sceneId}`);
             }
+            return scene;
+        }
+        const amplifier = this.fleet.get(action.amplifierId);
+        if (!amplifier) {
+            throw new NotFoundError(`No amplifier with id ${action.amplifierId}`);
+        }
+        return amplifier;
+    }
 
-            // Create new client
-            this.amplifierClient = new NPA43AClient(amplifierIP);
+    // Whether every amplifier an action needs is connected. An action whose target
+    // is gone counts as ready, so it runs and fails rather than waiting to catch up.
+    scheduledActionReady(action) {
+        let target;
+        try {
+            target = this.scheduledActionTarget(action);
+        } catch (err) {
+            return true;
+        }
+        if (action.type === 'recallScene') {
+            return Object.keys(target.amplifiers).every(amplifierId => {
+                const amplifier = this.fleet.get(amplifierId);
+                return !amplifier || amplifier.isConnected;
+            });
+        }
+        return target.isConnected;
+    }
+
+    // Audited under the job's name
+    async runScheduledAction(action, job) {
+        const target = this.scheduledActionTarget(action);
+        const actor = { source: 'scheduler', ip: null, user: job.name, userAgent: null };
+        
+        if (action.type === 'recallScene') {
+            if (this.scenes.recalling) {
+                throw new Error(`Scene ${this.scenes.recalling.name} is still being recalled`);
+            }
+            const report = await this.recallScene(target, actor);
+            if (!report.success) {
+                throw new AmplifierError(`${report.failed.length} of ${report.results.length} channels of ${target.name} not applied`, 'NOT_APPLIED');
+            }
+            return `Recalled ${target.name}`;
+        }
+        
+        const [type, id] = action.channel === 'all-output' ? ['all-output', null] : action.channel.split('-');
+        await this.setAmplifierMute(actor, target, type, id === null ? null : Number(id), action.mute);
+        return `${action.mute ? 'Muted' : 'Unmuted'} ${target.name} ${action.channel}`;
+    }
+
+    // Runs a control action and appends who asked for it, what was asked and what the
+    // amplifier confirmed to the audit log, whether it worked or not. actor is
+    // { source, ip, user, userAgent }; confirmedValue picks what to log from the result.
+    async audited(actor, request, run, confirmedValue) {
+        const startedAt = Date.now();
+        try {
+            const result = await run();
+            this.audit.record({ ...actor, ...request, outcome: 'confirmed', confirmed: confirmedValue(result), durationMs: Date.now() - startedAt });
+            return result;
+        } catch (err) {
+            this.audit.record({ ...actor, ...request, outcome: 'failed', code: err.code || 'INTERNAL_ERROR', error: err.message, durationMs: Date.now() - startedAt });
+            throw err;
+        }
+    }
+
+    // Every mute and gain write, from any control path, goes through these two;
+    // scene recalls reach them through the writes recallScene hands the store
+    setAmplifierMute(actor, amplifier, type, id, mute) {
+        const target = type === 'all-output' ? 'all-output' : `${type}-${id}`;
+        return this.audited(actor, { action: 'mute', amplifierId: amplifier.id, target, requested: mute }, () => {
+            if (!amplifier.isConnected) {
+                throw new NotConnectedError();
+            }
+            return amplifier.client.setMute(type, id, mute, { deviceId: amplifier.deviceId });
+        }, confirmed => confirmed.muted);
+    }
+
+    setAmplifierGain(actor, amplifier, type, id, db) {
+        return this.audited(actor, { action: 'gain', amplifierId: amplifier.id, target: `${type}-${id}`, requested: db }, () => {
+            if (!amplifier.isConnected) {
+                throw new NotConnectedError();
+            }
+            return amplifier.client.setGain(type, id, db, { deviceId: amplifier.deviceId });
+        }, confirmed => confirmed.db);
+    }
+
+    // Connect or disconnect at a user's request. Amplifiers left connected are
+    // reconnected when the server restarts.
+    connectRequested(amplifier, actor) {
+        return this.audited(actor, { action: 'connect', amplifierId: amplifier.id, target: `${amplifier.ip}:${amplifier.port}`, requested: true }, async () => {
+            this.fleet.update(amplifier.id, { autoConnect: true });
+            this.broadcastAmplifiers();
+            await this.connectAmplifier(amplifier);
+        }, () => amplifier.isConnected);
+    }
+
+    disconnectRequested(amplifier, actor) {
+        return this.audited(actor, { action: 'disconnect', amplifierId: amplifier.id, target: `${amplifier.ip}:${amplifier.port}`, requested: false }, () => {
+            this.fleet.update(amplifier.id, { autoConnect: false });
+            this.disconnectAmplifier(amplifier);
+            this.broadcastAmplifiers();
+        }, () => amplifier.isConnected);
+    }
+
+    // Amplifier IDs come from the name, so the entry gets its ID and full address
+    // once the add has gone through; a refused add only has the address it was given
+    addRequested(fields, actor) {
+        const request = { action: 'amplifierAdd', amplifierId: null, target: fields.ip, requested: fields };
+        return this.audited(actor, request, () => {
+            const amplifier = this.fleet.add(fields);
+            request.amplifierId = amplifier.id;
+            request.target = `${amplifier.ip}:${amplifier.port}`;
+            log.info('Added amplifier', { amplifierId: amplifier.id, address: request.target });
+            this.broadcastAmplifiers();
+            return amplifier;
+        }, amplifier => ({ name: amplifier.name, ip: amplifier.ip, port: amplifier.port, deviceId: amplifier.deviceId }));
+    }
+
+    // Changes that take the amplifier off its connection are control actions too
+    updateRequested(amplifier, fields, actor) {
+        const address = `${amplifier.ip}:${amplifier.port}@${amplifier.deviceId}`;
+        const request = { action: 'amplifierUpdate', amplifierId: amplifier.id, target: `${amplifier.ip}:${amplifier.port}`, requested: fields };
+        return this.audited(actor, request, () => {
+            this.fleet.update(amplifier.id, fields);
+            
+            // A new address or device ID takes effect straight away if the amp is in use
+            if (amplifier.client && `${amplifier.ip}:${amplifier.port}@${amplifier.deviceId}` !== address) {
+                this.disconnectAmplifier(amplifier);
+                this.connectAmplifier(amplifier).catch(() => {}); // Reported by connectAmplifier
+            }
             
-            // Set up event handlers
-            this.amplifierClient.on('connected', () => {
-                console.log('🔗 Amplifier connected event received, starting polling');
-                this.broadcastCurrentStatus();
-                this.amplifierClient.startPolling(250); // Poll every 250ms
+            this.broadcastAmplifiers();
+            return amplifier.toJSON();
+        }, settings => Object.fromEntries(Object.keys(fields).filter(key => key in settings).map(key => [key, settings[key]])));
+    }
+
+    removeRequested(amplifier, actor) {
+        return this.audited(actor, { action: 'amplifierRemove', amplifierId: amplifier.id, target: `${amplifier.ip}:${amplifier.port}`, requested: true }, () => {
+            this.disconnectAmplifier(amplifier);
+            this.alarms.forgetAmplifier(amplifier.id);
+            this.fleet.remove(amplifier.id);
+            log.info('Removed amplifier', { amplifierId: amplifier.id });
+            this.broadcastAmplifiers();
+        }, () => !this.fleet.get(amplifier.id));
+    }
+
+    replayRequested(amplifier, name, { speed, loop }, actor) {
+        const requested = { speed: speed !== undefined ? speed : 1, loop: !!loop };
+        return this.audited(actor, { action: 'captureReplay', amplifierId: amplifier.id, target: name, requested }, () =>
+            this.replayCapture(amplifier, name, { speed, loop }), replay => ({ speed: replay.speed, loop: replay.loop }));
+    }
+
+    requestConnect(amplifier, req, res) {
+        this.connectRequested(amplifier, requestActor(req, 'http'))
+            .then(() => {
+                res.json({ success: true, message: 'Connected to amplifier', amplifierId: amplifier.id });
+            })
+            .catch(err => {
+                res.status(500).json({ error: err.message, amplifierId: amplifier.id });
             });
+    }
 
-            this.amplifierClient.on('disconnected', () => {
-                console.log('Amplifier disconnected');
-                this.broadcastCurrentStatus();
+    requestDisconnect(amplifier, req, res) {
+        this.disconnectRequested(amplifier, requestActor(req, 'http'))
+            .then(() => {
+                res.json({ success: true, message: 'Disconnected from amplifier', amplifierId: amplifier.id });
+            })
+            .catch(err => {
+                res.status(500).json({ error: err.message, amplifierId: amplifier.id });
             });
+    }
+
+    // The amplifier the OSC bridge publishes and controls
+    oscAmplifier() {
+        if (!this.osc) {
+            return null;
+        }
+        return this.osc.amplifierId ? this.fleet.get(this.osc.amplifierId) : this.fleet.defaultAmplifier();
+    }
+
+    // Incoming OSC mute, validated exactly like POST /api/mute. The confirming
+    // read-back publishes the new state; failures go out as an /error message
+    async handleOscMute({ type, id, mute, address, remote }) {
+        const amplifier = this.oscAmplifier();
+        if (!amplifier) {
+            this.osc.publishError(`${address}: Not connected to amplifier`);
+            return;
+        }
+        
+        const invalid = validateMute(type, id, mute);
+        if (invalid) {
+            this.osc.publishError(`${address}: ${invalid}`);
+            return;
+        }
+        
+        try {
+            await this.setAmplifierMute({ source: 'osc', ip: remote, user: null, userAgent: null }, amplifier, type, id, mute);
+        } catch (err) {
+            log.warn('OSC mute not applied', { amplifierId: amplifier.id, address, error: err.message });
+            this.osc.publishError(`${address}: ${err.message}`);
+        }
+    }
+
+    // Every series carries an `amplifier` label (its id) so the whole fleet,
+    // or several servers, can be charted side by side
+    collectMetrics() {
+        const amplifiers = this.fleet.list();
+        const channelLabels = (amplifier, channelKey) => {
+            if (channelKey === 'all-output') {
+                return { amplifier: amplifier.id, channel_type: 'output', channel: 'all' };
+            }
+            const [channelType, channelId] = channelKey.split('-');
+            return { amplifier: amplifier.id, channel_type: channelType, channel: channelId };
+        };
+        // entries(amplifier) -> [[channelKey, value], ...]
+        const channelSamples = (entries) => amplifiers.flatMap(amplifier =>
+            entries(amplifier).map(([channelKey, value]) => ({ labels: channelLabels(amplifier, channelKey), value })));
+        const counterSamples = (name) => channelSamples(amplifier =>
+            Object.entries(amplifier.counters.snapshot().channels).map(([channelKey, entry]) => [channelKey, entry[name]]));
+        // Link health is counted per TCP connection, which amplifiers behind one
+        // gateway share, so it is reported once per link rather than per amplifier
+        const links = Array.from(this.links.values());
+        const linkAddress = (amplifier) => {
+            const link = links.find(candidate => candidate.amplifiers.has(amplifier));
+            return link ? link.address : `${amplifier.ip}:${amplifier.port}`;
+        };
+        const linkSamples = (name) => links.map(link => ({ labels: { link: link.address }, value: link.client.stats[name] }));
+
+        return [
+            {
+                name: 'npa43a_amplifier_info',
+                help: 'Configured amplifiers, with their name, address, device ID and link; always 1.',
+                type: 'gauge',
+                samples: amplifiers.map(amplifier => ({
+                    labels: { amplifier: amplifier.id, name: amplifier.name, ip: amplifier.ip, device_id: amplifier.deviceId, link: linkAddress(amplifier) },
+                    value: 1
+                }))
+            },
+            {
+                name: 'npa43a_amplifier_connected',
+                help: 'Whether the TCP connection to the amplifier is up (1) or not (0).',
+                type: 'gauge',
+                samples: amplifiers.map(amplifier => ({ labels: { amplifier: amplifier.id }, value: amplifier.isConnected }))
+            },
+            {
+                name: 'npa43a_channel_level_db',
+                help: 'Last signal level read from the channel, in dB.',
+                type: 'gauge',
+                samples: channelSamples(amplifier => Object.entries(amplifier.levelStates).map(([channelKey, level]) => [channelKey, level.db]))
+            },
+            {
+                name: 'npa43a_channel_muted',
+                help: 'Whether the channel is muted (1) or not (0); channel="all" is the master mute.',
+                type: 'gauge',
+                samples: channelSamples(amplifier => Object.entries(amplifier.muteStates))
+            },
+            {
+                name: 'npa43a_channel_gain_db',
+                help: 'Channel volume setting, in dB.',
+                type: 'gauge',
+                samples: channelSamples(amplifier => Object.entries(amplifier.gainStates).map(([channelKey, gain]) => [channelKey, gain.db]))
+            },
+            {
+                name: 'npa43a_channel_clips_total',
+                help: 'Times the channel level rose above the clip threshold since the counters were last reset.',
+                type: 'counter',
+                samples: counterSamples('clips')
+            },
+            {
+                name: 'npa43a_channel_overs_total',
+                help: 'Times the channel level rose above the over threshold since the counters were last reset.',
+                type: 'counter',
+                samples: counterSamples('overs')
+            },
+            {
+                name: 'npa43a_frames_received_total',
+                help: 'Complete protocol frames received over the link.',
+                type: 'counter',
+                samples: linkSamples('framesReceived')
+            },
+            {
+                name: 'npa43a_parse_errors_total',
+                help: 'Received frames that could not be decoded.',
+                type: 'counter',
+                samples: linkSamples('parseErrors')
+            },
+            {
+                name: 'npa43a_reconnect_attempts_total',
+                help: 'Reconnection attempts scheduled after the connection was lost.',
+                type: 'counter',
+                samples: linkSamples('reconnectAttempts')
+            },
+            {
+                name: 'npa43a_buffer_overflows_total',
+                help: 'Times the receive buffer was discarded for growing past its limit.',
+                type: 'counter',
+                samples: linkSamples('bufferOverflows')
+            },
+            {
+                name: 'npa43a_device_mismatches_total',
+                help: 'Replies from a device ID the connection does not poll.',
+                type: 'counter',
+                samples: linkSamples('deviceMismatches')
+            },
+            {
+                name: 'npa43a_websocket_clients',
+                help: 'Connected dashboard WebSocket clients.',
+                type: 'gauge',
+                samples: [{ value: this.connectedClients.size }]
+            },
+            {
+                name: 'npa43a_websocket_frames_total',
+                help: 'Batch frames sent to dashboard WebSocket clients.',
+                type: 'counter',
+                samples: [{ value: this.updateStats.frames }]
+            },
+            {
+                name: 'npa43a_websocket_messages_total',
+                help: 'Messages sent inside batch frames, after merging.',
+                type: 'counter',
+                samples: [{ value: this.updateStats.messages }]
+            },
+            {
+                name: 'npa43a_websocket_deferred_frames_total',
+                help: 'Batch frames held back because a client had too much unsent data.',
+                type: 'counter',
+                samples: [{ value: this.updateStats.deferred }]
+            },
+            {
+                name: 'npa43a_websocket_dropped_events_total',
+                help: 'Events dropped for clients stalled past the per-client event limit.',
+                type: 'counter',
+                samples: [{ value: this.updateStats.droppedEvents }]
+            }
+        ];
+    }
+
+    broadcastRecording() {
+        this.broadcast({
+            type: 'recording',
+            ...this.recorder.status()
+        });
+    }
+
+    // Amplifiers at the same address share one connection (a link), each polled
+    // under its own device ID; replies are routed back to them by that ID
+    async connectAmplifier(amplifier) {
+        const amplifierId = amplifier.id;
+        const address = `${amplifier.ip}:${amplifier.port}`;
+        
+        try {
+            // Disconnect existing connection if any
+            if (amplifier.client) {
+                this.disconnectAmplifier(amplifier);
+            }
 
-            this.amplifierClient.on('data', (data) => {
-                if (data.db !== undefined) {
-                    // Audio level data
-                    this.broadcast({
-                        type: 'audioData',
-                        ...data
-                    });
-                } else if (data.muted !== undefined) {
-                    // Mute status data
-                    this.broadcast({
-                        type: 'muteStatus',
-                        channelType: data.channelType,
-                        channelId: data.channelId,
-                        muted: data.muted,
-                        timestamp: data.timestamp
-                    });
+            const link = this.links.get(address);
+            if (link) {
+                link.amplifiers.add(amplifier);
+                amplifier.client = link.client;
+                link.client.setDeviceIds(this.linkDeviceIds(link));
+                if (link.client.isConnected) {
+                    this.handleAmplifierConnected(amplifier);
                 }
+                return await link.connecting;
+            }
+            
+            // Create new client
+            const client = new NPA43AClient(amplifier.ip, amplifier.port, { deviceId: amplifier.deviceId });
+            const newLink = { address, client, amplifiers: new Set([amplifier]), connecting: null };
+            this.links.set(address, newLink);
+            amplifier.client = client;
+            this.watchLink(newLink);
+
+            // Connect to amplifier
+            newLink.connecting = client.connect();
+            await newLink.connecting;
+            
+        } catch (err) {
+            log.error('Failed to connect to amplifier', { amplifierId, error: err.message });
+            this.alarms.setConnectionState(amplifierId, 'lost'); // The client keeps retrying in the background
+            this.broadcast({
+                type: 'error',
+                amplifierId,
+                message: `Connection to ${amplifier.name} failed: ${err.message}`
             });
+            throw err;
+        }
+    }
+
+    // Passes a link's client events on to the amplifiers polled over it
+    watchLink(link) {
+        const { address, client } = link;
+        
+        client.on('connected', () => {
+            log.info('Link connected, starting polling', { link: address });
+            link.amplifiers.forEach(linked => this.handleAmplifierConnected(linked));
+            client.startPolling(); // Cycles run back to back, paced by the command queue
+        });
 
-            this.amplifierClient.on('error', (err) => {
-                console.error('Amplifier error:', err.message);
+        client.on('disconnected', () => {
+            log.info('Link disconnected', { link: address });
+            link.amplifiers.forEach(linked => this.handleAmplifierLost(linked));
+        });
+
+        client.on('data', (data) => {
+            const linked = this.linkAmplifier(link, data.deviceId);
+            if (linked) {
+                this.handleAmplifierData(linked, data);
+            }
+        });
+
+        client.on('error', (err) => {
+            log.error('Link error', { link: address, error: err.message });
+            link.amplifiers.forEach(linked => {
                 this.broadcast({
                     type: 'error',
-                    message: err.message
+                    amplifierId: linked.id,
+                    message: `${linked.name}: ${err.message}`
                 });
             });
+        });
+    }
 
-            // Connect to amplifier
-            await this.amplifierClient.connect();
+    // Shows a capture on the amplifier's dashboard in place of its connection, until
+    // the capture ends or the amplifier is disconnected or connected again. Readings
+    // go wherever live ones do: history, statistics, alarms, recording and webhooks.
+    // Throws NotFoundError or InvalidParameterError.
+    async replayCapture(amplifier, name, { speed, loop } = {}) {
+        const client = new CaptureReplayClient(name, this.captures.load(name), { speed, loop, deviceId: amplifier.deviceId });
+        if (amplifier.client) {
+            this.disconnectAmplifier(amplifier);
+        }
+        
+        const link = { address: `replay:${amplifier.id}`, client, amplifiers: new Set([amplifier]), connecting: null };
+        this.links.set(link.address, link);
+        amplifier.client = client;
+        this.watchLink(link);
+        client.on('finished', () => {
+            if (amplifier.client === client) {
+                this.disconnectAmplifier(amplifier);
+            }
+        });
+        
+        link.connecting = client.connect();
+        await link.connecting;
+        this.broadcastAmplifiers();
+        return client.replayStatus();
+    }
+
+    // Captures the traffic of the connection the amplifier is polled over, along with
+    // any other amplifiers sharing it; a capture already running is returned as it is.
+    // Throws NotConnectedError, or ReadOnlyError during a replay.
+    startCapture(amplifier) {
+        const client = amplifier.client;
+        if (!client) {
+            throw new NotConnectedError();
+        }
+        if (client.replay) {
+            throw new ReadOnlyError(`${amplifier.name} is showing a replay; there is no traffic to capture`);
+        }
+        if (client.capture) {
+            return client.capture;
+        }
+        
+        const link = Array.from(this.links.values()).find(candidate => candidate.client === client);
+        const capture = this.captures.start({
+            address: link.address,
+            deviceIds: client.deviceIds,
+            amplifiers: Array.from(link.amplifiers).map(linked => ({ id: linked.id, name: linked.name, deviceId: linked.deviceId }))
+        });
+        client.setCapture(capture);
+        capture.on('stopped', () => {
+            if (client.capture === capture) {
+                client.setCapture(null);
+            }
+            this.broadcastAmplifiers();
+        });
+        this.broadcastAmplifiers();
+        return capture;
+    }
+
+    handleAmplifierConnected(amplifier) {
+        const amplifierId = amplifier.id;
+        const amplifierIP = amplifier.ip;
+        log.info('Amplifier connected', { amplifierId, deviceId: amplifier.deviceId });
+        this.recorder.record({ type: 'connect', amplifierId, amplifierIP });
+        this.alarms.setConnectionState(amplifierId, 'connected');
+        this.webhooks.dispatch('connection', { state: 'connected', amplifierId, amplifierIP });
+        this.broadcastStatus(amplifier);
+    }
+
+    handleAmplifierLost(amplifier) {
+        const amplifierId = amplifier.id;
+        const amplifierIP = amplifier.ip;
+        log.info('Amplifier disconnected', { amplifierId });
+        this.recorder.record({ type: 'disconnect', amplifierId, amplifierIP });
+        this.alarms.setConnectionState(amplifierId, 'lost');
+        amplifier.stats.interrupt();
+        this.webhooks.dispatch('connection', { state: 'disconnected', reason: 'lost', amplifierId, amplifierIP });
+        this.broadcastStatus(amplifier);
+    }
+
+    // Device IDs polled on a link, in the order the amplifiers joined it
+    linkDeviceIds(link) {
+        return Array.from(link.amplifiers).map(amplifier => amplifier.deviceId);
+    }
+
+    // The amplifier a reply belongs to: the one polled under its device ID, else
+    // one polled by broadcast, which answers under the unit's own ID
+    linkAmplifier(link, deviceId) {
+        const amplifiers = Array.from(link.amplifiers);
+        return amplifiers.find(amplifier => amplifier.deviceId === deviceId) ||
+            amplifiers.find(amplifier => amplifier.deviceId === protocol.BROADCAST_DEVICE_ID) || null;
+    }
+
+    handleAmplifierData(amplifier, data) {
+        const amplifierId = amplifier.id;
+        const amplifierIP = amplifier.ip;
+        const publishOsc = this.oscAmplifier() === amplifier;
+        
+        if (data.function === 'level') {
+            // Audio level data
+            this.broadcast({
+                type: 'audioData',
+                amplifierId,
+                channelType: data.channelType,
+                channelId: data.channelId,
+                db: data.db,
+                timestamp: data.timestamp
+            });
             
-        } catch (err) {
-            console.error('Failed to connect to amplifier:', err.message);
+            const channelKey = `${data.channelType}-${data.channelId}`;
+            amplifier.levelStates[channelKey] = { db: data.db, timestamp: data.timestamp };
+            amplifier.history.record(channelKey, data.db, data.timestamp);
+            amplifier.stats.record(channelKey, data.db, data.timestamp);
+            if (publishOsc) {
+                this.osc.publishLevel(data.channelType, data.channelId, data.db);
+            }
+            this.recorder.record({
+                type: 'level',
+                t: data.timestamp,
+                amplifierId,
+                channel: channelKey,
+                db: data.db
+            });
+            
+            this.alarms.recordLevel(amplifierId, channelKey, data.db, data.timestamp);
+            
+            const clipsBefore = amplifier.counters.getEntry(channelKey).clips;
+            if (amplifier.counters.record(data.channelType, data.channelId, data.db, data.timestamp)) {
+                this.broadcastCounters(amplifier);
+            }
+            if (amplifier.counters.getEntry(channelKey).clips > clipsBefore) {
+                this.webhooks.dispatch('clip', { channel: channelKey, db: data.db, amplifierId, amplifierIP });
+            }
+        } else if (data.function === 'mute' && data.command === 'read') {
+            // Mute status data
             this.broadcast({
-                type: 'error',
-                message: `Connection failed: ${err.message}`
+                type: 'muteStatus',
+                amplifierId,
+                channelType: data.channelType,
+                channelId: data.channelId,
+                muted: data.muted,
+                timestamp: data.timestamp
+            });
+            const channelKey = data.channelId === 0 ? 'all-output' : `${data.channelType}-${data.channelId}`;
+            this.recorder.record({
+                type: 'mute',
+                t: data.timestamp,
+                amplifierId,
+                channel: channelKey,
+                muted: data.muted
+            });
+            
+            if (publishOsc) {
+                this.osc.publishMute(data.channelId === 0 ? 'all-output' : data.channelType, data.channelId, data.muted);
+            }
+            
+            // The first reading after connecting is the baseline, not a change
+            const previous = amplifier.muteStates[channelKey];
+            amplifier.muteStates[channelKey] = data.muted;
+            if (previous !== undefined && previous !== data.muted) {
+                this.webhooks.dispatch('mute', { channel: channelKey, muted: data.muted, amplifierId, amplifierIP });
+            }
+        } else if (data.function === 'volume' && data.command === 'read') {
+            // Gain (volume) setting, from polling or a confirmed write
+            const gain = {
+                channelType: data.channelType,
+                channelId: data.channelId,
+                db: data.db,
+                timestamp: data.timestamp
+            };
+            amplifier.gainStates[`${data.channelType}-${data.channelId}`] = gain;
+            this.broadcast({
+                type: 'gainStatus',
+                amplifierId,
+                ...gain
             });
-            throw err;
         }
     }
 
-    disconnectFromAmplifier() {
-        if (this.amplifierClient) {
-            this.amplifierClient.disconnect();
-            this.amplifierClient = null;
+    // Leaves the link; its connection is closed once no amplifier uses it
+    disconnectAmplifier(amplifier) {
+        const client = amplifier.client;
+        if (client) {
+            if (client.isConnected) {
+                this.recorder.record({ type: 'disconnect', amplifierId: amplifier.id, amplifierIP: client.amplifierIP });
+                this.webhooks.dispatch('connection', { state: 'disconnected', reason: 'requested', amplifierId: amplifier.id, amplifierIP: client.amplifierIP });
+            }
             
-            this.broadcastCurrentStatus();
+            const link = Array.from(this.links.values()).find(candidate => candidate.client === client);
+            if (link) {
+                link.amplifiers.delete(amplifier);
+            }
+            if (link && link.amplifiers.size > 0) {
+                client.setDeviceIds(this.linkDeviceIds(link));
+            } else {
+                client.disconnect();
+                if (link) {
+                    this.links.delete(link.address);
+                }
+            }
+            amplifier.client = null;
+            this.alarms.setConnectionState(amplifier.id, 'idle');
+            amplifier.resetState();
+            amplifier.stats.interrupt();
+            
+            this.broadcastStatus(amplifier);
+            // The amplifier list shows replays, and this is where they end
+            if (client.replay) {
+                this.broadcastAmplifiers();
+            }
         }
     }
 
     start() {
+        if (this.osc) {
+            this.osc.start().catch(err => {
+                log.error('OSC bridge could not start', { error: err.message });
+            });
+        }
         this.server.listen(this.port, () => {
-            console.log(`Audio Visualizer Server running on port ${this.port}`);
-            console.log(`Open http://localhost:${this.port} in your browser`);
+            log.info(`Audio Visualizer Server running, open http://localhost:${this.port} in your browser`, { port: this.port });
+        });
+        
+        // Reconnect whatever was left connected when the server last stopped
+        this.fleet.list().filter(amplifier => amplifier.autoConnect).forEach(amplifier => {
+            this.connectAmplifier(amplifier).catch(() => {}); // Reported by connectAmplifier
         });
     }
 
     stop() {
-        this.disconnectFromAmplifier();
+        this.fleet.list().forEach(amplifier => this.disconnectAmplifier(amplifier));
+        this.recorder.stop();
+        this.alarms.stop();
+        this.scheduler.stop();
+        this.webhooks.stop();
+        if (this.osc) {
+            this.osc.stop();
+        }
         this.stopPeriodicUpdates();
         this.server.close();
     }
@@ -273,12 +2005,40 @@ class AudioVisualizerServer {
 
 // Start server if run directly
 if (require.main === module) {
-    const server = new AudioVisualizerServer(8080);
+    // OSC bridge is off unless a port is configured, e.g. OSC_LISTEN_PORT=9000 OSC_TARGET_PORT=9001.
+    // It follows the first amplifier unless OSC_AMPLIFIER names another one.
+    const env = process.env;
+    const osc = env.OSC_LISTEN_PORT || env.OSC_TARGET_PORT ? {
+        listenPort: env.OSC_LISTEN_PORT ? parseInt(env.OSC_LISTEN_PORT, 10) : undefined,
+        targetHost: env.OSC_TARGET_HOST,
+        targetPort: env.OSC_TARGET_PORT ? parseInt(env.OSC_TARGET_PORT, 10) : undefined,
+        prefix: env.OSC_PREFIX,
+        amplifierId: env.OSC_AMPLIFIER
+    } : null;
+    
+    // Log level, optionally per category, e.g. LOG_LEVEL=info,amplifier-client=debug; output is
+    // text lines, or JSON lines with LOG_FORMAT=json and by default under systemd (journald)
+    logging.logger.configure({
+        ...(env.LOG_LEVEL ? logging.parseLevelSpec(env.LOG_LEVEL) : {}),
+        format: env.LOG_FORMAT || (env.JOURNAL_STREAM ? 'json' : 'text')
+    });
+    
+    // Audit log entries are kept for 90 days unless AUDIT_RETENTION_DAYS says otherwise
+    const audit = env.AUDIT_RETENTION_DAYS ? { maxAge: Number(env.AUDIT_RETENTION_DAYS) * 24 * 60 * 60 * 1000 } : {};
+    
+    // Time above a level is tracked for -20, -6 and 0 dB unless LEVEL_STATS_THRESHOLDS lists others, e.g. "-30,-10,0";
+    // LEVEL_STATS_MAX_GAP_MS is how long a reading is held when the next one is late (10 s by default)
+    const stats = {
+        ...(env.LEVEL_STATS_THRESHOLDS ? { thresholds: env.LEVEL_STATS_THRESHOLDS.split(',').map(Number) } : {}),
+        ...(env.LEVEL_STATS_MAX_GAP_MS ? { maxGap: Number(env.LEVEL_STATS_MAX_GAP_MS) } : {})
+    };
+    
+    const server = new AudioVisualizerServer(8080, { osc, audit, stats });
     server.start();
 
     // Graceful shutdown
     process.on('SIGINT', () => {
-        console.log('\nShutting down server...');
+        log.info('Shutting down server');
         server.stop();
         process.exit(0);
     });
@@ -0,0 +1,228 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { NotFoundError, InvalidParameterError } = require('./errors');
+
+const log = require('./logger').child('traffic-capture');
+
+const FORMAT = 'npa43a-capture';
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}\.ndjson$/;
+const DIRECTIONS = ['tx', 'rx'];
+
+// File name stamp in UTC, sortable and safe on every filesystem: 20260105T142233512
+function fileStamp(time) {
+    return new Date(time).toISOString().replace(/[-:.Z]/g, '');
+}
+
+// A capture file's text -> { header, chunks: [{ t, dir, data }] } with data as a Buffer.
+// A last line cut short by a crash is dropped. Throws InvalidParameterError.
+function parseCapture(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    let header;
+    try {
+        header = JSON.parse(lines[0]);
+    } catch (err) {
+        header = null;
+    }
+    if (!header || header.format !== FORMAT || typeof header.address !== 'string') {
+        throw new InvalidParameterError('capture', 'is not an NPA43A traffic capture');
+    }
+
+    const chunks = [];
+    lines.slice(1).forEach((line, index) => {
+        let chunk;
+        try {
+            chunk = JSON.parse(line);
+        } catch (err) {
+            if (index === lines.length - 2) {
+                return;
+            }
+            throw new InvalidParameterError('capture', `line ${index + 2} is not JSON`);
+        }
+        if (!Number.isFinite(chunk.t) || !DIRECTIONS.includes(chunk.dir) || typeof chunk.data !== 'string' || !/^([0-9a-f]{2})*$/i.test(chunk.data)) {
+            throw new InvalidParameterError('capture', `line ${index + 2} is not a captured chunk`);
+        }
+        chunks.push({ t: chunk.t, dir: chunk.dir, data: Buffer.from(chunk.data, 'hex') });
+    });
+    return { header, chunks };
+}
+
+// One capture being written: every chunk sent to ('tx') or received from ('rx') one
+// connection, as it went over the wire, one NDJSON line each after a header line.
+// Stops by itself at maxBytes. Emits 'stopped' with the reason.
+class Capture extends EventEmitter {
+    constructor(file, header, maxBytes) {
+        super();
+        this.file = file;
+        this.name = path.basename(file);
+        this.header = header;
+        this.maxBytes = maxBytes;
+        this.startedAt = header.startedAt;
+        this.bytes = 0;
+        this.chunks = 0;
+        this.active = true;
+
+        this.stream = fs.createWriteStream(file, { flags: 'wx' });
+        this.stream.on('error', (err) => {
+            log.error('Capture write failed', { file: this.name, error: err.message });
+            this.stream = null;
+            this.stop(`write failed: ${err.message}`);
+        });
+        this.write(header);
+    }
+
+    write(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        this.stream.write(line);
+        this.bytes += Buffer.byteLength(line);
+    }
+
+    record(direction, chunk) {
+        if (!this.active) {
+            return;
+        }
+        this.write({ t: Date.now(), dir: direction, data: chunk.toString('hex') });
+        this.chunks++;
+        if (this.bytes >= this.maxBytes) {
+            this.stop('size limit reached');
+        }
+    }
+
+    stop(reason = 'stopped') {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+        log.info('Capture ended', { file: this.name, reason, chunks: this.chunks, bytes: this.bytes });
+        this.emit('stopped', reason);
+    }
+
+    status() {
+        return {
+            name: this.name,
+            address: this.header.address,
+            amplifierIds: this.header.amplifiers.map(amplifier => amplifier.id),
+            startedAt: this.startedAt,
+            chunks: this.chunks,
+            bytes: this.bytes
+        };
+    }
+}
+
+// Capture files of raw amplifier traffic under data/captures: started per
+// connection, listed, read back for replay, uploaded from elsewhere and deleted.
+// Emits 'change' whenever a capture starts or stops or the files change.
+class TrafficCaptures extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.directory = options.directory || path.join(__dirname, '../data/captures');
+        this.maxBytes = options.maxBytes !== undefined ? options.maxBytes : 50 * 1024 * 1024;
+        this.active = new Set();
+    }
+
+    // Starts writing a capture of the connection at `address`; amplifiers are the
+    // { id, name, deviceId } polled over it
+    start({ address, deviceIds, amplifiers }) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        const startedAt = Date.now();
+        const header = { format: FORMAT, version: 1, address, deviceIds, amplifiers, startedAt };
+        const file = path.join(this.directory, `capture-${amplifiers[0].id}-${fileStamp(startedAt)}.ndjson`);
+
+        const capture = new Capture(file, header, this.maxBytes);
+        this.active.add(capture);
+        capture.on('stopped', () => {
+            this.active.delete(capture);
+            this.emit('change');
+        });
+        log.info('Capture started', { file: capture.name, address });
+        this.emit('change');
+        return capture;
+    }
+
+    // Throws InvalidParameterError for a name that isn't a capture file name
+    path(name) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new InvalidParameterError('name', 'must be a file name ending in .ndjson');
+        }
+        return path.join(this.directory, name);
+    }
+
+    // Newest first
+    list() {
+        let names;
+        try {
+            names = fs.readdirSync(this.directory);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+
+        return names
+            .filter(name => NAME_PATTERN.test(name))
+            .map(name => {
+                const stat = fs.statSync(path.join(this.directory, name));
+                return { name, size: stat.size, modifiedAt: stat.mtimeMs };
+            })
+            .sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    // Throws NotFoundError or InvalidParameterError
+    load(name) {
+        let text;
+        try {
+            text = fs.readFileSync(this.path(name), 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                throw new NotFoundError(`No capture named ${name}`);
+            }
+            throw err;
+        }
+        return parseCapture(text);
+    }
+
+    // A capture downloaded from another server; throws InvalidParameterError when
+    // the text isn't one or the name is taken
+    save(name, text) {
+        const file = this.path(name);
+        parseCapture(text);
+        if (fs.existsSync(file)) {
+            throw new InvalidParameterError('name', `a capture named ${name} already exists`);
+        }
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(file, text);
+        this.emit('change');
+    }
+
+    // Throws NotFoundError, or InvalidParameterError while the capture is being written
+    remove(name) {
+        const file = this.path(name);
+        if (Array.from(this.active).some(capture => capture.file === file)) {
+            throw new InvalidParameterError('name', `${name} is still being captured`);
+        }
+        try {
+            fs.unlinkSync(file);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                throw new NotFoundError(`No capture named ${name}`);
+            }
+            throw err;
+        }
+        this.emit('change');
+    }
+
+    status() {
+        return {
+            active: Array.from(this.active).map(capture => capture.status()),
+            files: this.list(),
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+module.exports = TrafficCaptures;
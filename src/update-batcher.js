@@ -0,0 +1,110 @@
+const WebSocket = require('ws');
+
+// Key under which a message replaces an earlier one of the same kind, or null for
+// events (alarm, error, sceneRecall, ...) that must each reach the client
+function coalesceKey(data) {
+    switch (data.type) {
+        case 'audioData':
+        case 'muteStatus':
+        case 'gainStatus':
+            return `${data.type}:${data.amplifierId}:${data.channelType}-${data.channelId}`;
+        case 'status':
+        case 'counters':
+        case 'levelStats':
+            return `${data.type}:${data.amplifierId}`;
+        case 'amplifiers':
+        case 'recording':
+        case 'alarms':
+        case 'discovery':
+        case 'scenes':
+        case 'schedules':
+        case 'captures':
+            return data.type;
+        default:
+            return null;
+    }
+}
+
+// Collects the messages for one WebSocket client and sends them as a single
+// `batch` frame at most once per interval. Readings and states are merged so only
+// the latest of each is sent; while the socket still holds more than
+// maxBufferedBytes unsent, frames are held back and keep merging, so a slow client
+// gets the current state once it catches up instead of a growing backlog.
+class UpdateBatcher {
+    constructor(ws, options = {}) {
+        this.ws = ws;
+        this.interval = options.interval !== undefined ? options.interval : 100;
+        this.maxBufferedBytes = options.maxBufferedBytes !== undefined ? options.maxBufferedBytes : 64 * 1024;
+        this.maxEvents = options.maxEvents !== undefined ? options.maxEvents : 200;
+        this.stats = options.stats || { frames: 0, messages: 0, deferred: 0, droppedEvents: 0 };
+
+        this.pending = new Map(); // coalesce key or event number -> message, in arrival order
+        this.eventCount = 0;
+        this.nextEvent = 0;
+        this.lastFlush = 0;
+        this.timer = null;
+    }
+
+    queue(data) {
+        const key = coalesceKey(data);
+        if (key !== null) {
+            this.pending.set(key, data);
+        } else {
+            // A client stalled for long only gets the most recent events
+            if (this.eventCount >= this.maxEvents) {
+                const oldest = Array.from(this.pending.keys()).find(candidate => typeof candidate === 'number');
+                this.pending.delete(oldest);
+                this.eventCount--;
+                this.stats.droppedEvents++;
+            }
+            this.pending.set(this.nextEvent++, data);
+            this.eventCount++;
+        }
+        this.schedule(this.lastFlush + this.interval - Date.now());
+    }
+
+    schedule(delay) {
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), Math.max(0, delay));
+        }
+    }
+
+    // Takes effect from the next frame
+    setUpdateInterval(interval) {
+        this.interval = interval;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.schedule(this.lastFlush + this.interval - Date.now());
+        }
+    }
+
+    flush() {
+        this.timer = null;
+        if (this.ws.readyState !== WebSocket.OPEN || this.pending.size === 0) {
+            return;
+        }
+        if (this.ws.bufferedAmount > this.maxBufferedBytes) {
+            this.stats.deferred++;
+            this.schedule(this.interval);
+            return;
+        }
+
+        const messages = Array.from(this.pending.values());
+        this.pending.clear();
+        this.eventCount = 0;
+        this.lastFlush = Date.now();
+        this.ws.send(JSON.stringify({ type: 'batch', t: this.lastFlush, messages }));
+        this.stats.frames++;
+        this.stats.messages += messages.length;
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending.clear();
+        this.eventCount = 0;
+    }
+}
+
+module.exports = UpdateBatcher;
@@ -0,0 +1,253 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { InvalidParameterError } = require('./errors');
+
+const log = require('./logger').child('webhook-dispatcher');
+
+// Events a target can subscribe to; '*' subscribes to all of them
+const EVENT_TYPES = ['connection', 'mute', 'clip', 'alarm', 'test'];
+
+// Delivers amplifier events as signed JSON POSTs to configured HTTP targets,
+// retrying failed deliveries with exponential backoff. Emits 'delivery' with
+// the delivery record whenever one changes state.
+class WebhookDispatcher extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.targetsFile = options.targetsFile !== undefined ? options.targetsFile : path.join(__dirname, '../data/webhooks.json');
+        this.timeout = options.timeout !== undefined ? options.timeout : 5000;
+        this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 5;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+        this.maxRetryDelay = options.maxRetryDelay !== undefined ? options.maxRetryDelay : 60000;
+        this.logSize = options.logSize !== undefined ? options.logSize : 200;
+
+        this.targets = this.loadTargets();
+        this.deliveries = []; // newest last, bounded by logSize
+        this.retryTimers = new Set();
+    }
+
+    loadTargets() {
+        if (!this.targetsFile) {
+            return [];
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.targetsFile, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                log.error('Could not read webhook targets', { file: this.targetsFile, error: err.message });
+            }
+            return [];
+        }
+    }
+
+    saveTargets() {
+        if (!this.targetsFile) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.targetsFile), { recursive: true });
+        fs.writeFileSync(this.targetsFile, JSON.stringify(this.targets, null, 2));
+    }
+
+    // Throws InvalidParameterError; returns the fields that were given, cleaned up
+    validateTarget(fields, { partial = false } = {}) {
+        const target = {};
+
+        if (fields.url !== undefined || !partial) {
+            let url;
+            try {
+                url = new URL(fields.url);
+            } catch (err) {
+                throw new InvalidParameterError('url', 'must be an absolute http or https URL');
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw new InvalidParameterError('url', 'must be an absolute http or https URL');
+            }
+            target.url = url.toString();
+        }
+
+        if (fields.events !== undefined || !partial) {
+            const events = fields.events !== undefined ? fields.events : ['*'];
+            if (!Array.isArray(events) || events.length === 0 || !events.every(event => event === '*' || EVENT_TYPES.includes(event))) {
+                throw new InvalidParameterError('events', `must be a list of ${EVENT_TYPES.join(', ')} or *`);
+            }
+            target.events = events;
+        }
+
+        if (fields.secret !== undefined) {
+            if (fields.secret !== null && typeof fields.secret !== 'string') {
+                throw new InvalidParameterError('secret', 'must be a string or null');
+            }
+            target.secret = fields.secret || null;
+        }
+
+        if (fields.enabled !== undefined) {
+            if (typeof fields.enabled !== 'boolean') {
+                throw new InvalidParameterError('enabled', 'must be true or false');
+            }
+            target.enabled = fields.enabled;
+        }
+
+        return target;
+    }
+
+    // Targets as shown to clients: the secret itself is never sent back
+    listTargets() {
+        return this.targets.map(({ secret, ...target }) => ({ ...target, hasSecret: !!secret }));
+    }
+
+    addTarget(fields) {
+        const target = {
+            id: crypto.randomUUID(),
+            secret: null,
+            enabled: true,
+            ...this.validateTarget(fields)
+        };
+        this.targets.push(target);
+        this.saveTargets();
+        return this.listTargets().find(candidate => candidate.id === target.id);
+    }
+
+    updateTarget(id, fields) {
+        const target = this.targets.find(candidate => candidate.id === id);
+        if (!target) {
+            return null;
+        }
+        Object.assign(target, this.validateTarget(fields, { partial: true }));
+        this.saveTargets();
+        return this.listTargets().find(candidate => candidate.id === id);
+    }
+
+    removeTarget(id) {
+        const index = this.targets.findIndex(candidate => candidate.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this.targets.splice(index, 1);
+        this.saveTargets();
+        return true;
+    }
+
+    // Queue one delivery per enabled target subscribed to this event
+    dispatch(event, data, { onlyTarget } = {}) {
+        const timestamp = Date.now();
+
+        return this.targets
+            .filter(target => onlyTarget ? target.id === onlyTarget : target.enabled)
+            .filter(target => onlyTarget || target.events.includes('*') || target.events.includes(event))
+            .map(target => {
+                const delivery = {
+                    id: crypto.randomUUID(),
+                    targetId: target.id,
+                    url: target.url,
+                    event,
+                    status: 'pending',
+                    attempts: 0,
+                    statusCode: null,
+                    error: null,
+                    createdAt: timestamp,
+                    updatedAt: timestamp,
+                    nextAttemptAt: null
+                };
+                // The exact bytes that are signed are the bytes that are sent
+                delivery.body = JSON.stringify({ id: delivery.id, event, timestamp, data });
+
+                this.deliveries.push(delivery);
+                if (this.deliveries.length > this.logSize) {
+                    this.deliveries.splice(0, this.deliveries.length - this.logSize);
+                }
+
+                this.attempt(delivery, target);
+                return this.publicDelivery(delivery);
+            });
+    }
+
+    sign(secret, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    async attempt(delivery, target) {
+        delivery.attempts++;
+        delivery.nextAttemptAt = null;
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'npa43a-audio-visualizer',
+            'X-NPA43A-Event': delivery.event,
+            'X-NPA43A-Delivery': delivery.id
+        };
+        if (target.secret) {
+            headers['X-NPA43A-Signature'] = this.sign(target.secret, delivery.body);
+        }
+
+        try {
+            const response = await fetch(target.url, {
+                method: 'POST',
+                headers,
+                body: delivery.body,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            delivery.statusCode = response.status;
+            delivery.error = response.ok ? null : `HTTP ${response.status}`;
+        } catch (err) {
+            delivery.statusCode = null;
+            delivery.error = err.name === 'TimeoutError' ? `No response after ${this.timeout}ms` : err.message;
+        }
+
+        delivery.updatedAt = Date.now();
+
+        if (!delivery.error) {
+            delivery.status = 'delivered';
+        } else if (delivery.attempts < this.maxAttempts) {
+            const delay = Math.min(this.retryDelay * Math.pow(2, delivery.attempts - 1), this.maxRetryDelay);
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = Date.now() + delay;
+
+            const timer = setTimeout(() => {
+                this.retryTimers.delete(timer);
+                // Target edited or removed since: use its current settings, or give up
+                const current = this.targets.find(candidate => candidate.id === delivery.targetId);
+                if (current) {
+                    this.attempt(delivery, current);
+                } else {
+                    this.finish(delivery, 'failed', 'Target removed');
+                }
+            }, delay);
+            this.retryTimers.add(timer);
+        } else {
+            delivery.status = 'failed';
+            log.error('Webhook delivery failed', { event: delivery.event, url: delivery.url, attempts: delivery.attempts, error: delivery.error });
+        }
+
+        this.emit('delivery', this.publicDelivery(delivery));
+    }
+
+    finish(delivery, status, error) {
+        delivery.status = status;
+        delivery.error = error;
+        delivery.nextAttemptAt = null;
+        delivery.updatedAt = Date.now();
+        this.emit('delivery', this.publicDelivery(delivery));
+    }
+
+    publicDelivery({ body, ...delivery }) {
+        return delivery;
+    }
+
+    // Newest first, optionally for one target
+    listDeliveries({ targetId } = {}) {
+        return this.deliveries
+            .filter(delivery => !targetId || delivery.targetId === targetId)
+            .map(delivery => this.publicDelivery(delivery))
+            .reverse();
+    }
+
+    stop() {
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+    }
+}
+
+WebhookDispatcher.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = WebhookDispatcher;
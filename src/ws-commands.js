@@ -0,0 +1,182 @@
+const protocol = require('./protocol');
+const { InvalidParameterError } = require('./errors');
+
+// Version of the JSON command protocol spoken over the dashboard WebSocket.
+// A client sends { "v": 1, "requestId": "42", "command": "setMute", "params": { ... } }
+// and gets back an `ack` with the command's result or an `error`, both echoing requestId.
+const PROTOCOL_VERSION = 1;
+
+// Message types the server pushes; `subscribe` picks from these
+const MESSAGE_TYPES = [
+    'amplifiers', 'status', 'audioData', 'muteStatus', 'gainStatus', 'counters',
+    'recording', 'alarms', 'alarm', 'webhookDelivery', 'discovery', 'scenes', 'sceneRecall',
+    'schedules', 'scheduleRun', 'audit', 'levelStats', 'captures', 'error'
+];
+
+// Parameter kinds; each throws InvalidParameterError for a value it does not accept
+const PARAM_KINDS = {
+    string: (value, field) => {
+        if (typeof value !== 'string' || !value) {
+            throw new InvalidParameterError(field.name, 'must be a non-empty string');
+        }
+    },
+    boolean: (value, field) => {
+        if (typeof value !== 'boolean') {
+            throw new InvalidParameterError(field.name, 'must be true or false');
+        }
+    },
+    integer: (value, field) => {
+        if (!Number.isInteger(value)) {
+            throw new InvalidParameterError(field.name, 'must be an integer');
+        }
+        checkRange(value, field);
+    },
+    number: (value, field) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new InvalidParameterError(field.name, 'must be a number');
+        }
+        checkRange(value, field);
+    },
+    enum: (value, field) => {
+        if (!field.values.includes(value)) {
+            throw new InvalidParameterError(field.name, `must be one of ${field.values.join(', ')}`);
+        }
+    },
+    // Array of non-empty strings, limited to `values` when given
+    list: (value, field) => {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+            throw new InvalidParameterError(field.name, 'must be an array of strings');
+        }
+        const unknown = field.values ? value.find(item => !field.values.includes(item)) : undefined;
+        if (unknown !== undefined) {
+            throw new InvalidParameterError(field.name, `has unknown entry ${unknown}; must be from ${field.values.join(', ')}`);
+        }
+    }
+};
+
+function checkRange(value, field) {
+    if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        throw new InvalidParameterError(field.name, `must be between ${field.min} and ${field.max}`);
+    }
+}
+
+const GAIN_FIELD = protocol.FUNCTIONS.volume.write.find(field => field.name === 'db');
+
+// Commands without one act on the server's default amplifier, as REST requests do
+const amplifierId = { name: 'amplifierId', kind: 'string', optional: true };
+const channelNumber = { name: 'id', kind: 'integer', min: 1, max: 4 };
+
+// Registry of the commands a client can send. `params` lists every parameter a
+// command accepts; anything else is rejected. `check` covers rules between fields.
+const COMMANDS = {
+    connect: {
+        params: [amplifierId]
+    },
+    disconnect: {
+        params: [amplifierId]
+    },
+    setMute: {
+        params: [
+            amplifierId,
+            { name: 'type', kind: 'enum', values: ['input', 'output', 'all-output'] },
+            { ...channelNumber, optional: true },
+            { name: 'mute', kind: 'boolean' }
+        ],
+        check: (params) => {
+            if (params.type !== 'all-output' && params.id === undefined) {
+                throw new InvalidParameterError('id', 'is required for input and output channels');
+            }
+        }
+    },
+    setGain: {
+        params: [
+            amplifierId,
+            { name: 'type', kind: 'enum', values: ['input', 'output'] },
+            channelNumber,
+            { name: 'db', kind: 'number', min: GAIN_FIELD.min, max: GAIN_FIELD.max }
+        ]
+    },
+    // Replaces the connection's filter; a list left out means everything
+    subscribe: {
+        params: [
+            { name: 'types', kind: 'list', values: MESSAGE_TYPES, optional: true },
+            { name: 'amplifierIds', kind: 'list', optional: true }
+        ]
+    },
+    getSnapshot: {
+        params: [amplifierId]
+    },
+    // Milliseconds between the connection's batch frames
+    setUpdateRate: {
+        params: [{ name: 'interval', kind: 'integer', min: 50, max: 5000 }]
+    }
+};
+
+// Parse and validate one client message. Returns { requestId, command, params };
+// throws InvalidParameterError, with the requestId attached once it is known so the
+// error reply can still echo it.
+function parseCommand(text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (err) {
+        throw new InvalidParameterError('message', 'must be JSON');
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw new InvalidParameterError('message', 'must be a JSON object');
+    }
+
+    const { v, requestId, command, params = {} } = message;
+    const validRequestId = (typeof requestId === 'string' && requestId.length > 0 && requestId.length <= 64) ||
+        Number.isInteger(requestId);
+
+    try {
+        if (!validRequestId) {
+            throw new InvalidParameterError('requestId', 'must be a string of up to 64 characters or an integer');
+        }
+        if (v !== PROTOCOL_VERSION) {
+            throw new InvalidParameterError('v', `must be ${PROTOCOL_VERSION}`);
+        }
+        const entry = Object.prototype.hasOwnProperty.call(COMMANDS, command) ? COMMANDS[command] : null;
+        if (!entry) {
+            throw new InvalidParameterError('command', `must be one of ${Object.keys(COMMANDS).join(', ')}`);
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            throw new InvalidParameterError('params', 'must be an object');
+        }
+
+        const unknown = Object.keys(params).find(name => !entry.params.some(field => field.name === name));
+        if (unknown !== undefined) {
+            throw new InvalidParameterError(unknown, `is not a parameter of ${command}`);
+        }
+        entry.params.forEach(field => {
+            if (params[field.name] === undefined) {
+                if (!field.optional) {
+                    throw new InvalidParameterError(field.name, 'is required');
+                }
+                return;
+            }
+            PARAM_KINDS[field.kind](params[field.name], field);
+        });
+        if (entry.check) {
+            entry.check(params);
+        }
+
+        return { requestId, command, params };
+    } catch (err) {
+        if (validRequestId) {
+            err.requestId = requestId;
+        }
+        if (typeof command === 'string') {
+            err.command = command;
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MESSAGE_TYPES,
+    COMMANDS,
+    parseCommand
+};
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AlarmEngine = require('../src/alarm-engine');
+const { logger } = require('../src/logger');
+
+logger.configure({ level: 'error' });
+
+const hot = { id: 'hot', name: 'Hot', type: 'level', channels: ['output-1'], condition: 'above', threshold: -3, hysteresis: 2, duration: 2000 };
+const offline = { id: 'offline', name: 'Offline', type: 'connection', duration: 10000 };
+
+// An engine with nothing saved to disk and no tick timer, plus the events it emitted
+function engine(rules) {
+    const instance = new AlarmEngine({ rulesFile: null, rules });
+    const events = [];
+    instance.on('alarm', ({ event, alarm }) => events.push(`${event} ${alarm.ruleId} ${alarm.amplifierId}`));
+    return { engine: instance, events };
+}
+
+test('raises a level alarm only once the condition has held for the duration', () => {
+    const { engine: instance, events } = engine([hot]);
+    instance.recordLevel('main', 'output-1', -1, 0);
+    instance.recordLevel('main', 'output-1', -1, 1500);
+    assert.deepStrictEqual(events, []);
+
+    // Dropping out of the condition starts the duration over
+    instance.recordLevel('main', 'output-1', -10, 1800);
+    instance.recordLevel('main', 'output-1', -1, 2000);
+    instance.recordLevel('main', 'output-1', -1, 3900);
+    assert.deepStrictEqual(events, []);
+
+    instance.recordLevel('main', 'output-1', 0.5, 4000);
+    assert.deepStrictEqual(events, ['raise hot main']);
+    assert.strictEqual(instance.outstanding()[0].value, 0.5);
+});
+
+test('clears a level alarm only once the level is back past the hysteresis', () => {
+    const { engine: instance, events } = engine([{ ...hot, duration: 0 }]);
+    instance.recordLevel('main', 'output-1', -1, 0);
+    assert.deepStrictEqual(events, ['raise hot main']);
+
+    // Below the threshold but within the 2 dB hysteresis
+    instance.recordLevel('main', 'output-1', -4, 100);
+    assert.strictEqual(instance.list({ active: true }).length, 1);
+
+    instance.recordLevel('main', 'output-1', -5.5, 200);
+    assert.deepStrictEqual(events, ['raise hot main', 'clear hot main']);
+    assert.strictEqual(instance.list()[0].clearedAt, 200);
+});
+
+test('watches the connection of each amplifier on its own', () => {
+    const { engine: instance, events } = engine([offline]);
+    instance.setConnectionState('left', 'connected', 0);
+    instance.setConnectionState('right', 'connected', 0);
+    instance.setConnectionState('left', 'lost', 1000);
+
+    instance.evaluateConnection(5000);
+    assert.deepStrictEqual(events, []);
+    instance.evaluateConnection(11000);
+    assert.deepStrictEqual(events, ['raise offline left']);
+
+    instance.setConnectionState('right', 'lost', 12000);
+    instance.setConnectionState('left', 'connected', 13000);
+    instance.evaluateConnection(22000);
+    assert.deepStrictEqual(events, ['raise offline left', 'clear offline left', 'raise offline right']);
+
+    // A deliberate disconnect is not an outage
+    instance.setConnectionState('right', 'idle', 23000);
+    assert.strictEqual(instance.list({ active: true }).length, 0);
+});
+
+test('clears and forgets the alarms of a removed amplifier', () => {
+    const { engine: instance, events } = engine([{ ...hot, duration: 0 }, { ...offline, duration: 0 }]);
+    instance.recordLevel('left', 'output-1', 0, 0);
+    instance.recordLevel('right', 'output-1', 0, 0);
+    instance.setConnectionState('left', 'lost', 0);
+    assert.strictEqual(instance.list({ active: true }).length, 3);
+
+    instance.forgetAmplifier('left', 100);
+    assert.deepStrictEqual(instance.list({ active: true }).map(alarm => alarm.amplifierId), ['right']);
+    instance.evaluateConnection(200);
+    assert.deepStrictEqual(events.filter(event => event.endsWith('left')), ['raise hot left', 'raise offline left', 'clear hot left', 'clear offline left']);
+});
+
+test('clears the alarms of rules that are removed, disabled or stop watching a channel', () => {
+    const both = { ...hot, id: 'both', channels: ['output-1', 'output-2'], duration: 0 };
+    const { engine: instance, events } = engine([{ ...hot, duration: 0 }, both]);
+    instance.recordLevel('main', 'output-1', 0, 0);
+    instance.recordLevel('main', 'output-2', 0, 0);
+    assert.strictEqual(instance.list({ active: true }).length, 3);
+
+    instance.setRules([{ ...both, channels: ['output-2'] }], { save: false });
+    assert.deepStrictEqual(instance.list({ active: true }).map(alarm => `${alarm.ruleId} ${alarm.channel}`), ['both output-2']);
+
+    instance.setRules([{ ...both, enabled: false }], { save: false });
+    assert.strictEqual(instance.list({ active: true }).length, 0);
+    assert.strictEqual(events.filter(event => event.startsWith('clear')).length, 3);
+});
+
+test('rejects invalid and duplicate rules without changing the rule set', () => {
+    const { engine: instance } = engine([hot]);
+    assert.throws(() => instance.setRules([{ ...hot, channels: ['output-5'] }], { save: false }), { code: 'INVALID_PARAMETER' });
+    assert.throws(() => instance.setRules([hot, { ...hot }], { save: false }), /duplicate id hot/);
+    assert.deepStrictEqual(instance.rules.map(rule => rule.id), ['hot']);
+});
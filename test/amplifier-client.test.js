@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const NPA43AClient = require('../src/amplifier-client');
+const NPA43ASimulator = require('../src/amplifier-simulator');
+const { logger } = require('../src/logger');
+
+logger.configure({ level: 'error' });
+
+// A simulator on an ephemeral port and a client connected to it, both torn down after the test
+async function connected(t, { simulatorOptions = {}, clientOptions = {} } = {}) {
+    const simulator = new NPA43ASimulator({ port: 0, host: '127.0.0.1', responseDelay: 1, ...simulatorOptions });
+    await simulator.start();
+    const client = new NPA43AClient('127.0.0.1', simulator.port, { commandInterval: 5, commandTimeout: 200, ...clientOptions });
+    client.on('error', () => {});
+    await client.connect();
+    t.after(async () => {
+        client.disconnect();
+        await simulator.stop();
+    });
+    return { simulator, client };
+}
+
+function once(emitter, event) {
+    return new Promise(resolve => emitter.once(event, resolve));
+}
+
+test('reads levels, mutes and gains', async (t) => {
+    const { client } = await connected(t, {
+        simulatorOptions: { signals: { 'input-2': { shape: 'sine', level: -20, amplitude: 0 } }, mutes: { 'output-3': true }, gains: { 'output-1': -6.5 } }
+    });
+
+    const level = await client.sendCommand('input', 2);
+    assert.strictEqual(level.db, -20);
+    assert.strictEqual((await client.getMuteStatus('output', 3)).muted, true);
+    assert.strictEqual((await client.getMuteStatus('all-output', null)).muted, false);
+    assert.strictEqual((await client.getGain('output', 1)).db, -6.5);
+});
+
+test('reassembles replies split across data events', async (t) => {
+    const { simulator, client } = await connected(t);
+    simulator.injectFault('fragment', 3);
+
+    for (let id = 1; id <= 3; id++) {
+        assert.strictEqual((await client.sendCommand('output', id)).channelId, id);
+    }
+    assert.strictEqual(client.stats.parseErrors, 0);
+    assert.strictEqual(client.dataBuffer.length, 0);
+});
+
+test('skips garbage between replies', async (t) => {
+    const { simulator, client } = await connected(t);
+    simulator.injectFault('garbage', 3);
+
+    for (let id = 1; id <= 3; id++) {
+        assert.strictEqual((await client.sendCommand('input', id)).channelId, id);
+    }
+    assert.strictEqual(client.stats.framesReceived, 3);
+    assert.strictEqual(client.stats.parseErrors, 0);
+});
+
+test('retries a dropped reply and times out when the amp stalls', async (t) => {
+    const { simulator, client } = await connected(t, { clientOptions: { commandTimeout: 50, commandRetries: 1 } });
+
+    simulator.injectFault('drop', 1);
+    assert.strictEqual((await client.sendCommand('input', 1)).channelId, 1);
+
+    simulator.injectFault('stall', 500);
+    await assert.rejects(client.sendCommand('input', 1), { code: 'COMMAND_TIMEOUT', attempts: 2 });
+});
+
+test('reconnects after the amp drops the connection', async (t) => {
+    const { simulator, client } = await connected(t);
+    client.reconnectDelay = 20;
+
+    const disconnected = once(client, 'disconnected');
+    simulator.injectFault('disconnect');
+    await disconnected;
+    await once(client, 'connected');
+
+    assert.strictEqual(client.stats.reconnectAttempts, 1);
+    assert.strictEqual((await client.sendCommand('output', 4)).channelId, 4);
+});
+
+test('confirms mute and gain writes by reading them back', async (t) => {
+    const { simulator, client } = await connected(t);
+
+    const mute = await client.setMute('output', 2, true);
+    assert.strictEqual(mute.muted, true);
+    assert.strictEqual(simulator.muteStates['output-2'], true);
+
+    const gain = await client.setGain('input', 3, -12.5);
+    assert.strictEqual(gain.db, -12.5);
+    assert.strictEqual(simulator.gains['input-3'], -12.5);
+});
+
+test('rejects replies from an unexpected device ID', async (t) => {
+    const { client } = await connected(t, {
+        simulatorOptions: { deviceId: 4 },
+        clientOptions: { deviceId: 5, commandTimeout: 50, commandRetries: 0 }
+    });
+
+    // Addressed to 5, so the simulator at 4 stays silent; a broadcast gets a reply from 4
+    await assert.rejects(client.sendCommand('input', 1), { code: 'COMMAND_TIMEOUT' });
+    await assert.rejects(client.sendCommand('input', 1, { deviceId: 0xFF }), { code: 'COMMAND_TIMEOUT' });
+    assert.strictEqual(client.stats.deviceMismatches, 1);
+});
+
+test('polls every channel level with one frame per channel type', async (t) => {
+    const { client } = await connected(t, { simulatorOptions: { signals: { 'input-3': 'silence' }, gains: { 'output-2': -4 } } });
+    const sent = [];
+    const send = client.send.bind(client);
+    client.send = frame => {
+        sent.push(frame[6]);
+        send(frame);
+    };
+
+    const levels = new Map();
+    let gain = null;
+    client.on('data', result => {
+        if (result.function === 'level') {
+            levels.set(`${result.channelType}-${result.channelId}`, result.db);
+        } else if (result.function === 'volume' && result.channelType === 'output' && result.channelId === 2) {
+            gain = result.db;
+        }
+    });
+    client.statusReadsPerCycle = 17;
+    client.startPolling();
+    while (gain === null) {
+        await once(client, 'data');
+    }
+    client.stopPolling();
+
+    assert.strictEqual(levels.size, 8);
+    assert.strictEqual(levels.get('input-3'), -60);
+    assert.deepStrictEqual(sent.slice(0, 2), [0x0F, 0x0F]);
+    assert.strictEqual(sent.filter(code => code === 0x0E).length, 0);
+    assert.strictEqual(gain, -4);
+});
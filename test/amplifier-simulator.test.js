@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const NPA43ASimulator = require('../src/amplifier-simulator');
+const protocol = require('../src/protocol');
+const { logger } = require('../src/logger');
+
+logger.configure({ level: 'error' });
+
+// Sends raw frames and collects the frames that come back
+async function rawConnection(t, simulator) {
+    const socket = net.connect(simulator.port, '127.0.0.1');
+    await new Promise(resolve => socket.once('connect', resolve));
+    t.after(() => socket.destroy());
+
+    let buffer = Buffer.alloc(0);
+    const frames = [];
+    socket.on('data', data => {
+        buffer = Buffer.concat([buffer, data]);
+        const found = protocol.findFrames(buffer);
+        buffer = buffer.slice(found.remainingOffset);
+        frames.push(...found.frames.map(frame => protocol.decode(frame)));
+    });
+
+    return {
+        send: frame => socket.write(frame),
+        next: () => new Promise((resolve, reject) => {
+            const started = Date.now();
+            const check = () => {
+                if (frames.length > 0) {
+                    resolve(frames.shift());
+                } else if (Date.now() - started > 1000) {
+                    reject(new Error('No reply from the simulator'));
+                } else {
+                    setTimeout(check, 5);
+                }
+            };
+            check();
+        })
+    };
+}
+
+async function started(t, options = {}) {
+    const simulator = new NPA43ASimulator({ port: 0, host: '127.0.0.1', responseDelay: 1, ...options });
+    await simulator.start();
+    t.after(() => simulator.stop());
+    return simulator;
+}
+
+test('refuses an out-of-range volume write with failure feedback', async (t) => {
+    const simulator = await started(t, { gains: { 'input-1': -3 } });
+    const connection = await rawConnection(t, simulator);
+
+    // 0x7FFF is +3276.7 dB, which encode() would never produce
+    const frame = protocol.encode('volume', 'write', { channelType: 'input', channelId: 1, db: 0 });
+    frame[10] = 0xFF;
+    frame[11] = 0x7F;
+    connection.send(frame);
+
+    const feedback = await connection.next();
+    assert.strictEqual(feedback.function, 'volume');
+    assert.strictEqual(feedback.success, false);
+    assert.strictEqual(simulator.gains['input-1'], -3);
+
+    // Still answering
+    connection.send(protocol.encode('volume', 'read', { channelType: 'input', channelId: 1 }));
+    assert.strictEqual((await connection.next()).db, -3);
+});
+
+test('acknowledges writes when asked to', async (t) => {
+    const simulator = await started(t, { ackWrites: true });
+    const connection = await rawConnection(t, simulator);
+
+    connection.send(protocol.encode('mute', 'write', { channelType: 'all-output', muted: true }));
+    assert.strictEqual((await connection.next()).success, true);
+    assert.strictEqual(simulator.isMuted('output-2'), true);
+    assert.strictEqual(simulator.levelAt('output-2'), simulator.floorDb);
+});
+
+test('only answers its own device ID and broadcasts', async (t) => {
+    const simulator = await started(t, { deviceId: 2 });
+    const connection = await rawConnection(t, simulator);
+
+    connection.send(protocol.encode('mute', 'read', { channelType: 'input', channelId: 1 }, { deviceId: 3 }));
+    connection.send(protocol.encode('mute', 'read', { channelType: 'input', channelId: 2 }, { deviceId: 2 }));
+    const reply = await connection.next();
+    assert.strictEqual(reply.channelId, 2);
+    assert.strictEqual(reply.deviceId, 2);
+});
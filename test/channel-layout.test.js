@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const channelLayout = require('../src/channel-layout');
+
+test('cleans up channel entries, keeping only the fields given', () => {
+    assert.deepStrictEqual(channelLayout.validateChannels([
+        { key: 'output-2', name: '  Stage Left ', color: '#FF8800' },
+        { key: 'input-1', name: '   ', hidden: true },
+        { key: 'input-2', color: null }
+    ]), [
+        { key: 'output-2', name: 'Stage Left', color: '#ff8800' },
+        { key: 'input-1', name: 'Input 1', hidden: true },
+        { key: 'input-2', color: null }
+    ]);
+});
+
+test('rejects unknown, repeated and malformed channel entries', () => {
+    const rejected = (entries, reason) => assert.throws(() => channelLayout.validateChannels(entries), error => {
+        assert.strictEqual(error.code, 'INVALID_PARAMETER');
+        assert.match(error.message, reason);
+        return true;
+    });
+
+    rejected({ key: 'input-1' }, /must be a list/);
+    rejected([{ key: 'output-5' }], /needs a key/);
+    rejected([{ key: 'input-1' }, { key: 'input-1', hidden: true }], /input-1 is listed twice/);
+    rejected([{ key: 'input-1', name: 'x'.repeat(33) }], /name must be a string/);
+    rejected([{ key: 'input-1', color: 'red' }], /color must be #rrggbb/);
+    rejected([{ key: 'input-1', hidden: 'yes' }], /hidden must be true or false/);
+});
+
+test('changes only the named channels and reorders when all eight are listed', () => {
+    const channels = channelLayout.defaultChannels();
+    const renamed = channelLayout.mergeChannels(channels, [{ key: 'output-1', name: 'Sub' }]);
+    assert.deepStrictEqual(renamed.map(channel => channel.key), channelLayout.CHANNEL_KEYS);
+    assert.strictEqual(renamed[4].name, 'Sub');
+    assert.strictEqual(channels[4].name, 'Output 1');
+
+    const reversed = channelLayout.CHANNEL_KEYS.slice().reverse().map(key => ({ key }));
+    const reordered = channelLayout.mergeChannels(renamed, reversed);
+    assert.deepStrictEqual(reordered.map(channel => channel.key), channelLayout.CHANNEL_KEYS.slice().reverse());
+    assert.deepStrictEqual(reordered[3], { key: 'output-1', name: 'Sub', color: null, hidden: false });
+});
+
+test('accepts only the known meter layouts', () => {
+    assert.strictEqual(channelLayout.validateLayout('compact'), 'compact');
+    assert.throws(() => channelLayout.validateLayout('list'), { code: 'INVALID_PARAMETER', parameter: 'layout' });
+});
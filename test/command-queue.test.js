@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CommandQueue = require('../src/command-queue');
+
+function read(key, frame = key) {
+    return { key, frame, match: result => result.key === key };
+}
+
+test('sends one frame at a time, paced by the interval', async () => {
+    const sent = [];
+    const queue = new CommandQueue(frame => sent.push({ frame, at: Date.now() }), { interval: 30, timeout: 500 });
+
+    const first = queue.enqueue(read('a'));
+    const second = queue.enqueue(read('b'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepStrictEqual(sent.map(entry => entry.frame), ['a']);
+
+    queue.handleReply({ key: 'a' });
+    assert.deepStrictEqual(await first, { key: 'a' });
+    queue.handleReply({ key: 'b' }); // Not in flight yet, so ignored
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepStrictEqual(sent.map(entry => entry.frame), ['a', 'b']);
+    assert.ok(sent[1].at - sent[0].at >= 25);
+
+    queue.handleReply({ key: 'b' });
+    assert.deepStrictEqual(await second, { key: 'b' });
+});
+
+test('retries a request that gets no reply, then times out', async () => {
+    const sent = [];
+    const queue = new CommandQueue(frame => sent.push(frame), { interval: 0, timeout: 20, retries: 2 });
+    const retries = [];
+    queue.on('retry', retry => retries.push(retry.attempt));
+
+    await assert.rejects(queue.enqueue(read('a')), error => {
+        assert.strictEqual(error.code, 'COMMAND_TIMEOUT');
+        assert.strictEqual(error.attempts, 3);
+        return true;
+    });
+    assert.deepStrictEqual(sent, ['a', 'a', 'a']);
+    assert.deepStrictEqual(retries, [1, 2]);
+    assert.strictEqual(queue.size, 0);
+});
+
+test('resolves a retried request when a later attempt is answered', async () => {
+    const sent = [];
+    const queue = new CommandQueue(frame => {
+        sent.push(frame);
+        if (sent.length === 2) {
+            setTimeout(() => queue.handleReply({ key: 'a' }), 5);
+        }
+    }, { interval: 0, timeout: 20, retries: 1 });
+
+    assert.deepStrictEqual(await queue.enqueue(read('a')), { key: 'a' });
+    assert.strictEqual(sent.length, 2);
+});
+
+test('shares one request between duplicates and moves it up for a control path', async () => {
+    const sent = [];
+    const queue = new CommandQueue(frame => sent.push(frame), { interval: 0, timeout: 500 });
+
+    queue.enqueue(read('a'));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const waiting = queue.enqueue(read('b'));
+    const polled = queue.enqueue(read('c'));
+    const control = queue.enqueue({ ...read('c'), priority: 'high' });
+    assert.strictEqual(polled, control);
+
+    queue.handleReply({ key: 'a' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepStrictEqual(sent, ['a', 'c']);
+    queue.clear('test over');
+    await assert.rejects(control, { code: 'COMMAND_CANCELLED' });
+    await assert.rejects(waiting, { code: 'COMMAND_CANCELLED' });
+});
+
+test('settles writes once sent and cancels what is pending on clear', async () => {
+    const sent = [];
+    const queue = new CommandQueue(frame => sent.push(frame), { interval: 0, timeout: 500 });
+
+    const write = queue.enqueue({ key: 'w', frame: 'w', expectReply: false });
+    assert.strictEqual(await write, undefined);
+
+    const pending = queue.enqueue(read('a'));
+    const queued = queue.enqueue(read('b'));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    queue.clear('connection closed');
+    await assert.rejects(pending, { code: 'COMMAND_CANCELLED', reason: 'connection closed' });
+    await assert.rejects(queued, { code: 'COMMAND_CANCELLED' });
+    assert.strictEqual(queue.size, 0);
+});
+
+test('rejects a request whose frame cannot be written', async () => {
+    const queue = new CommandQueue(() => {
+        throw new Error('socket gone');
+    }, { interval: 0 });
+    await assert.rejects(queue.enqueue(read('a')), /socket gone/);
+});
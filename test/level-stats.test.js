@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LevelStats = require('../src/level-stats');
+
+function db(power) {
+    return Math.round(10 * Math.log10(power) * 10) / 10;
+}
+
+test('weights each reading by how long it was held', () => {
+    const stats = new LevelStats();
+    // 0 dB held for 1.6 s, then -10 dB held for 3.4 s
+    stats.record('output-1', 0, 0);
+    stats.record('output-1', -10, 1600);
+    stats.record('output-1', -10, 5000);
+
+    const channel = stats.snapshot(5000).channels['output-1'];
+    assert.strictEqual(channel.averages['10s'], db((1 * 1600 + 0.1 * 3400) / 5000));
+    assert.strictEqual(channel.averages['1m'], channel.averages['10s']);
+    assert.strictEqual(channel.measuredMs, 5000);
+    assert.deepStrictEqual(channel.above.map(entry => entry.ms), [5000, 1600, 0]);
+});
+
+test('reports the 1 s average from the held reading between polls', () => {
+    const stats = new LevelStats();
+    stats.record('input-1', -20, 0);
+    stats.record('input-1', -6, 3000);
+
+    // -20 dB was held over the whole last second, until the moment -6 dB arrived
+    assert.strictEqual(stats.snapshot(3000).channels['input-1'].averages['1s'], -20);
+    assert.strictEqual(stats.snapshot(4500).channels['input-1'].averages['1s'], -6);
+    // Half of the last second was still the earlier reading
+    assert.strictEqual(stats.snapshot(3500).channels['input-1'].averages['1s'], db((0.01 * 500 + Math.pow(10, -0.6) * 500) / 1000));
+});
+
+test('counts the held reading up to now without ending it', () => {
+    const stats = new LevelStats({ thresholds: [-10] });
+    stats.record('output-2', -5, 1000);
+
+    assert.deepStrictEqual(stats.snapshot(3000).channels['output-2'].above, [{ threshold: -10, ms: 2000 }]);
+    stats.record('output-2', -30, 4000);
+    const channel = stats.snapshot(4000).channels['output-2'];
+    assert.strictEqual(channel.measuredMs, 3000);
+    assert.deepStrictEqual(channel.above, [{ threshold: -10, ms: 3000 }]);
+});
+
+test('holds a reading for no longer than maxGap', () => {
+    const stats = new LevelStats({ maxGap: 4000 });
+    stats.record('output-3', -10, 0);
+    stats.record('output-3', -10, 30000);
+
+    const channel = stats.snapshot(30000).channels['output-3'];
+    assert.strictEqual(channel.measuredMs, 4000);
+    assert.strictEqual(channel.averages['10s'], -10);
+
+    const later = stats.snapshot(45000).channels['output-3'];
+    assert.strictEqual(later.measuredMs, 8000);
+    assert.strictEqual(later.averages['1s'], null);
+    assert.strictEqual(later.averages['10s'], null);
+    assert.strictEqual(later.averages['1m'], -10);
+});
+
+test('stops holding readings on interrupt', () => {
+    const stats = new LevelStats();
+    stats.record('input-2', 0, 0);
+    stats.interrupt(2500);
+
+    const channel = stats.snapshot(8000).channels['input-2'];
+    assert.strictEqual(channel.measuredMs, 2500);
+    assert.strictEqual(channel.averages['1s'], null);
+    assert.strictEqual(channel.averages['10s'], 0);
+});
+
+test('keeps the reading that straddles the start of the longest window', () => {
+    const stats = new LevelStats();
+    stats.record('output-4', -10, 0);
+    stats.record('output-4', -20, 9000);
+    stats.record('output-4', -20, 64000);
+
+    // -10 dB was held from 0 until 9 s; the window starts at 4 s
+    assert.strictEqual(stats.snapshot(64000).channels['output-4'].averages['1m'], db((0.1 * 5000 + 0.01 * 10000) / 15000));
+});
+
+test('rejects a maxGap that is not a positive duration', () => {
+    assert.throws(() => new LevelStats({ maxGap: 0 }), { code: 'INVALID_PARAMETER' });
+    assert.throws(() => new LevelStats({ maxGap: NaN }), { code: 'INVALID_PARAMETER' });
+});
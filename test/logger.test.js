@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Logger } = require('../src/logger');
+
+// Lines the logger writes to stdout, kept off the test runner's own output
+function captured(fn) {
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(line);
+    try {
+        fn();
+    } finally {
+        console.log = log;
+    }
+    return lines;
+}
+
+test('keeps reserved keys in JSON lines from being overwritten by fields', () => {
+    const logger = new Logger();
+    logger.configure({ format: 'json' });
+    const [line] = captured(() => logger.child('server').info('Log levels changed', { level: 'debug', message: 'other', category: 'x', time: 0, ip: '10.0.0.2' }));
+
+    const parsed = JSON.parse(line);
+    assert.strictEqual(parsed.level, 'info');
+    assert.strictEqual(parsed.message, 'Log levels changed');
+    assert.strictEqual(parsed.category, 'server');
+    assert.ok(!Number.isNaN(Date.parse(parsed.time)));
+    assert.strictEqual(parsed.ip, '10.0.0.2');
+});
+
+test('writes fields after the message in text lines', () => {
+    const logger = new Logger();
+    const [line] = captured(() => logger.child('scheduler').info('Job ran', { jobId: 'a', note: 'two words' }));
+    assert.match(line, / INFO  \[scheduler\] Job ran jobId=a note="two words"$/);
+});
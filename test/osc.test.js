@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const osc = require('../src/osc');
+const OscBridge = require('../src/osc-bridge');
+const { logger } = require('../src/logger');
+
+logger.configure({ level: 'error' });
+
+test('pads the address, type tags and strings to four bytes', () => {
+    const packet = osc.encodeMessage('/npa43a/master/mute', [{ type: 'i', value: 1 }]);
+    // 19 characters and a null pad to 20, ',i' and its nulls to 4, then the int32
+    assert.strictEqual(packet.length, 28);
+    assert.strictEqual(packet.toString('latin1', 20, 24), ',i\0\0');
+    assert.strictEqual(packet.readInt32BE(24), 1);
+
+    // A string that fills its four bytes still gets a whole block of nulls
+    assert.strictEqual(osc.encodeMessage('/abc').length, 8 + 4);
+    assert.strictEqual(osc.encodeMessage('/ab', ['test']).length, 4 + 4 + 8);
+});
+
+test('round-trips every argument type', () => {
+    const blob = Buffer.from([1, 2, 3, 4, 5]);
+    const packet = osc.encodeMessage('/npa43a/output/2/level', [-12, -6.5, 'Stage left', true, false, null, blob, { type: 'f', value: 0 }]);
+    const message = osc.decodeMessage(packet);
+
+    assert.strictEqual(message.address, '/npa43a/output/2/level');
+    assert.deepStrictEqual(message.args.slice(0, 6), [-12, -6.5, 'Stage left', true, false, null]);
+    assert.deepStrictEqual(message.args[6], blob);
+    assert.strictEqual(message.args[7], 0);
+});
+
+test('flattens bundles and rejects malformed packets', () => {
+    const first = osc.encodeMessage('/a', [1]);
+    const second = osc.encodeMessage('/b', ['x']);
+    const size = (message) => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE(message.length);
+        return buffer;
+    };
+    const bundle = Buffer.concat([Buffer.from('#bundle\0', 'latin1'), Buffer.alloc(8), size(first), first, size(second), second]);
+    assert.deepStrictEqual(osc.decodePacket(bundle), [{ address: '/a', args: [1] }, { address: '/b', args: ['x'] }]);
+
+    assert.throws(() => osc.decodeMessage(osc.encodeMessage('no-slash')), /Invalid OSC address/);
+    assert.throws(() => osc.decodeMessage(Buffer.from('/abc', 'latin1')), /Unterminated OSC string/);
+    assert.throws(() => osc.encodeMessage('/a', [{ type: 'h', value: 1 }]), /Unsupported OSC type tag: h/);
+});
+
+test('turns mute messages under the prefix into mute events and answers others with an error', () => {
+    const bridge = new OscBridge({ prefix: '/npa43a/' });
+    const mutes = [];
+    const errors = [];
+    bridge.on('mute', ({ type, id, mute }) => mutes.push({ type, id, mute }));
+    bridge.publishError = message => errors.push(message);
+    const remote = { address: '10.0.0.5', port: 9000 };
+    const receive = (address, args) => bridge.handlePacket(osc.encodeMessage(address, args), remote);
+
+    receive('/npa43a/output/2/mute', [{ type: 'i', value: 1 }]);
+    receive('/npa43a/master/mute', [{ type: 'f', value: 0 }]);
+    receive('/npa43a/input/3/mute', [true]);
+    // Left for the server's validation to reject
+    receive('/npa43a/input/9/mute', ['on']);
+    assert.deepStrictEqual(mutes, [
+        { type: 'output', id: 2, mute: true },
+        { type: 'all-output', id: null, mute: false },
+        { type: 'input', id: 3, mute: true },
+        { type: 'input', id: 9, mute: 'on' }
+    ]);
+
+    receive('/npa43a/output/2/level', [-10]);
+    receive('/other/output/2/mute', [1]);
+    bridge.handlePacket(Buffer.from('garbage'), remote);
+    assert.deepStrictEqual(errors, ['Unsupported address /npa43a/output/2/level']);
+    assert.deepStrictEqual({ received: bridge.stats.received, rejected: bridge.stats.rejected }, { received: 6, rejected: 2 });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const protocol = require('../src/protocol');
+
+function hex(frame) {
+    return frame.toString('hex').toUpperCase();
+}
+
+test('encodes a level read as in the control code document', () => {
+    const frame = protocol.encode('level', 'read', { channelType: 'input', channelId: 1 });
+    assert.strictEqual(hex(frame), 'A5C33C5AFF630E020101EE');
+});
+
+test('addresses the master mute as output channel 0', () => {
+    const frame = protocol.encode('mute', 'write', { channelType: 'all-output', muted: true }, { deviceId: 3 });
+    assert.strictEqual(hex(frame), 'A5C33C5A03360303020001EE');
+});
+
+test('round-trips level, mute and volume replies', () => {
+    const level = protocol.decode(protocol.encodeReply('level', { channelType: 'output', channelId: 2, db: -23.4 }));
+    assert.deepStrictEqual(
+        { function: level.function, command: level.command, channelType: level.channelType, channelId: level.channelId, db: level.db },
+        { function: 'level', command: 'read', channelType: 'output', channelId: 2, db: -23.4 }
+    );
+
+    const mute = protocol.decode(protocol.encodeReply('mute', { channelType: 'input', channelId: 4, muted: true }, { deviceId: 7 }));
+    assert.strictEqual(mute.muted, true);
+    assert.strictEqual(mute.deviceId, 7);
+
+    const volume = protocol.decode(protocol.encodeReply('volume', { channelType: 'input', channelId: 1, db: -60 }));
+    assert.strictEqual(volume.db, -60);
+});
+
+test('decodes all four levels from one levelAll reply', () => {
+    const frame = protocol.encodeReply('levelAll', { channelType: 'output', levels: [-10, -20.5, 0, -60] });
+    const result = protocol.decode(frame);
+    assert.strictEqual(result.channelType, 'output');
+    assert.deepStrictEqual(result.levels, [-10, -20.5, 0, -60]);
+});
+
+test('decodes write feedback as success or failure', () => {
+    assert.strictEqual(protocol.decode(protocol.encodeAck('volume', true)).success, true);
+    assert.strictEqual(protocol.decode(protocol.encodeAck('volume', false)).success, false);
+});
+
+test('decodes requests with their request layout', () => {
+    const frame = protocol.encode('volume', 'write', { channelType: 'output', channelId: 3, db: -12.5 });
+    const request = protocol.decode(frame, { direction: 'request' });
+    assert.strictEqual(request.command, 'write');
+    assert.strictEqual(request.db, -12.5);
+});
+
+test('rejects out-of-range and missing parameters', () => {
+    assert.throws(() => protocol.encode('volume', 'write', { channelType: 'input', channelId: 1, db: 13 }), { code: 'INVALID_PARAMETER' });
+    assert.throws(() => protocol.encode('level', 'read', { channelType: 'input', channelId: 5 }), { code: 'INVALID_PARAMETER' });
+    assert.throws(() => protocol.encode('level', 'read', { channelType: 'input' }), { code: 'INVALID_PARAMETER' });
+    assert.throws(() => protocol.encode('mute', 'write', { channelType: 'input', channelId: 1, muted: 1 }), { code: 'INVALID_PARAMETER' });
+    assert.throws(() => protocol.encode('level', 'write', { channelType: 'input', channelId: 1 }), { code: 'PROTOCOL_ERROR' });
+});
+
+test('rejects malformed frames', () => {
+    const frame = protocol.encodeReply('level', { channelType: 'input', channelId: 1, db: -20 });
+    const badEnd = Buffer.from(frame);
+    badEnd[badEnd.length - 1] = 0x00;
+    assert.throws(() => protocol.decode(badEnd), /end header/);
+
+    const badLength = Buffer.from(frame);
+    badLength[7] = 5;
+    assert.throws(() => protocol.decode(badLength), /Length mismatch/);
+
+    const badFunction = Buffer.from(frame);
+    badFunction[6] = 0x7F;
+    assert.throws(() => protocol.decode(badFunction), /Unsupported function code/);
+});
+
+test('finds frames among garbage and leaves a partial frame for later', () => {
+    const first = protocol.encodeReply('level', { channelType: 'input', channelId: 1, db: -20 });
+    const second = protocol.encodeReply('level', { channelType: 'input', channelId: 2, db: -30 });
+    const garbage = Buffer.from([0x00, 0xA5, 0xC3, 0x12, 0xEE]);
+    const stream = Buffer.concat([garbage, first, garbage, second.slice(0, 6)]);
+
+    const { frames, remainingOffset, skipped } = protocol.findFrames(stream);
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(hex(frames[0]), hex(first));
+    assert.ok(skipped >= garbage.length);
+    // Too short to tell garbage from a header yet, so the tail is kept whole
+    assert.ok(hex(stream.slice(remainingOffset)).endsWith(hex(second.slice(0, 6))));
+
+    const rest = Buffer.concat([stream.slice(remainingOffset), second.slice(6)]);
+    assert.strictEqual(hex(protocol.findFrames(rest).frames[0]), hex(second));
+});
+
+test('resyncs past a start header whose end byte is wrong', () => {
+    const frame = protocol.encodeReply('level', { channelType: 'input', channelId: 1, db: -20 });
+    const fake = Buffer.from([0xA5, 0xC3, 0x3C, 0x5A, 0xFF, 0x63, 0x0E, 0x01, 0x00, 0x00]);
+    const { frames } = protocol.findFrames(Buffer.concat([fake, frame]));
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(hex(frames[0]), hex(frame));
+});
+
+test('matches replies to requests by function and address', () => {
+    const reply = protocol.decode(protocol.encodeReply('mute', { channelType: 'all-output', muted: false }));
+    assert.ok(protocol.matchesRequest(reply, 'mute', { channelType: 'all-output' }));
+    assert.ok(!protocol.matchesRequest(reply, 'mute', { channelType: 'output', channelId: 1 }));
+    assert.ok(!protocol.matchesRequest(reply, 'volume', { channelType: 'output', channelId: 0 }));
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Scheduler = require('../src/scheduler');
+const { logger } = require('../src/logger');
+
+logger.configure({ level: 'error' });
+
+// A scheduler with nothing saved to disk and no tick timer; `ready` stands in for
+// the amplifiers being connected
+function scheduler() {
+    const state = { ready: false, runs: [] };
+    const instance = new Scheduler({ file: null }, {
+        isReady: () => state.ready,
+        run: async (action) => {
+            state.runs.push(action);
+            return 'done';
+        },
+        checkAction: () => {}
+    });
+    return { scheduler: instance, state };
+}
+
+const mute = { type: 'mute', amplifierId: 'main-hall', channel: 'output-1', mute: true };
+
+// A job that fired while its amplifier was disconnected and waits to catch up
+function pendingJob(instance) {
+    const job = instance.add({ name: 'Night mute', cron: '0 22 * * *', action: mute });
+    const scheduledAt = job.nextRun;
+    instance.tick(scheduledAt + 1000);
+    assert.strictEqual(job.pendingSince, scheduledAt);
+    return { job, scheduledAt };
+}
+
+test('a rename keeps a run waiting to catch up', async () => {
+    const { scheduler: instance, state } = scheduler();
+    const { job, scheduledAt } = pendingJob(instance);
+    const nextRun = job.nextRun;
+
+    instance.update(job.id, { name: 'Late mute', missed: 'catch-up' });
+    assert.strictEqual(job.name, 'Late mute');
+    assert.strictEqual(job.pendingSince, scheduledAt);
+    assert.strictEqual(job.nextRun, nextRun);
+
+    state.ready = true;
+    instance.tick(scheduledAt + 2000);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(state.runs, [mute]);
+    assert.strictEqual(instance.listRuns()[0].trigger, 'catch-up');
+});
+
+test('sending unchanged time, action and enabled state keeps the pending run', () => {
+    const { scheduler: instance } = scheduler();
+    const { job, scheduledAt } = pendingJob(instance);
+
+    instance.update(job.id, { cron: '0  22 * * *', action: { ...mute }, enabled: true });
+    assert.strictEqual(job.pendingSince, scheduledAt);
+});
+
+test('a new time, action or enabled state starts the job over', () => {
+    const changes = [
+        { cron: '30 22 * * *' },
+        { action: { ...mute, mute: false } },
+        { enabled: false }
+    ];
+    changes.forEach(change => {
+        const { scheduler: instance } = scheduler();
+        const { job } = pendingJob(instance);
+
+        instance.update(job.id, change);
+        assert.strictEqual(job.pendingSince, null, JSON.stringify(change));
+        assert.strictEqual(job.nextRun, instance.nextRun(job));
+    });
+});
+
+test('a failed write is logged without failing the run or the timer', async () => {
+    const { scheduler: instance, state } = scheduler();
+    const job = instance.add({ name: 'Night mute', cron: '0 22 * * *', action: mute });
+    instance.save = () => {
+        throw new Error('disk full');
+    };
+    state.ready = true;
+
+    const run = await instance.runNow(job.id);
+    assert.strictEqual(run.status, 'succeeded');
+    assert.doesNotThrow(() => instance.tick(job.nextRun + 1000));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(instance.listRuns().length, 2);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const UpdateBatcher = require('../src/update-batcher');
+
+// Stands in for a client socket; `bufferedAmount` is how much it still has unsent
+function socket() {
+    return {
+        readyState: WebSocket.OPEN,
+        bufferedAmount: 0,
+        frames: [],
+        send(text) {
+            this.frames.push(JSON.parse(text));
+        }
+    };
+}
+
+function level(channelId, db) {
+    return { type: 'audioData', amplifierId: 'main', channelType: 'output', channelId, db };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('sends one frame with the latest reading of each channel and every event', async (t) => {
+    const ws = socket();
+    const batcher = new UpdateBatcher(ws, { interval: 20 });
+    t.after(() => batcher.stop());
+
+    batcher.queue(level(1, -30));
+    batcher.queue({ type: 'alarm', event: 'raise' });
+    batcher.queue(level(2, -20));
+    batcher.queue(level(1, -10));
+    batcher.queue({ type: 'alarm', event: 'clear' });
+    await wait(10);
+
+    assert.strictEqual(ws.frames.length, 1);
+    assert.strictEqual(ws.frames[0].type, 'batch');
+    assert.deepStrictEqual(ws.frames[0].messages.map(message => message.db !== undefined ? message.db : message.event), [-10, 'raise', -20, 'clear']);
+    assert.deepStrictEqual({ frames: batcher.stats.frames, messages: batcher.stats.messages }, { frames: 1, messages: 4 });
+});
+
+test('sends at most one frame per interval, which can be changed', async (t) => {
+    const ws = socket();
+    const batcher = new UpdateBatcher(ws, { interval: 200 });
+    t.after(() => batcher.stop());
+
+    batcher.queue(level(1, -30));
+    await wait(10);
+    batcher.queue(level(1, -29));
+    await wait(50);
+    assert.strictEqual(ws.frames.length, 1);
+
+    batcher.setUpdateInterval(60);
+    await wait(30);
+    assert.strictEqual(ws.frames.length, 2);
+    assert.strictEqual(ws.frames[1].messages[0].db, -29);
+});
+
+test('holds frames back while the client is behind and then sends the current state', async (t) => {
+    const ws = socket();
+    ws.bufferedAmount = 2048;
+    const batcher = new UpdateBatcher(ws, { interval: 20, maxBufferedBytes: 1024 });
+    t.after(() => batcher.stop());
+
+    batcher.queue(level(1, -30));
+    await wait(30);
+    batcher.queue(level(1, -12));
+    await wait(30);
+    assert.strictEqual(ws.frames.length, 0);
+    assert.ok(batcher.stats.deferred >= 2);
+
+    ws.bufferedAmount = 0;
+    await wait(40);
+    assert.strictEqual(ws.frames.length, 1);
+    assert.deepStrictEqual(ws.frames[0].messages.map(message => message.db), [-12]);
+});
+
+test('keeps only the latest events for a stalled client', async (t) => {
+    const ws = socket();
+    ws.bufferedAmount = 2048;
+    const batcher = new UpdateBatcher(ws, { interval: 20, maxBufferedBytes: 1024, maxEvents: 3 });
+    t.after(() => batcher.stop());
+
+    for (let n = 1; n <= 5; n++) {
+        batcher.queue({ type: 'scheduleRun', n });
+    }
+    batcher.queue(level(1, -30));
+    assert.strictEqual(batcher.stats.droppedEvents, 2);
+
+    ws.bufferedAmount = 0;
+    await wait(40);
+    assert.deepStrictEqual(ws.frames[0].messages.map(message => message.n || message.db), [3, 4, 5, -30]);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCommand, PROTOCOL_VERSION } = require('../src/ws-commands');
+
+function message(fields) {
+    return JSON.stringify({ v: PROTOCOL_VERSION, requestId: 'r1', ...fields });
+}
+
+test('parses a command with its request ID and parameters', () => {
+    assert.deepStrictEqual(
+        parseCommand(message({ command: 'setGain', params: { amplifierId: 'main-hall', type: 'output', id: 2, db: -12.5 } })),
+        { requestId: 'r1', command: 'setGain', params: { amplifierId: 'main-hall', type: 'output', id: 2, db: -12.5 } }
+    );
+    assert.deepStrictEqual(parseCommand(message({ requestId: 7, command: 'connect' })), { requestId: 7, command: 'connect', params: {} });
+});
+
+test('attaches the request ID and command to a rejected command', () => {
+    const rejected = (fields, parameter) => assert.throws(() => parseCommand(message(fields)), error => {
+        assert.strictEqual(error.code, 'INVALID_PARAMETER');
+        assert.strictEqual(error.parameter, parameter);
+        assert.strictEqual(error.requestId, 'r1');
+        return true;
+    });
+
+    rejected({ v: 2, command: 'connect' }, 'v');
+    rejected({ command: 'reboot' }, 'command');
+    rejected({ command: 'setMute', params: { type: 'input', mute: true } }, 'id');
+    rejected({ command: 'setMute', params: { type: 'all-output', mute: 'yes' } }, 'mute');
+    rejected({ command: 'setGain', params: { type: 'input', id: 5, db: 0 } }, 'id');
+    rejected({ command: 'setGain', params: { type: 'input', id: 1, db: 13 } }, 'db');
+    rejected({ command: 'connect', params: { amplifierId: 'a', force: true } }, 'force');
+    rejected({ command: 'subscribe', params: { types: ['status', 'secrets'] } }, 'types');
+    rejected({ command: 'setUpdateRate', params: { interval: 10 } }, 'interval');
+});
+
+test('rejects a message it cannot answer by request ID without one', () => {
+    assert.throws(() => parseCommand('{"v": 1,'), { parameter: 'message' });
+    assert.throws(() => parseCommand('[1]'), { parameter: 'message' });
+    assert.throws(() => parseCommand(message({ requestId: 'x'.repeat(65), command: 'connect' })), error => {
+        assert.strictEqual(error.parameter, 'requestId');
+        assert.strictEqual(error.requestId, undefined);
+        assert.strictEqual(error.command, 'connect');
+        return true;
+    });
+});
+
+test('accepts a master mute without a channel number', () => {
+    assert.deepStrictEqual(parseCommand(message({ command: 'setMute', params: { type: 'all-output', mute: false } })).params, { type: 'all-output', mute: false });
+});